@@ -2,11 +2,15 @@ const mongoose = require("mongoose");
 
 const connectDB = async () => {
   try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
+    await mongoose.connect(process.env.MONGODB_URI, {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
 
+    // Replace indexes that changed shape, e.g. unique file paths that now
+    // only apply outside the trash
+    await require("../models").File.syncIndexes();
+
 
 
     // Handle connection events
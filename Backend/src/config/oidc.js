@@ -0,0 +1,40 @@
+// OpenID Connect providers users can sign in with. OIDC_PROVIDERS lists their
+// IDs, e.g. "google,okta"; each one is configured with
+//   OIDC_<ID>_ISSUER         issuer URL, used for discovery
+//   OIDC_<ID>_CLIENT_ID
+//   OIDC_<ID>_CLIENT_SECRET
+//   OIDC_<ID>_NAME           shown on buttons (defaults to the ID)
+//   OIDC_<ID>_SCOPES         defaults to "openid email profile"
+// Providers redirect back to OIDC_REDIRECT_URI, which defaults to the
+// frontend's /auth/callback page.
+
+const getOidcProviders = () =>
+  (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map((id) => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+      return {
+        id,
+        name: process.env[`${prefix}NAME`] || id,
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+      };
+    })
+    .filter((provider) => provider.issuer && provider.clientId);
+
+const getOidcProvider = (id) =>
+  getOidcProviders().find((provider) => provider.id === id) || null;
+
+const getOidcRedirectUri = () =>
+  process.env.OIDC_REDIRECT_URI ||
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}/auth/callback`;
+
+module.exports = {
+  getOidcProviders,
+  getOidcProvider,
+  getOidcRedirectUri,
+};
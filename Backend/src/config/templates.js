@@ -0,0 +1,478 @@
+// Starter file trees and package.json for each project template. Paths are
+// relative to the project root; package.json is generated from packageJson.
+
+const packageFile = (packageJson) => ({
+  name: "package.json",
+  type: "file",
+  path: "package.json",
+  content: JSON.stringify(packageJson, null, 2),
+  language: "json",
+});
+
+const reactPackageJson = {
+  name: "my-react-app",
+  version: "1.0.0",
+  description: "A React application created in CipherStudio",
+  main: "src/index.js",
+  dependencies: {
+    react: "^18.2.0",
+    "react-dom": "^18.2.0",
+    "react-scripts": "^5.0.1",
+  },
+  scripts: {
+    start: "react-scripts start",
+    build: "react-scripts build",
+    test: "react-scripts test",
+    eject: "react-scripts eject",
+  },
+  browserslist: {
+    production: [">0.2%", "not dead", "not op_mini all"],
+    development: [
+      "last 1 chrome version",
+      "last 1 firefox version",
+      "last 1 safari version",
+    ],
+  },
+};
+
+const vanillaPackageJson = {
+  name: "my-vanilla-app",
+  version: "1.0.0",
+  description: "A JavaScript application created in CipherStudio",
+  main: "src/index.js",
+  dependencies: {},
+  devDependencies: {
+    parcel: "^2.12.0",
+  },
+  scripts: {
+    start: "parcel index.html",
+    build: "parcel build index.html",
+  },
+};
+
+const typescriptPackageJson = {
+  name: "my-typescript-app",
+  version: "1.0.0",
+  description: "A TypeScript application created in CipherStudio",
+  main: "src/index.ts",
+  dependencies: {},
+  devDependencies: {
+    parcel: "^2.12.0",
+    typescript: "^5.4.0",
+  },
+  scripts: {
+    start: "parcel index.html",
+    build: "tsc --noEmit && parcel build index.html",
+  },
+};
+
+const nextjsPackageJson = {
+  name: "my-next-app",
+  version: "0.1.0",
+  description: "A Next.js application created in CipherStudio",
+  private: true,
+  scripts: {
+    dev: "NEXT_TELEMETRY_DISABLED=1 next dev",
+    build: "next build",
+    start: "next start",
+  },
+  dependencies: {
+    next: "12.1.6",
+    react: "18.2.0",
+    "react-dom": "18.2.0",
+    "@next/swc-wasm-nodejs": "12.1.6",
+  },
+};
+
+const styles = `body {
+  margin: 0;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+  background-color: #282c34;
+  color: white;
+}
+
+#app {
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+}
+
+button {
+  font-size: 1rem;
+  padding: 8px 16px;
+  border-radius: 6px;
+  border: none;
+  cursor: pointer;
+}`;
+
+const parcelIndexHtml = (title, script) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${title}</title>
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="${script}"></script>
+  </body>
+</html>`;
+
+const defaultTemplates = {
+  react: {
+    name: "React App",
+    packageJson: reactPackageJson,
+    files: [
+      {
+        name: "src",
+        type: "folder",
+        path: "src",
+        children: [
+          {
+            name: "index.js",
+            type: "file",
+            path: "src/index.js",
+            content: `import React from 'react';
+import ReactDOM from 'react-dom/client';
+import App from './App';
+import './index.css';
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);`,
+            language: "javascript",
+          },
+          {
+            name: "App.js",
+            type: "file",
+            path: "src/App.js",
+            content: `import React from 'react';
+import './App.css';
+
+function App() {
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>Welcome to CipherStudio</h1>
+        <p>Start building your React application!</p>
+      </header>
+    </div>
+  );
+}
+
+export default App;`,
+            language: "jsx",
+          },
+          {
+            name: "App.css",
+            type: "file",
+            path: "src/App.css",
+            content: `.App {
+  text-align: center;
+}
+
+.App-header {
+  background-color: #282c34;
+  padding: 20px;
+  color: white;
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  font-size: calc(10px + 2vmin);
+}`,
+            language: "css",
+          },
+          {
+            name: "index.css",
+            type: "file",
+            path: "src/index.css",
+            content: `body {
+  margin: 0;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen',
+    'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue',
+    sans-serif;
+  -webkit-font-smoothing: antialiased;
+  -moz-osx-font-smoothing: grayscale;
+}
+
+code {
+  font-family: source-code-pro, Menlo, Monaco, Consolas, 'Courier New',
+    monospace;
+}`,
+            language: "css",
+          },
+        ],
+      },
+      {
+        name: "public",
+        type: "folder",
+        path: "public",
+        children: [
+          {
+            name: "index.html",
+            type: "file",
+            path: "public/index.html",
+            content: `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="theme-color" content="#000000" />
+    <meta name="description" content="React app created in CipherStudio" />
+    <title>React App</title>
+  </head>
+  <body>
+    <noscript>You need to enable JavaScript to run this app.</noscript>
+    <div id="root"></div>
+  </body>
+</html>`,
+            language: "html",
+          },
+        ],
+      },
+      packageFile(reactPackageJson),
+    ],
+  },
+  vanilla: {
+    name: "Vanilla JavaScript",
+    packageJson: vanillaPackageJson,
+    files: [
+      {
+        name: "src",
+        type: "folder",
+        path: "src",
+        children: [
+          {
+            name: "index.js",
+            type: "file",
+            path: "src/index.js",
+            content: `import './styles.css';
+
+let count = 0;
+
+document.getElementById('app').innerHTML = \`
+  <h1>Welcome to CipherStudio</h1>
+  <p>Start building with plain JavaScript!</p>
+  <button id="counter">Clicked 0 times</button>
+\`;
+
+const button = document.getElementById('counter');
+button.addEventListener('click', () => {
+  count += 1;
+  button.textContent = \`Clicked \${count} times\`;
+});`,
+            language: "javascript",
+          },
+          {
+            name: "styles.css",
+            type: "file",
+            path: "src/styles.css",
+            content: styles,
+            language: "css",
+          },
+        ],
+      },
+      {
+        name: "index.html",
+        type: "file",
+        path: "index.html",
+        content: parcelIndexHtml("Vanilla App", "src/index.js"),
+        language: "html",
+      },
+      packageFile(vanillaPackageJson),
+    ],
+  },
+  typescript: {
+    name: "TypeScript",
+    packageJson: typescriptPackageJson,
+    files: [
+      {
+        name: "src",
+        type: "folder",
+        path: "src",
+        children: [
+          {
+            name: "index.ts",
+            type: "file",
+            path: "src/index.ts",
+            content: `import './styles.css';
+
+interface Greeting {
+  title: string;
+  message: string;
+}
+
+const greeting: Greeting = {
+  title: 'Welcome to CipherStudio',
+  message: 'Start building with TypeScript!',
+};
+
+const render = (root: HTMLElement, { title, message }: Greeting): void => {
+  root.innerHTML = \`<h1>\${title}</h1><p>\${message}</p>\`;
+};
+
+render(document.getElementById('app') as HTMLElement, greeting);`,
+            language: "typescript",
+          },
+          {
+            name: "styles.css",
+            type: "file",
+            path: "src/styles.css",
+            content: styles,
+            language: "css",
+          },
+        ],
+      },
+      {
+        name: "index.html",
+        type: "file",
+        path: "index.html",
+        content: parcelIndexHtml("TypeScript App", "src/index.ts"),
+        language: "html",
+      },
+      {
+        name: "tsconfig.json",
+        type: "file",
+        path: "tsconfig.json",
+        content: JSON.stringify(
+          {
+            compilerOptions: {
+              target: "es2017",
+              module: "esnext",
+              moduleResolution: "node",
+              lib: ["dom", "es2017"],
+              strict: true,
+              esModuleInterop: true,
+              sourceMap: true,
+            },
+            include: ["src"],
+          },
+          null,
+          2
+        ),
+        language: "json",
+      },
+      packageFile(typescriptPackageJson),
+    ],
+  },
+  nextjs: {
+    name: "Next.js",
+    packageJson: nextjsPackageJson,
+    files: [
+      {
+        name: "pages",
+        type: "folder",
+        path: "pages",
+        children: [
+          {
+            name: "_app.js",
+            type: "file",
+            path: "pages/_app.js",
+            content: `import '../styles/globals.css';
+
+export default function MyApp({ Component, pageProps }) {
+  return <Component {...pageProps} />;
+}`,
+            language: "javascript",
+          },
+          {
+            name: "index.js",
+            type: "file",
+            path: "pages/index.js",
+            content: `import Link from 'next/link';
+
+export default function Home({ renderedAt }) {
+  return (
+    <main className="container">
+      <h1>Welcome to CipherStudio</h1>
+      <p>Start building your Next.js application!</p>
+      <p>This page was rendered on the server at {renderedAt}.</p>
+      <Link href="/about">About this app</Link>
+    </main>
+  );
+}
+
+export function getServerSideProps() {
+  return {
+    props: { renderedAt: new Date().toLocaleTimeString() },
+  };
+}`,
+            language: "javascript",
+          },
+          {
+            name: "about.js",
+            type: "file",
+            path: "pages/about.js",
+            content: `import Link from 'next/link';
+
+export default function About() {
+  return (
+    <main className="container">
+      <h1>About</h1>
+      <p>Every file in the pages folder is a route.</p>
+      <Link href="/">Back home</Link>
+    </main>
+  );
+}`,
+            language: "javascript",
+          },
+        ],
+      },
+      {
+        name: "styles",
+        type: "folder",
+        path: "styles",
+        children: [
+          {
+            name: "globals.css",
+            type: "file",
+            path: "styles/globals.css",
+            content: `body {
+  margin: 0;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+  background-color: #282c34;
+  color: white;
+}
+
+a {
+  color: #61dafb;
+}
+
+.container {
+  min-height: 100vh;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+}`,
+            language: "css",
+          },
+        ],
+      },
+      {
+        name: "next.config.js",
+        type: "file",
+        path: "next.config.js",
+        content: `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+};
+
+module.exports = nextConfig;`,
+        language: "javascript",
+      },
+      packageFile(nextjsPackageJson),
+    ],
+  },
+};
+
+module.exports = {
+  defaultTemplates,
+};
@@ -0,0 +1,79 @@
+const { AccessToken } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    List the user's personal access tokens, newest first; revoked
+//          tokens are left out
+// @route   GET /api/users/tokens
+// @access  Private (session only)
+const getAccessTokens = asyncHandler(async (req, res) => {
+  const accessTokens = await AccessToken.find({
+    userId: req.user._id,
+    revokedAt: null,
+  }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      accessTokens,
+    },
+  });
+});
+
+// @desc    Create a personal access token. The token itself is only in this
+//          response; afterwards only its hash is kept.
+// @route   POST /api/users/tokens
+// @access  Private (session only)
+const createAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const { accessToken, token } = await AccessToken.issue({
+    userId: req.user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * DAY_MS)
+      : null,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Access token created. Copy it now; it will not be shown again.",
+    data: {
+      accessToken,
+      token,
+    },
+  });
+});
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/users/tokens/:tokenId
+// @access  Private (session only)
+const revokeAccessToken = asyncHandler(async (req, res) => {
+  const accessToken = await AccessToken.findOne({
+    _id: req.params.tokenId,
+    userId: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!accessToken) {
+    return res.status(404).json({
+      success: false,
+      message: "Access token not found",
+    });
+  }
+
+  await accessToken.revoke();
+
+  res.status(200).json({
+    success: true,
+    message: "Access token revoked successfully",
+  });
+});
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+};
@@ -0,0 +1,285 @@
+const { User, Project, Session } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  collectSystemStats,
+  escapeRegExp,
+  auditTarget,
+  recordAuditEvent,
+} = require("../services");
+
+// Pagination details for a page of admin results
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1,
+});
+
+// @desc    Get system-wide counts
+// @route   GET /api/admin/stats
+// @access  Private (admin)
+const getAdminStats = asyncHandler(async (req, res) => {
+  const stats = await collectSystemStats();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      stats,
+    },
+  });
+});
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (admin)
+const getAdminUsers = asyncHandler(async (req, res) => {
+  const { search = "", status = "all", role } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = {};
+  if (status !== "all") query.isActive = status === "active";
+  if (role) query.role = role;
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), "i");
+    query.$or = [
+      { username: pattern },
+      { email: pattern },
+      { firstName: pattern },
+      { lastName: pattern },
+    ];
+  }
+
+  const [users, totalUsers] = await Promise.all([
+    User.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("projectsCount"),
+    User.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      pagination: paginate(page, limit, totalUsers),
+    },
+  });
+});
+
+// Find the user an admin action targets, refusing actions on themselves
+// that could lock every admin out
+const findTargetUser = async (req, res) => {
+  if (req.params.userId === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: "You can't do this to your own account",
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Deactivate a user and sign them out everywhere
+// @route   PUT /api/admin/users/:userId/deactivate
+// @access  Private (admin)
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+  if (!user) return;
+
+  user.isActive = false;
+  await user.save({ validateBeforeSave: false });
+  await Session.revokeAll(user._id);
+
+  await recordAuditEvent(req, "admin.user_deactivate", {
+    target: auditTarget("user", user),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Deactivated ${user.username}`,
+    data: {
+      user,
+    },
+  });
+});
+
+// @desc    Reactivate a deactivated user
+// @route   PUT /api/admin/users/:userId/reactivate
+// @access  Private (admin)
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+  if (!user) return;
+
+  user.isActive = true;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, "admin.user_reactivate", {
+    target: auditTarget("user", user),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Reactivated ${user.username}`,
+    data: {
+      user,
+    },
+  });
+});
+
+// @desc    Change a user's site-wide role
+// @route   PUT /api/admin/users/:userId/role
+// @access  Private (admin)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+  if (!user) return;
+
+  const previousRole = user.role;
+  user.role = req.body.role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, "admin.user_role_change", {
+    target: auditTarget("user", user),
+    details: { from: previousRole, to: user.role },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.username} is now ${
+      user.role === "admin" ? "an admin" : "a user"
+    }`,
+    data: {
+      user,
+    },
+  });
+});
+
+// @desc    List and search every user's projects
+// @route   GET /api/admin/projects
+// @access  Private (admin)
+const getAdminProjects = asyncHandler(async (req, res) => {
+  const { search = "", visibility = "all", userId } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = {};
+  if (visibility === "public") query.isPublic = true;
+  if (visibility === "private") query.isPublic = false;
+  if (visibility === "unpublished") {
+    query["moderation.unpublishedAt"] = { $ne: null };
+  }
+  if (userId) query.userId = userId;
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), "i");
+    query.$or = [{ name: pattern }, { description: pattern }];
+  }
+
+  const [projects, totalProjects] = await Promise.all([
+    Project.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(
+        "name description userId isPublic isArchived moderation updatedAt"
+      )
+      .populate("userId", "username email")
+      .populate("moderation.unpublishedBy", "username"),
+    Project.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      projects,
+      pagination: paginate(page, limit, totalProjects),
+    },
+  });
+});
+
+// @desc    Take a public project down; its owner can't make it public again
+// @route   PUT /api/admin/projects/:id/unpublish
+// @access  Private (admin)
+const unpublishProject = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  await project.unpublish(req.user._id, req.body.reason || "");
+
+  await recordAuditEvent(req, "admin.project_unpublish", {
+    target: auditTarget("project", project),
+    details: { reason: project.moderation.reason },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Project unpublished",
+    data: {
+      project,
+    },
+  });
+});
+
+// @desc    Lift an unpublish and make the project public again
+// @route   PUT /api/admin/projects/:id/republish
+// @access  Private (admin)
+const republishProject = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  if (!project.moderation.unpublishedAt) {
+    return res.status(400).json({
+      success: false,
+      message: "Project was not unpublished by a moderator",
+    });
+  }
+
+  await project.republish();
+
+  await recordAuditEvent(req, "admin.project_republish", {
+    target: auditTarget("project", project),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Project republished",
+    data: {
+      project,
+    },
+  });
+});
+
+module.exports = {
+  getAdminStats,
+  getAdminUsers,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
+  getAdminProjects,
+  unpublishProject,
+  republishProject,
+};
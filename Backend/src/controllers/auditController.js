@@ -0,0 +1,80 @@
+const { AuditEvent } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  AUDIT_EXPORT_LIMIT,
+  buildAuditQuery,
+  toAuditCsv,
+} = require("../services");
+
+// Answer with a page of the events matching a query, or all of them (up to
+// the export limit) as a CSV download when format=csv
+const sendAuditEvents = async (req, res, query, filename) => {
+  if (req.query.format === "csv") {
+    const events = await AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_LIMIT);
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv"`,
+    });
+    return res.send(toAuditCsv(events));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const [events, totalEvents] = await Promise.all([
+    AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditEvent.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalEvents / limit),
+        total: totalEvents,
+        hasNextPage: page < Math.ceil(totalEvents / limit),
+        hasPrevPage: page > 1,
+      },
+    },
+  });
+};
+
+// @desc    Get the user's own audit events: what they did, and what was done
+//          to their account, like failed logins. ?format=csv exports them.
+// @route   GET /api/users/audit-log
+// @access  Private (session only)
+const getMyAuditLog = asyncHandler(async (req, res) => {
+  const { action, outcome, from, to } = req.query;
+
+  const query = {
+    ...buildAuditQuery({ action, outcome, from, to }),
+    $or: [
+      { "actor.userId": req.user._id },
+      { "target.type": "user", "target.id": req.user._id },
+    ],
+  };
+
+  await sendAuditEvents(req, res, query, "my-audit-log");
+});
+
+// @desc    Get the audit events of the whole site. ?format=csv exports them.
+// @route   GET /api/admin/audit-log
+// @access  Private (admin)
+const getAuditLog = asyncHandler(async (req, res) => {
+  await sendAuditEvents(req, res, buildAuditQuery(req.query), "audit-log");
+});
+
+module.exports = {
+  getMyAuditLog,
+  getAuditLog,
+};
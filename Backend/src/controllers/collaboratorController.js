@@ -0,0 +1,351 @@
+const { Project, ProjectInvitation, User } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  auditTarget,
+  recordAuditEvent,
+  sendInvitationEmail,
+} = require("../services");
+
+const USER_FIELDS = "username email firstName lastName avatar";
+
+// Only the owner may grant, change or take away the admin role
+const canAssignRole = (req, role, currentRole) =>
+  req.projectRole === "owner" || (role !== "admin" && currentRole !== "admin");
+
+// The collaborator entry for a user, with the user populated
+const findCollaborator = (project, userId) =>
+  project.collaborators.find(
+    (entry) => entry.userId?._id.toString() === userId
+  );
+
+// Find an open invitation addressed to the current user
+const findInvitationForUser = async (req) => {
+  const invitation = await ProjectInvitation.findOne({
+    token: req.params.token,
+  });
+
+  if (!invitation || !invitation.isOpen) {
+    return { status: 404, message: "Invitation not found or expired" };
+  }
+
+  if (invitation.email !== req.user.email.toLowerCase()) {
+    return { status: 403, message: "This invitation was sent to another email" };
+  }
+
+  // Anyone can register with any address, so only a verified one proves
+  // the invitation reached its owner
+  if (!req.user.emailVerifiedAt) {
+    return {
+      status: 403,
+      message: "Verify your email address to answer this invitation",
+    };
+  }
+
+  return { invitation };
+};
+
+// @desc    List a project's owner, collaborators and pending invitations
+// @route   GET /api/projects/:id/collaborators
+// @access  Private (viewer)
+const getCollaborators = asyncHandler(async (req, res) => {
+  const project = await req.project.populate([
+    { path: "userId", select: USER_FIELDS },
+    { path: "collaborators.userId", select: USER_FIELDS },
+  ]);
+
+  // Only people who can invite see who else has been invited
+  const invitations = project.hasRole(req.user, "admin")
+    ? await ProjectInvitation.find({
+        projectId: project._id,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+      })
+        .select("-token")
+        .populate("invitedBy", "username firstName lastName")
+        .sort({ createdAt: -1 })
+    : [];
+
+  res.status(200).json({
+    success: true,
+    data: {
+      owner: project.userId,
+      collaborators: project.collaborators.filter((entry) => entry.userId),
+      invitations,
+      role: req.projectRole,
+    },
+  });
+});
+
+// @desc    Invite someone to collaborate on a project by email
+// @route   POST /api/projects/:id/invitations
+// @access  Private (admin)
+const inviteCollaborator = asyncHandler(async (req, res) => {
+  const { email, role = "viewer" } = req.body;
+  const project = req.project;
+
+  if (!canAssignRole(req, role)) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the project owner can invite admins",
+    });
+  }
+
+  const invitee = await User.findOne({ email });
+  if (invitee && project.getRole(invitee)) {
+    return res.status(409).json({
+      success: false,
+      message: "This user already has access to the project",
+    });
+  }
+
+  // Re-inviting the same address refreshes the open invitation
+  let invitation = await ProjectInvitation.findOne({
+    projectId: project._id,
+    email,
+    status: "pending",
+  });
+
+  if (invitation) {
+    await invitation.deleteOne();
+  }
+
+  invitation = await ProjectInvitation.create({
+    projectId: project._id,
+    email,
+    role,
+    invitedBy: req.user._id,
+  });
+
+  await recordAuditEvent(req, "share.invite", {
+    target: auditTarget("invitation", invitation),
+    projectId: project._id,
+    details: { role },
+  });
+
+  // The invitation stands even if the email fails; the inviter can still
+  // pass the link on from the response
+  let emailSent = true;
+  try {
+    await sendInvitationEmail(invitation, project, req.user);
+  } catch (error) {
+    emailSent = false;
+    console.error(`Error sending invitation to ${email}:`, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: emailSent
+      ? `Invitation sent to ${email}`
+      : `Invitation created, but the email to ${email} could not be sent`,
+    data: {
+      invitation,
+      userExists: Boolean(invitee),
+      emailSent,
+    },
+  });
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @access  Private (admin)
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await ProjectInvitation.findOne({
+    _id: req.params.invitationId,
+    projectId: req.project._id,
+    status: "pending",
+  });
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: "Invitation not found",
+    });
+  }
+
+  await invitation.respond("revoked");
+
+  await recordAuditEvent(req, "share.invite_revoke", {
+    target: auditTarget("invitation", invitation),
+    projectId: req.project._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation revoked successfully",
+  });
+});
+
+// @desc    Change a collaborator's role
+// @route   PUT /api/projects/:id/collaborators/:userId
+// @access  Private (admin)
+const updateCollaboratorRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const project = req.project;
+  const currentRole = project.getRole(req.params.userId);
+
+  if (!currentRole || currentRole === "owner") {
+    return res.status(404).json({
+      success: false,
+      message: "Collaborator not found",
+    });
+  }
+
+  if (!canAssignRole(req, role, currentRole)) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the project owner can grant or change the admin role",
+    });
+  }
+
+  await project.setCollaborator(req.params.userId, role, req.user._id);
+  await project.populate("collaborators.userId", USER_FIELDS);
+
+  const collaborator = findCollaborator(project, req.params.userId);
+  await recordAuditEvent(req, "share.collaborator_role_change", {
+    target: auditTarget("user", collaborator.userId),
+    projectId: project._id,
+    details: { from: currentRole, to: role },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Collaborator role updated successfully",
+    data: {
+      collaborators: project.collaborators,
+    },
+  });
+});
+
+// @desc    Remove a collaborator (or leave a project shared with you)
+// @route   DELETE /api/projects/:id/collaborators/:userId
+// @access  Private (admin, or the collaborator themselves)
+const removeCollaborator = asyncHandler(async (req, res) => {
+  const project = req.project;
+  const currentRole = project.getRole(req.params.userId);
+  const isSelf = req.params.userId === req.user._id.toString();
+
+  if (!currentRole || currentRole === "owner") {
+    return res.status(404).json({
+      success: false,
+      message: "Collaborator not found",
+    });
+  }
+
+  if (
+    !isSelf &&
+    (!project.hasRole(req.user, "admin") || !canAssignRole(req, currentRole))
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  await project.populate("collaborators.userId", "username email");
+  const collaborator = findCollaborator(project, req.params.userId);
+
+  await project.removeCollaborator(req.params.userId);
+
+  await recordAuditEvent(req, "share.collaborator_remove", {
+    target: auditTarget("user", collaborator.userId),
+    projectId: project._id,
+    details: { role: currentRole },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: isSelf
+      ? "You left the project"
+      : "Collaborator removed successfully",
+  });
+});
+
+// @desc    List open invitations for the current user
+// @route   GET /api/invitations
+// @access  Private
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await ProjectInvitation.findOpenForEmail(req.user.email)
+    .populate("projectId", "name description template")
+    .populate("invitedBy", "username firstName lastName")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      // Invitations to projects that have since been trashed are hidden
+      invitations: invitations.filter((invitation) => invitation.projectId),
+    },
+  });
+});
+
+// @desc    Accept an invitation
+// @route   POST /api/invitations/:token/accept
+// @access  Private
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { invitation, status, message } = await findInvitationForUser(req);
+
+  if (!invitation) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const project = await Project.findById(invitation.projectId);
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  if (project.getRole(req.user) !== "owner") {
+    await project.setCollaborator(
+      req.user._id,
+      invitation.role,
+      invitation.invitedBy
+    );
+  }
+  await invitation.respond("accepted");
+
+  res.status(200).json({
+    success: true,
+    message: `You joined ${project.name} as ${invitation.role}`,
+    data: {
+      project,
+      role: project.getRole(req.user),
+    },
+  });
+});
+
+// @desc    Decline an invitation
+// @route   POST /api/invitations/:token/decline
+// @access  Private
+const declineInvitation = asyncHandler(async (req, res) => {
+  const { invitation, status, message } = await findInvitationForUser(req);
+
+  if (!invitation) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  await invitation.respond("declined");
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation declined",
+  });
+});
+
+module.exports = {
+  getCollaborators,
+  inviteCollaborator,
+  revokeInvitation,
+  updateCollaboratorRole,
+  removeCollaborator,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,335 @@
+const { Comment, File } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  createAnchor,
+  reanchorThreads,
+  extractMentions,
+} = require("../services");
+
+const AUTHOR_FIELDS = "username firstName lastName avatar";
+
+const populateComment = (query) =>
+  query
+    .populate("authorId", AUTHOR_FIELDS)
+    .populate("mentions", "username")
+    .populate("resolvedBy", "username firstName lastName");
+
+// Attach each thread's replies, oldest first
+const withReplies = async (threads) => {
+  const replies = await populateComment(
+    Comment.find({ parentId: { $in: threads.map((thread) => thread._id) } })
+  ).sort({ createdAt: 1 });
+
+  return threads.map((thread) => ({
+    ...thread.toJSON(),
+    replies: replies.filter(
+      (reply) => reply.parentId.toString() === thread._id.toString()
+    ),
+  }));
+};
+
+// Find a comment whose file is not in the trash, in a project where the
+// user holds at least the given role
+const findComment = async (req, minRole) => {
+  const comment = await Comment.findById(req.params.id).populate({
+    path: "fileId",
+    select: "projectId",
+    populate: { path: "projectId" },
+  });
+
+  if (!comment || !comment.fileId || !comment.fileId.projectId) {
+    return { status: 404, message: "Comment not found" };
+  }
+
+  const project = comment.fileId.projectId;
+  if (!project.hasRole(req.user, minRole, req.shareLink)) {
+    return { status: 403, message: "Access denied" };
+  }
+
+  return { comment, project };
+};
+
+// @desc    Get comment threads on a file
+// @route   GET /api/files/:id/comments
+// @access  Private (viewer)
+const getFileComments = asyncHandler(async (req, res) => {
+  const { status = "all" } = req.query;
+  const file = req.file;
+
+  const threads = await populateComment(
+    Comment.find({
+      fileId: file._id,
+      parentId: null,
+      ...(status !== "all" && { resolved: status === "resolved" }),
+    })
+  ).sort({ "anchor.startLine": 1, createdAt: 1 });
+
+  // Anchors are saved with the file; any left behind are only moved for the
+  // response, so reading comments never writes them
+  reanchorThreads(threads, file);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      threads: await withReplies(threads),
+      version: file.metadata.version,
+    },
+  });
+});
+
+// @desc    Start a comment thread on a line range of a file
+// @route   POST /api/files/:id/comments
+// @access  Private (viewer)
+const createComment = asyncHandler(async (req, res) => {
+  const { body, startLine, endLine = startLine } = req.body;
+  const file = req.file;
+
+  if (file.type !== "file" || file.encoding !== "utf8") {
+    return res.status(400).json({
+      success: false,
+      message: "Comments can only be added to text files",
+    });
+  }
+
+  const comment = await Comment.create({
+    projectId: req.project._id,
+    fileId: file._id,
+    authorId: req.user._id,
+    body,
+    mentions: await extractMentions(body, req.project),
+    anchor: createAnchor(file, startLine, endLine),
+  });
+
+  const thread = await populateComment(Comment.findById(comment._id));
+
+  res.status(201).json({
+    success: true,
+    message: "Comment added successfully",
+    data: {
+      thread: { ...thread.toJSON(), replies: [] },
+    },
+  });
+});
+
+// @desc    List comment threads across a project
+// @route   GET /api/projects/:id/comments
+// @access  Private (viewer)
+const getProjectComments = asyncHandler(async (req, res) => {
+  const { status = "open" } = req.query;
+
+  const threads = await populateComment(
+    Comment.find({
+      projectId: req.project._id,
+      parentId: null,
+      ...(status !== "all" && { resolved: status === "resolved" }),
+    })
+  ).sort({ updatedAt: -1 });
+
+  // Threads on files in the trash are hidden
+  const files = await File.find({
+    _id: { $in: threads.map((thread) => thread.fileId) },
+  }).select("path content metadata.version encoding");
+  const filesById = new Map(files.map((file) => [file._id.toString(), file]));
+
+  const visible = threads.filter((thread) =>
+    filesById.has(thread.fileId.toString())
+  );
+  for (const file of files) {
+    reanchorThreads(
+      visible.filter(
+        (thread) => thread.fileId.toString() === file._id.toString()
+      ),
+      file
+    );
+  }
+
+  const replyCounts = await Comment.aggregate([
+    { $match: { parentId: { $in: visible.map((thread) => thread._id) } } },
+    { $group: { _id: "$parentId", count: { $sum: 1 } } },
+  ]);
+  const countsById = new Map(
+    replyCounts.map((entry) => [entry._id.toString(), entry.count])
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      threads: visible.map((thread) => ({
+        ...thread.toJSON(),
+        path: filesById.get(thread.fileId.toString()).path,
+        replyCount: countsById.get(thread._id.toString()) || 0,
+      })),
+    },
+  });
+});
+
+// @desc    Reply to a comment thread
+// @route   POST /api/comments/:id/replies
+// @access  Private (viewer)
+const replyToComment = asyncHandler(async (req, res) => {
+  const { comment, project, status, message } = await findComment(
+    req,
+    "viewer"
+  );
+
+  if (!comment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  // Replies to a reply join the same thread
+  const threadId = comment.parentId || comment._id;
+
+  const reply = await Comment.create({
+    projectId: project._id,
+    fileId: comment.fileId._id,
+    parentId: threadId,
+    authorId: req.user._id,
+    body: req.body.body,
+    mentions: await extractMentions(req.body.body, project),
+  });
+
+  // Bring the thread to the top of the project list
+  await Comment.updateOne(
+    { _id: threadId },
+    { $set: { updatedAt: new Date() } }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Reply added successfully",
+    data: {
+      comment: await populateComment(Comment.findById(reply._id)),
+    },
+  });
+});
+
+// @desc    Edit a comment
+// @route   PUT /api/comments/:id
+// @access  Private (author)
+const updateComment = asyncHandler(async (req, res) => {
+  const { comment, project, status, message } = await findComment(
+    req,
+    "viewer"
+  );
+
+  if (!comment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (comment.authorId.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the author can edit a comment",
+    });
+  }
+
+  comment.body = req.body.body;
+  comment.mentions = await extractMentions(req.body.body, project);
+  comment.editedAt = new Date();
+  await comment.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Comment updated successfully",
+    data: {
+      comment: await populateComment(Comment.findById(comment._id)),
+    },
+  });
+});
+
+// @desc    Delete a comment (and its replies when it starts a thread)
+// @route   DELETE /api/comments/:id
+// @access  Private (author or admin)
+const deleteComment = asyncHandler(async (req, res) => {
+  const { comment, project, status, message } = await findComment(
+    req,
+    "viewer"
+  );
+
+  if (!comment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (
+    comment.authorId.toString() !== req.user._id.toString() &&
+    !project.hasRole(req.user, "admin")
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  await comment.deleteThread();
+
+  res.status(200).json({
+    success: true,
+    message: comment.isThread
+      ? "Thread deleted successfully"
+      : "Comment deleted successfully",
+  });
+});
+
+// @desc    Resolve a thread or open it again
+// @route   PUT /api/comments/:id/resolve
+// @access  Private (editor, or the thread's author)
+const resolveComment = asyncHandler(async (req, res) => {
+  const { comment, project, status, message } = await findComment(
+    req,
+    "viewer"
+  );
+
+  if (!comment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (!comment.isThread) {
+    return res.status(400).json({
+      success: false,
+      message: "Only threads can be resolved",
+    });
+  }
+
+  if (
+    comment.authorId.toString() !== req.user._id.toString() &&
+    !project.hasRole(req.user, "editor", req.shareLink)
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  const { resolved } = req.body;
+  await comment.setResolved(resolved, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: resolved ? "Thread resolved" : "Thread reopened",
+    data: {
+      comment: await populateComment(Comment.findById(comment._id)),
+    },
+  });
+});
+
+module.exports = {
+  getFileComments,
+  createComment,
+  getProjectComments,
+  replyToComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+};
@@ -0,0 +1,105 @@
+const { Project } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { resolveShareLink } = require("../middleware/auth");
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 500;
+
+const EMBED_PATH = /^\/embed\/([a-f0-9]{24})\/?$/i;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Find the project an embed URL points at, if the URL is one of ours
+const parseEmbedUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  const frontendUrl = new URL(
+    process.env.FRONTEND_URL || "http://localhost:3000"
+  );
+  const match = url.pathname.match(EMBED_PATH);
+  if (url.origin !== frontendUrl.origin || !match) return null;
+
+  return { url, projectId: match[1], share: url.searchParams.get("share") };
+};
+
+// @desc    Describe an embedded project for oEmbed consumers. The response is
+//          a plain oEmbed document rather than the usual success envelope.
+// @route   GET /api/oembed?url=<embed URL>
+// @access  Public
+const getOEmbed = asyncHandler(async (req, res) => {
+  const { format = "json", maxwidth, maxheight } = req.query;
+
+  if (format !== "json") {
+    return res.status(501).json({
+      success: false,
+      message: "Only the json format is supported",
+    });
+  }
+
+  const embed = parseEmbedUrl(req.query.url);
+  if (!embed) {
+    return res.status(404).json({
+      success: false,
+      message: "Not a CipherStudio embed URL",
+    });
+  }
+
+  const project = await Project.findById(embed.projectId).populate(
+    "userId",
+    "username firstName lastName"
+  );
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  // Only public projects and share links can be embedded for everyone.
+  // Private projects answer like missing ones, so their IDs can't be probed.
+  const shareLink = await resolveShareLink(embed.share);
+  if (!project.canView(null, shareLink)) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  const width = Math.min(DEFAULT_WIDTH, maxwidth || DEFAULT_WIDTH);
+  const height = Math.min(DEFAULT_HEIGHT, maxheight || DEFAULT_HEIGHT);
+  const author = project.userId;
+
+  res.status(200).json({
+    version: "1.0",
+    type: "rich",
+    provider_name: "CipherStudio",
+    provider_url: embed.url.origin,
+    title: project.name,
+    ...(author && {
+      author_name: author.firstName
+        ? `${author.firstName} ${author.lastName || ""}`.trim()
+        : author.username,
+    }),
+    width,
+    height,
+    html:
+      `<iframe src="${escapeHtml(embed.url.href)}" ` +
+      `width="${width}" height="${height}" ` +
+      `title="${escapeHtml(project.name)}" loading="lazy" ` +
+      `style="border:0;border-radius:6px;overflow:hidden"></iframe>`,
+  });
+});
+
+module.exports = {
+  getOEmbed,
+};
@@ -1,13 +1,62 @@
 const { File, Project } = require("../models");
 const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  escapeRegExp,
+  runPatternTask,
+  notifyFileChanged,
+  auditTarget,
+  recordAuditEvent,
+  assertFileQuota,
+} = require("../services");
+
+// Upper bound on matches collected for a single content search
+const MAX_SEARCH_RESULTS = 1000;
+
+// Build an ETag from a file's version
+const toETag = (file) => `"${file.metadata.version}"`;
+
+// Read the version a client expects to overwrite, from baseVersion or If-Match
+const parseExpectedVersion = (ifMatch, baseVersion) => {
+  if (baseVersion !== undefined && baseVersion !== null) {
+    return parseInt(baseVersion, 10);
+  }
+
+  if (ifMatch && ifMatch !== "*") {
+    const match = ifMatch.match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  return null;
+};
+
+// Describe the server copy of a file that a stale write conflicted with
+const buildConflict = (file) => ({
+  id: file._id,
+  path: file.path,
+  name: file.name,
+  currentVersion: file.metadata.version,
+  content: file.content,
+  encoding: file.encoding,
+  mimeType: file.mimeType,
+  lastModified: file.metadata.lastModified,
+  lastModifiedBy: file.metadata.lastModifiedBy,
+});
 
 // @desc    Create a new file or folder
 // @route   POST /api/files
 // @access  Private
 const createFile = asyncHandler(async (req, res) => {
-  const { name, projectId, parentId, type, content = "", language } = req.body;
+  const {
+    name,
+    projectId,
+    parentId,
+    type,
+    content = "",
+    language,
+    encoding = "utf8",
+  } = req.body;
 
-  // Check if project exists and user owns it
+  // Check if project exists and user can edit it
   const project = await Project.findById(projectId);
   if (!project) {
     return res.status(404).json({
@@ -16,7 +65,7 @@ const createFile = asyncHandler(async (req, res) => {
     });
   }
 
-  if (project.userId.toString() !== req.user._id.toString()) {
+  if (!project.hasRole(req.user, "editor", req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -53,6 +102,11 @@ const createFile = asyncHandler(async (req, res) => {
     });
   }
 
+  await assertFileQuota(project, {
+    files: 1,
+    bytes: type === "file" ? File.getContentSize(content, encoding) : 0,
+  });
+
   // Create file record with content stored directly in MongoDB
   const file = await File.create({
     name,
@@ -61,7 +115,11 @@ const createFile = asyncHandler(async (req, res) => {
     type,
     path: filePath,
     content: type === "file" ? content : "",
+    encoding: type === "file" ? encoding : "utf8",
     language: language || "javascript",
+    metadata: {
+      lastModifiedBy: req.user._id,
+    },
   });
 
   // Update project metadata
@@ -91,15 +149,16 @@ const createFile = asyncHandler(async (req, res) => {
 const getFileById = asyncHandler(async (req, res) => {
   const file = await File.findById(req.params.id).populate("projectId");
 
-  if (!file) {
+  // Files of a trashed project are not reachable until it is restored
+  if (!file || !file.projectId) {
     return res.status(404).json({
       success: false,
       message: "File not found",
     });
   }
 
-  // Check if user owns the project
-  if (file.projectId.userId.toString() !== req.user._id.toString()) {
+  // Check if user can read the project
+  if (!file.projectId.canView(req.user, req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -109,6 +168,7 @@ const getFileById = asyncHandler(async (req, res) => {
   // Get file content directly from database
   const fileContent = file.content;
 
+  res.set("ETag", toETag(file));
   res.status(200).json({
     success: true,
     data: {
@@ -124,25 +184,41 @@ const getFileById = asyncHandler(async (req, res) => {
 // @route   PUT /api/files/:id
 // @access  Private
 const updateFile = asyncHandler(async (req, res) => {
-  const { name, content, parentId } = req.body;
+  const { name, content, encoding, parentId, baseVersion } = req.body;
 
   const file = await File.findById(req.params.id).populate("projectId");
 
-  if (!file) {
+  if (!file || !file.projectId) {
     return res.status(404).json({
       success: false,
       message: "File not found",
     });
   }
 
-  // Check if user owns the project
-  if (file.projectId.userId.toString() !== req.user._id.toString()) {
+  // Check if user can edit the project
+  if (!file.projectId.hasRole(req.user, "editor", req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
     });
   }
 
+  // Reject writes based on a stale copy of the file
+  const expectedVersion = parseExpectedVersion(
+    req.headers["if-match"],
+    baseVersion
+  );
+
+  if (expectedVersion !== null && expectedVersion !== file.metadata.version) {
+    return res.status(409).json({
+      success: false,
+      message: "File has been modified since it was loaded",
+      data: {
+        conflict: buildConflict(file),
+      },
+    });
+  }
+
   const oldPath = file.path;
   let newPath = file.path;
 
@@ -174,8 +250,14 @@ const updateFile = asyncHandler(async (req, res) => {
 
   // Handle content update for files
   if (content !== undefined && file.type === "file") {
+    await assertFileQuota(file.projectId, {
+      bytes:
+        File.getContentSize(content, encoding || file.encoding) - file.size,
+    });
+
     file.content = content;
-    file.metadata.version += 1;
+    if (encoding) file.encoding = encoding;
+    file.metadata.lastModifiedBy = req.user._id;
   }
 
   // Handle parent change (move operation)
@@ -215,18 +297,43 @@ const updateFile = asyncHandler(async (req, res) => {
   // Path updated - no additional storage operations needed since content is in MongoDB
 
   file.metadata.lastModified = new Date();
-  await file.save();
+
+  // Guard against a concurrent write landing between the check and the save
+  if (expectedVersion !== null) {
+    file.$where = { "metadata.version": expectedVersion };
+  }
+
+  try {
+    await file.save();
+  } catch (error) {
+    if (error.name !== "DocumentNotFoundError") throw error;
+
+    const currentFile = await File.findById(file._id);
+    return res.status(409).json({
+      success: false,
+      message: "File has been modified since it was loaded",
+      data: {
+        conflict: buildConflict(currentFile),
+      },
+    });
+  }
 
   // Update children paths if this is a folder and path changed
   if (file.type === "folder" && newPath !== oldPath) {
     await file.updateChildrenPaths(oldPath, newPath);
   }
 
+  // Bring an open collaborative session up to date
+  if (file.type === "file") {
+    await notifyFileChanged(file);
+  }
+
   // Update project metadata
   const project = await Project.findById(file.projectId._id);
   project.metadata.lastModified = new Date();
   await project.save();
 
+  res.set("ETag", toETag(file));
   res.status(200).json({
     success: true,
     message: `${file.type === "file" ? "File" : "Folder"} updated successfully`,
@@ -242,25 +349,29 @@ const updateFile = asyncHandler(async (req, res) => {
 const deleteFile = asyncHandler(async (req, res) => {
   const file = await File.findById(req.params.id).populate("projectId");
 
-  if (!file) {
+  if (!file || !file.projectId) {
     return res.status(404).json({
       success: false,
       message: "File not found",
     });
   }
 
-  // Check if user owns the project
-  if (file.projectId.userId.toString() !== req.user._id.toString()) {
+  // Check if user can edit the project
+  if (!file.projectId.hasRole(req.user, "editor", req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
     });
   }
 
-  // No external storage cleanup needed - content is stored in MongoDB
+  // Move to the trash (folders take their contents with them)
+  const trashedCount = await file.moveToTrash(req.user._id);
 
-  // Delete from database (this will handle recursive deletion for folders)
-  await file.deleteRecursively();
+  await recordAuditEvent(req, "file.delete", {
+    target: auditTarget("file", file),
+    projectId: file.projectId._id,
+    details: { type: file.type, trashedCount },
+  });
 
   // Update project metadata
   const project = await Project.findById(file.projectId._id);
@@ -280,7 +391,14 @@ const deleteFile = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    message: `${file.type === "file" ? "File" : "Folder"} deleted successfully`,
+    message: `${
+      file.type === "file" ? "File" : "Folder"
+    } moved to trash successfully`,
+    data: {
+      id: file._id,
+      deletedAt: file.deletedAt,
+      trashedCount,
+    },
   });
 });
 
@@ -299,11 +417,8 @@ const getProjectFileTree = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user owns the project or if it's public
-  const isOwner =
-    req.user && project.userId.toString() === req.user._id.toString();
-
-  if (!isOwner && !project.isPublic) {
+  // Check if the project is public or the user has access to it
+  if (!project.canView(req.user, req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: req.user
@@ -323,6 +438,7 @@ const getProjectFileTree = asyncHandler(async (req, res) => {
     success: true,
     data: {
       fileTree,
+      role: project.getRole(req.user, req.shareLink),
     },
   });
 });
@@ -335,15 +451,15 @@ const moveFile = asyncHandler(async (req, res) => {
 
   const file = await File.findById(req.params.id).populate("projectId");
 
-  if (!file) {
+  if (!file || !file.projectId) {
     return res.status(404).json({
       success: false,
       message: "File not found",
     });
   }
 
-  // Check if user owns the project
-  if (file.projectId.userId.toString() !== req.user._id.toString()) {
+  // Check if user can edit the project
+  if (!file.projectId.hasRole(req.user, "editor", req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -368,7 +484,7 @@ const searchFiles = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
   const { q: query, type, limit = 50 } = req.query;
 
-  // Check if project exists and user owns it
+  // Check if project exists and user can read it
   const project = await Project.findById(projectId);
   if (!project) {
     return res.status(404).json({
@@ -377,7 +493,7 @@ const searchFiles = asyncHandler(async (req, res) => {
     });
   }
 
-  if (project.userId.toString() !== req.user._id.toString()) {
+  if (!project.canView(req.user, req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -402,21 +518,110 @@ const searchFiles = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Search file contents in project
+// @route   GET /api/files/project/:projectId/search/content
+// @access  Public (if project is public) / Private (if project is private)
+const searchFileContents = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const {
+    q: query,
+    caseSensitive,
+    wholeWord,
+    regex,
+    include,
+    exclude,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  if (!project.canView(req.user, req.shareLink)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  const options = {
+    caseSensitive: caseSensitive === "true",
+    wholeWord: wholeWord === "true",
+    regex: regex === "true",
+    include,
+    exclude,
+    maxResults: MAX_SEARCH_RESULTS,
+  };
+
+  // Regular expressions cost a worker thread each, so they need an account
+  if (options.regex && !req.user) {
+    return res.status(401).json({
+      success: false,
+      message: "Sign in to search with regular expressions",
+    });
+  }
+
+  // Narrow literal searches in the database before scanning line by line
+  const fileQuery = { projectId, type: "file" };
+  if (!options.regex) {
+    fileQuery.content = {
+      $regex: escapeRegExp(query),
+      $options: options.caseSensitive ? "" : "i",
+    };
+  }
+
+  const files = await File.find(fileQuery)
+    .select("name path type content encoding")
+    .sort({ path: 1 });
+
+  const { results, truncated } = await runPatternTask(
+    "searchFiles",
+    [files, query, options],
+    options
+  );
+
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  const totalMatches = results.length;
+  const totalPages = Math.ceil(totalMatches / pageSize);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      matches: results.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      totalMatches,
+      filesMatched: new Set(results.map((match) => match.path)).size,
+      truncated,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    },
+  });
+});
+
 // @desc    Get file download URL
 // @route   GET /api/files/:id/download
 // @access  Private
 const getFileDownloadUrl = asyncHandler(async (req, res) => {
   const file = await File.findById(req.params.id).populate("projectId");
 
-  if (!file) {
+  if (!file || !file.projectId) {
     return res.status(404).json({
       success: false,
       message: "File not found",
     });
   }
 
-  // Check if user owns the project
-  if (file.projectId.userId.toString() !== req.user._id.toString()) {
+  // Check if user can read the project
+  if (!file.projectId.canView(req.user, req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -436,12 +641,163 @@ const getFileDownloadUrl = asyncHandler(async (req, res) => {
     data: {
       content: file.content,
       fileName: file.name,
-      size: file.content.length,
+      size: file.size,
+      encoding: file.encoding,
       mimeType: file.mimeType,
     },
   });
 });
 
+// @desc    Serve a file's raw content with its MIME type
+// @route   GET /api/files/:id/raw
+// @access  Public (if project is public) / Private (if project is private)
+const getFileRaw = asyncHandler(async (req, res) => {
+  const file = await File.findById(req.params.id).populate("projectId");
+
+  if (!file || !file.projectId) {
+    return res.status(404).json({
+      success: false,
+      message: "File not found",
+    });
+  }
+
+  // Check if the project is public or the user has access to it
+  if (!file.projectId.canView(req.user, req.shareLink)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  if (file.type !== "file") {
+    return res.status(400).json({
+      success: false,
+      message: "Cannot download a folder",
+    });
+  }
+
+  res.set({
+    "Content-Type": file.mimeType,
+    ETag: toETag(file),
+    "Cache-Control": "private, no-cache",
+    // Never let uploaded HTML or SVG run scripts on the API origin
+    "Content-Security-Policy": "sandbox",
+  });
+  res.status(200).send(file.getContentBuffer());
+});
+
+// @desc    Upload a binary asset (image, font, audio) into a project
+// @route   POST /api/files/upload
+// @access  Private
+const uploadFile = asyncHandler(async (req, res) => {
+  const { projectId, parentId } = req.body;
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "No file uploaded",
+    });
+  }
+
+  const name = req.body.name || req.file.originalname.split(/[\\/]/).pop();
+
+  if (!File.isBinaryAsset(name)) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "Unsupported asset type. Allowed: png, jpg, jpeg, gif, webp, woff, woff2, mp3",
+    });
+  }
+
+  // Check if project exists and user can edit it
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  if (!project.hasRole(req.user, "editor", req.shareLink)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  // Build file path
+  let filePath = name;
+  if (parentId) {
+    const parentFile = await File.findOne({ _id: parentId, projectId });
+    if (!parentFile || parentFile.type !== "folder") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid parent folder",
+      });
+    }
+
+    filePath = `${parentFile.path}/${name}`;
+  }
+
+  const content = req.file.buffer.toString("base64");
+  let file = await File.findOne({ projectId, path: filePath });
+  const isNew = !file;
+
+  if (file && file.type !== "file") {
+    return res.status(400).json({
+      success: false,
+      message: "A folder already exists at this path",
+    });
+  }
+
+  await assertFileQuota(project, {
+    files: isNew ? 1 : 0,
+    bytes: File.getContentSize(content, "base64") - (file ? file.size : 0),
+  });
+
+  if (file) {
+    // Replace the existing asset, keeping its history
+    file.content = content;
+    file.encoding = "base64";
+    file.metadata.lastModifiedBy = req.user._id;
+    await file.save();
+  } else {
+    file = await File.create({
+      name,
+      projectId,
+      parentId: parentId || null,
+      type: "file",
+      path: filePath,
+      content,
+      encoding: "base64",
+      metadata: {
+        lastModifiedBy: req.user._id,
+      },
+    });
+  }
+
+  // Update project metadata
+  const totalFiles = await File.countDocuments({ projectId, type: "file" });
+  const totalSize = await File.aggregate([
+    { $match: { projectId: project._id, type: "file" } },
+    { $group: { _id: null, totalSize: { $sum: "$size" } } },
+  ]);
+
+  project.metadata.totalFiles = totalFiles;
+  project.metadata.totalSize = totalSize[0]?.totalSize || 0;
+  project.metadata.lastModified = new Date();
+  await project.save();
+
+  res.set("ETag", toETag(file));
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: isNew ? "Asset uploaded successfully" : "Asset replaced successfully",
+    data: {
+      file,
+    },
+  });
+});
+
 // @desc    Bulk update files for a project
 // @route   PUT /api/files/project/:projectId/bulk
 // @access  Private
@@ -449,7 +805,7 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
   const { files } = req.body;
 
-  // Check if project exists and user owns it
+  // Check if project exists and user can edit it
   const project = await Project.findById(projectId);
   if (!project) {
     return res.status(404).json({
@@ -458,7 +814,7 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
     });
   }
 
-  if (project.userId.toString() !== req.user._id.toString()) {
+  if (!project.hasRole(req.user, "editor", req.shareLink)) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -472,6 +828,55 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
     });
   }
 
+  // Check every entry that names a base version before writing anything,
+  // so a stale save never leaves the project half-updated
+  const conflicts = [];
+
+  for (const fileData of files) {
+    const expectedVersion = parseExpectedVersion(null, fileData.baseVersion);
+    if (expectedVersion === null || !fileData.path) continue;
+
+    const existingFile = await File.findOne({ projectId, path: fileData.path });
+    if (existingFile && existingFile.metadata.version !== expectedVersion) {
+      conflicts.push(buildConflict(existingFile));
+    }
+  }
+
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `${conflicts.length} file(s) have been modified since they were loaded`,
+      data: {
+        conflicts,
+      },
+    });
+  }
+
+  // Check the whole batch against the owner's quotas before writing anything
+  const existingSizes = new Map(
+    (
+      await File.find({
+        projectId,
+        path: { $in: files.map((fileData) => fileData.path).filter(Boolean) },
+      }).select("path size")
+    ).map((file) => [file.path, file.size])
+  );
+  const growth = { files: 0, bytes: 0 };
+
+  for (const fileData of files) {
+    if (!fileData.path || !fileData.name) continue;
+
+    const size = File.getContentSize(fileData.content, fileData.encoding);
+    if (existingSizes.has(fileData.path)) {
+      growth.bytes += size - existingSizes.get(fileData.path);
+    } else {
+      growth.files += 1;
+      growth.bytes += size;
+    }
+  }
+
+  await assertFileQuota(project, growth);
+
   const results = {
     created: [],
     updated: [],
@@ -481,7 +886,14 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
   // Process each file
   for (const fileData of files) {
     try {
-      const { path, content, name, type = "file", language } = fileData;
+      const {
+        path,
+        content,
+        name,
+        type = "file",
+        language,
+        encoding = "utf8",
+      } = fileData;
 
       if (!path || !name) {
         console.warn(`Skipping file with missing path or name:`, fileData);
@@ -498,14 +910,23 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
       if (existingFile) {
         // Update existing file
         existingFile.content = content || "";
+        existingFile.encoding = encoding;
         existingFile.lastModified = new Date();
+        existingFile.metadata.lastModifiedBy = req.user._id;
         if (language) existingFile.language = language;
 
+        const expectedVersion = parseExpectedVersion(null, fileData.baseVersion);
+        if (expectedVersion !== null) {
+          existingFile.$where = { "metadata.version": expectedVersion };
+        }
+
         await existingFile.save();
+        await notifyFileChanged(existingFile);
         results.updated.push({
           id: existingFile._id,
           path: existingFile.path,
           name: existingFile.name,
+          version: existingFile.metadata.version,
         });
       } else {
         // Create new file
@@ -515,9 +936,13 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
           path,
           type,
           content: content || "",
+          encoding,
           language: language || "text",
           createdBy: req.user._id,
           lastModified: new Date(),
+          metadata: {
+            lastModifiedBy: req.user._id,
+          },
         });
 
         await newFile.save();
@@ -525,9 +950,20 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
           id: newFile._id,
           path: newFile.path,
           name: newFile.name,
+          version: newFile.metadata.version,
         });
       }
     } catch (error) {
+      // Written since the check above: report it like a stale save
+      if (error.name === "DocumentNotFoundError") {
+        const currentFile = await File.findOne({
+          projectId,
+          path: fileData.path,
+        });
+        conflicts.push(buildConflict(currentFile));
+        continue;
+      }
+
       console.error(`Error processing file ${fileData.path}:`, error);
       results.errors.push({
         path: fileData.path || "unknown",
@@ -540,6 +976,17 @@ const bulkUpdateFiles = asyncHandler(async (req, res) => {
   project.metadata.lastModified = new Date();
   await project.save();
 
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `${conflicts.length} file(s) were modified while the batch was being saved`,
+      data: {
+        conflicts,
+        results,
+      },
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: "Bulk file update completed",
@@ -563,6 +1010,9 @@ module.exports = {
   getProjectFileTree,
   moveFile,
   searchFiles,
+  searchFileContents,
   getFileDownloadUrl,
+  getFileRaw,
+  uploadFile,
   bulkUpdateFiles,
 };
@@ -0,0 +1,126 @@
+const { Project } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { planUpstreamSync, applyUpstreamSync } = require("../services");
+
+const SYNC_STATUSES = ["added", "updated", "merged", "renamed", "deleted"];
+
+// @desc    List the forks of a project that the user can see
+// @route   GET /api/projects/:id/forks
+// @access  Public (for public projects) / Private
+const getProjectForks = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  if (!project.canView(req.user, req.shareLink)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  const visibility = req.user
+    ? [{ isPublic: true }, Project.accessibleBy(req.user._id)]
+    : [{ isPublic: true }];
+
+  const forks = await Project.find({
+    "forkedFrom.projectId": project._id,
+    $or: visibility,
+  })
+    .select("name description isPublic userId forkedFrom.forkedAt createdAt")
+    .populate("userId", "username firstName lastName avatar")
+    .sort({ createdAt: -1 });
+
+  // Private forks count too, but are not listed
+  const total = await Project.countDocuments({
+    "forkedFrom.projectId": project._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      forks,
+      total,
+    },
+  });
+});
+
+// @desc    Bring upstream changes into a fork with a three-way merge. With
+//          dryRun the per-file report is returned without changing anything.
+// @route   POST /api/projects/:id/sync-upstream
+// @access  Private (editor)
+const syncFromUpstream = asyncHandler(async (req, res) => {
+  const fork = req.project;
+
+  if (!fork.forkedFrom?.projectId) {
+    return res.status(400).json({
+      success: false,
+      message: "This project is not a fork",
+    });
+  }
+
+  const upstream = await Project.findById(fork.forkedFrom.projectId);
+  if (!upstream) {
+    return res.status(404).json({
+      success: false,
+      message: "The upstream project no longer exists",
+    });
+  }
+
+  if (!upstream.canView(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "You no longer have access to the upstream project",
+    });
+  }
+
+  const plan = await planUpstreamSync(fork);
+  const dryRun = Boolean(req.body.dryRun);
+
+  if (!dryRun) {
+    await applyUpstreamSync(fork, plan, req.user._id);
+  }
+
+  const conflicts = plan.report.filter((entry) => entry.status === "conflict");
+  const summary = { conflicts: conflicts.length };
+  SYNC_STATUSES.forEach((status) => {
+    summary[status] = plan.report.filter(
+      (entry) => entry.status === status
+    ).length;
+  });
+
+  let message;
+  if (plan.report.length === 0) {
+    message = "Already up to date with upstream";
+  } else if (dryRun) {
+    message = "Upstream changes checked";
+  } else if (conflicts.length > 0) {
+    message = `Updated from upstream with conflicts in ${conflicts.length} file(s)`;
+  } else {
+    message = "Updated from upstream";
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      dryRun,
+      upstream: {
+        _id: upstream._id,
+        name: upstream.name,
+      },
+      files: plan.report,
+      summary,
+    },
+  });
+});
+
+module.exports = {
+  getProjectForks,
+  syncFromUpstream,
+};
@@ -1,9 +1,39 @@
 const userController = require("./userController");
 const projectController = require("./projectController");
 const fileController = require("./fileController");
+const revisionController = require("./revisionController");
+const replaceController = require("./replaceController");
+const trashController = require("./trashController");
+const collaboratorController = require("./collaboratorController");
+const commentController = require("./commentController");
+const shareLinkController = require("./shareLinkController");
+const embedController = require("./embedController");
+const forkController = require("./forkController");
+const templateController = require("./templateController");
+const accessTokenController = require("./accessTokenController");
+const sessionController = require("./sessionController");
+const twoFactorController = require("./twoFactorController");
+const oidcController = require("./oidcController");
+const adminController = require("./adminController");
+const auditController = require("./auditController");
 
 module.exports = {
   ...userController,
   ...projectController,
   ...fileController,
+  ...revisionController,
+  ...replaceController,
+  ...trashController,
+  ...collaboratorController,
+  ...commentController,
+  ...shareLinkController,
+  ...embedController,
+  ...forkController,
+  ...templateController,
+  ...accessTokenController,
+  ...sessionController,
+  ...twoFactorController,
+  ...oidcController,
+  ...adminController,
+  ...auditController,
 };
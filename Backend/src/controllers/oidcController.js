@@ -0,0 +1,343 @@
+const crypto = require("crypto");
+const { User, OidcAuthRequest } = require("../models");
+const {
+  startSession,
+  generateTwoFactorChallenge,
+} = require("../middleware/auth");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { getOidcProviders, getOidcProvider } = require("../config/oidc");
+const {
+  createAuthorizationRequest,
+  completeAuthorizationRequest,
+  auditTarget,
+  recordAuditEvent,
+} = require("../services");
+
+// A unique username for a new user, based on what the provider calls them
+const generateUsername = async (claims) => {
+  const base = (
+    claims.preferred_username ||
+    (claims.email || "").split("@")[0] ||
+    claims.name ||
+    ""
+  )
+    .replace(/[^a-zA-Z0-9_-]/g, "")
+    .slice(0, 24)
+    .padEnd(3, "_");
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}-${crypto.randomInt(10000, 100000)}`;
+  }
+
+  return username;
+};
+
+// Send the browser to a provider to sign in or to link an identity
+const startAuthorization = async (req, res, intent) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: "Sign-in provider not found",
+    });
+  }
+
+  const { authorizationUrl, state, nonce, codeVerifier } =
+    await createAuthorizationRequest(provider);
+
+  await OidcAuthRequest.create({
+    state,
+    provider: provider.id,
+    nonce,
+    codeVerifier,
+    intent,
+    userId: intent === "link" ? req.user._id : null,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      authorizationUrl,
+      state,
+    },
+  });
+};
+
+// @desc    List the providers users can sign in with
+// @route   GET /api/users/oidc/providers
+// @access  Public
+const getSignInProviders = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      providers: getOidcProviders().map(({ id, name }) => ({ id, name })),
+    },
+  });
+});
+
+// @desc    Start signing in with a provider
+// @route   POST /api/users/oidc/:provider/login
+// @access  Public
+const startOidcLogin = asyncHandler(async (req, res) =>
+  startAuthorization(req, res, "login")
+);
+
+// @desc    Start linking a provider to the current user
+// @route   POST /api/users/oidc/:provider/link
+// @access  Private (session only)
+const startOidcLink = asyncHandler(async (req, res) =>
+  startAuthorization(req, res, "link")
+);
+
+// Link an identity to the signed-in user who started linking it
+const linkIdentity = async (req, res, request, provider, identity) => {
+  if (!req.userSession || !req.user._id.equals(request.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: "Sign in to the account you are linking first",
+    });
+  }
+
+  const owner = await User.findByIdentity(provider.id, identity.subject);
+  if (owner && !owner._id.equals(req.user._id)) {
+    return res.status(409).json({
+      success: false,
+      message: `This ${provider.name} account is linked to another user`,
+    });
+  }
+
+  if (!owner) {
+    const result = await User.updateOne(
+      { _id: req.user._id, "identities.provider": { $ne: provider.id } },
+      { $push: { identities: identity } }
+    );
+
+    if (!result.modifiedCount) {
+      return res.status(409).json({
+        success: false,
+        message: `Unlink your other ${provider.name} account first`,
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Linked your ${provider.name} account`,
+    data: {
+      linked: true,
+      provider: provider.id,
+    },
+  });
+};
+
+// @desc    Finish signing in or linking with the code and state the provider
+//          redirected back with. Sign-in finds the user the identity is
+//          linked to, links it to the user with the same email when both the
+//          provider and the account have verified it, or creates a new user.
+// @route   POST /api/users/oidc/callback
+// @access  Public (linking needs the user who started it)
+const completeOidcLogin = asyncHandler(async (req, res) => {
+  const { state, code } = req.body;
+
+  const request = await OidcAuthRequest.consume(state);
+  const provider = request && getOidcProvider(request.provider);
+
+  if (!provider) {
+    return res.status(400).json({
+      success: false,
+      message: "This sign-in has expired. Please try again.",
+    });
+  }
+
+  let claims;
+  try {
+    claims = await completeAuthorizationRequest(provider, request, code);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Signing in with ${provider.name} failed: ${error.message}`,
+    });
+  }
+
+  const email = claims.email ? claims.email.toLowerCase() : null;
+  const identity = {
+    provider: provider.id,
+    subject: claims.sub,
+    email,
+    linkedAt: new Date(),
+  };
+
+  if (request.intent === "link") {
+    return linkIdentity(req, res, request, provider, identity);
+  }
+
+  let user = await User.findByIdentity(provider.id, claims.sub);
+  let linksByEmail = false;
+
+  if (!user && email) {
+    user = await User.findOne({ email });
+
+    // Both sides must have proven the address. An unverified account may
+    // have been registered by someone else, whose password would keep
+    // working on the linked account.
+    if (user && (claims.email_verified !== true || !user.emailVerifiedAt)) {
+      return res.status(409).json({
+        success: false,
+        message: `An account already uses this email. Sign in with your password and link ${provider.name} from your profile.`,
+      });
+    }
+
+    if (user && user.identities.some((item) => item.provider === provider.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `This account is linked to a different ${provider.name} account`,
+      });
+    }
+
+    linksByEmail = Boolean(user);
+  }
+
+  // Check if account is active
+  if (user && !user.isActive) {
+    await recordAuditEvent(req, "auth.login_failed", {
+      actor: null,
+      target: auditTarget("user", user),
+      outcome: "failure",
+      details: { reason: "account deactivated", provider: provider.id },
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Account is deactivated. Please contact support.",
+    });
+  }
+
+  if (linksByEmail) {
+    user.identities.push(identity);
+    await user.save({ validateBeforeSave: false });
+  }
+
+  let isNewUser = false;
+  if (!user) {
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: `${provider.name} did not share an email address`,
+      });
+    }
+
+    user = await User.create({
+      username: await generateUsername(claims),
+      email,
+      firstName: claims.given_name && claims.given_name.slice(0, 50),
+      lastName: claims.family_name && claims.family_name.slice(0, 50),
+      avatar: claims.picture || null,
+      emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+      identities: [identity],
+    });
+    isNewUser = true;
+
+    await recordAuditEvent(req, "account.register", {
+      actor: user,
+      target: auditTarget("user", user),
+      details: { provider: provider.id },
+    });
+  }
+
+  // Two-factor applies however the user signs in
+  if (user.twoFactorEnabledAt) {
+    return res.status(200).json({
+      success: true,
+      message: "Enter the code from your authenticator app",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id),
+      },
+    });
+  }
+
+  // Start a session with a short-lived token and a refresh token
+  const { token, refreshToken } = await startSession(user._id, req);
+
+  // Update last login
+  await user.updateLastLogin();
+
+  await recordAuditEvent(req, "auth.login", {
+    actor: user,
+    target: auditTarget("user", user),
+    details: { method: "oidc", provider: provider.id },
+  });
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: isNewUser ? "User registered successfully" : "Login successful",
+    data: {
+      user: user.toJSON(),
+      token,
+      refreshToken,
+    },
+  });
+});
+
+// @desc    List the user's linked providers and the ones they can link
+// @route   GET /api/users/identities
+// @access  Private (session only)
+const getIdentities = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+password");
+
+  res.status(200).json({
+    success: true,
+    data: {
+      identities: user.identities,
+      providers: getOidcProviders().map(({ id, name }) => ({ id, name })),
+      hasPassword: Boolean(user.password),
+    },
+  });
+});
+
+// @desc    Unlink a provider from the user
+// @route   DELETE /api/users/identities/:provider
+// @access  Private (session only)
+const unlinkIdentity = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+password");
+  const identity = user.identities.find(
+    (item) => item.provider === req.params.provider
+  );
+
+  if (!identity) {
+    return res.status(404).json({
+      success: false,
+      message: "This provider is not linked to your account",
+    });
+  }
+
+  // Keep a way to sign in
+  if (!user.password && user.identities.length === 1) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "Set a password with Forgot password before unlinking your only sign-in provider",
+    });
+  }
+
+  user.identities = user.identities.filter((item) => item !== identity);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Provider unlinked",
+    data: {
+      identities: user.identities,
+    },
+  });
+});
+
+module.exports = {
+  getSignInProviders,
+  startOidcLogin,
+  startOidcLink,
+  completeOidcLogin,
+  getIdentities,
+  unlinkIdentity,
+};
@@ -1,159 +1,34 @@
-const { Project, File } = require("../models");
+const { Project, File, ProjectTemplate } = require("../models");
 const { asyncHandler } = require("../middleware/errorHandler");
-
-// Default project templates
-const defaultTemplates = {
-  react: {
-    name: "React App",
-    files: [
-      {
-        name: "src",
-        type: "folder",
-        path: "src",
-        children: [
-          {
-            name: "index.js",
-            type: "file",
-            path: "src/index.js",
-            content: `import React from 'react';
-import ReactDOM from 'react-dom/client';
-import App from './App';
-import './index.css';
-
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);`,
-            language: "javascript",
-          },
-          {
-            name: "App.js",
-            type: "file",
-            path: "src/App.js",
-            content: `import React from 'react';
-import './App.css';
-
-function App() {
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>Welcome to CipherStudio</h1>
-        <p>Start building your React application!</p>
-      </header>
-    </div>
+const { defaultTemplates } = require("../config/templates");
+const {
+  createProjectArchive,
+  toArchiveName,
+  readZipEntries,
+  readUploadedEntries,
+  buildImportTree,
+  snapshotFiles,
+  auditTarget,
+  recordAuditEvent,
+  measureFiles,
+  assertProjectQuota,
+} = require("../services");
+
+// Parse the root package.json of a list of files, if it is valid JSON
+const parsePackageJson = (files) => {
+  const packageFile = files.find(
+    (item) => item.path === "package.json" || item.path === "/package.json"
   );
-}
-
-export default App;`,
-            language: "jsx",
-          },
-          {
-            name: "App.css",
-            type: "file",
-            path: "src/App.css",
-            content: `.App {
-  text-align: center;
-}
-
-.App-header {
-  background-color: #282c34;
-  padding: 20px;
-  color: white;
-  min-height: 100vh;
-  display: flex;
-  flex-direction: column;
-  align-items: center;
-  justify-content: center;
-  font-size: calc(10px + 2vmin);
-}`,
-            language: "css",
-          },
-          {
-            name: "index.css",
-            type: "file",
-            path: "src/index.css",
-            content: `body {
-  margin: 0;
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen',
-    'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue',
-    sans-serif;
-  -webkit-font-smoothing: antialiased;
-  -moz-osx-font-smoothing: grayscale;
-}
-
-code {
-  font-family: source-code-pro, Menlo, Monaco, Consolas, 'Courier New',
-    monospace;
-}`,
-            language: "css",
-          },
-        ],
-      },
-      {
-        name: "public",
-        type: "folder",
-        path: "public",
-        children: [
-          {
-            name: "index.html",
-            type: "file",
-            path: "public/index.html",
-            content: `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <meta name="theme-color" content="#000000" />
-    <meta name="description" content="React app created in CipherStudio" />
-    <title>React App</title>
-  </head>
-  <body>
-    <noscript>You need to enable JavaScript to run this app.</noscript>
-    <div id="root"></div>
-  </body>
-</html>`,
-            language: "html",
-          },
-        ],
-      },
-      {
-        name: "package.json",
-        type: "file",
-        path: "package.json",
-        content: JSON.stringify(
-          {
-            name: "my-react-app",
-            version: "1.0.0",
-            description: "A React application created in CipherStudio",
-            main: "src/index.js",
-            dependencies: {
-              react: "^18.2.0",
-              "react-dom": "^18.2.0",
-            },
-            scripts: {
-              start: "react-scripts start",
-              build: "react-scripts build",
-              test: "react-scripts test",
-              eject: "react-scripts eject",
-            },
-            browserslist: {
-              production: [">0.2%", "not dead", "not op_mini all"],
-              development: [
-                "last 1 chrome version",
-                "last 1 firefox version",
-                "last 1 safari version",
-              ],
-            },
-          },
-          null,
-          2
-        ),
-        language: "json",
-      },
-    ],
-  },
+  if (!packageFile) return undefined;
+
+  try {
+    const packageJson = JSON.parse(packageFile.content);
+    return packageJson && typeof packageJson === "object"
+      ? packageJson
+      : undefined;
+  } catch (error) {
+    return undefined;
+  }
 };
 
 // Helper function to create template files
@@ -187,6 +62,46 @@ const createTemplateFiles = async (
   return files;
 };
 
+// List the items of a template and the children of its folders
+const flattenTemplate = (items) =>
+  items.flatMap((item) => [item, ...flattenTemplate(item.children || [])]);
+
+// Copy files and folders into a project, rebuilding the tree from the
+// originals' _id and parentId
+const copyFiles = async (originalFiles, projectId) => {
+  // Create a mapping of old IDs to new IDs for folders
+  const idMapping = {};
+
+  // First pass: create all files/folders
+  for (const originalFile of originalFiles) {
+    const newFile = new File({
+      name: originalFile.name,
+      projectId,
+      parentId: null, // Will be updated in second pass
+      type: originalFile.type,
+      path: originalFile.path,
+      content: originalFile.content,
+      language: originalFile.language,
+      size: originalFile.size,
+      encoding: originalFile.encoding,
+      mimeType: originalFile.mimeType,
+    });
+
+    await newFile.save();
+    idMapping[originalFile._id.toString()] = newFile._id;
+  }
+
+  // Second pass: update parent IDs
+  for (const originalFile of originalFiles) {
+    if (originalFile.parentId) {
+      const newFileId = idMapping[originalFile._id.toString()];
+      const newParentId = idMapping[originalFile.parentId.toString()];
+
+      await File.findByIdAndUpdate(newFileId, { parentId: newParentId });
+    }
+  }
+};
+
 // @desc    Create a new project
 // @route   POST /api/projects
 // @access  Private
@@ -197,21 +112,63 @@ const createProject = asyncHandler(async (req, res) => {
     template = "react",
     isPublic = false,
     tags = [],
+    templateId,
     files = [], // Accept files from frontend
   } = req.body;
 
-  // Create project
+  // A saved template the user can see replaces the built-in ones
+  let savedTemplate = null;
+  if (templateId) {
+    savedTemplate = await ProjectTemplate.findOne({
+      _id: templateId,
+      ...(await ProjectTemplate.visibleTo(req.user._id)),
+    }).select("+files");
+
+    if (!savedTemplate) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+  }
+
+  // The project and the files it starts with must fit the user's quotas
+  const initialFiles = savedTemplate
+    ? savedTemplate.files
+    : files && files.length > 0
+    ? files.filter((fileData) => fileData.path && fileData.name)
+    : flattenTemplate(defaultTemplates[template]?.files || []);
+  await assertProjectQuota(req.user._id, measureFiles(initialFiles));
+
+  // Create project; package.json sent with the files wins over the template's
   const project = await Project.create({
     name,
     description,
     userId: req.user._id,
-    template,
+    template: savedTemplate ? savedTemplate.stack : template,
     isPublic,
     tags,
+    packageJson: savedTemplate
+      ? savedTemplate.packageJson || undefined
+      : parsePackageJson(files || []) ||
+        defaultTemplates[template]?.packageJson,
   });
 
-  // Create files - prioritize files from frontend, fallback to template
-  if (files && files.length > 0) {
+  // Create files - a saved template's tree, else files from the frontend,
+  // else the built-in template
+  if (savedTemplate) {
+    await copyFiles(
+      savedTemplate.files.map((file) => ({
+        ...file.toObject(),
+        _id: file.sourceId,
+      })),
+      project._id
+    );
+    await ProjectTemplate.updateOne(
+      { _id: savedTemplate._id },
+      { $inc: { usageCount: 1 } }
+    );
+  } else if (files && files.length > 0) {
     // Use files sent from frontend
     for (const fileData of files) {
       try {
@@ -248,6 +205,10 @@ const createProject = asyncHandler(async (req, res) => {
   project.metadata.totalFiles = totalFiles;
   await project.save();
 
+  await recordAuditEvent(req, "project.create", {
+    target: auditTarget("project", project),
+  });
+
   // Populate the project with user info
   await project.populate("userId", "username email firstName lastName");
 
@@ -260,7 +221,7 @@ const createProject = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get all projects for a user
+// @desc    Get all projects for a user (or shared with them)
 // @route   GET /api/projects
 // @access  Private
 const getUserProjects = asyncHandler(async (req, res) => {
@@ -269,12 +230,14 @@ const getUserProjects = asyncHandler(async (req, res) => {
     limit = 20,
     search = "",
     includeArchived = false,
+    shared = false,
     sortBy = "updatedAt",
     sortOrder = "desc",
   } = req.query;
 
   const options = {
     includeArchived: includeArchived === "true",
+    shared: shared === "true",
     sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
     limit: parseInt(limit),
     skip: (parseInt(page) - 1) * parseInt(limit),
@@ -284,7 +247,9 @@ const getUserProjects = asyncHandler(async (req, res) => {
   const projects = await Project.findUserProjects(req.user._id, options);
 
   const totalProjects = await Project.countDocuments({
-    userId: req.user._id,
+    ...(options.shared
+      ? { "collaborators.userId": req.user._id }
+      : { userId: req.user._id }),
     ...(options.includeArchived ? {} : { isArchived: false }),
     ...(search && {
       $or: [
@@ -327,18 +292,15 @@ const getProjectById = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user owns the project or if it's public
-  if (
-    project.userId._id.toString() !== req.user._id.toString() &&
-    !project.isPublic
-  ) {
+  // Check if the project is public or the user has access to it
+  if (!project.canView(req.user, req.shareLink)) {
     return res.status(403).json({
       success: false,
       message:
         "Access denied. This project belongs to another user and is private.",
       debug: {
         projectOwner: project.userId.email,
-        currentUser: req.user.email,
+        currentUser: req.user?.email || "Anonymous",
         isPublic: project.isPublic,
       },
     });
@@ -346,6 +308,10 @@ const getProjectById = asyncHandler(async (req, res) => {
 
   // Get project file tree
   const fileTree = await File.buildFileTree(project._id);
+  const forkCount = await Project.countDocuments({
+    "forkedFrom.projectId": project._id,
+  });
+  await project.populate("forkedFrom.projectId", "name");
 
   res.status(200).json({
     success: true,
@@ -353,6 +319,8 @@ const getProjectById = asyncHandler(async (req, res) => {
       project: {
         ...project.toObject(),
         fileTree,
+        forkCount,
+        role: project.getRole(req.user, req.shareLink),
       },
     },
   });
@@ -373,17 +341,28 @@ const updateProject = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check ownership
-  if (project.userId.toString() !== req.user._id.toString()) {
+  // Check the user's role on the project
+  if (!project.hasRole(req.user, "admin")) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
     });
   }
 
+  // Only an admin can put an unpublished project back on public view
+  if (isPublic && !project.isPublic && project.moderation.unpublishedAt) {
+    return res.status(403).json({
+      success: false,
+      message:
+        "This project was unpublished by a moderator and can't be made public",
+    });
+  }
+
   // Update fields
   if (name !== undefined) project.name = name;
   if (description !== undefined) project.description = description;
+  const visibilityChanged =
+    isPublic !== undefined && isPublic !== project.isPublic;
   if (isPublic !== undefined) project.isPublic = isPublic;
   if (tags !== undefined) project.tags = tags;
   if (settings !== undefined) {
@@ -393,6 +372,13 @@ const updateProject = asyncHandler(async (req, res) => {
   project.metadata.lastModified = new Date();
   await project.save();
 
+  if (visibilityChanged) {
+    await recordAuditEvent(req, "project.visibility_change", {
+      target: auditTarget("project", project),
+      details: { isPublic: project.isPublic },
+    });
+  }
+
   await project.populate("userId", "username email firstName lastName");
 
   res.status(200).json({
@@ -417,23 +403,28 @@ const deleteProject = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check ownership
-  if (project.userId.toString() !== req.user._id.toString()) {
+  // Check the user's role on the project
+  if (!project.hasRole(req.user, "owner")) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
     });
   }
 
-  // Delete all files in the project
-  await File.deleteMany({ projectId: project._id });
+  // Move the project to the trash; its files stay untouched until purged
+  await project.moveToTrash(req.user._id);
 
-  // Delete the project
-  await Project.findByIdAndDelete(project._id);
+  await recordAuditEvent(req, "project.delete", {
+    target: auditTarget("project", project),
+  });
 
   res.status(200).json({
     success: true,
-    message: "Project deleted successfully",
+    message: "Project moved to trash successfully",
+    data: {
+      id: project._id,
+      deletedAt: project.deletedAt,
+    },
   });
 });
 
@@ -450,8 +441,8 @@ const archiveProject = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check ownership
-  if (project.userId.toString() !== req.user._id.toString()) {
+  // Check the user's role on the project
+  if (!project.hasRole(req.user, "admin")) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -460,6 +451,10 @@ const archiveProject = asyncHandler(async (req, res) => {
 
   await project.archive();
 
+  await recordAuditEvent(req, "project.archive", {
+    target: auditTarget("project", project),
+  });
+
   res.status(200).json({
     success: true,
     message: "Project archived successfully",
@@ -482,8 +477,8 @@ const restoreProject = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check ownership
-  if (project.userId.toString() !== req.user._id.toString()) {
+  // Check the user's role on the project
+  if (!project.hasRole(req.user, "admin")) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
@@ -492,6 +487,10 @@ const restoreProject = asyncHandler(async (req, res) => {
 
   await project.restore();
 
+  await recordAuditEvent(req, "project.unarchive", {
+    target: auditTarget("project", project),
+  });
+
   res.status(200).json({
     success: true,
     message: "Project restored successfully",
@@ -516,17 +515,25 @@ const duplicateProject = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user owns the project or if it's public
-  if (
-    originalProject.userId.toString() !== req.user._id.toString() &&
-    !originalProject.isPublic
-  ) {
+  // Public projects and members may always fork; a share link only allows
+  // it when its scope does
+  const canFork =
+    originalProject.canView(req.user) ||
+    (["fork", "edit"].includes(req.shareLink?.scope) &&
+      originalProject.hasRole(req.user, "viewer", req.shareLink));
+
+  if (!canFork) {
     return res.status(403).json({
       success: false,
       message: "Access denied",
     });
   }
 
+  // Get all files from original project
+  const originalFiles = await File.find({ projectId: originalProject._id });
+
+  await assertProjectQuota(req.user._id, measureFiles(originalFiles));
+
   // Create new project
   const duplicatedProject = await Project.create({
     name: name || `${originalProject.name} (Copy)`,
@@ -539,45 +546,25 @@ const duplicateProject = asyncHandler(async (req, res) => {
     packageJson: originalProject.packageJson,
   });
 
-  // Get all files from original project
-  const originalFiles = await File.find({ projectId: originalProject._id });
-
-  // Create a mapping of old IDs to new IDs for folders
-  const idMapping = {};
-
-  // First pass: create all files/folders
-  for (const originalFile of originalFiles) {
-    const newFile = new File({
-      name: originalFile.name,
-      projectId: duplicatedProject._id,
-      parentId: null, // Will be updated in second pass
-      type: originalFile.type,
-      path: originalFile.path,
-      content: originalFile.content,
-      language: originalFile.language,
-      size: originalFile.size,
-      encoding: originalFile.encoding,
-      mimeType: originalFile.mimeType,
-    });
-
-    await newFile.save();
-    idMapping[originalFile._id.toString()] = newFile._id;
-  }
-
-  // Second pass: update parent IDs
-  for (const originalFile of originalFiles) {
-    if (originalFile.parentId) {
-      const newFileId = idMapping[originalFile._id.toString()];
-      const newParentId = idMapping[originalFile.parentId.toString()];
+  // Remember the upstream version the copy starts from
+  duplicatedProject.forkedFrom = {
+    projectId: originalProject._id,
+    files: snapshotFiles(originalFiles),
+    forkedAt: new Date(),
+    syncedAt: new Date(),
+  };
 
-      await File.findByIdAndUpdate(newFileId, { parentId: newParentId });
-    }
-  }
+  await copyFiles(originalFiles, duplicatedProject._id);
 
   // Update project metadata
   duplicatedProject.metadata.totalFiles = originalFiles.length;
   await duplicatedProject.save();
 
+  await recordAuditEvent(req, "project.create", {
+    target: auditTarget("project", duplicatedProject),
+    details: { duplicatedFrom: originalProject._id },
+  });
+
   await duplicatedProject.populate(
     "userId",
     "username email firstName lastName"
@@ -641,6 +628,150 @@ const getPublicProjects = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Export a project as a ZIP archive
+// @route   GET /api/projects/:id/export
+// @access  Public (if project is public) / Private (if project is private)
+const exportProject = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+  }
+
+  // Check if the project is public or the user has access to it
+  if (!project.canView(req.user, req.shareLink)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  const files = await File.find({ projectId: project._id }).sort({ path: 1 });
+
+  const archive = createProjectArchive(project, files);
+  archive.on("error", (error) => {
+    console.error(`Error exporting project ${project._id}:`, error);
+    res.destroy(error);
+  });
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${toArchiveName(
+      project.name
+    )}.zip"`,
+  });
+  archive.pipe(res);
+});
+
+// @desc    Import a project from a ZIP archive or folder upload
+// @route   POST /api/projects/import
+// @access  Private
+const importProject = asyncHandler(async (req, res) => {
+  const archive = req.files?.archive?.[0];
+  const uploads = req.files?.files || [];
+  const { description, isPublic = false } = req.body;
+
+  if (!archive && uploads.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Upload a ZIP archive or the files of a folder",
+    });
+  }
+
+  const entries = archive
+    ? await readZipEntries(archive.buffer)
+    : readUploadedEntries(
+        uploads,
+        req.body.paths ? JSON.parse(req.body.paths) : []
+      );
+
+  const { tree, skipped } = buildImportTree(entries);
+
+  if (!tree.some((item) => item.type === "file")) {
+    return res.status(400).json({
+      success: false,
+      message: "The upload does not contain any importable files",
+    });
+  }
+
+  // Default the name to the archive or uploaded folder name
+  const uploadName = archive
+    ? archive.originalname.split(/[\\/]/).pop().replace(/\.zip$/i, "")
+    : entries[0]?.path.split("/")[0];
+  const name = (req.body.name || uploadName || "Imported Project").slice(0, 100);
+
+  await assertProjectQuota(req.user._id, measureFiles(tree));
+
+  const project = await Project.create({
+    name,
+    description,
+    userId: req.user._id,
+    isPublic,
+    packageJson: parsePackageJson(tree),
+  });
+
+  try {
+    // Parents are created before children so parentId can be resolved
+    const idsByPath = new Map();
+
+    for (const item of tree) {
+      const file = new File({
+        name: item.name,
+        projectId: project._id,
+        parentId: item.parentPath ? idsByPath.get(item.parentPath) : null,
+        type: item.type,
+        path: item.path,
+        content: item.type === "file" ? item.content : "",
+        encoding: item.encoding || "utf8",
+        metadata: {
+          lastModifiedBy: req.user._id,
+        },
+      });
+
+      await file.save();
+      idsByPath.set(item.path, file._id);
+    }
+  } catch (error) {
+    // Don't leave a half-imported project behind
+    await File.deleteMany({ projectId: project._id });
+    await project.deleteOne();
+    throw error;
+  }
+
+  // Update project metadata
+  const totalFiles = await File.countDocuments({
+    projectId: project._id,
+    type: "file",
+  });
+  const totalSize = await File.aggregate([
+    { $match: { projectId: project._id, type: "file" } },
+    { $group: { _id: null, totalSize: { $sum: "$size" } } },
+  ]);
+
+  project.metadata.totalFiles = totalFiles;
+  project.metadata.totalSize = totalSize[0]?.totalSize || 0;
+  await project.save();
+
+  await recordAuditEvent(req, "project.create", {
+    target: auditTarget("project", project),
+    details: { imported: true },
+  });
+
+  await project.populate("userId", "username email firstName lastName");
+
+  res.status(201).json({
+    success: true,
+    message: "Project imported successfully",
+    data: {
+      project,
+      skipped,
+    },
+  });
+});
+
 module.exports = {
   createProject,
   getUserProjects,
@@ -651,4 +782,6 @@ module.exports = {
   restoreProject,
   duplicateProject,
   getPublicProjects,
+  exportProject,
+  importProject,
 };
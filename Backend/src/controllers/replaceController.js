@@ -0,0 +1,256 @@
+const mongoose = require("mongoose");
+const { File, FileRevision } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  runPatternTask,
+  ReplaceConflictError,
+  notifyFileChanged,
+  assertFileQuota,
+} = require("../services");
+
+// Upper bound on hunks returned by a single replace preview
+const MAX_REPLACE_HUNKS = 1000;
+
+// Whether the server turned out to be a standalone mongod
+let transactionsUnsupported = false;
+
+// MongoDB only supports transactions on replica sets and sharded clusters
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /replica set member or mongos/.test(error.message);
+
+// Run fn in a transaction, passing its session. On a standalone server fn
+// runs with no session instead, and the caller has to undo its writes if it
+// fails part way through.
+const withTransaction = async (fn) => {
+  if (!transactionsUnsupported) {
+    try {
+      return await mongoose.connection.transaction(fn);
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      transactionsUnsupported = true;
+    }
+  }
+
+  return fn(null);
+};
+
+// The stored state of a file before a replace writes it
+const captureFileState = (file) => ({
+  content: file.content,
+  size: file.size,
+  mergeConflict: file.mergeConflict,
+  version: file.metadata.version,
+  checksum: file.metadata.checksum,
+  lastModified: file.metadata.lastModified,
+  lastModifiedBy: file.metadata.lastModifiedBy,
+});
+
+// Put files written without a transaction back as they were, and drop the
+// revisions the writes recorded. A file written again since is left alone.
+const restoreFiles = (written) =>
+  Promise.all(
+    written.map(async ({ file, previous }) => {
+      const result = await File.updateOne(
+        { _id: file._id, "metadata.version": file.metadata.version },
+        {
+          $set: {
+            content: previous.content,
+            size: previous.size,
+            mergeConflict: previous.mergeConflict,
+            "metadata.version": previous.version,
+            "metadata.checksum": previous.checksum,
+            "metadata.lastModified": previous.lastModified,
+            "metadata.lastModifiedBy": previous.lastModifiedBy,
+          },
+        }
+      );
+
+      if (result.modifiedCount) {
+        await FileRevision.deleteOne({
+          fileId: file._id,
+          version: previous.version,
+        });
+      }
+    })
+  );
+
+// Pick the search options shared by preview and apply
+const getSearchOptions = (body) => ({
+  caseSensitive: body.caseSensitive === true,
+  wholeWord: body.wholeWord === true,
+  regex: body.regex === true,
+  include: body.include,
+  exclude: body.exclude,
+});
+
+// @desc    Preview a project-wide find and replace
+// @route   POST /api/files/project/:projectId/replace/preview
+// @access  Private
+const previewProjectReplace = asyncHandler(async (req, res) => {
+  const { query, replacement = "" } = req.body;
+
+  const files = await File.find({ projectId: req.project._id, type: "file" })
+    .select("name path type content encoding metadata")
+    .sort({ path: 1 });
+
+  const options = {
+    ...getSearchOptions(req.body),
+    maxHunks: MAX_REPLACE_HUNKS,
+  };
+  const preview = await runPatternTask(
+    "previewReplace",
+    [files, query, replacement, options],
+    options
+  );
+
+  res.status(200).json({
+    success: true,
+    data: preview,
+  });
+});
+
+// @desc    Apply selected replace hunks across a project in one transaction
+//          (without one on a standalone server, undoing the writes made if
+//          it fails)
+// @route   POST /api/files/project/:projectId/replace
+// @access  Private
+const applyProjectReplace = asyncHandler(async (req, res) => {
+  const { query, replacement = "", files: selections } = req.body;
+  const options = getSearchOptions(req.body);
+  const project = req.project;
+
+  const fileIds = selections.map((selection) => selection.fileId);
+  const applied = [];
+  const savedFiles = [];
+  // Files written without a transaction, with their state before
+  const written = [];
+
+  try {
+    await withTransaction(async (session) => {
+      applied.length = 0;
+      savedFiles.length = 0;
+
+      const files = await File.find({
+        _id: { $in: fileIds },
+        projectId: project._id,
+        type: "file",
+      }).session(session);
+
+      const filesById = new Map(
+        files.map((file) => [file._id.toString(), file])
+      );
+
+      // Every selected file must still exist at the version that was previewed
+      const conflicts = selections
+        .map((selection) => ({
+          selection,
+          file: filesById.get(selection.fileId),
+        }))
+        .filter(
+          ({ selection, file }) =>
+            !file || file.metadata.version !== selection.baseVersion
+        )
+        .map(({ selection, file }) => ({
+          id: selection.fileId,
+          path: file ? file.path : null,
+          currentVersion: file ? file.metadata.version : null,
+          content: file ? file.content : null,
+        }));
+
+      if (conflicts.length > 0) {
+        throw new ReplaceConflictError(
+          `${conflicts.length} file(s) changed since the preview was generated`,
+          conflicts
+        );
+      }
+
+      const results = await runPatternTask(
+        "applyReplaceSelections",
+        [files, selections, query, replacement, options],
+        options
+      );
+
+      // Replacements that make the project bigger must fit the owner's quota
+      await assertFileQuota(project, {
+        bytes: selections.reduce((total, selection, index) => {
+          const file = filesById.get(selection.fileId);
+          const size = File.getContentSize(
+            results[index].content,
+            file.encoding
+          );
+          return total + size - file.size;
+        }, 0),
+      });
+
+      for (const [index, selection] of selections.entries()) {
+        const file = filesById.get(selection.fileId);
+        const { content, replacements } = results[index];
+
+        if (replacements === 0) continue;
+
+        const previous = captureFileState(file);
+        file.content = content;
+        file.metadata.lastModifiedBy = req.user._id;
+        file.$where = { "metadata.version": selection.baseVersion };
+        await file.save({ session });
+        savedFiles.push(file);
+        if (!session) written.push({ file, previous });
+
+        applied.push({
+          id: file._id,
+          path: file.path,
+          version: file.metadata.version,
+          replacements,
+        });
+      }
+
+      const totalSize = await File.aggregate([
+        { $match: { projectId: project._id, type: "file" } },
+        { $group: { _id: null, totalSize: { $sum: "$size" } } },
+      ]).session(session);
+
+      project.metadata.totalSize = totalSize[0]?.totalSize || 0;
+      project.metadata.lastModified = new Date();
+      await project.save({ session });
+    });
+  } catch (error) {
+    await restoreFiles(written);
+
+    if (error.name === "DocumentNotFoundError") {
+      return res.status(409).json({
+        success: false,
+        message: "A file changed while the replace was being applied",
+      });
+    }
+
+    if (!(error instanceof ReplaceConflictError)) throw error;
+
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      data: {
+        conflicts: error.conflicts,
+      },
+    });
+  }
+
+  // Bring open collaborative sessions up to date
+  await Promise.all(savedFiles.map((file) => notifyFileChanged(file)));
+
+  res.status(200).json({
+    success: true,
+    message: "Replace applied successfully",
+    data: {
+      files: applied,
+      totalReplacements: applied.reduce(
+        (sum, file) => sum + file.replacements,
+        0
+      ),
+    },
+  });
+});
+
+module.exports = {
+  previewProjectReplace,
+  applyProjectReplace,
+};
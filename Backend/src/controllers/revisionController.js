@@ -0,0 +1,118 @@
+const { File, FileRevision, Project } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { notifyFileChanged, assertFileQuota } = require("../services");
+
+// @desc    List revisions of a file
+// @route   GET /api/files/:id/revisions
+// @access  Private
+const getFileRevisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const file = req.file;
+
+  if (file.type !== "file") {
+    return res.status(400).json({
+      success: false,
+      message: "Folders do not have revisions",
+    });
+  }
+
+  const [revisions, totalRevisions] = await Promise.all([
+    FileRevision.listForFile(file._id, {
+      limit: parseInt(limit),
+      skip: (parseInt(page) - 1) * parseInt(limit),
+    }),
+    FileRevision.countDocuments({ fileId: file._id }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      currentVersion: file.metadata.version,
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalRevisions / parseInt(limit)),
+        totalRevisions,
+        hasNextPage:
+          parseInt(page) < Math.ceil(totalRevisions / parseInt(limit)),
+        hasPrevPage: parseInt(page) > 1,
+      },
+    },
+  });
+});
+
+// @desc    Get a single revision of a file, including its content
+// @route   GET /api/files/:id/revisions/:revisionId
+// @access  Private
+const getFileRevision = asyncHandler(async (req, res) => {
+  const revision = await FileRevision.findOne({
+    _id: req.params.revisionId,
+    fileId: req.file._id,
+  }).populate("author", "username firstName lastName avatar");
+
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      message: "Revision not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revision,
+    },
+  });
+});
+
+// @desc    Restore a file to the content of a previous revision
+// @route   POST /api/files/:id/revisions/:revisionId/restore
+// @access  Private
+const restoreFileRevision = asyncHandler(async (req, res) => {
+  const file = await File.findById(req.file._id);
+
+  const revision = await FileRevision.findOne({
+    _id: req.params.revisionId,
+    fileId: file._id,
+  });
+
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      message: "Revision not found",
+    });
+  }
+
+  await assertFileQuota(req.file.projectId, {
+    bytes: File.getContentSize(revision.content, revision.encoding) - file.size,
+  });
+
+  // Saving records the current content as a revision, so a restore can be undone
+  file.content = revision.content;
+  file.encoding = revision.encoding;
+  file.metadata.lastModifiedBy = req.user._id;
+  await file.save();
+  await notifyFileChanged(file);
+
+  const project = await Project.findById(file.projectId);
+  project.metadata.lastModified = new Date();
+  await project.save();
+
+  res.status(200).json({
+    success: true,
+    message: `File restored to version ${revision.version}`,
+    data: {
+      file,
+      restoredFrom: {
+        id: revision._id,
+        version: revision.version,
+      },
+    },
+  });
+});
+
+module.exports = {
+  getFileRevisions,
+  getFileRevision,
+  restoreFileRevision,
+};
@@ -0,0 +1,105 @@
+const { User, Session } = require("../models");
+const { generateToken } = require("../middleware/auth");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+// @desc    Exchange a refresh token for a new JWT and refresh token
+// @route   POST /api/users/refresh
+// @access  Public (refresh token)
+const refreshSession = asyncHandler(async (req, res) => {
+  const rotated = await Session.rotate(req.body.refreshToken, req);
+  const user = rotated && (await User.findById(rotated.session.userId));
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: "Session has ended, please sign in again.",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: generateToken(user._id, rotated.session._id),
+      // null when another tab already rotated the token; keep the newer one
+      refreshToken: rotated.refreshToken,
+    },
+  });
+});
+
+// @desc    Sign out of the current session
+// @route   POST /api/users/logout
+// @access  Private (session only)
+const logoutUser = asyncHandler(async (req, res) => {
+  await req.userSession.revoke();
+
+  res.status(200).json({
+    success: true,
+    message: "Signed out successfully",
+  });
+});
+
+// @desc    List the user's signed-in sessions, most recently seen first
+// @route   GET /api/users/sessions
+// @access  Private (session only)
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        isCurrent: session._id.equals(req.userSession._id),
+      })),
+    },
+  });
+});
+
+// @desc    Sign out of one session, this one or another
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private (session only)
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: "Session not found",
+    });
+  }
+
+  await session.revoke();
+
+  res.status(200).json({
+    success: true,
+    message: "Session signed out successfully",
+  });
+});
+
+// @desc    Sign out of every session, this one included
+// @route   DELETE /api/users/sessions
+// @access  Private (session only)
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAll(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: `Signed out of ${result.modifiedCount} session(s)`,
+  });
+});
+
+module.exports = {
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,139 @@
+const { ShareLink } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { generateShareGrant } = require("../middleware/auth");
+const { auditTarget, recordAuditEvent } = require("../services");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    List a project's share links
+// @route   GET /api/projects/:id/share-links
+// @access  Private (admin)
+const getShareLinks = asyncHandler(async (req, res) => {
+  const shareLinks = await ShareLink.find({
+    projectId: req.project._id,
+    revokedAt: null,
+  })
+    .populate("createdBy", "username firstName lastName")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shareLinks,
+    },
+  });
+});
+
+// @desc    Create a share link
+// @route   POST /api/projects/:id/share-links
+// @access  Private (admin)
+const createShareLink = asyncHandler(async (req, res) => {
+  const { scope = "view", label, password, expiresInDays } = req.body;
+
+  const shareLink = await ShareLink.create({
+    projectId: req.project._id,
+    scope,
+    label,
+    password: password || null,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * DAY_MS)
+      : null,
+    createdBy: req.user._id,
+  });
+
+  await recordAuditEvent(req, "share.link_create", {
+    target: auditTarget("share-link", shareLink),
+    projectId: req.project._id,
+    details: {
+      scope: shareLink.scope,
+      hasPassword: shareLink.hasPassword,
+      expiresAt: shareLink.expiresAt,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Share link created successfully",
+    data: {
+      shareLink,
+    },
+  });
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/projects/:id/share-links/:linkId
+// @access  Private (admin)
+const revokeShareLink = asyncHandler(async (req, res) => {
+  const shareLink = await ShareLink.findOne({
+    _id: req.params.linkId,
+    projectId: req.project._id,
+    revokedAt: null,
+  });
+
+  if (!shareLink) {
+    return res.status(404).json({
+      success: false,
+      message: "Share link not found",
+    });
+  }
+
+  await shareLink.revoke();
+
+  await recordAuditEvent(req, "share.link_revoke", {
+    target: auditTarget("share-link", shareLink),
+    projectId: req.project._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Share link revoked successfully",
+  });
+});
+
+// @desc    Open a share link, checking its password, and get a share grant
+//          to send as the X-Share-Token header
+// @route   POST /api/share/:token
+// @access  Public
+const openShareLink = asyncHandler(async (req, res) => {
+  const shareLink = await ShareLink.findOne({ token: req.params.token })
+    .select("+password")
+    .populate("projectId", "name description template");
+
+  // A link to a project in the trash stops working with it
+  if (!shareLink || !shareLink.isActive || !shareLink.projectId) {
+    return res.status(404).json({
+      success: false,
+      message: "Share link not found or expired",
+    });
+  }
+
+  if (!(await shareLink.comparePassword(req.body.password))) {
+    return res.status(401).json({
+      success: false,
+      message: req.body.password
+        ? "Incorrect password"
+        : "This share link is password protected",
+      passwordRequired: true,
+    });
+  }
+
+  await shareLink.touch();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      grant: generateShareGrant(shareLink),
+      scope: shareLink.scope,
+      role: shareLink.role,
+      expiresAt: shareLink.expiresAt,
+      project: shareLink.projectId,
+    },
+  });
+});
+
+module.exports = {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  openShareLink,
+};
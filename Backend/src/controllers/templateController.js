@@ -0,0 +1,259 @@
+const { Project, File, ProjectTemplate } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { escapeRegExp } = require("../services");
+
+// Templates keep their files in the template document, which MongoDB caps
+// at 16MB
+const MAX_TEMPLATE_SIZE = 8 * 1024 * 1024; // 8MB
+
+// Fields a template's owner may change
+const EDITABLE_FIELDS = ["name", "description", "tags", "visibility"];
+
+// A template without its files, which are only needed to use it
+const toSummary = (template) => {
+  const { files, ...summary } = template.toJSON();
+  return summary;
+};
+
+// Load a project to save as a template, with its files, or send the error
+// response and return null
+const loadSourceProject = async (req, res, projectId) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+    return null;
+  }
+
+  if (!project.canView(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+    return null;
+  }
+
+  const files = await File.find({ projectId: project._id });
+  const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+  if (totalSize > MAX_TEMPLATE_SIZE) {
+    res.status(413).json({
+      success: false,
+      message: `Project is too large to save as a template (limit ${
+        MAX_TEMPLATE_SIZE / 1024 / 1024
+      }MB)`,
+    });
+    return null;
+  }
+
+  return { project, files };
+};
+
+// @desc    List the templates the user can see: their own, their teams' and
+//          public ones
+// @route   GET /api/templates
+// @access  Public (public templates only) / Private
+const getTemplates = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 24, search = "", tag, scope = "all" } = req.query;
+  const userId = req.user?._id;
+
+  const conditions = [await ProjectTemplate.visibleTo(userId)];
+
+  if (scope === "mine") {
+    conditions.push({ userId: userId || null });
+  } else if (scope === "team") {
+    conditions.push({ visibility: "team" });
+  } else if (scope === "public") {
+    conditions.push({ visibility: "public" });
+  }
+
+  if (tag) {
+    conditions.push({ tags: tag });
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), "i");
+    conditions.push({
+      $or: [{ name: pattern }, { description: pattern }, { tags: pattern }],
+    });
+  }
+
+  const query = { $and: conditions };
+
+  const templates = await ProjectTemplate.find(query)
+    .populate("userId", "username firstName lastName avatar")
+    .sort({ usageCount: -1, updatedAt: -1 })
+    .limit(parseInt(limit))
+    .skip((parseInt(page) - 1) * parseInt(limit));
+
+  const totalTemplates = await ProjectTemplate.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      templates,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalTemplates / parseInt(limit)),
+        totalTemplates,
+        hasNextPage:
+          parseInt(page) < Math.ceil(totalTemplates / parseInt(limit)),
+        hasPrevPage: parseInt(page) > 1,
+      },
+    },
+  });
+});
+
+// @desc    Get a template with the paths of its files
+// @route   GET /api/templates/:id
+// @access  Public (public templates only) / Private
+const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await ProjectTemplate.findOne({
+    _id: req.params.id,
+    ...(await ProjectTemplate.visibleTo(req.user?._id)),
+  })
+    .select("+files")
+    .populate("userId", "username firstName lastName avatar");
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: "Template not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      template: {
+        ...toSummary(template),
+        files: template.files.map(({ path, type }) => ({ path, type })),
+      },
+    },
+  });
+});
+
+// @desc    Save a project as a template
+// @route   POST /api/templates
+// @access  Private
+const createTemplate = asyncHandler(async (req, res) => {
+  const {
+    projectId,
+    name,
+    description,
+    thumbnail,
+    tags = [],
+    visibility = "private",
+  } = req.body;
+
+  const source = await loadSourceProject(req, res, projectId);
+  if (!source) return;
+
+  const template = new ProjectTemplate({
+    name: name || source.project.name,
+    description: description ?? source.project.description,
+    thumbnail: thumbnail || null,
+    tags,
+    visibility,
+    userId: req.user._id,
+    projectId: source.project._id,
+  });
+  template.setFiles(source.project, source.files);
+  await template.save();
+
+  await template.populate("userId", "username firstName lastName avatar");
+
+  res.status(201).json({
+    success: true,
+    message: "Template saved successfully",
+    data: {
+      template: toSummary(template),
+    },
+  });
+});
+
+// @desc    Update a template's details. With refreshFiles its files are
+//          replaced with the current files of the project it was saved from.
+// @route   PUT /api/templates/:id
+// @access  Private (owner)
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await ProjectTemplate.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: "Template not found",
+    });
+  }
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      template[field] = req.body[field];
+    }
+  });
+  if (req.body.thumbnail !== undefined) {
+    template.thumbnail = req.body.thumbnail || null;
+  }
+
+  if (req.body.refreshFiles) {
+    if (!template.projectId) {
+      return res.status(400).json({
+        success: false,
+        message: "The project this template was saved from no longer exists",
+      });
+    }
+
+    const source = await loadSourceProject(req, res, template.projectId);
+    if (!source) return;
+
+    template.setFiles(source.project, source.files);
+  }
+
+  await template.save();
+
+  await template.populate("userId", "username firstName lastName avatar");
+
+  res.status(200).json({
+    success: true,
+    message: "Template updated successfully",
+    data: {
+      template: toSummary(template),
+    },
+  });
+});
+
+// @desc    Delete a template; projects created from it are not affected
+// @route   DELETE /api/templates/:id
+// @access  Private (owner)
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await ProjectTemplate.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: "Template not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Template deleted successfully",
+  });
+});
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,314 @@
+const { Project, File } = require("../models");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  getPurgeDate,
+  getTrashRetentionDays,
+  auditTarget,
+  recordAuditEvent,
+  assertProjectQuota,
+  assertFileQuota,
+} = require("../services");
+
+// Recalculate file count and size after files leave or return from the trash
+const refreshProjectMetadata = async (project) => {
+  const totalFiles = await File.countDocuments({
+    projectId: project._id,
+    type: "file",
+  });
+  const totalSize = await File.aggregate([
+    { $match: { projectId: project._id, type: "file" } },
+    { $group: { _id: null, totalSize: { $sum: "$size" } } },
+  ]);
+
+  project.metadata.totalFiles = totalFiles;
+  project.metadata.totalSize = totalSize[0]?.totalSize || 0;
+  project.metadata.lastModified = new Date();
+  await project.save();
+};
+
+// Files and bytes a trashed project counts for once restored: the files
+// that were hidden along with it
+const measureTrashedProject = async (project) => {
+  const [usage] = await File.aggregate([
+    { $match: { projectId: project._id } },
+    { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: "$size" } } },
+  ]);
+
+  return { files: usage?.files || 0, bytes: usage?.bytes || 0 };
+};
+
+// Files and bytes a trashed file counts for once restored, including
+// everything trashed with a folder
+const measureTrashedFile = async (file) => {
+  const descendants = await File.find({
+    deletedRoot: file._id,
+    deletedAt: { $ne: null },
+  }).select("size");
+
+  return {
+    files: descendants.length + 1,
+    bytes: descendants.reduce(
+      (total, descendant) => total + descendant.size,
+      file.size
+    ),
+  };
+};
+
+// Find a trashed project owned by the current user
+const findTrashedProject = (req) =>
+  Project.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    deletedAt: { $ne: null },
+  });
+
+// Find a trashed file (or the folder it was trashed with) in a project where
+// the user holds at least the given role
+const findTrashedFile = async (req, minRole) => {
+  const file = await File.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+    deletedRoot: null,
+  }).populate("projectId");
+
+  if (!file) return { status: 404, message: "File not found in trash" };
+
+  // The project itself is in the trash
+  if (!file.projectId) {
+    return {
+      status: 409,
+      message: "Restore the project before restoring its files",
+    };
+  }
+
+  if (!file.projectId.hasRole(req.user, minRole)) {
+    return { status: 403, message: "Access denied" };
+  }
+
+  return { file };
+};
+
+// @desc    List trashed projects and files
+// @route   GET /api/trash
+// @access  Private
+const getTrash = asyncHandler(async (req, res) => {
+  const { projectId } = req.query;
+
+  const projects = await Project.find({
+    userId: req.user._id,
+    deletedAt: { $ne: null },
+  })
+    .select("name description template metadata deletedAt")
+    .sort({ deletedAt: -1 });
+
+  // Files are listed for projects that are not themselves in the trash and
+  // that the user can edit
+  const activeProjectIds = await Project.find({
+    ...Project.accessibleBy(req.user._id, "editor"),
+    ...(projectId && { _id: projectId }),
+  }).distinct("_id");
+
+  const files = await File.find({
+    projectId: { $in: activeProjectIds },
+    deletedAt: { $ne: null },
+    deletedRoot: null,
+  })
+    .select("-content")
+    .populate("projectId", "name")
+    .sort({ deletedAt: -1 });
+
+  const fileItems = await Promise.all(
+    files.map(async (file) => ({
+      ...file.toObject(),
+      itemCount:
+        file.type === "folder"
+          ? await File.countDocuments({
+              deletedRoot: file._id,
+              deletedAt: { $ne: null },
+            })
+          : 0,
+      purgeAt: getPurgeDate(file.deletedAt),
+    }))
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      retentionDays: getTrashRetentionDays(),
+      projects: projects.map((project) => ({
+        ...project.toObject(),
+        purgeAt: getPurgeDate(project.deletedAt),
+      })),
+      files: fileItems,
+    },
+  });
+});
+
+// @desc    Restore a project from the trash
+// @route   POST /api/trash/projects/:id/restore
+// @access  Private
+const restoreTrashedProject = asyncHandler(async (req, res) => {
+  const project = await findTrashedProject(req);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found in trash",
+    });
+  }
+
+  await assertProjectQuota(req.user._id, await measureTrashedProject(project));
+  await project.restoreFromTrash();
+
+  await recordAuditEvent(req, "project.restore", {
+    target: auditTarget("project", project),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Project restored successfully",
+    data: {
+      project,
+    },
+  });
+});
+
+// @desc    Permanently delete a trashed project
+// @route   DELETE /api/trash/projects/:id
+// @access  Private
+const purgeTrashedProject = asyncHandler(async (req, res) => {
+  const project = await findTrashedProject(req);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: "Project not found in trash",
+    });
+  }
+
+  await project.purge();
+
+  await recordAuditEvent(req, "project.purge", {
+    target: auditTarget("project", project),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Project permanently deleted",
+  });
+});
+
+// @desc    Restore a file or folder from the trash
+// @route   POST /api/trash/files/:id/restore
+// @access  Private (editor)
+const restoreTrashedFile = asyncHandler(async (req, res) => {
+  const { file, status, message } = await findTrashedFile(req, "editor");
+
+  if (!file) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const project = file.projectId;
+  const originalPath = file.path;
+
+  await assertFileQuota(project, await measureTrashedFile(file));
+
+  file.projectId = project._id;
+  await file.restoreFromTrash();
+  await refreshProjectMetadata(project);
+
+  res.status(200).json({
+    success: true,
+    message:
+      file.path === originalPath
+        ? `${file.type === "file" ? "File" : "Folder"} restored successfully`
+        : `Restored to ${file.path} because ${originalPath} is no longer available`,
+    data: {
+      file,
+      originalPath,
+    },
+  });
+});
+
+// @desc    Permanently delete a trashed file or folder
+// @route   DELETE /api/trash/files/:id
+// @access  Private (admin)
+const purgeTrashedFile = asyncHandler(async (req, res) => {
+  const { file, status, message } = await findTrashedFile(req, "admin");
+
+  if (!file) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  await file.purge();
+
+  await recordAuditEvent(req, "file.purge", {
+    target: auditTarget("file", file),
+    projectId: file.projectId._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${file.type === "file" ? "File" : "Folder"} permanently deleted`,
+  });
+});
+
+// @desc    Permanently delete everything in the trash
+// @route   DELETE /api/trash
+// @access  Private
+const emptyTrash = asyncHandler(async (req, res) => {
+  const projects = await Project.find({
+    userId: req.user._id,
+    deletedAt: { $ne: null },
+  });
+
+  for (const project of projects) {
+    await project.purge();
+    await recordAuditEvent(req, "project.purge", {
+      target: auditTarget("project", project),
+    });
+  }
+
+  // Shared projects are only emptied by people who manage them
+  const activeProjectIds = await Project.find(
+    Project.accessibleBy(req.user._id, "admin")
+  ).distinct("_id");
+
+  const files = await File.find({
+    projectId: { $in: activeProjectIds },
+    deletedAt: { $ne: null },
+    deletedRoot: null,
+  });
+
+  for (const file of files) {
+    await file.purge();
+    await recordAuditEvent(req, "file.purge", {
+      target: auditTarget("file", file),
+      projectId: file.projectId,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Trash emptied successfully",
+    data: {
+      projects: projects.length,
+      files: files.length,
+    },
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreTrashedProject,
+  purgeTrashedProject,
+  restoreTrashedFile,
+  purgeTrashedFile,
+  emptyTrash,
+};
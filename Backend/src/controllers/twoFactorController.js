@@ -0,0 +1,287 @@
+const { User } = require("../models");
+const {
+  startSession,
+  verifyTwoFactorChallenge,
+} = require("../middleware/auth");
+const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  getTotpEnrollment,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  auditTarget,
+  recordAuditEvent,
+} = require("../services");
+
+// Check a code from the user's authenticator app, or one of their recovery
+// codes, and use it up so it can't be used again. Returns "totp",
+// "recovery", or null if the code is not valid. The updates are conditional
+// so two requests racing with the same code can't both succeed.
+const useTwoFactorCode = async (user, code) => {
+  const input = String(code).replace(/\s/g, "");
+
+  const step = verifyTotp(
+    user.twoFactorSecret,
+    input,
+    user.twoFactorLastUsedStep
+  );
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorLastUsedStep: { $not: { $gte: step } } },
+      { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount ? "totp" : null;
+  }
+
+  const hash = hashRecoveryCode(input);
+  if (user.twoFactorRecoveryCodes.includes(hash)) {
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount ? "recovery" : null;
+  }
+
+  return null;
+};
+
+// @desc    Finish signing in with a two-factor code
+// @route   POST /api/users/login/2fa
+// @access  Public (challenge token from login)
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const userId = verifyTwoFactorChallenge(challengeToken);
+  const user =
+    userId &&
+    (await User.findById(userId).select(
+      "+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes"
+    ));
+
+  if (!user || !user.isActive || !user.twoFactorEnabledAt) {
+    return res.status(401).json({
+      success: false,
+      message: "Sign-in has expired. Please enter your password again.",
+    });
+  }
+
+  const method = await useTwoFactorCode(user, code);
+
+  if (!method) {
+    await recordAuditEvent(req, "auth.login_failed", {
+      actor: null,
+      target: auditTarget("user", user),
+      outcome: "failure",
+      details: { reason: "wrong two-factor code" },
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid authentication code",
+    });
+  }
+
+  // Start a session with a short-lived token and a refresh token
+  const { token, refreshToken } = await startSession(user._id, req);
+
+  // Update last login
+  await user.updateLastLogin();
+
+  await recordAuditEvent(req, "auth.login", {
+    actor: user,
+    target: auditTarget("user", user),
+    details: { method: method === "recovery" ? "recovery code" : "two-factor" },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: user.toJSON(),
+      token,
+      refreshToken,
+      ...(method === "recovery" && {
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length - 1,
+      }),
+    },
+  });
+});
+
+// @desc    Get the user's two-factor status
+// @route   GET /api/users/2fa
+// @access  Private (session only)
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorRecoveryCodes"
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.isTwoFactorEnabled,
+      recoveryCodesRemaining: user.isTwoFactorEnabled
+        ? user.twoFactorRecoveryCodes.length
+        : 0,
+    },
+  });
+});
+
+// @desc    Start setting up two-factor sign-in with a new secret for an
+//          authenticator app
+// @route   POST /api/users/2fa/setup
+// @access  Private (session only)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabledAt) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is already on",
+    });
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: req.user._id }, { twoFactorSecret: secret });
+
+  const { otpauthUrl, qrCode } = await getTotpEnrollment(
+    secret,
+    req.user.email
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode,
+    },
+  });
+});
+
+// @desc    Turn on two-factor sign-in by confirming a code from the app it
+//          was set up in; returns the recovery codes, which are only shown
+//          here
+// @route   POST /api/users/2fa/enable
+// @access  Private (session only)
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+  if (user.twoFactorEnabledAt) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is already on",
+    });
+  }
+
+  if (!user.twoFactorSecret) {
+    return res.status(400).json({
+      success: false,
+      message: "Set up two-factor authentication first",
+    });
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, req.body.code);
+
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid authentication code",
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, "account.two_factor_enable", {
+    target: auditTarget("user", user),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication turned on",
+    data: {
+      user: user.toJSON(),
+      recoveryCodes: codes,
+    },
+  });
+});
+
+// Load the current user for a change that needs their password, or send the
+// error response and return null
+const confirmPassword = async (req, res) => {
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user.twoFactorEnabledAt) {
+    res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is not on",
+    });
+    return null;
+  }
+
+  if (!(await user.comparePassword(req.body.password))) {
+    res.status(400).json({
+      success: false,
+      message: "Password is incorrect",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Turn off two-factor sign-in
+// @route   DELETE /api/users/2fa
+// @access  Private (session only)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await confirmPassword(req, res);
+  if (!user) return;
+
+  user.twoFactorSecret = null;
+  user.twoFactorEnabledAt = null;
+  user.twoFactorLastUsedStep = null;
+  user.twoFactorRecoveryCodes = [];
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, "account.two_factor_disable", {
+    target: auditTarget("user", user),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication turned off",
+    data: {
+      user: user.toJSON(),
+    },
+  });
+});
+
+// @desc    Replace the user's recovery codes with a new set
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private (session only)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await confirmPassword(req, res);
+  if (!user) return;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "New recovery codes generated; the old ones no longer work",
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+module.exports = {
+  loginWithTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
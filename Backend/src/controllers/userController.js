@@ -1,6 +1,22 @@
-const { User } = require("../models");
-const { generateToken } = require("../middleware/auth");
+const { User, Session, AccountToken } = require("../models");
+const {
+  startSession,
+  generateTwoFactorChallenge,
+} = require("../middleware/auth");
 const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  auditTarget,
+  recordAuditEvent,
+  getQuotaUsage,
+} = require("../services");
+
+// Email a new verification link to a user
+const sendVerification = async (user) => {
+  const token = await AccountToken.issue(user._id, "verify-email");
+  await sendVerificationEmail(user, token);
+};
 
 // @desc    Register a new user
 // @route   POST /api/users/register
@@ -30,18 +46,32 @@ const registerUser = asyncHandler(async (req, res) => {
     lastName,
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  // The account works straight away; failing to send the verification
+  // email shouldn't fail sign-up, and the user can ask for another one
+  try {
+    await sendVerification(user);
+  } catch (error) {
+    console.error(`Error sending verification email to ${user.email}:`, error);
+  }
+
+  await recordAuditEvent(req, "account.register", {
+    actor: user,
+    target: auditTarget("user", user),
+  });
+
+  // Start a session with a short-lived token and a refresh token
+  const { token, refreshToken } = await startSession(user._id, req);
 
   // Update last login
   await user.updateLastLogin();
 
   res.status(201).json({
     success: true,
-    message: "User registered successfully",
+    message: "User registered successfully. Check your email to verify it.",
     data: {
       user: user.toJSON(),
       token,
+      refreshToken,
     },
   });
 });
@@ -56,6 +86,10 @@ const loginUser = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email }).select("+password");
 
   if (!user) {
+    await recordAuditEvent(req, "auth.login_failed", {
+      outcome: "failure",
+      details: { email, reason: "unknown email" },
+    });
     return res.status(401).json({
       success: false,
       message: "Invalid email or password",
@@ -64,6 +98,12 @@ const loginUser = asyncHandler(async (req, res) => {
 
   // Check if account is active
   if (!user.isActive) {
+    await recordAuditEvent(req, "auth.login_failed", {
+      actor: null,
+      target: auditTarget("user", user),
+      outcome: "failure",
+      details: { reason: "account deactivated" },
+    });
     return res.status(401).json({
       success: false,
       message: "Account is deactivated. Please contact support.",
@@ -74,28 +114,156 @@ const loginUser = asyncHandler(async (req, res) => {
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
+    await recordAuditEvent(req, "auth.login_failed", {
+      actor: null,
+      target: auditTarget("user", user),
+      outcome: "failure",
+      details: { reason: "wrong password" },
+    });
     return res.status(401).json({
       success: false,
       message: "Invalid email or password",
     });
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  // With two-factor on, the password only earns a challenge to exchange for
+  // a session with a code
+  if (user.twoFactorEnabledAt) {
+    return res.status(200).json({
+      success: true,
+      message: "Enter the code from your authenticator app",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id),
+      },
+    });
+  }
+
+  // Start a session with a short-lived token and a refresh token
+  const { token, refreshToken } = await startSession(user._id, req);
 
   // Update last login
   await user.updateLastLogin();
 
+  await recordAuditEvent(req, "auth.login", {
+    actor: user,
+    target: auditTarget("user", user),
+    details: { method: "password" },
+  });
+
   res.status(200).json({
     success: true,
     message: "Login successful",
     data: {
       user: user.toJSON(),
       token,
+      refreshToken,
     },
   });
 });
 
+// @desc    Confirm an email address with the token from a verification email
+// @route   POST /api/users/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const userId = await AccountToken.consume(req.body.token, "verify-email");
+  const user = userId && (await User.findById(userId));
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: "This verification link is invalid or has expired",
+    });
+  }
+
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+  });
+});
+
+// @desc    Send another verification email
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerifiedAt) {
+    return res.status(400).json({
+      success: false,
+      message: "Email is already verified",
+    });
+  }
+
+  await sendVerification(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${req.user.email}`,
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email, isActive: true });
+
+  if (user) {
+    try {
+      const token = await AccountToken.issue(user._id, "reset-password");
+      await sendPasswordResetEmail(user, token);
+    } catch (error) {
+      console.error(`Error sending password reset to ${user.email}:`, error);
+    }
+  }
+
+  // Answer the same either way, so this can't be used to find accounts
+  res.status(200).json({
+    success: true,
+    message:
+      "If an account uses that email, a link to reset the password is on its way",
+  });
+});
+
+// @desc    Set a new password with the token from a reset email
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await AccountToken.consume(token, "reset-password");
+  const user = userId && (await User.findOne({ _id: userId, isActive: true }));
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: "This reset link is invalid or has expired",
+    });
+  }
+
+  user.password = password;
+  // Opening the emailed link proves the address is theirs
+  user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+  await user.save();
+
+  // Whoever had the old password is signed out
+  await Session.revokeAll(user._id);
+
+  await recordAuditEvent(req, "account.password_reset", {
+    actor: user,
+    target: auditTarget("user", user),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Sign in with your new password.",
+  });
+});
+
 // @desc    Get current user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -173,9 +341,16 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out everywhere else; this session stays signed in
+  await Session.revokeAll(user._id, req.userSession?._id);
+
+  await recordAuditEvent(req, "account.password_change", {
+    target: auditTarget("user", user),
+  });
+
   res.status(200).json({
     success: true,
-    message: "Password changed successfully",
+    message: "Password changed successfully. Other sessions were signed out.",
   });
 });
 
@@ -239,21 +414,58 @@ const deleteAccount = asyncHandler(async (req, res) => {
   }
 
   // Delete all user's projects and files
-  const { Project, File } = require("../models");
-
-  const userProjects = await Project.find({ userId: user._id });
+  const {
+    Project,
+    File,
+    FileRevision,
+    ProjectInvitation,
+    Comment,
+    ShareLink,
+    ProjectTemplate,
+    AccessToken,
+    OidcAuthRequest,
+  } = require("../models");
+
+  const userProjects = await Project.find({ userId: user._id }).setOptions({
+    withDeleted: true,
+  });
 
   for (const project of userProjects) {
     // Delete all files in the project
     await File.deleteMany({ projectId: project._id });
+    await FileRevision.deleteMany({ projectId: project._id });
+    await Comment.deleteMany({ projectId: project._id });
+    await ProjectInvitation.deleteMany({ projectId: project._id });
+    await ShareLink.deleteMany({ projectId: project._id });
+    await ProjectTemplate.updateMany(
+      { projectId: project._id },
+      { projectId: null }
+    );
 
     // Delete the project
     await Project.findByIdAndDelete(project._id);
   }
 
+  // Drop the user from projects shared with them
+  await Project.updateMany(
+    { "collaborators.userId": user._id },
+    { $pull: { collaborators: { userId: user._id } } }
+  ).setOptions({ withDeleted: true });
+  await ProjectInvitation.deleteMany({ email: user.email });
+  await ProjectTemplate.deleteMany({ userId: user._id });
+  await AccessToken.deleteMany({ userId: user._id });
+  await Session.deleteMany({ userId: user._id });
+  await AccountToken.deleteMany({ userId: user._id });
+  await OidcAuthRequest.deleteMany({ userId: user._id });
+
   // Delete user account
   await User.findByIdAndDelete(user._id);
 
+  await recordAuditEvent(req, "account.delete", {
+    target: auditTarget("user", user),
+    details: { projectsDeleted: userProjects.length },
+  });
+
   res.status(200).json({
     success: true,
     message: "Account deleted successfully",
@@ -275,6 +487,11 @@ const deactivateAccount = asyncHandler(async (req, res) => {
 
   user.isActive = false;
   await user.save();
+  await Session.revokeAll(user._id);
+
+  await recordAuditEvent(req, "account.deactivate", {
+    target: auditTarget("user", user),
+  });
 
   res.status(200).json({
     success: true,
@@ -297,6 +514,7 @@ const getUserStats = asyncHandler(async (req, res) => {
     publicProjects,
     archivedProjects,
     recentProjects,
+    quota,
   ] = await Promise.all([
     Project.countDocuments({ userId }),
     File.countDocuments({
@@ -310,6 +528,7 @@ const getUserStats = asyncHandler(async (req, res) => {
       .sort({ updatedAt: -1 })
       .limit(5)
       .select("name description updatedAt"),
+    getQuotaUsage(userId),
   ]);
 
   res.status(200).json({
@@ -321,6 +540,7 @@ const getUserStats = asyncHandler(async (req, res) => {
         publicProjects,
         archivedProjects,
       },
+      quota,
       recentProjects,
     },
   });
@@ -329,6 +549,10 @@ const getUserStats = asyncHandler(async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getUserProfile,
   updateUserProfile,
   changePassword,
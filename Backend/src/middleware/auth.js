@@ -1,11 +1,20 @@
 const jwt = require("jsonwebtoken");
-const { User } = require("../models");
+const { User, ShareLink, AccessToken, Session } = require("../models");
+
+// Generate a short-lived JWT for a signed-in session; it is renewed with the
+// session's refresh token
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || "15m" }
+  );
+};
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
-  });
+// Sign a user in: start a session and issue its JWT and refresh token
+const startSession = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, req);
+  return { token: generateToken(userId, session._id), refreshToken, session };
 };
 
 // Verify JWT token
@@ -13,24 +22,157 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-// Authentication middleware
-const authenticate = async (req, res, next) => {
+// Generate a challenge token for a user who passed the password check but
+// still has to enter a two-factor code. It has no session, so it can't be
+// used to call the API.
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: "two-factor" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+};
+
+// The user a two-factor challenge token was issued to, or null if it is
+// invalid or has expired
+const verifyTwoFactorChallenge = (token) => {
   try {
-    let token;
-
-    // Check for token in Authorization header
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
+    const decoded = verifyToken(token);
+    return decoded.purpose === "two-factor" ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// How long a share grant (issued after opening a share link) stays valid
+const getShareGrantTTLHours = () =>
+  parseInt(process.env.SHARE_GRANT_TTL_HOURS, 10) || 12;
+
+// Generate a share grant for an opened share link; it expires with the link
+const generateShareGrant = (shareLink) => {
+  let expiresIn = getShareGrantTTLHours() * 60 * 60;
+  if (shareLink.expiresAt) {
+    const remaining = Math.floor((shareLink.expiresAt - Date.now()) / 1000);
+    expiresIn = Math.max(Math.min(expiresIn, remaining), 1);
+  }
+
+  return jwt.sign(
+    { shareLinkId: shareLink._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Share token from the X-Share-Token header or the share query parameter
+// (for URLs loaded by the browser itself, like images)
+const getShareToken = (req) =>
+  req.headers["x-share-token"] || (req.query && req.query.share) || null;
+
+// Resolve a share token to an active share link. The token is either a share
+// grant or, for links without a password, the link's own token.
+const resolveShareLink = async (token) => {
+  if (!token || typeof token !== "string") return null;
+
+  let shareLink = null;
+  if (/^[a-f0-9]{48}$/i.test(token)) {
+    shareLink = await ShareLink.findOne({ token });
+    if (shareLink && shareLink.hasPassword) return null;
+  } else {
+    try {
+      const decoded = verifyToken(token);
+      if (!decoded.shareLinkId) return null;
+      shareLink = await ShareLink.findById(decoded.shareLinkId);
+    } catch (error) {
+      return null;
     }
+  }
+
+  return shareLink && shareLink.isActive ? shareLink : null;
+};
+
+// Bearer token from the Authorization header, or the token cookie
+const getBearerToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  return (req.cookies && req.cookies.token) || null;
+};
+
+// Scope a personal access token needs for a request: reading projects and
+// files, writing files, or admin for everything else
+const getRequiredScope = (req) => {
+  const isRead = ["GET", "HEAD", "OPTIONS"].includes(req.method);
 
-    // Check for token in cookies (optional)
-    if (!token && req.cookies && req.cookies.token) {
-      token = req.cookies.token;
+  if (isRead && ["/api/projects", "/api/files"].includes(req.baseUrl)) {
+    return "projects:read";
+  }
+  if (req.baseUrl === "/api/files") {
+    return "files:write";
+  }
+  return "admin";
+};
+
+// The signed-in session a decoded JWT belongs to, if it has not been signed
+// out. JWTs issued before sessions existed have none and are not accepted.
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null;
+
+  const session = await Session.findById(decoded.sessionId);
+  return session &&
+    session.isActive &&
+    session.userId.toString() === decoded.userId
+    ? session
+    : null;
+};
+
+// Resolve a bearer token, a JWT or a personal access token, to its user.
+// Returns { user, accessToken, session } or { status, message } when the
+// session has ended, or a personal access token is unknown, expired or
+// lacks the scope the request needs. Invalid JWTs throw.
+const resolveBearerToken = async (req, token) => {
+  if (!AccessToken.isAccessToken(token)) {
+    const decoded = verifyToken(token);
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return {
+        status: 401,
+        message: "Access denied. Session has ended, please sign in again.",
+      };
     }
 
+    await session.touch(req.ip);
+    const user = await User.findById(decoded.userId).select("-password");
+    return { user, accessToken: null, session };
+  }
+
+  const accessToken = await AccessToken.findActive(token);
+  if (!accessToken) {
+    return {
+      status: 401,
+      message: "Access denied. Invalid or expired access token.",
+    };
+  }
+
+  const scope = getRequiredScope(req);
+  if (!accessToken.hasScope(scope)) {
+    return {
+      status: 403,
+      message: `Access denied. This access token does not have the ${scope} scope.`,
+    };
+  }
+
+  await accessToken.touch(req.ip);
+  const user = await User.findById(accessToken.userId).select("-password");
+  return { user, accessToken };
+};
+
+// Authentication middleware
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -38,11 +180,16 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = verifyToken(token);
+    // Verify token and find its user
+    const { user, accessToken, session, status, message } =
+      await resolveBearerToken(req, token);
 
-    // Find user by ID
-    const user = await User.findById(decoded.userId).select("-password");
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
 
     if (!user) {
       return res.status(401).json({
@@ -60,6 +207,9 @@ const authenticate = async (req, res, next) => {
 
     // Add user to request object
     req.user = user;
+    req.accessToken = accessToken;
+    req.userSession = session || null;
+    req.shareLink = await resolveShareLink(getShareToken(req));
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -86,38 +236,45 @@ const authenticate = async (req, res, next) => {
 // Optional authentication middleware (won't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
-    let token;
-
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
-
-    if (!token && req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    const token = getBearerToken(req);
 
     if (token) {
       try {
-        const decoded = verifyToken(token);
-        const user = await User.findById(decoded.userId).select("-password");
+        const { user, accessToken, session } = await resolveBearerToken(
+          req,
+          token
+        );
 
         if (user && user.isActive) {
           req.user = user;
+          req.accessToken = accessToken;
+          req.userSession = session || null;
         }
       } catch (error) {
         // Ignore token errors for optional auth
       }
     }
 
+    req.shareLink = await resolveShareLink(getShareToken(req));
     next();
   } catch (error) {
     next();
   }
 };
 
+// Reject personal access tokens where a signed-in session is needed, like
+// managing the account or the tokens themselves
+const requireSession = (req, res, next) => {
+  if (req.accessToken) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied. Sign in to do this; access tokens cannot.",
+    });
+  }
+
+  next();
+};
+
 // Check if user owns the resource
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -139,93 +296,107 @@ const authorize = (...roles) => {
   };
 };
 
-// Check if user owns a specific project
-const authorizeProject = async (req, res, next) => {
-  try {
-    const { Project } = require("../models");
-    const projectId =
-      req.params.id || req.params.projectId || req.body.projectId;
+// Check if user holds at least the given role on a specific project
+const authorizeProject = (minRole = "owner") => {
+  return async (req, res, next) => {
+    try {
+      const { Project } = require("../models");
+      const projectId =
+        req.params.id || req.params.projectId || req.body.projectId;
+
+      if (!projectId) {
+        return res.status(400).json({
+          success: false,
+          message: "Project ID is required.",
+        });
+      }
 
-    if (!projectId) {
-      return res.status(400).json({
-        success: false,
-        message: "Project ID is required.",
-      });
-    }
+      const project = await Project.findById(projectId);
 
-    const project = await Project.findById(projectId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: "Project not found.",
+        });
+      }
 
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: "Project not found.",
-      });
-    }
+      if (!project.hasRole(req.user, minRole, req.shareLink)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. This action requires the ${minRole} role on this project.`,
+        });
+      }
 
-    if (project.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+      req.project = project;
+      req.projectRole = project.getRole(req.user, req.shareLink);
+      next();
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: "Access denied. You do not own this project.",
+        message: "Error checking project access.",
+        error: error.message,
       });
     }
-
-    req.project = project;
-    next();
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error checking project ownership.",
-      error: error.message,
-    });
-  }
+  };
 };
 
-// Check if user owns a specific file
-const authorizeFile = async (req, res, next) => {
-  try {
-    const { File, Project } = require("../models");
-    const fileId = req.params.id || req.params.fileId || req.body.fileId;
+// Check if user holds at least the given role on a specific file's project
+const authorizeFile = (minRole = "owner") => {
+  return async (req, res, next) => {
+    try {
+      const { File } = require("../models");
+      const fileId = req.params.id || req.params.fileId || req.body.fileId;
+
+      if (!fileId) {
+        return res.status(400).json({
+          success: false,
+          message: "File ID is required.",
+        });
+      }
 
-    if (!fileId) {
-      return res.status(400).json({
-        success: false,
-        message: "File ID is required.",
-      });
-    }
+      const file = await File.findById(fileId).populate("projectId");
 
-    const file = await File.findById(fileId).populate("projectId");
+      if (!file || !file.projectId) {
+        return res.status(404).json({
+          success: false,
+          message: "File not found.",
+        });
+      }
 
-    if (!file) {
-      return res.status(404).json({
-        success: false,
-        message: "File not found.",
-      });
-    }
+      if (!file.projectId.hasRole(req.user, minRole, req.shareLink)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. This action requires the ${minRole} role on this project.`,
+        });
+      }
 
-    if (file.projectId.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+      req.file = file;
+      req.project = file.projectId;
+      req.projectRole = file.projectId.getRole(req.user, req.shareLink);
+      next();
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: "Access denied. You do not own this file.",
+        message: "Error checking file access.",
+        error: error.message,
       });
     }
-
-    req.file = file;
-    req.project = file.projectId;
-    next();
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error checking file ownership.",
-      error: error.message,
-    });
-  }
+  };
 };
 
 module.exports = {
   generateToken,
+  startSession,
   verifyToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  findActiveSession,
+  generateShareGrant,
+  getShareToken,
+  resolveShareLink,
   authenticate,
   optionalAuth,
+  requireSession,
   authorize,
   authorizeProject,
   authorizeFile,
@@ -66,7 +66,12 @@ const errorHandler = (err, req, res, next) => {
   // File upload errors
   if (err.code === "LIMIT_FILE_SIZE") {
     const message = "File size too large";
-    error = { message, statusCode: 400 };
+    error = { message, statusCode: 413 };
+  }
+
+  if (err.code === "LIMIT_FILE_COUNT") {
+    const message = "Too many files uploaded";
+    error = { message, statusCode: 413 };
   }
 
   if (err.code === "LIMIT_UNEXPECTED_FILE") {
@@ -2,10 +2,12 @@ const auth = require("./auth");
 const errorHandler = require("./errorHandler");
 const rateLimiting = require("./rateLimiting");
 const validation = require("./validation");
+const upload = require("./upload");
 
 module.exports = {
   ...auth,
   ...errorHandler,
   ...rateLimiting,
   ...validation,
+  ...upload,
 };
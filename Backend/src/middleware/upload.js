@@ -0,0 +1,36 @@
+const multer = require("multer");
+const { getImportLimits, MAX_ASSET_SIZE } = require("../services");
+
+const { maxTotalSize, maxEntries } = getImportLimits();
+
+// Project import upload: a ZIP archive or the files of a folder, kept in
+// memory because imports are parsed and stored in MongoDB directly
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  preservePath: true,
+  limits: {
+    fileSize: maxTotalSize,
+    files: maxEntries,
+    fields: 20,
+  },
+}).fields([
+  { name: "archive", maxCount: 1 },
+  { name: "files", maxCount: maxEntries },
+]);
+
+// Single binary asset upload (images, fonts, audio)
+const assetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    // Busboy refuses a file once it reaches the limit, so allow one byte more
+    // to take assets of exactly MAX_ASSET_SIZE, as imports do
+    fileSize: MAX_ASSET_SIZE + 1,
+    files: 1,
+    fields: 10,
+  },
+}).single("file");
+
+module.exports = {
+  importUpload,
+  assetUpload,
+};
@@ -1,4 +1,4 @@
-const { body, param, query } = require("express-validator");
+const { body, param, query, header } = require("express-validator");
 
 // User validation rules
 const userValidation = {
@@ -89,6 +89,27 @@ const userValidation = {
         "New password must contain at least one uppercase letter, one lowercase letter, and one number"
       ),
   ],
+
+  verifyEmail: [body("token").notEmpty().withMessage("Token is required")],
+
+  forgotPassword: [
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email address"),
+  ],
+
+  resetPassword: [
+    body("token").notEmpty().withMessage("Token is required"),
+
+    body("password")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters long")
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage(
+        "Password must contain at least one uppercase letter, one lowercase letter, and one number"
+      ),
+  ],
 };
 
 // Project validation rules
@@ -112,6 +133,11 @@ const projectValidation = {
         "Template must be one of: react, vanilla, typescript, nextjs"
       ),
 
+    body("templateId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid template ID"),
+
     body("isPublic")
       .optional()
       .isBoolean()
@@ -157,6 +183,35 @@ const projectValidation = {
 
   getById: [param("id").isMongoId().withMessage("Invalid project ID")],
 
+  import: [
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Project name must be between 1 and 100 characters"),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    body("isPublic")
+      .optional()
+      .isBoolean()
+      .withMessage("isPublic must be a boolean")
+      .toBoolean(),
+
+    body("paths")
+      .optional()
+      .custom((value) => {
+        const paths = JSON.parse(value);
+        if (!Array.isArray(paths)) throw new Error();
+        return true;
+      })
+      .withMessage("paths must be a JSON array of relative file paths"),
+  ],
+
   getUserProjects: [
     query("page")
       .optional()
@@ -178,6 +233,21 @@ const projectValidation = {
       .optional()
       .isBoolean()
       .withMessage("includeArchived must be a boolean"),
+
+    query("shared")
+      .optional()
+      .isBoolean()
+      .withMessage("shared must be a boolean"),
+  ],
+
+  syncUpstream: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+
+    body("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be a boolean")
+      .toBoolean(),
   ],
 };
 
@@ -188,6 +258,7 @@ const fileValidation = {
       .trim()
       .isLength({ min: 1, max: 255 })
       .withMessage("File name must be between 1 and 255 characters")
+      // eslint-disable-next-line no-control-regex
       .matches(/^[^<>:"/\\|?*\x00-\x1f]+$/)
       .withMessage("File name contains invalid characters"),
 
@@ -222,8 +293,14 @@ const fileValidation = {
         "svg",
         "txt",
         "env",
+        "binary",
       ])
       .withMessage("Invalid language specified"),
+
+    body("encoding")
+      .optional()
+      .isIn(["utf8", "base64"])
+      .withMessage("Encoding must be either utf8 or base64"),
   ],
 
   update: [
@@ -234,6 +311,7 @@ const fileValidation = {
       .trim()
       .isLength({ min: 1, max: 255 })
       .withMessage("File name must be between 1 and 255 characters")
+      // eslint-disable-next-line no-control-regex
       .matches(/^[^<>:"/\\|?*\x00-\x1f]+$/)
       .withMessage("File name contains invalid characters"),
 
@@ -242,11 +320,144 @@ const fileValidation = {
       .isString()
       .withMessage("Content must be a string"),
 
+    body("encoding")
+      .optional()
+      .isIn(["utf8", "base64"])
+      .withMessage("Encoding must be either utf8 or base64"),
+
     body("parentId").optional().isMongoId().withMessage("Invalid parent ID"),
+
+    body("baseVersion")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Base version must be a positive integer"),
+
+    header("if-match")
+      .optional()
+      .matches(/^(\*|(W\/)?"?\d+"?)$/)
+      .withMessage("If-Match must be a file version ETag"),
+  ],
+
+  bulkUpdate: [
+    param("projectId").isMongoId().withMessage("Invalid project ID format"),
+
+    body("files.*.baseVersion")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Base version must be a positive integer"),
+
+    body("files.*.encoding")
+      .optional()
+      .isIn(["utf8", "base64"])
+      .withMessage("Encoding must be either utf8 or base64"),
+  ],
+
+  upload: [
+    body("projectId").isMongoId().withMessage("Invalid project ID"),
+
+    body("parentId").optional().isMongoId().withMessage("Invalid parent ID"),
+
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("File name must be between 1 and 255 characters")
+      // eslint-disable-next-line no-control-regex
+      .matches(/^[^<>:"/\\|?*\x00-\x1f]+$/)
+      .withMessage("File name contains invalid characters"),
   ],
 
   getById: [param("id").isMongoId().withMessage("Invalid file ID")],
 
+  contentSearch: [
+    param("projectId").isMongoId().withMessage("Invalid project ID format"),
+
+    query("q")
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Search query must be between 1 and 500 characters"),
+
+    query(["caseSensitive", "wholeWord", "regex"])
+      .optional()
+      .isBoolean()
+      .withMessage("Search flags must be booleans"),
+
+    query(["include", "exclude"])
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Glob lists cannot exceed 1000 characters"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be between 1 and 200"),
+  ],
+
+  revision: [
+    param("id").isMongoId().withMessage("Invalid file ID"),
+
+    param("revisionId").isMongoId().withMessage("Invalid revision ID"),
+  ],
+
+  replacePreview: [
+    param("projectId").isMongoId().withMessage("Invalid project ID format"),
+
+    body("query")
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Search query must be between 1 and 500 characters"),
+
+    body("replacement")
+      .optional()
+      .isString()
+      .isLength({ max: 10000 })
+      .withMessage("Replacement cannot exceed 10000 characters"),
+
+    body(["caseSensitive", "wholeWord", "regex"])
+      .optional()
+      .isBoolean()
+      .withMessage("Search flags must be booleans")
+      .toBoolean(),
+
+    body(["include", "exclude"])
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Glob lists cannot exceed 1000 characters"),
+  ],
+
+  replaceApply: [
+    body("files")
+      .isArray({ min: 1, max: 500 })
+      .withMessage("Files must be an array of 1 to 500 selections")
+      .custom((files) => {
+        if (!Array.isArray(files)) return true;
+        const fileIds = files.map((selection) => String(selection?.fileId));
+        return new Set(fileIds).size === fileIds.length;
+      })
+      .withMessage("Each file can only be selected once"),
+
+    body("files.*.fileId").isMongoId().withMessage("Invalid file ID"),
+
+    body("files.*.baseVersion")
+      .isInt({ min: 1 })
+      .withMessage("Base version must be a positive integer")
+      .toInt(),
+
+    body("files.*.hunks")
+      .optional()
+      .isArray()
+      .withMessage("Hunks must be an array of hunk IDs"),
+
+    body("files.*.hunks.*").isString().withMessage("Hunk IDs must be strings"),
+  ],
+
   move: [
     param("id").isMongoId().withMessage("Invalid file ID"),
 
@@ -262,7 +473,6 @@ const fileValidation = {
 
 // Common validation rules
 const commonValidation = {
-  
   mongoId: [param("id").isMongoId().withMessage("Invalid ID format")],
 
   pagination: [
@@ -278,9 +488,495 @@ const commonValidation = {
   ],
 };
 
+// Trash validation rules
+const trashValidation = {
+  list: [
+    query("projectId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid project ID format"),
+  ],
+};
+
+// Collaborator validation rules
+const collaboratorValidation = {
+  invite: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+
+    body("email")
+      .trim()
+      .isEmail()
+      .withMessage("Please provide a valid email")
+      .normalizeEmail(),
+
+    body("role")
+      .optional()
+      .isIn(["viewer", "editor", "admin"])
+      .withMessage("Role must be one of: viewer, editor, admin"),
+  ],
+
+  updateRole: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+
+    body("role")
+      .isIn(["viewer", "editor", "admin"])
+      .withMessage("Role must be one of: viewer, editor, admin"),
+  ],
+
+  remove: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+  ],
+
+  revokeInvitation: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+    param("invitationId").isMongoId().withMessage("Invalid invitation ID"),
+  ],
+
+  respond: [
+    param("token")
+      .isHexadecimal()
+      .isLength({ min: 48, max: 48 })
+      .withMessage("Invalid invitation token"),
+  ],
+};
+
+// Comment validation rules
+const commentBody = body("body")
+  .trim()
+  .isLength({ min: 1, max: 5000 })
+  .withMessage("Comment must be between 1 and 5000 characters");
+
+const commentValidation = {
+  listForFile: [
+    param("id").isMongoId().withMessage("Invalid file ID"),
+
+    query("status")
+      .optional()
+      .isIn(["open", "resolved", "all"])
+      .withMessage("Status must be one of: open, resolved, all"),
+  ],
+
+  listForProject: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+
+    query("status")
+      .optional()
+      .isIn(["open", "resolved", "all"])
+      .withMessage("Status must be one of: open, resolved, all"),
+  ],
+
+  create: [
+    param("id").isMongoId().withMessage("Invalid file ID"),
+
+    commentBody,
+
+    body("startLine")
+      .isInt({ min: 1 })
+      .withMessage("Start line must be a positive integer")
+      .toInt(),
+
+    body("endLine")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("End line must be a positive integer")
+      .toInt()
+      .custom((value, { req }) => value >= req.body.startLine)
+      .withMessage("End line cannot be before the start line"),
+  ],
+
+  reply: [
+    param("id").isMongoId().withMessage("Invalid comment ID"),
+    commentBody,
+  ],
+
+  update: [
+    param("id").isMongoId().withMessage("Invalid comment ID"),
+    commentBody,
+  ],
+
+  resolve: [
+    param("id").isMongoId().withMessage("Invalid comment ID"),
+
+    body("resolved")
+      .isBoolean()
+      .withMessage("Resolved must be a boolean")
+      .toBoolean(),
+  ],
+};
+
+const shareLinkValidation = {
+  create: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+
+    body("scope")
+      .optional()
+      .isIn(["view", "fork", "edit"])
+      .withMessage("Scope must be one of: view, fork, edit"),
+
+    body("label")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Label cannot exceed 100 characters"),
+
+    body("password")
+      .optional({ checkFalsy: true })
+      .isLength({ min: 4, max: 128 })
+      .withMessage("Password must be between 4 and 128 characters"),
+
+    body("expiresInDays")
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 365 })
+      .withMessage("Expiry must be between 1 and 365 days")
+      .toInt(),
+  ],
+
+  revoke: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+    param("linkId").isMongoId().withMessage("Invalid share link ID"),
+  ],
+
+  open: [
+    param("token")
+      .isHexadecimal()
+      .isLength({ min: 48, max: 48 })
+      .withMessage("Invalid share link"),
+
+    body("password")
+      .optional()
+      .isString()
+      .withMessage("Password must be a string"),
+  ],
+};
+
+const embedValidation = {
+  oembed: [
+    query("url")
+      .isURL({ require_tld: false })
+      .withMessage("A valid embed URL is required"),
+
+    query("maxwidth")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("maxwidth must be a positive integer")
+      .toInt(),
+
+    query("maxheight")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("maxheight must be a positive integer")
+      .toInt(),
+  ],
+};
+
+// Session validation rules
+const sessionValidation = {
+  refresh: [
+    body("refreshToken")
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Refresh token is required"),
+  ],
+
+  revoke: [param("sessionId").isMongoId().withMessage("Invalid session ID")],
+};
+
+// Two-factor authentication validation rules
+const twoFactorCode = body("code")
+  .isString()
+  .trim()
+  .isLength({ min: 6, max: 20 })
+  .withMessage("Authentication code is required");
+
+const twoFactorValidation = {
+  login: [
+    body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+    twoFactorCode,
+  ],
+
+  enable: [twoFactorCode],
+
+  confirmPassword: [
+    body("password").notEmpty().withMessage("Password is required"),
+  ],
+};
+
+// OpenID Connect validation rules
+const oidcProvider = param("provider")
+  .matches(/^[a-z0-9_-]+$/)
+  .withMessage("Invalid provider");
+
+const oidcValidation = {
+  start: [oidcProvider],
+
+  callback: [
+    body("state").isString().notEmpty().withMessage("State is required"),
+    body("code").isString().notEmpty().withMessage("Code is required"),
+  ],
+
+  unlink: [oidcProvider],
+};
+
+// Admin validation rules
+const adminPage = [
+  ...commonValidation.pagination,
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search query cannot exceed 100 characters"),
+];
+
+const adminValidation = {
+  getUsers: [
+    ...adminPage,
+
+    query("status")
+      .optional()
+      .isIn(["all", "active", "inactive"])
+      .withMessage("Status must be one of: all, active, inactive"),
+
+    query("role")
+      .optional()
+      .isIn(["user", "admin"])
+      .withMessage("Role must be one of: user, admin"),
+  ],
+
+  user: [param("userId").isMongoId().withMessage("Invalid user ID")],
+
+  updateRole: [
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+
+    body("role")
+      .isIn(["user", "admin"])
+      .withMessage("Role must be one of: user, admin"),
+  ],
+
+  getProjects: [
+    ...adminPage,
+
+    query("visibility")
+      .optional()
+      .isIn(["all", "public", "private", "unpublished"])
+      .withMessage(
+        "Visibility must be one of: all, public, private, unpublished"
+      ),
+
+    query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+  ],
+
+  unpublish: [
+    param("id").isMongoId().withMessage("Invalid project ID"),
+
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+};
+
+// Audit log validation rules
+const auditValidation = {
+  getEvents: [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be between 1 and 200"),
+
+    query("action")
+      .optional()
+      .matches(/^[a-z_]+(\.[a-z_]+)?$/)
+      .withMessage("Invalid action"),
+
+    query("outcome")
+      .optional()
+      .isIn(["success", "failure"])
+      .withMessage("Outcome must be one of: success, failure"),
+
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+
+    query("format")
+      .optional()
+      .isIn(["json", "csv"])
+      .withMessage("Format must be one of: json, csv"),
+  ],
+
+  // Filters only admins can use, on the whole log
+  getAllEvents: [
+    query("actorId").optional().isMongoId().withMessage("Invalid actor ID"),
+
+    query("targetType")
+      .optional()
+      .isIn(["user", "project", "file", "share-link", "invitation"])
+      .withMessage(
+        "Target type must be one of: user, project, file, share-link, invitation"
+      ),
+
+    query("targetId").optional().isMongoId().withMessage("Invalid target ID"),
+
+    query("projectId").optional().isMongoId().withMessage("Invalid project ID"),
+  ],
+};
+
+// Personal access token validation rules
+const accessTokenValidation = {
+  create: [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Token name must be between 1 and 100 characters"),
+
+    body("scopes").isArray({ min: 1 }).withMessage("Choose at least one scope"),
+
+    body("scopes.*")
+      .isIn(["projects:read", "files:write", "admin"])
+      .withMessage("Scopes must be: projects:read, files:write, admin"),
+
+    body("expiresInDays")
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 365 })
+      .withMessage("Expiry must be between 1 and 365 days")
+      .toInt(),
+  ],
+
+  revoke: [param("tokenId").isMongoId().withMessage("Invalid token ID")],
+};
+
+// Saved project template validation rules
+const templateValidation = {
+  getAll: [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+
+    query("search")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Search query cannot exceed 100 characters"),
+
+    query("tag")
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage("Tag cannot exceed 30 characters"),
+
+    query("scope")
+      .optional()
+      .isIn(["all", "mine", "team", "public"])
+      .withMessage("Scope must be one of: all, mine, team, public"),
+  ],
+
+  create: [
+    body("projectId").isMongoId().withMessage("Invalid project ID"),
+
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Template name must be between 1 and 100 characters"),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    body("thumbnail")
+      .optional({ checkFalsy: true })
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Thumbnail must be an http(s) image URL"),
+
+    body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+    body("tags.*")
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage("Each tag cannot exceed 30 characters"),
+
+    body("visibility")
+      .optional()
+      .isIn(["private", "team", "public"])
+      .withMessage("Visibility must be one of: private, team, public"),
+  ],
+
+  update: [
+    param("id").isMongoId().withMessage("Invalid template ID"),
+
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Template name must be between 1 and 100 characters"),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    body("thumbnail")
+      .optional({ checkFalsy: true })
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Thumbnail must be an http(s) image URL"),
+
+    body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+    body("tags.*")
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage("Each tag cannot exceed 30 characters"),
+
+    body("visibility")
+      .optional()
+      .isIn(["private", "team", "public"])
+      .withMessage("Visibility must be one of: private, team, public"),
+
+    body("refreshFiles")
+      .optional()
+      .isBoolean()
+      .withMessage("refreshFiles must be a boolean")
+      .toBoolean(),
+  ],
+};
+
 module.exports = {
   userValidation,
   projectValidation,
   fileValidation,
+  trashValidation,
+  collaboratorValidation,
+  commentValidation,
+  shareLinkValidation,
+  embedValidation,
+  templateValidation,
+  accessTokenValidation,
+  sessionValidation,
+  twoFactorValidation,
+  oidcValidation,
+  adminValidation,
+  auditValidation,
   commonValidation,
 };
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// What a personal access token may be used for
+const TOKEN_SCOPES = ["projects:read", "files:write", "admin"];
+
+// Tokens are recognisable by their prefix, so they can be told apart from
+// JWTs and spotted when leaked
+const TOKEN_PREFIX = "csp_";
+
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Only a hash of the token is stored; tokens are random enough that a fast
+// hash is safe and lets them be looked up directly
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [100, "Token name cannot exceed 100 characters"],
+    },
+    scopes: {
+      type: [{ type: String, enum: TOKEN_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "A token needs at least one scope",
+      },
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // Don't include the hash in queries by default
+    },
+    // The start of the token, shown so users can tell their tokens apart
+    tokenPreview: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether the token still grants access
+accessTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to create a token; the plain token is only returned here
+accessTokenSchema.statics.issue = async function (fields) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(30).toString("base64url");
+  const accessToken = await this.create({
+    ...fields,
+    tokenHash: hashToken(token),
+    tokenPreview: token.slice(0, TOKEN_PREFIX.length + 6),
+  });
+
+  return { accessToken, token };
+};
+
+// Static method to find the active token a plain token stands for
+accessTokenSchema.statics.findActive = async function (token) {
+  const accessToken = await this.findOne({ tokenHash: hashToken(token) });
+  return accessToken && accessToken.isActive ? accessToken : null;
+};
+
+// Static method to check whether a bearer token is a personal access token
+accessTokenSchema.statics.isAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+// Instance method to check the token grants a scope; admin grants them all,
+// and writing files includes reading them
+accessTokenSchema.methods.hasScope = function (scope) {
+  if (this.scopes.includes("admin") || this.scopes.includes(scope)) {
+    return true;
+  }
+  return scope === "projects:read" && this.scopes.includes("files:write");
+};
+
+// Instance method to revoke the token
+accessTokenSchema.methods.revoke = async function () {
+  this.revokedAt = new Date();
+  return await this.save();
+};
+
+// Instance method to record that the token was used. Scripts may make many
+// requests in a row, so this is written at most once a minute.
+accessTokenSchema.methods.touch = async function (ip) {
+  if (
+    this.lastUsedAt &&
+    Date.now() - this.lastUsedAt < LAST_USED_RESOLUTION_MS &&
+    this.lastUsedIp === (ip || null)
+  ) {
+    return this;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip || null;
+  return await this.save({ validateBeforeSave: false });
+};
+
+// Remove sensitive data when converting to JSON
+accessTokenSchema.methods.toJSON = function () {
+  const accessToken = this.toObject();
+  delete accessToken.tokenHash;
+  delete accessToken.__v;
+  return accessToken;
+};
+
+module.exports = mongoose.model("AccessToken", accessTokenSchema);
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const MINUTE_MS = 60 * 1000;
+
+// What a token emailed to a user lets them do, and how long it lasts
+const TOKEN_PURPOSES = {
+  "verify-email": () =>
+    (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) *
+    60 *
+    MINUTE_MS,
+  "reset-password": () =>
+    (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * MINUTE_MS,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const accountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: Object.keys(TOKEN_PURPOSES),
+      required: true,
+    },
+    // Only a hash is stored, so a database leak can't be used to take over
+    // accounts
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to create a token for a user; the plain token is only
+// returned here. Earlier tokens for the same purpose stop working.
+accountTokenSchema.statics.issue = async function (userId, purpose) {
+  await this.deleteMany({ userId, purpose });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_PURPOSES[purpose]()),
+  });
+
+  return token;
+};
+
+// Static method to use up a token. Returns the user ID it was issued to, or
+// null if the token is unknown, expired or already used.
+accountTokenSchema.statics.consume = async function (token, purpose) {
+  const accountToken = await this.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return accountToken ? accountToken.userId : null;
+};
+
+module.exports = mongoose.model("AccountToken", accountTokenSchema);
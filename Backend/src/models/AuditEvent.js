@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = [
+  "auth.login",
+  "auth.login_failed",
+  "account.register",
+  "account.password_change",
+  "account.password_reset",
+  "account.two_factor_enable",
+  "account.two_factor_disable",
+  "account.deactivate",
+  "account.delete",
+  "admin.user_deactivate",
+  "admin.user_reactivate",
+  "admin.user_role_change",
+  "admin.project_unpublish",
+  "admin.project_republish",
+  "project.create",
+  "project.delete",
+  "project.restore",
+  "project.purge",
+  "project.archive",
+  "project.unarchive",
+  "project.visibility_change",
+  "file.delete",
+  "file.purge",
+  "share.link_create",
+  "share.link_revoke",
+  "share.invite",
+  "share.invite_revoke",
+  "share.collaborator_role_change",
+  "share.collaborator_remove",
+];
+
+const AUDIT_TARGET_TYPES = [
+  "user",
+  "project",
+  "file",
+  "share-link",
+  "invitation",
+];
+
+// Who did something and what to, copied onto each event so the log still
+// reads after users, projects and files are deleted
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, "Action is required"],
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+    // Null when nobody is signed in, e.g. a failed login
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      username: {
+        type: String,
+        default: null,
+      },
+      email: {
+        type: String,
+        default: null,
+      },
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 512,
+    },
+    target: {
+      type: {
+        type: String,
+        enum: [...AUDIT_TARGET_TYPES, null],
+        default: null,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      name: {
+        type: String,
+        default: null,
+      },
+    },
+    // The project the target belongs to, or the target itself
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    // Anything else worth knowing, e.g. the old and new role
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ "actor.userId": 1, createdAt: -1 });
+auditEventSchema.index({ "target.id": 1, createdAt: -1 });
+auditEventSchema.index({ projectId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// The log is append-only: events can be added but never changed or removed
+const appendOnly = () => {
+  throw new Error("Audit events can't be changed or deleted");
+};
+
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "findOneAndRemove",
+    "deleteOne",
+    "deleteMany",
+  ],
+  appendOnly
+);
+auditEventSchema.pre("deleteOne", { document: true, query: false }, appendOnly);
+
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit events can't be changed"));
+  next();
+});
+
+// Remove internal fields when converting to JSON
+auditEventSchema.methods.toJSON = function () {
+  const event = this.toObject();
+  delete event.__v;
+  return event;
+};
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const { reanchorThreads } = require("../services/commentService");
+
+// Where a thread is attached: a line range and the text it covered, so the
+// range can be found again after the file changes
+const anchorSchema = new mongoose.Schema(
+  {
+    startLine: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    endLine: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    lines: {
+      type: [String],
+      default: [],
+    },
+    // File version the line numbers refer to
+    version: {
+      type: Number,
+      required: true,
+    },
+    // The commented lines were changed or removed
+    outdated: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const commentSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project ID is required"],
+      index: true,
+    },
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+      required: [true, "File ID is required"],
+      index: true,
+    },
+    // Replies point at the comment that started their thread
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+      index: true,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, "Comment body is required"],
+      trim: true,
+      maxlength: [5000, "Comment cannot exceed 5000 characters"],
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Only set on the first comment of a thread
+    anchor: {
+      type: anchorSchema,
+      default: undefined,
+    },
+    resolved: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+commentSchema.index({ projectId: 1, parentId: 1, resolved: 1 });
+
+// Virtual for whether this comment starts a thread
+commentSchema.virtual("isThread").get(function () {
+  return !this.parentId;
+});
+
+// Instance method to mark a thread resolved or open again
+commentSchema.methods.setResolved = async function (resolved, userId) {
+  this.resolved = resolved;
+  this.resolvedBy = resolved ? userId : null;
+  this.resolvedAt = resolved ? new Date() : null;
+  return await this.save();
+};
+
+// Instance method to delete a comment and, for a thread, its replies
+commentSchema.methods.deleteThread = async function () {
+  if (this.isThread) {
+    await this.constructor.deleteMany({ parentId: this._id });
+  }
+  await this.deleteOne();
+};
+
+// Static method to save where a file's threads moved to after its content
+// changed
+commentSchema.statics.reanchorFile = async function (
+  file,
+  { session = null } = {}
+) {
+  const threads = await this.find({
+    fileId: file._id,
+    parentId: null,
+    "anchor.version": { $ne: file.metadata.version },
+  }).session(session);
+
+  for (const thread of reanchorThreads(threads, file)) {
+    await thread.save({ timestamps: false, session });
+  }
+};
+
+module.exports = mongoose.model("Comment", commentSchema);
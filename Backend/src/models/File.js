@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const softDelete = require("./softDelete");
+const { hasConflictMarkers } = require("../services/mergeService");
 
 const fileSchema = new mongoose.Schema(
   {
@@ -57,6 +60,7 @@ const fileSchema = new mongoose.Schema(
         "svg",
         "txt",
         "env",
+        "binary",
       ],
     },
     size: {
@@ -94,6 +98,30 @@ const fileSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
+      lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    },
+    // Set when an upstream sync leaves conflict markers in the content, and
+    // cleared once a save removes them
+    mergeConflict: {
+      type: Boolean,
+      default: false,
+    },
+    // Yjs document state from the last collaborative editing session, so a
+    // reloaded room shares history with clients that kept their document
+    collabState: {
+      type: Buffer,
+      default: null,
+      select: false,
+    },
+    // Set on files trashed along with a folder, pointing at that folder
+    deletedRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+      default: null,
     },
     permissions: {
       read: {
@@ -117,11 +145,20 @@ const fileSchema = new mongoose.Schema(
   }
 );
 
+// Deleted files go to the trash before being purged
+fileSchema.plugin(softDelete);
+
 // Compound indexes for better query performance
 fileSchema.index({ projectId: 1, type: 1 });
 fileSchema.index({ projectId: 1, parentId: 1 });
-fileSchema.index({ projectId: 1, path: 1 }, { unique: true });
-fileSchema.index({ projectId: 1, name: 1, parentId: 1 }, { unique: true });
+fileSchema.index({ deletedRoot: 1 });
+
+// Paths only need to be unique among files that are not in the trash
+fileSchema.index({ projectId: 1, path: 1, deletedAt: 1 }, { unique: true });
+fileSchema.index(
+  { projectId: 1, name: 1, parentId: 1, deletedAt: 1 },
+  { unique: true }
+);
 
 // Virtual for children (if it's a folder)
 fileSchema.virtual("children", {
@@ -147,13 +184,99 @@ fileSchema.virtual("depth").get(function () {
   return this.path.split("/").length - 1;
 });
 
+// Asset extensions stored as base64 rather than editable text
+const BINARY_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  mp3: "audio/mpeg",
+};
+
+// Get the lowercase extension of a file name
+const getExtension = (name) => {
+  const parts = (name || "").split(".");
+  return parts.length > 1 ? parts.pop().toLowerCase() : null;
+};
+
+// Byte length of content in its stored encoding
+const getContentSize = (content, encoding) =>
+  Buffer.byteLength(
+    content || "",
+    encoding === "base64" ? "base64" : encoding === "binary" ? "latin1" : "utf8"
+  );
+
+// Compute a checksum for file content
+const computeChecksum = (content) =>
+  crypto
+    .createHash("sha256")
+    .update(content || "", "utf8")
+    .digest("hex");
+
+// Capture the persisted state so the previous content can be kept as a revision
+const captureSnapshot = (doc) => {
+  doc.$locals.snapshot = {
+    path: doc.path,
+    content: doc.content,
+    encoding: doc.encoding,
+    size: doc.size,
+    version: doc.metadata.version,
+    checksum: doc.metadata.checksum || computeChecksum(doc.content),
+    author: doc.metadata.lastModifiedBy,
+    modifiedAt: doc.metadata.lastModified,
+  };
+};
+
+fileSchema.post("init", function () {
+  captureSnapshot(this);
+});
+
+// Note the content a save is about to overwrite, to keep it as a revision
+fileSchema.pre("save", function () {
+  const overwritesContent =
+    !this.isNew && this.type === "file" && this.isModified("content");
+  this.$locals.overwritten = overwritesContent ? this.$locals.snapshot : null;
+});
+
+// Once the save has gone through, keep the overwritten content as a revision
+// and move comment threads along with their lines. Both run in the save's
+// session, so a failed or rolled back save leaves nothing behind.
+fileSchema.post("save", async function () {
+  const snapshot = this.$locals.overwritten;
+  if (!snapshot) return;
+
+  this.$locals.overwritten = null;
+  const session = this.$session();
+  await this.model("FileRevision").recordSnapshot(this, snapshot, { session });
+  await this.model("Comment").reanchorFile(this, { session });
+});
+
+fileSchema.post("save", function () {
+  captureSnapshot(this);
+});
+
 // Pre-save middleware
 fileSchema.pre("save", function (next) {
   // Update metadata
   if (this.isModified("content")) {
     this.metadata.lastModified = new Date();
     this.metadata.version += 1;
-    this.size = Buffer.byteLength(this.content || "", "utf8");
+    this.metadata.checksum = computeChecksum(this.content);
+  }
+
+  if (
+    this.mergeConflict &&
+    this.isModified("content") &&
+    !hasConflictMarkers(this.content)
+  ) {
+    this.mergeConflict = false;
+  }
+
+  if (this.isModified("content") || this.isModified("encoding")) {
+    this.size = getContentSize(this.content, this.encoding);
   }
 
   // Set language based on file extension
@@ -182,6 +305,8 @@ fileSchema.pre("save", function (next) {
 
     if (ext && languageMap[ext]) {
       this.language = languageMap[ext];
+    } else if (ext && BINARY_MIME_TYPES[ext]) {
+      this.language = "binary";
     }
 
     // Set MIME type
@@ -208,12 +333,45 @@ fileSchema.pre("save", function (next) {
 
     if (ext && mimeMap[ext]) {
       this.mimeType = mimeMap[ext];
+    } else if (ext && BINARY_MIME_TYPES[ext]) {
+      this.mimeType = BINARY_MIME_TYPES[ext];
     }
   }
 
   next();
 });
 
+// Static method to check if a file name is a supported binary asset
+fileSchema.statics.isBinaryAsset = function (name) {
+  return Boolean(BINARY_MIME_TYPES[getExtension(name)]);
+};
+
+// Static method to get the MIME type of a binary asset
+fileSchema.statics.getAssetMimeType = function (name) {
+  return BINARY_MIME_TYPES[getExtension(name)] || null;
+};
+
+// Static method to get the byte length of content in an encoding
+fileSchema.statics.getContentSize = function (content, encoding) {
+  return getContentSize(content, encoding);
+};
+
+// Instance method to decode the stored content into raw bytes
+fileSchema.methods.getContentBuffer = function () {
+  if (this.encoding === "base64") {
+    return Buffer.from(this.content || "", "base64");
+  }
+  if (this.encoding === "binary") {
+    return Buffer.from(this.content || "", "latin1");
+  }
+  return Buffer.from(this.content || "", "utf8");
+};
+
+// Instance method to get the checksum of the current content
+fileSchema.methods.getChecksum = function () {
+  return this.metadata.checksum || computeChecksum(this.content);
+};
+
 // Static method to build file tree
 fileSchema.statics.buildFileTree = async function (projectId, parentId = null) {
   const files = await this.find({ projectId, parentId }).sort({
@@ -309,15 +467,138 @@ fileSchema.methods.updateChildrenPaths = async function (
 // Instance method to delete recursively
 fileSchema.methods.deleteRecursively = async function () {
   if (this.type === "folder") {
-    const children = await this.constructor.find({ parentId: this._id });
+    const children = await this.constructor
+      .find({ parentId: this._id })
+      .setOptions({ withDeleted: true });
     for (const child of children) {
       await child.deleteRecursively();
     }
   }
 
+  await this.model("FileRevision").deleteMany({ fileId: this._id });
+  await this.model("Comment").deleteMany({ fileId: this._id });
   await this.deleteOne();
 };
 
+// Instance method to collect all non-deleted descendants of a folder
+fileSchema.methods.getDescendants = async function () {
+  const descendants = [];
+  let parentIds = [this._id];
+
+  while (parentIds.length) {
+    const children = await this.constructor.find({
+      parentId: { $in: parentIds },
+    });
+    descendants.push(...children);
+    parentIds = children
+      .filter((child) => child.type === "folder")
+      .map((child) => child._id);
+  }
+
+  return descendants;
+};
+
+// Instance method to move a file or folder (with its contents) to the trash
+fileSchema.methods.moveToTrash = async function (userId) {
+  const deletedAt = new Date();
+  const descendants =
+    this.type === "folder" ? await this.getDescendants() : [];
+
+  if (descendants.length) {
+    await this.constructor.updateMany(
+      { _id: { $in: descendants.map((file) => file._id) } },
+      { $set: { deletedAt, deletedBy: userId, deletedRoot: this._id } }
+    );
+  }
+
+  this.deletedAt = deletedAt;
+  this.deletedBy = userId;
+  this.deletedRoot = null;
+  await this.save();
+
+  return descendants.length + 1;
+};
+
+// Find a name that is free at a location, e.g. "App (restored).js"
+const findAvailableName = async (File, projectId, name, toPath) => {
+  const dot = name.lastIndexOf(".");
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : "";
+
+  let candidate = name;
+  let attempt = 1;
+  while (await File.exists({ projectId, path: toPath(candidate) })) {
+    candidate = `${base} (restored${attempt > 1 ? ` ${attempt}` : ""})${ext}`;
+    attempt += 1;
+  }
+
+  return candidate;
+};
+
+// Instance method to restore a trashed file or folder (with its contents)
+fileSchema.methods.restoreFromTrash = async function () {
+  const File = this.constructor;
+  const oldPath = this.path;
+  const rootPrefix = oldPath.startsWith("/") ? "/" : "";
+  let parentPath = oldPath.slice(0, Math.max(oldPath.lastIndexOf("/"), 0));
+
+  // Re-link to the original parent, or to a folder now at the same path;
+  // without either the file goes back to the project root
+  if (this.parentId) {
+    const parent =
+      (await File.findOne({
+        _id: this.parentId,
+        projectId: this.projectId,
+        type: "folder",
+      })) ||
+      (await File.findOne({
+        projectId: this.projectId,
+        path: parentPath,
+        type: "folder",
+      }));
+
+    this.parentId = parent ? parent._id : null;
+    parentPath = parent ? parent.path : "";
+  }
+
+  const toPath = (name) =>
+    parentPath ? `${parentPath}/${name}` : `${rootPrefix}${name}`;
+  const name = await findAvailableName(File, this.projectId, this.name, toPath);
+
+  const descendants = await File.find({
+    deletedRoot: this._id,
+    deletedAt: { $ne: null },
+  });
+
+  this.name = name;
+  this.path = toPath(name);
+  this.deletedAt = null;
+  this.deletedBy = null;
+  await this.save();
+
+  for (const descendant of descendants) {
+    descendant.path = this.path + descendant.path.slice(oldPath.length);
+    descendant.deletedAt = null;
+    descendant.deletedBy = null;
+    descendant.deletedRoot = null;
+    await descendant.save();
+  }
+
+  return this;
+};
+
+// Instance method to permanently delete a trashed file and its contents
+fileSchema.methods.purge = async function () {
+  const descendants = await this.constructor
+    .find({ deletedRoot: this._id, deletedAt: { $ne: null } })
+    .select("_id");
+  const ids = [this._id, ...descendants.map((file) => file._id)];
+
+  await this.model("FileRevision").deleteMany({ fileId: { $in: ids } });
+  await this.model("Comment").deleteMany({ fileId: { $in: ids } });
+  await this.constructor.deleteMany({ _id: { $in: ids } });
+};
+
 // Instance method to get ancestors
 fileSchema.methods.getAncestors = async function () {
   const ancestors = [];
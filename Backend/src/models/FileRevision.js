@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const fileRevisionSchema = new mongoose.Schema(
+  {
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+      required: [true, "File ID is required"],
+      index: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project ID is required"],
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: [true, "Version is required"],
+      min: 1,
+    },
+    path: {
+      type: String,
+      required: [true, "Path is required"],
+      trim: true,
+    },
+    content: {
+      type: String,
+      default: "",
+    },
+    encoding: {
+      type: String,
+      default: "utf8",
+      enum: ["utf8", "base64", "binary"],
+    },
+    size: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    checksum: {
+      type: String,
+      default: null,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // When this version of the content was originally written
+    modifiedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+fileRevisionSchema.index({ fileId: 1, version: -1 }, { unique: true });
+
+// Maximum number of revisions kept per file (oldest are pruned first)
+const getRevisionLimit = () =>
+  parseInt(process.env.MAX_FILE_REVISIONS, 10) || 100;
+
+// Static method to record a snapshot of a file's previous content
+fileRevisionSchema.statics.recordSnapshot = async function (
+  file,
+  snapshot,
+  { session = null } = {}
+) {
+  const revision = await this.findOneAndUpdate(
+    { fileId: file._id, version: snapshot.version },
+    {
+      $setOnInsert: {
+        projectId: file.projectId,
+        path: snapshot.path,
+        content: snapshot.content,
+        encoding: snapshot.encoding,
+        size: snapshot.size,
+        checksum: snapshot.checksum,
+        author: snapshot.author,
+        modifiedAt: snapshot.modifiedAt,
+      },
+    },
+    { upsert: true, new: true, session }
+  );
+
+  await this.pruneRevisions(file._id, { session });
+
+  return revision;
+};
+
+// Static method to drop revisions beyond the configured limit
+fileRevisionSchema.statics.pruneRevisions = async function (
+  fileId,
+  { session = null } = {}
+) {
+  const stale = await this.find({ fileId })
+    .sort({ version: -1 })
+    .skip(getRevisionLimit())
+    .select("_id")
+    .session(session);
+
+  if (stale.length) {
+    await this.deleteMany(
+      { _id: { $in: stale.map((rev) => rev._id) } },
+      { session }
+    );
+  }
+};
+
+// Static method to list revisions of a file without their content
+fileRevisionSchema.statics.listForFile = function (fileId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return this.find({ fileId })
+    .select("-content")
+    .sort({ version: -1 })
+    .limit(limit)
+    .skip(skip)
+    .populate("author", "username firstName lastName avatar");
+};
+
+module.exports = mongoose.model("FileRevision", fileRevisionSchema);
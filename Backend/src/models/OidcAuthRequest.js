@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// How long a user has to finish signing in at the provider
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// A sign-in or account link started with an OpenID Connect provider, kept
+// until the provider redirects back. It holds the values the callback is
+// checked against.
+const oidcAuthRequestSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    intent: {
+      type: String,
+      enum: ["login", "link"],
+      default: "login",
+    },
+    // The signed-in user an identity is being linked to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + REQUEST_TTL_MS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Abandoned requests are removed by MongoDB
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to use up the request a callback's state belongs to
+oidcAuthRequestSchema.statics.consume = function (state) {
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model("OidcAuthRequest", oidcAuthRequestSchema);
@@ -1,4 +1,12 @@
 const mongoose = require("mongoose");
+const softDelete = require("./softDelete");
+
+// Project access levels, lowest first; the owner outranks every collaborator
+const PROJECT_ROLES = ["viewer", "editor", "admin", "owner"];
+const COLLABORATOR_ROLES = ["viewer", "editor", "admin"];
+
+// Read the id of a reference that may or may not be populated
+const toIdString = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
 
 const projectSchema = new mongoose.Schema(
   {
@@ -30,6 +38,55 @@ const projectSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    collaborators: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: COLLABORATOR_ROLES,
+          default: "viewer",
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // The project this one was duplicated from, and the upstream version it
+    // was last synced with: the version and checksum of each upstream file
+    forkedFrom: {
+      projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+        default: null,
+      },
+      files: [
+        {
+          _id: false,
+          fileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+          path: { type: String, required: true },
+          version: { type: Number, required: true },
+          checksum: { type: String, default: null },
+        },
+      ],
+      forkedAt: {
+        type: Date,
+        default: null,
+      },
+      syncedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     tags: [
       {
         type: String,
@@ -117,6 +174,25 @@ const projectSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set when a site admin takes the project down from public view; it
+    // stays private until an admin republishes it
+    moderation: {
+      unpublishedAt: {
+        type: Date,
+        default: null,
+      },
+      unpublishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Reason cannot exceed 500 characters"],
+        default: "",
+      },
+    },
   },
   {
     timestamps: true,
@@ -125,11 +201,17 @@ const projectSchema = new mongoose.Schema(
   }
 );
 
+// Deleted projects go to the trash before being purged
+projectSchema.plugin(softDelete);
+
 // Indexes for better query performance
 projectSchema.index({ userId: 1, createdAt: -1 });
 projectSchema.index({ userId: 1, isArchived: 1 });
 projectSchema.index({ isPublic: 1, createdAt: -1 });
+projectSchema.index({ "moderation.unpublishedAt": 1 });
 projectSchema.index({ tags: 1 });
+projectSchema.index({ "collaborators.userId": 1 });
+projectSchema.index({ "forkedFrom.projectId": 1 });
 
 // Virtual for files
 projectSchema.virtual("files", {
@@ -154,17 +236,36 @@ projectSchema.pre("save", function (next) {
   next();
 });
 
+// Static method to build a filter for projects a user holds at least a role in
+projectSchema.statics.accessibleBy = function (userId, minRole = "viewer") {
+  if (minRole === "owner") return { userId };
+
+  const roles = COLLABORATOR_ROLES.slice(COLLABORATOR_ROLES.indexOf(minRole));
+
+  return {
+    $or: [
+      { userId },
+      {
+        collaborators: {
+          $elemMatch: { userId, role: { $in: roles } },
+        },
+      },
+    ],
+  };
+};
+
 // Static method to find user's projects
 projectSchema.statics.findUserProjects = function (userId, options = {}) {
   const {
     includeArchived = false,
+    shared = false,
     sort = { createdAt: -1 },
     limit = 20,
     skip = 0,
     search = "",
   } = options;
 
-  const query = { userId };
+  const query = shared ? { "collaborators.userId": userId } : { userId };
 
   if (!includeArchived) {
     query.isArchived = false;
@@ -185,6 +286,96 @@ projectSchema.statics.findUserProjects = function (userId, options = {}) {
     .populate("userId", "username email firstName lastName");
 };
 
+// Role a user holds as owner or collaborator
+const getMemberRole = (project, user) => {
+  const userId = toIdString(user);
+  if (!userId) return null;
+
+  if (toIdString(project.userId) === userId) return "owner";
+
+  const collaborator = project.collaborators.find(
+    (entry) => toIdString(entry.userId) === userId
+  );
+  return collaborator ? collaborator.role : null;
+};
+
+// Instance method to get a user's role: owner, a collaborator role or null.
+// A share link for this project grants its role to whoever holds it,
+// with or without an account.
+projectSchema.methods.getRole = function (user, shareLink = null) {
+  const memberRole = getMemberRole(this, user);
+  const shareRole =
+    shareLink &&
+    shareLink.isActive &&
+    toIdString(shareLink.projectId) === toIdString(this._id)
+      ? shareLink.role
+      : null;
+
+  return PROJECT_ROLES.indexOf(shareRole) > PROJECT_ROLES.indexOf(memberRole)
+    ? shareRole
+    : memberRole;
+};
+
+// Instance method to check a user holds at least the given role
+projectSchema.methods.hasRole = function (user, minRole, shareLink = null) {
+  const role = this.getRole(user, shareLink);
+  return (
+    role !== null &&
+    PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole)
+  );
+};
+
+// Instance method to check a user can read the project. Site admins can
+// read every project.
+projectSchema.methods.canView = function (user, shareLink = null) {
+  return (
+    this.isPublic ||
+    this.hasRole(user, "viewer", shareLink) ||
+    user?.role === "admin"
+  );
+};
+
+// Instance method to take the project down from public view
+projectSchema.methods.unpublish = async function (adminId, reason = "") {
+  this.isPublic = false;
+  this.moderation = {
+    unpublishedAt: new Date(),
+    unpublishedBy: adminId,
+    reason,
+  };
+  return await this.save();
+};
+
+// Instance method to lift a moderator's unpublish and make it public again
+projectSchema.methods.republish = async function () {
+  this.isPublic = true;
+  this.moderation = { unpublishedAt: null, unpublishedBy: null, reason: "" };
+  return await this.save();
+};
+
+// Instance method to add a collaborator or change their role
+projectSchema.methods.setCollaborator = async function (userId, role, addedBy) {
+  const collaborator = this.collaborators.find(
+    (entry) => toIdString(entry.userId) === toIdString(userId)
+  );
+
+  if (collaborator) {
+    collaborator.role = role;
+  } else {
+    this.collaborators.push({ userId, role, addedBy });
+  }
+
+  return await this.save();
+};
+
+// Instance method to remove a collaborator
+projectSchema.methods.removeCollaborator = async function (userId) {
+  this.collaborators = this.collaborators.filter(
+    (entry) => toIdString(entry.userId) !== toIdString(userId)
+  );
+  return await this.save();
+};
+
 // Instance method to archive project
 projectSchema.methods.archive = async function () {
   this.isArchived = true;
@@ -199,6 +390,36 @@ projectSchema.methods.restore = async function () {
   return await this.save();
 };
 
+// Instance method to move project to the trash
+projectSchema.methods.moveToTrash = async function (userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return await this.save();
+};
+
+// Instance method to restore project from the trash
+projectSchema.methods.restoreFromTrash = async function () {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return await this.save();
+};
+
+// Instance method to permanently delete project, its files, their history
+// and comments, and its invitations and share links. Templates saved from
+// it keep their files but lose their team.
+projectSchema.methods.purge = async function () {
+  await this.model("File").deleteMany({ projectId: this._id });
+  await this.model("FileRevision").deleteMany({ projectId: this._id });
+  await this.model("Comment").deleteMany({ projectId: this._id });
+  await this.model("ProjectInvitation").deleteMany({ projectId: this._id });
+  await this.model("ShareLink").deleteMany({ projectId: this._id });
+  await this.model("ProjectTemplate").updateMany(
+    { projectId: this._id },
+    { projectId: null }
+  );
+  await this.deleteOne();
+};
+
 // Instance method to update project settings
 projectSchema.methods.updateSettings = async function (newSettings) {
   this.settings = { ...this.settings.toObject(), ...newSettings };
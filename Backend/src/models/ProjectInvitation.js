@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// How long an invitation can be accepted for
+const getInvitationTTLDays = () =>
+  parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const projectInvitationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project ID is required"],
+      index: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ["viewer", "editor", "admin"],
+      default: "viewer",
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString("hex"),
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + getInvitationTTLDays() * 24 * 60 * 60 * 1000),
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+projectInvitationSchema.index({ projectId: 1, email: 1, status: 1 });
+
+// Virtual for whether the invitation can still be answered
+projectInvitationSchema.virtual("isOpen").get(function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+});
+
+// Static method to find open invitations for an email address
+projectInvitationSchema.statics.findOpenForEmail = function (email) {
+  return this.find({
+    email: email.toLowerCase(),
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Instance method to record the invitee's answer
+projectInvitationSchema.methods.respond = async function (status) {
+  this.status = status;
+  this.respondedAt = new Date();
+  return await this.save();
+};
+
+module.exports = mongoose.model("ProjectInvitation", projectInvitationSchema);
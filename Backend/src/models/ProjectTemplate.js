@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+
+// Who can see and use a template: its owner, the members of the project it
+// was saved from, or everyone
+const TEMPLATE_VISIBILITIES = ["private", "team", "public"];
+
+const templateFileSchema = new mongoose.Schema({
+  // The file's id in the project the template was saved from; parentId
+  // refers to these, so the tree can be rebuilt when the template is used
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["file", "folder"],
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  content: {
+    type: String,
+    default: "",
+  },
+  language: {
+    type: String,
+    default: "text",
+  },
+  size: {
+    type: Number,
+    default: 0,
+  },
+  encoding: {
+    type: String,
+    default: "utf8",
+  },
+  mimeType: {
+    type: String,
+    default: null,
+  },
+});
+
+const projectTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      minlength: [1, "Template name cannot be empty"],
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    thumbnail: {
+      type: String,
+      trim: true,
+      maxlength: [2048, "Thumbnail URL cannot exceed 2048 characters"],
+      default: null,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [30, "Tag cannot exceed 30 characters"],
+      },
+    ],
+    visibility: {
+      type: String,
+      enum: TEMPLATE_VISIBILITIES,
+      default: "private",
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // The project the template was saved from; its members are the team
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+      index: true,
+    },
+    // The stack projects created from the template run on
+    stack: {
+      type: String,
+      enum: ["react", "vanilla", "typescript", "nextjs"],
+      default: "react",
+    },
+    packageJson: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    files: {
+      type: [templateFileSchema],
+      select: false, // Only loaded when the template is used
+    },
+    totalFiles: {
+      type: Number,
+      default: 0,
+    },
+    totalSize: {
+      type: Number,
+      default: 0, // in bytes
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+projectTemplateSchema.index({ visibility: 1, usageCount: -1 });
+projectTemplateSchema.index({ tags: 1 });
+
+// Static method to build a filter for the templates a user can see: their
+// own, the team templates of projects they are a member of, and public ones
+projectTemplateSchema.statics.visibleTo = async function (userId) {
+  if (!userId) return { visibility: "public" };
+
+  const Project = this.model("Project");
+  const teamProjectIds = await Project.find(
+    Project.accessibleBy(userId, "viewer")
+  ).distinct("_id");
+
+  return {
+    $or: [
+      { userId },
+      { visibility: "public" },
+      { visibility: "team", projectId: { $in: teamProjectIds } },
+    ],
+  };
+};
+
+// Instance method to replace the template's files with a project's current
+// files
+projectTemplateSchema.methods.setFiles = function (project, files) {
+  this.files = files.map((file) => ({
+    sourceId: file._id,
+    parentId: file.parentId,
+    name: file.name,
+    type: file.type,
+    path: file.path,
+    content: file.content,
+    language: file.language,
+    size: file.size,
+    encoding: file.encoding,
+    mimeType: file.mimeType,
+  }));
+  this.totalFiles = files.filter((file) => file.type === "file").length;
+  this.totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  this.stack = project.template;
+  this.packageJson = project.packageJson;
+};
+
+module.exports = mongoose.model("ProjectTemplate", projectTemplateSchema);
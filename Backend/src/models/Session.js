@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// How long a refresh token may go unused before the session ends
+const getRefreshTokenTTLDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// A refresh token that was just rotated is still accepted this long, so
+// tabs racing to refresh the same session don't sign each other out
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Last-seen is written at most this often
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+// A short description of the browser and platform from a User-Agent header
+const describeUserAgent = (userAgent = "") => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return userAgent ? "Unknown device" : "Unknown";
+  return [browser?.[1], platform?.[1]].filter(Boolean).join(" on ");
+};
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // Only hashes of refresh tokens are stored: the current one, and the one
+    // it replaced while it is still within the rotation grace period
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 512,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session is still signed in
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Virtual for the browser and platform the session was started from
+sessionSchema.virtual("device").get(function () {
+  return describeUserAgent(this.userAgent);
+});
+
+const newRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+// Static method to start a session for a request; returns the session and
+// its plain refresh token, which is never stored
+sessionSchema.statics.start = async function (userId, req) {
+  const refreshToken = newRefreshToken();
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: (req.headers["user-agent"] || "").slice(0, 512),
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + getRefreshTokenTTLDays() * DAY_MS),
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one. Returns the
+// session and the new token, or null. A token rotated away within the grace
+// period still gets the session, but no new token: whoever rotated it holds
+// that. Presenting one rotated away longer ago means it was copied, so the
+// session is revoked.
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await this.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const rotated = await this.findOne({ previousTokenHash: tokenHash });
+    if (!rotated) return null;
+
+    if (Date.now() - rotated.rotatedAt > ROTATION_GRACE_MS) {
+      if (!rotated.revokedAt) await rotated.revoke();
+      return null;
+    }
+
+    return rotated.isActive ? { session: rotated, refreshToken: null } : null;
+  }
+
+  if (!session.isActive) return null;
+
+  const nextToken = newRefreshToken();
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.rotatedAt = new Date();
+  session.lastSeenAt = new Date();
+  session.ip = req.ip || session.ip;
+  session.expiresAt = new Date(Date.now() + getRefreshTokenTTLDays() * DAY_MS);
+  await session.save();
+
+  return { session, refreshToken: nextToken };
+};
+
+// Static method to sign a user out of every session, or every one but one
+sessionSchema.statics.revokeAll = function (userId, exceptSessionId = null) {
+  return this.updateMany(
+    {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+    },
+    { revokedAt: new Date() }
+  );
+};
+
+// Instance method to sign the session out
+sessionSchema.methods.revoke = async function () {
+  this.revokedAt = new Date();
+  return await this.save();
+};
+
+// Instance method to record activity on the session
+sessionSchema.methods.touch = async function (ip) {
+  if (Date.now() - this.lastSeenAt < LAST_SEEN_RESOLUTION_MS) return this;
+
+  this.lastSeenAt = new Date();
+  this.ip = ip || this.ip;
+  return await this.save({ validateBeforeSave: false });
+};
+
+// Remove sensitive data when converting to JSON
+sessionSchema.methods.toJSON = function () {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHash;
+  delete session.__v;
+  return session;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// What a share link lets its holder do, and the project role it stands for
+const SHARE_SCOPES = {
+  view: "viewer",
+  fork: "viewer",
+  edit: "editor",
+};
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project ID is required"],
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString("hex"),
+    },
+    scope: {
+      type: String,
+      enum: Object.keys(SHARE_SCOPES),
+      default: "view",
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Label cannot exceed 100 characters"],
+      default: "",
+    },
+    password: {
+      type: String,
+      default: null,
+      select: false, // Don't include password in queries by default
+    },
+    hasPassword: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether the link still grants access
+shareLinkSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Virtual for the project role the link stands for
+shareLinkSchema.virtual("role").get(function () {
+  return SHARE_SCOPES[this.scope];
+});
+
+// Hash password before saving
+shareLinkSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  try {
+    this.hasPassword = Boolean(this.password);
+    if (this.password) {
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method (the password must have been selected)
+shareLinkSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.hasPassword) return true;
+  if (!candidatePassword) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to revoke the link
+shareLinkSchema.methods.revoke = async function () {
+  this.revokedAt = new Date();
+  return await this.save();
+};
+
+// Instance method to record that the link was used
+shareLinkSchema.methods.touch = async function () {
+  this.lastUsedAt = new Date();
+  return await this.save({ validateBeforeSave: false });
+};
+
+// Remove sensitive data when converting to JSON
+shareLinkSchema.methods.toJSON = function () {
+  const link = this.toObject();
+  delete link.password;
+  delete link.__v;
+  return link;
+};
+
+module.exports = mongoose.model("ShareLink", shareLinkSchema);
@@ -22,9 +22,16 @@ const userSchema = new mongoose.Schema(
         "Please enter a valid email",
       ],
     },
+    // Accounts created by signing in with an OpenID Connect provider start
+    // without a password
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return this.identities.length === 0;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters long"],
       select: false, // Don't include password in queries by default
     },
@@ -38,10 +45,66 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [50, "Last name cannot exceed 50 characters"],
     },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Two-factor sign-in. Setting it up stores the secret; it is only turned
+    // on once a code from it has been confirmed.
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Time step of the last code used, so a code can't be used twice
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // Hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // OpenID Connect identities linked to the account, at most one per
+    // provider
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          default: null,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     avatar: {
       type: String,
       default: null,
     },
+    // Site-wide role; admins can moderate users and projects
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -75,11 +138,29 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
 // Virtual for full name
 userSchema.virtual("fullName").get(function () {
   return `${this.firstName || ""} ${this.lastName || ""}`.trim();
 });
 
+// Virtual for whether the user has confirmed their email address
+userSchema.virtual("isEmailVerified").get(function () {
+  return Boolean(this.emailVerifiedAt);
+});
+
+// Virtual for whether signing in needs a two-factor code
+userSchema.virtual("isTwoFactorEnabled").get(function () {
+  return Boolean(this.twoFactorEnabledAt);
+});
+
 // Virtual for projects count
 userSchema.virtual("projectsCount", {
   ref: "Project",
@@ -103,9 +184,15 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Static method to find the user an identity from a provider is linked to
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = async function () {
   this.lastLogin = new Date();
@@ -116,6 +203,9 @@ userSchema.methods.updateLastLogin = async function () {
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.twoFactorSecret;
+  delete user.twoFactorLastUsedStep;
+  delete user.twoFactorRecoveryCodes;
   delete user.__v;
   return user;
 };
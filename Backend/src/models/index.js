@@ -1,9 +1,29 @@
 const User = require("./User");
 const Project = require("./Project");
 const File = require("./File");
+const FileRevision = require("./FileRevision");
+const ProjectInvitation = require("./ProjectInvitation");
+const Comment = require("./Comment");
+const ShareLink = require("./ShareLink");
+const ProjectTemplate = require("./ProjectTemplate");
+const AccessToken = require("./AccessToken");
+const Session = require("./Session");
+const AccountToken = require("./AccountToken");
+const OidcAuthRequest = require("./OidcAuthRequest");
+const AuditEvent = require("./AuditEvent");
 
 module.exports = {
   User,
   Project,
   File,
+  FileRevision,
+  ProjectInvitation,
+  Comment,
+  ShareLink,
+  ProjectTemplate,
+  AccessToken,
+  Session,
+  AccountToken,
+  OidcAuthRequest,
+  AuditEvent,
 };
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Query operations that should not see documents in the trash
+const FILTERED_OPERATIONS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+// Soft delete plugin: documents are moved to the trash by setting deletedAt
+// and are hidden from queries unless the query filters on deletedAt itself or
+// sets the { withDeleted: true } option
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+
+  schema.pre(FILTERED_OPERATIONS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    const [first] = this.pipeline();
+    if (first?.$match?.deletedAt !== undefined) return;
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Virtual for whether the document is in the trash
+  schema.virtual("isDeleted").get(function () {
+    return Boolean(this.deletedAt);
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,92 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAdminStats,
+  getAdminUsers,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
+  getAdminProjects,
+  unpublishProject,
+  republishProject,
+} = require("../controllers/adminController");
+const { getAuditLog } = require("../controllers/auditController");
+
+const {
+  authenticate,
+  authorize,
+  apiRateLimit,
+  adminValidation,
+  auditValidation,
+  commonValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// Every admin route needs a signed-in admin
+router.use(authenticate);
+router.use(apiRateLimit);
+router.use(authorize("admin"));
+
+router.get("/stats", getAdminStats);
+
+// Users
+router.get(
+  "/users",
+  adminValidation.getUsers,
+  handleValidationErrors,
+  getAdminUsers
+);
+
+router.put(
+  "/users/:userId/deactivate",
+  adminValidation.user,
+  handleValidationErrors,
+  deactivateUser
+);
+
+router.put(
+  "/users/:userId/reactivate",
+  adminValidation.user,
+  handleValidationErrors,
+  reactivateUser
+);
+
+router.put(
+  "/users/:userId/role",
+  adminValidation.updateRole,
+  handleValidationErrors,
+  updateUserRole
+);
+
+// Projects
+router.get(
+  "/projects",
+  adminValidation.getProjects,
+  handleValidationErrors,
+  getAdminProjects
+);
+
+router.put(
+  "/projects/:id/unpublish",
+  adminValidation.unpublish,
+  handleValidationErrors,
+  unpublishProject
+);
+
+router.put(
+  "/projects/:id/republish",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  republishProject
+);
+
+// Audit log
+router.get(
+  "/audit-log",
+  auditValidation.getEvents,
+  auditValidation.getAllEvents,
+  handleValidationErrors,
+  getAuditLog
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const {
+  replyToComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+} = require("../controllers/commentController");
+
+const {
+  authenticate,
+  apiRateLimit,
+  commentValidation,
+  commonValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// All comment routes require authentication; project access is checked in
+// the controller through the comment's file
+router.use(authenticate);
+router.use(apiRateLimit);
+
+router.post(
+  "/:id/replies",
+  commentValidation.reply,
+  handleValidationErrors,
+  replyToComment
+);
+
+router.put(
+  "/:id/resolve",
+  commentValidation.resolve,
+  handleValidationErrors,
+  resolveComment
+);
+
+router.put(
+  "/:id",
+  commentValidation.update,
+  handleValidationErrors,
+  updateComment
+);
+
+router.delete(
+  "/:id",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  deleteComment
+);
+
+module.exports = router;
@@ -8,17 +8,36 @@ const {
   getProjectFileTree,
   moveFile,
   searchFiles,
+  searchFileContents,
   getFileDownloadUrl,
+  getFileRaw,
+  uploadFile,
   bulkUpdateFiles,
 } = require("../controllers/fileController");
+const {
+  getFileRevisions,
+  getFileRevision,
+  restoreFileRevision,
+} = require("../controllers/revisionController");
+const {
+  previewProjectReplace,
+  applyProjectReplace,
+} = require("../controllers/replaceController");
+const {
+  getFileComments,
+  createComment,
+} = require("../controllers/commentController");
 
 const {
   authenticate,
   optionalAuth,
+  authorizeProject,
   authorizeFile,
   apiRateLimit,
   fileRateLimit,
+  assetUpload,
   fileValidation,
+  commentValidation,
   commonValidation,
   handleValidationErrors,
 } = require("../middleware");
@@ -58,6 +77,25 @@ router.get(
   searchFiles
 );
 
+router.get(
+  "/project/:projectId/search/content",
+  optionalAuth,
+  apiRateLimit,
+  fileValidation.contentSearch,
+  handleValidationErrors,
+  searchFileContents
+);
+
+// Raw file content with its MIME type (used for images, fonts and audio)
+router.get(
+  "/:id/raw",
+  optionalAuth,
+  apiRateLimit,
+  commonValidation.mongoId,
+  handleValidationErrors,
+  getFileRaw
+);
+
 // All other routes require authentication
 router.use(authenticate);
 
@@ -68,19 +106,40 @@ router.use(apiRateLimit);
 router.put(
   "/project/:projectId/bulk",
   fileRateLimit,
-  (req, res, next) => {
-    // Validate projectId parameter
-    const { param } = require("express-validator");
-    param("projectId").isMongoId().withMessage("Invalid project ID format")(
-      req,
-      res,
-      next
-    );
-  },
+  fileValidation.bulkUpdate,
   handleValidationErrors,
   bulkUpdateFiles
 );
 
+// Project-wide find and replace
+router.post(
+  "/project/:projectId/replace/preview",
+  fileValidation.replacePreview,
+  handleValidationErrors,
+  authorizeProject("viewer"),
+  previewProjectReplace
+);
+
+router.post(
+  "/project/:projectId/replace",
+  fileRateLimit,
+  fileValidation.replacePreview,
+  fileValidation.replaceApply,
+  handleValidationErrors,
+  authorizeProject("editor"),
+  applyProjectReplace
+);
+
+// Upload a binary asset
+router.post(
+  "/upload",
+  fileRateLimit,
+  assetUpload,
+  fileValidation.upload,
+  handleValidationErrors,
+  uploadFile
+);
+
 router.post(
   "/",
   fileRateLimit,
@@ -96,7 +155,7 @@ router.put(
   fileRateLimit,
   fileValidation.update,
   handleValidationErrors,
-  authorizeFile,
+  authorizeFile("editor"),
   updateFile
 );
 
@@ -104,7 +163,7 @@ router.delete(
   "/:id",
   commonValidation.mongoId,
   handleValidationErrors,
-  authorizeFile,
+  authorizeFile("editor"),
   deleteFile
 );
 
@@ -113,7 +172,7 @@ router.put(
   "/:id/move",
   fileValidation.move,
   handleValidationErrors,
-  authorizeFile,
+  authorizeFile("editor"),
   moveFile
 );
 
@@ -124,4 +183,48 @@ router.get(
   getFileDownloadUrl
 );
 
+// File revision history
+router.get(
+  "/:id/revisions",
+  commonValidation.mongoId,
+  commonValidation.pagination,
+  handleValidationErrors,
+  authorizeFile("viewer"),
+  getFileRevisions
+);
+
+router.get(
+  "/:id/revisions/:revisionId",
+  fileValidation.revision,
+  handleValidationErrors,
+  authorizeFile("viewer"),
+  getFileRevision
+);
+
+router.post(
+  "/:id/revisions/:revisionId/restore",
+  fileRateLimit,
+  fileValidation.revision,
+  handleValidationErrors,
+  authorizeFile("editor"),
+  restoreFileRevision
+);
+
+// Line-anchored comment threads
+router.get(
+  "/:id/comments",
+  commentValidation.listForFile,
+  handleValidationErrors,
+  authorizeFile("viewer"),
+  getFileComments
+);
+
+router.post(
+  "/:id/comments",
+  commentValidation.create,
+  handleValidationErrors,
+  authorizeFile("viewer"),
+  createComment
+);
+
 module.exports = router;
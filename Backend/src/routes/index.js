@@ -1,9 +1,23 @@
 const userRoutes = require("./userRoutes");
 const projectRoutes = require("./projectRoutes");
 const fileRoutes = require("./fileRoutes");
+const trashRoutes = require("./trashRoutes");
+const invitationRoutes = require("./invitationRoutes");
+const commentRoutes = require("./commentRoutes");
+const shareRoutes = require("./shareRoutes");
+const oembedRoutes = require("./oembedRoutes");
+const templateRoutes = require("./templateRoutes");
+const adminRoutes = require("./adminRoutes");
 
 module.exports = {
   userRoutes,
   projectRoutes,
   fileRoutes,
+  trashRoutes,
+  invitationRoutes,
+  commentRoutes,
+  shareRoutes,
+  oembedRoutes,
+  templateRoutes,
+  adminRoutes,
 };
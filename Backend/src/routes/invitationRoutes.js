@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} = require("../controllers/collaboratorController");
+
+const {
+  authenticate,
+  apiRateLimit,
+  collaboratorValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// All invitation routes require authentication
+router.use(authenticate);
+router.use(apiRateLimit);
+
+router.get("/", getMyInvitations);
+
+router.post(
+  "/:token/accept",
+  collaboratorValidation.respond,
+  handleValidationErrors,
+  acceptInvitation
+);
+
+router.post(
+  "/:token/decline",
+  collaboratorValidation.respond,
+  handleValidationErrors,
+  declineInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const { getOEmbed } = require("../controllers/embedController");
+
+const {
+  apiRateLimit,
+  embedValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// oEmbed discovery for embedded projects
+router.get(
+  "/",
+  apiRateLimit,
+  embedValidation.oembed,
+  handleValidationErrors,
+  getOEmbed
+);
+
+module.exports = router;
@@ -10,7 +10,26 @@ const {
   restoreProject,
   duplicateProject,
   getPublicProjects,
+  exportProject,
+  importProject,
 } = require("../controllers/projectController");
+const {
+  getCollaborators,
+  inviteCollaborator,
+  revokeInvitation,
+  updateCollaboratorRole,
+  removeCollaborator,
+} = require("../controllers/collaboratorController");
+const { getProjectComments } = require("../controllers/commentController");
+const {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+} = require("../controllers/shareLinkController");
+const {
+  getProjectForks,
+  syncFromUpstream,
+} = require("../controllers/forkController");
 
 const {
   authenticate,
@@ -18,7 +37,11 @@ const {
   authorizeProject,
   apiRateLimit,
   projectRateLimit,
+  importUpload,
   projectValidation,
+  collaboratorValidation,
+  commentValidation,
+  shareLinkValidation,
   commonValidation,
   handleValidationErrors,
 } = require("../middleware");
@@ -42,6 +65,26 @@ router.get(
   getProjectById
 );
 
+// Export project as ZIP (allows public projects without auth)
+router.get(
+  "/:id/export",
+  optionalAuth,
+  apiRateLimit,
+  commonValidation.mongoId,
+  handleValidationErrors,
+  exportProject
+);
+
+// Forks of a project (allows public projects without auth)
+router.get(
+  "/:id/forks",
+  optionalAuth,
+  apiRateLimit,
+  commonValidation.mongoId,
+  handleValidationErrors,
+  getProjectForks
+);
+
 // Protected routes (require authentication)
 router.use(authenticate);
 router.use(apiRateLimit);
@@ -55,6 +98,15 @@ router.post(
   createProject
 );
 
+router.post(
+  "/import",
+  projectRateLimit,
+  importUpload,
+  projectValidation.import,
+  handleValidationErrors,
+  importProject
+);
+
 router.get(
   "/",
   projectValidation.getUserProjects,
@@ -66,7 +118,7 @@ router.put(
   "/:id",
   projectValidation.update,
   handleValidationErrors,
-  authorizeProject,
+  authorizeProject("admin"),
   updateProject
 );
 
@@ -74,7 +126,7 @@ router.delete(
   "/:id",
   commonValidation.mongoId,
   handleValidationErrors,
-  authorizeProject,
+  authorizeProject("owner"),
   deleteProject
 );
 
@@ -83,7 +135,7 @@ router.put(
   "/:id/archive",
   commonValidation.mongoId,
   handleValidationErrors,
-  authorizeProject,
+  authorizeProject("admin"),
   archiveProject
 );
 
@@ -91,7 +143,7 @@ router.put(
   "/:id/restore",
   commonValidation.mongoId,
   handleValidationErrors,
-  authorizeProject,
+  authorizeProject("admin"),
   restoreProject
 );
 
@@ -102,4 +154,89 @@ router.post(
   duplicateProject
 );
 
+// Bring upstream changes into a fork
+router.post(
+  "/:id/sync-upstream",
+  projectValidation.syncUpstream,
+  handleValidationErrors,
+  authorizeProject("editor"),
+  syncFromUpstream
+);
+
+// Collaborators and invitations
+router.get(
+  "/:id/collaborators",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  authorizeProject("viewer"),
+  getCollaborators
+);
+
+router.put(
+  "/:id/collaborators/:userId",
+  collaboratorValidation.updateRole,
+  handleValidationErrors,
+  authorizeProject("admin"),
+  updateCollaboratorRole
+);
+
+// Collaborators may remove themselves; removing others is checked in the controller
+router.delete(
+  "/:id/collaborators/:userId",
+  collaboratorValidation.remove,
+  handleValidationErrors,
+  authorizeProject("viewer"),
+  removeCollaborator
+);
+
+router.post(
+  "/:id/invitations",
+  collaboratorValidation.invite,
+  handleValidationErrors,
+  authorizeProject("admin"),
+  inviteCollaborator
+);
+
+router.delete(
+  "/:id/invitations/:invitationId",
+  collaboratorValidation.revokeInvitation,
+  handleValidationErrors,
+  authorizeProject("admin"),
+  revokeInvitation
+);
+
+// Comment threads across the project's files
+router.get(
+  "/:id/comments",
+  commentValidation.listForProject,
+  handleValidationErrors,
+  authorizeProject("viewer"),
+  getProjectComments
+);
+
+// Share links
+router.get(
+  "/:id/share-links",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  authorizeProject("admin"),
+  getShareLinks
+);
+
+router.post(
+  "/:id/share-links",
+  shareLinkValidation.create,
+  handleValidationErrors,
+  authorizeProject("admin"),
+  createShareLink
+);
+
+router.delete(
+  "/:id/share-links/:linkId",
+  shareLinkValidation.revoke,
+  handleValidationErrors,
+  authorizeProject("admin"),
+  revokeShareLink
+);
+
 module.exports = router;
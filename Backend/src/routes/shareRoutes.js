@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { openShareLink } = require("../controllers/shareLinkController");
+
+const {
+  authRateLimit,
+  shareLinkValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// Opening a share link needs no account; it is rate limited like a login
+// because it may check a password
+router.post(
+  "/:token",
+  authRateLimit,
+  shareLinkValidation.open,
+  handleValidationErrors,
+  openShareLink
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/templateController");
+
+const {
+  authenticate,
+  optionalAuth,
+  apiRateLimit,
+  projectRateLimit,
+  templateValidation,
+  commonValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// Template gallery (public templates without auth)
+router.get(
+  "/",
+  optionalAuth,
+  apiRateLimit,
+  templateValidation.getAll,
+  handleValidationErrors,
+  getTemplates
+);
+
+router.get(
+  "/:id",
+  optionalAuth,
+  apiRateLimit,
+  commonValidation.mongoId,
+  handleValidationErrors,
+  getTemplateById
+);
+
+// Protected routes (require authentication)
+router.use(authenticate);
+router.use(apiRateLimit);
+
+router.post(
+  "/",
+  projectRateLimit,
+  templateValidation.create,
+  handleValidationErrors,
+  createTemplate
+);
+
+router.put(
+  "/:id",
+  templateValidation.update,
+  handleValidationErrors,
+  updateTemplate
+);
+
+router.delete(
+  "/:id",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  deleteTemplate
+);
+
+module.exports = router;
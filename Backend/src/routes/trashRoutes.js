@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTrash,
+  restoreTrashedProject,
+  purgeTrashedProject,
+  restoreTrashedFile,
+  purgeTrashedFile,
+  emptyTrash,
+} = require("../controllers/trashController");
+
+const {
+  authenticate,
+  apiRateLimit,
+  trashValidation,
+  commonValidation,
+  handleValidationErrors,
+} = require("../middleware");
+
+// All trash routes require authentication
+router.use(authenticate);
+router.use(apiRateLimit);
+
+router.get("/", trashValidation.list, handleValidationErrors, getTrash);
+
+router.delete("/", emptyTrash);
+
+// Trashed projects
+router.post(
+  "/projects/:id/restore",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  restoreTrashedProject
+);
+
+router.delete(
+  "/projects/:id",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  purgeTrashedProject
+);
+
+// Trashed files and folders
+router.post(
+  "/files/:id/restore",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  restoreTrashedFile
+);
+
+router.delete(
+  "/files/:id",
+  commonValidation.mongoId,
+  handleValidationErrors,
+  purgeTrashedFile
+);
+
+module.exports = router;
@@ -3,6 +3,10 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getUserProfile,
   updateUserProfile,
   changePassword,
@@ -11,12 +15,48 @@ const {
   deactivateAccount,
   getUserStats,
 } = require("../controllers/userController");
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+} = require("../controllers/accessTokenController");
+const {
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../controllers/sessionController");
+const {
+  loginWithTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactorController");
+const {
+  getSignInProviders,
+  startOidcLogin,
+  startOidcLink,
+  completeOidcLogin,
+  getIdentities,
+  unlinkIdentity,
+} = require("../controllers/oidcController");
+const { getMyAuditLog } = require("../controllers/auditController");
 
 const {
   authenticate,
+  optionalAuth,
+  requireSession,
   authRateLimit,
   apiRateLimit,
   userValidation,
+  accessTokenValidation,
+  sessionValidation,
+  twoFactorValidation,
+  oidcValidation,
+  auditValidation,
   handleValidationErrors,
 } = require("../middleware");
 
@@ -37,12 +77,78 @@ router.post(
   loginUser
 );
 
+router.post(
+  "/login/2fa",
+  authRateLimit,
+  twoFactorValidation.login,
+  handleValidationErrors,
+  loginWithTwoFactor
+);
+
+// Signing in with OpenID Connect providers
+router.get("/oidc/providers", apiRateLimit, getSignInProviders);
+
+router.post(
+  "/oidc/:provider/login",
+  apiRateLimit,
+  oidcValidation.start,
+  handleValidationErrors,
+  startOidcLogin
+);
+
+// Linking needs the user who started it, so the callback reads the token
+router.post(
+  "/oidc/callback",
+  authRateLimit,
+  optionalAuth,
+  oidcValidation.callback,
+  handleValidationErrors,
+  completeOidcLogin
+);
+
+router.post(
+  "/verify-email",
+  authRateLimit,
+  userValidation.verifyEmail,
+  handleValidationErrors,
+  verifyEmail
+);
+
+router.post(
+  "/forgot-password",
+  authRateLimit,
+  userValidation.forgotPassword,
+  handleValidationErrors,
+  forgotPassword
+);
+
+router.post(
+  "/reset-password",
+  authRateLimit,
+  userValidation.resetPassword,
+  handleValidationErrors,
+  resetPassword
+);
+
+// Refreshing happens every few minutes per tab, so it gets the general limit
+router.post(
+  "/refresh",
+  apiRateLimit,
+  sessionValidation.refresh,
+  handleValidationErrors,
+  refreshSession
+);
+
 // Protected routes (require authentication)
 router.use(authenticate); // All routes below require authentication
 router.use(apiRateLimit); // Apply general rate limiting
 
 router.get("/profile", getUserProfile);
 
+router.post("/logout", requireSession, logoutUser);
+
+router.post("/verify-email/resend", requireSession, resendVerificationEmail);
+
 router.put(
   "/profile",
   userValidation.updateProfile,
@@ -52,6 +158,7 @@ router.put(
 
 router.put(
   "/change-password",
+  requireSession,
   userValidation.changePassword,
   handleValidationErrors,
   changePassword
@@ -61,8 +168,97 @@ router.post("/avatar", uploadAvatar);
 
 router.get("/stats", getUserStats);
 
-router.put("/deactivate", deactivateAccount);
+router.put("/deactivate", requireSession, deactivateAccount);
+
+router.delete("/account", requireSession, deleteAccount);
+
+// Signed-in sessions
+router.get("/sessions", requireSession, getSessions);
+
+router.delete("/sessions", requireSession, revokeAllSessions);
+
+router.delete(
+  "/sessions/:sessionId",
+  requireSession,
+  sessionValidation.revoke,
+  handleValidationErrors,
+  revokeSession
+);
+
+// Two-factor authentication
+router.get("/2fa", requireSession, getTwoFactorStatus);
+
+router.post("/2fa/setup", requireSession, setupTwoFactor);
 
-router.delete("/account", deleteAccount);
+router.post(
+  "/2fa/enable",
+  requireSession,
+  twoFactorValidation.enable,
+  handleValidationErrors,
+  enableTwoFactor
+);
+
+router.delete(
+  "/2fa",
+  requireSession,
+  twoFactorValidation.confirmPassword,
+  handleValidationErrors,
+  disableTwoFactor
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  requireSession,
+  twoFactorValidation.confirmPassword,
+  handleValidationErrors,
+  regenerateRecoveryCodes
+);
+
+// Linked OpenID Connect providers
+router.get("/identities", requireSession, getIdentities);
+
+router.post(
+  "/oidc/:provider/link",
+  requireSession,
+  oidcValidation.start,
+  handleValidationErrors,
+  startOidcLink
+);
+
+router.delete(
+  "/identities/:provider",
+  requireSession,
+  oidcValidation.unlink,
+  handleValidationErrors,
+  unlinkIdentity
+);
+
+// Audit log of the user's own activity
+router.get(
+  "/audit-log",
+  requireSession,
+  auditValidation.getEvents,
+  handleValidationErrors,
+  getMyAuditLog
+);
+
+// Personal access tokens
+router.get("/tokens", requireSession, getAccessTokens);
+
+router.post(
+  "/tokens",
+  requireSession,
+  accessTokenValidation.create,
+  handleValidationErrors,
+  createAccessToken
+);
+
+router.delete(
+  "/tokens/:tokenId",
+  requireSession,
+  accessTokenValidation.revoke,
+  handleValidationErrors,
+  revokeAccessToken
+);
 
 module.exports = router;
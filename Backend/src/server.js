@@ -12,9 +12,25 @@ const { errorHandler, notFound } = require("./middleware");
 const userRoutes = require("./routes/userRoutes");
 const projectRoutes = require("./routes/projectRoutes");
 const fileRoutes = require("./routes/fileRoutes");
-
-// Connect to database
-connectDB();
+const trashRoutes = require("./routes/trashRoutes");
+const invitationRoutes = require("./routes/invitationRoutes");
+const commentRoutes = require("./routes/commentRoutes");
+const shareRoutes = require("./routes/shareRoutes");
+const oembedRoutes = require("./routes/oembedRoutes");
+const templateRoutes = require("./routes/templateRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const {
+  startTrashPurge,
+  flushCollabRooms,
+  promoteConfiguredAdmins,
+} = require("./services");
+const { attachWebSocketServer } = require("./websocket");
+
+// Connect to database, then start background jobs
+connectDB().then(() => {
+  startTrashPurge();
+  promoteConfiguredAdmins();
+});
 
 // Initialize Express app
 const app = express();
@@ -77,7 +93,13 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    "If-Match",
+  ],
+  exposedHeaders: ["ETag", "Content-Disposition"],
   preflightContinue: false,
   optionsSuccessStatus: 204,
 };
@@ -113,6 +135,13 @@ app.get("/health", (req, res) => {
 app.use("/api/users", userRoutes);
 app.use("/api/projects", projectRoutes);
 app.use("/api/files", fileRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/share", shareRoutes);
+app.use("/api/oembed", oembedRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Welcome route
 app.get("/", (req, res) => {
@@ -142,6 +171,9 @@ Health: http://localhost:${PORT}/health
   `);
 });
 
+// Real-time collaboration shares the HTTP server
+attachWebSocketServer(server);
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err, promise) => {
   console.error("Unhandled Promise Rejection:", err.message);
@@ -157,16 +189,20 @@ process.on("uncaughtException", (err) => {
   process.exit(1);
 });
 
-// Graceful shutdown
+// Graceful shutdown (collaborative edits are saved first)
 process.on("SIGTERM", () => {
-  server.close(() => {
-    process.exit(0);
+  flushCollabRooms().finally(() => {
+    server.close(() => {
+      process.exit(0);
+    });
   });
 });
 
 process.on("SIGINT", () => {
-  server.close(() => {
-    process.exit(0);
+  flushCollabRooms().finally(() => {
+    server.close(() => {
+      process.exit(0);
+    });
   });
 });
 
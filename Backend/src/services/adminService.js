@@ -0,0 +1,86 @@
+// Site administration: promoting the configured admins and system-wide counts
+
+const { User, Project, File, Session } = require("../models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Emails of users who are made admins at startup, from ADMIN_EMAILS
+const getAdminEmails = () =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// Give the admin role to the users listed in ADMIN_EMAILS. Nobody is
+// demoted, so admins promoted through the API keep their role.
+const promoteConfiguredAdmins = async () => {
+  const emails = getAdminEmails();
+  if (!emails.length) return 0;
+
+  try {
+    const result = await User.updateMany(
+      { email: { $in: emails }, role: { $ne: "admin" } },
+      { role: "admin" }
+    );
+    if (result.modifiedCount) {
+      console.log(`Promoted ${result.modifiedCount} user(s) to admin`);
+    }
+    return result.modifiedCount;
+  } catch (error) {
+    console.error("Promoting admins failed:", error);
+    return 0;
+  }
+};
+
+// Counts of users, projects, files and sessions across the whole site
+const collectSystemStats = async () => {
+  const since = new Date(Date.now() - 7 * DAY_MS);
+
+  const [
+    totalUsers,
+    activeUsers,
+    admins,
+    newUsers,
+    totalProjects,
+    publicProjects,
+    unpublishedProjects,
+    trashedProjects,
+    totalFiles,
+    activeSessions,
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isActive: true }),
+    User.countDocuments({ role: "admin" }),
+    User.countDocuments({ createdAt: { $gte: since } }),
+    Project.countDocuments(),
+    Project.countDocuments({ isPublic: true }),
+    Project.countDocuments({ "moderation.unpublishedAt": { $ne: null } }),
+    Project.countDocuments({ deletedAt: { $ne: null } }),
+    File.countDocuments({ type: "file" }),
+    Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+  ]);
+
+  return {
+    users: {
+      total: totalUsers,
+      active: activeUsers,
+      deactivated: totalUsers - activeUsers,
+      admins,
+      newThisWeek: newUsers,
+    },
+    projects: {
+      total: totalProjects,
+      public: publicProjects,
+      unpublished: unpublishedProjects,
+      trashed: trashedProjects,
+    },
+    files: totalFiles,
+    activeSessions,
+  };
+};
+
+module.exports = {
+  getAdminEmails,
+  promoteConfiguredAdmins,
+  collectSystemStats,
+};
@@ -0,0 +1,66 @@
+// ZIP archive helpers for project export and import
+
+const archiver = require("archiver");
+
+// Strip leading slashes so archive entries are always relative
+const toEntryPath = (path) => path.replace(/^\/+/, "");
+
+// Turn a project name into a safe archive/folder name
+const toArchiveName = (name) =>
+  (name || "project")
+    .trim()
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "project";
+
+// Decode stored file content into the bytes that belong in the archive
+const toFileBuffer = (file) => {
+  if (file.encoding === "base64") {
+    return Buffer.from(file.content || "", "base64");
+  }
+  if (file.encoding === "binary") {
+    return Buffer.from(file.content || "", "binary");
+  }
+  return Buffer.from(file.content || "", "utf8");
+};
+
+// Build a ZIP stream of a project's file tree under a single root folder
+const createProjectArchive = (project, files) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const rootName = toArchiveName(project.name);
+  const entryPaths = new Set();
+
+  for (const file of files) {
+    const entryPath = toEntryPath(file.path);
+    if (!entryPath || entryPaths.has(entryPath)) continue;
+    entryPaths.add(entryPath);
+
+    if (file.type === "folder") {
+      archive.append(null, {
+        name: `${rootName}/${entryPath}/`,
+        date: file.updatedAt,
+      });
+    } else {
+      archive.append(toFileBuffer(file), {
+        name: `${rootName}/${entryPath}`,
+        date: file.metadata?.lastModified || file.updatedAt,
+      });
+    }
+  }
+
+  // Projects created without a package.json still carry one on the Project
+  if (!entryPaths.has("package.json") && project.packageJson) {
+    archive.append(JSON.stringify(project.packageJson, null, 2) + "\n", {
+      name: `${rootName}/package.json`,
+    });
+  }
+
+  archive.finalize();
+  return archive;
+};
+
+module.exports = {
+  toEntryPath,
+  toArchiveName,
+  toFileBuffer,
+  createProjectArchive,
+};
@@ -0,0 +1,138 @@
+// Audit log: recording security-relevant and destructive actions, and
+// querying and exporting them
+
+const mongoose = require("mongoose");
+const { AuditEvent } = require("../models");
+
+// Most events a CSV export holds, newest first
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// What a target is called in the log, by its type
+const TARGET_NAMES = {
+  user: (doc) => doc.username,
+  project: (doc) => doc.name,
+  file: (doc) => doc.path,
+  "share-link": (doc) => doc.label || `${doc.scope} link`,
+  invitation: (doc) => doc.email,
+};
+
+// Describe a user, project, file, share link or invitation as an event target
+const auditTarget = (type, doc) => ({
+  type,
+  id: doc._id,
+  name: TARGET_NAMES[type](doc) || null,
+});
+
+// Record an event for a request, or for a background job when req is null.
+// The actor defaults to the signed-in user. Never throws: failing to write
+// the log shouldn't fail what it records.
+const recordAuditEvent = async (
+  req,
+  action,
+  {
+    actor = req?.user,
+    target = null,
+    projectId = null,
+    outcome = "success",
+    details = {},
+  } = {}
+) => {
+  try {
+    return await AuditEvent.create({
+      action,
+      outcome,
+      actor: actor
+        ? { userId: actor._id, username: actor.username, email: actor.email }
+        : {},
+      ip: req?.ip || null,
+      userAgent: (req?.headers["user-agent"] || "").slice(0, 512),
+      target: target || {},
+      projectId: projectId || (target?.type === "project" ? target.id : null),
+      details,
+    });
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error);
+    return null;
+  }
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Build a query from audit log filters. An action without a dot, like
+// "project", matches every action in that group.
+const buildAuditQuery = ({
+  action,
+  outcome,
+  actorId,
+  targetType,
+  targetId,
+  projectId,
+  from,
+  to,
+} = {}) => {
+  const query = {};
+
+  if (action) {
+    query.action = action.includes(".") ? action : { $regex: `^${action}\\.` };
+  }
+  if (outcome) query.outcome = outcome;
+  if (actorId) query["actor.userId"] = toObjectId(actorId);
+  if (targetType) query["target.type"] = targetType;
+  if (targetId) query["target.id"] = toObjectId(targetId);
+  if (projectId) query.projectId = toObjectId(projectId);
+  if (from || to) {
+    query.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    };
+  }
+
+  return query;
+};
+
+const CSV_COLUMNS = [
+  ["time", (event) => event.createdAt.toISOString()],
+  ["action", (event) => event.action],
+  ["outcome", (event) => event.outcome],
+  ["actor_id", (event) => event.actor?.userId],
+  ["actor_username", (event) => event.actor?.username],
+  ["actor_email", (event) => event.actor?.email],
+  ["ip", (event) => event.ip],
+  ["user_agent", (event) => event.userAgent],
+  ["target_type", (event) => event.target?.type],
+  ["target_id", (event) => event.target?.id],
+  ["target_name", (event) => event.target?.name],
+  ["project_id", (event) => event.projectId],
+  [
+    "details",
+    (event) =>
+      event.details && Object.keys(event.details).length
+        ? JSON.stringify(event.details)
+        : "",
+  ],
+];
+
+// Quote a CSV cell. Cells that start like a formula are prefixed so
+// spreadsheets show them as text instead of running them.
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Audit events as CSV, one row per event with a header row
+const toAuditCsv = (events) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(","),
+    ...events.map((event) =>
+      CSV_COLUMNS.map(([, read]) => toCsvCell(read(event))).join(",")
+    ),
+  ].join("\r\n") + "\r\n";
+
+module.exports = {
+  AUDIT_EXPORT_LIMIT,
+  auditTarget,
+  recordAuditEvent,
+  buildAuditQuery,
+  toAuditCsv,
+};
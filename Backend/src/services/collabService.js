@@ -0,0 +1,405 @@
+// Real-time collaborative editing: each open file is a Yjs document synced
+// with the y-websocket protocol and written back to File.content periodically
+
+const Y = require("yjs");
+const syncProtocol = require("y-protocols/sync");
+const awarenessProtocol = require("y-protocols/awareness");
+const encoding = require("lib0/encoding");
+const decoding = require("lib0/decoding");
+const File = require("../models/File");
+const Project = require("../models/Project");
+const { QuotaError, assertFileQuota } = require("./quotaService");
+
+// y-websocket message types
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+// Transaction origins for changes that do not come from a connection
+const PERSIST_ORIGIN = "persist";
+const EXTERNAL_ORIGIN = "external";
+
+// Connections that miss a ping for this long are dropped
+const PING_INTERVAL = 30000;
+
+// Rooms keyed by file ID; each entry is the promise of a loaded room
+const rooms = new Map();
+
+// How often edited documents are written back to the database
+const getPersistInterval = () =>
+  (parseInt(process.env.COLLAB_PERSIST_INTERVAL_SECONDS, 10) || 10) * 1000;
+
+// Send a message, dropping connections that are no longer open
+const send = (room, conn, message) => {
+  if (conn.readyState !== conn.OPEN) {
+    closeConnection(room, conn);
+    return;
+  }
+
+  conn.send(message, (error) => {
+    if (error) closeConnection(room, conn);
+  });
+};
+
+// Replace the document text with new content, touching only the changed span
+// so remote cursors outside of it stay where they are
+const replaceText = (doc, content, origin) => {
+  const text = doc.getText("content");
+  const current = text.toString();
+  if (current === content) return;
+
+  let start = 0;
+  while (
+    start < current.length &&
+    start < content.length &&
+    current[start] === content[start]
+  ) {
+    start += 1;
+  }
+
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < content.length - start &&
+    current[current.length - 1 - end] === content[content.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  doc.transact(() => {
+    text.delete(start, current.length - start - end);
+    text.insert(start, content.slice(start, content.length - end));
+  }, origin);
+};
+
+// Record the database version the document matches, so clients can base
+// their next REST save on it
+const setVersion = (room, version) => {
+  room.version = version;
+  room.doc.transact(() => {
+    room.doc.getMap("meta").set("version", version);
+  }, PERSIST_ORIGIN);
+};
+
+// Check the edited content fits the project owner's storage quota. When it
+// doesn't, the document goes back to the saved content for every editor,
+// as a REST save over quota would be refused.
+const fitsQuota = async (room, file, content) => {
+  try {
+    const project = await Project.findById(file.projectId).select("userId");
+    await assertFileQuota(project, {
+      bytes: File.getContentSize(content, file.encoding) - file.size,
+    });
+    return true;
+  } catch (error) {
+    if (!(error instanceof QuotaError)) throw error;
+
+    console.warn(
+      `Collaborative edit to ${room.fileId} reverted: ${error.message}`
+    );
+    replaceText(room.doc, file.content, PERSIST_ORIGIN);
+    return false;
+  }
+};
+
+// Write the document back to File.content if it changed, and keep its Yjs
+// state so the room can be rebuilt with the same history
+const persistRoom = (room) => {
+  clearTimeout(room.persistTimer);
+  room.persistTimer = null;
+
+  // Saves run one after another so versions are applied in order
+  room.saving = room.saving.then(async () => {
+    try {
+      const file = await File.findById(room.fileId);
+      if (!file) return; // moved to the trash while being edited
+
+      const content = room.doc.getText("content").toString();
+      if (file.content !== content && (await fitsQuota(room, file, content))) {
+        file.content = content;
+        if (room.lastEditor) {
+          file.metadata.lastModifiedBy = room.lastEditor;
+        }
+        await file.save();
+
+        setVersion(room, file.metadata.version);
+      }
+
+      if (room.stateChanged) {
+        // Cleared first, so edits made during the write mark it again
+        room.stateChanged = false;
+        await File.updateOne(
+          { _id: room.fileId },
+          {
+            $set: {
+              collabState: Buffer.from(Y.encodeStateAsUpdate(room.doc)),
+            },
+          }
+        );
+      }
+    } catch (error) {
+      room.stateChanged = true;
+      console.error(`Error persisting collaborative file ${room.fileId}:`, error);
+    }
+  });
+
+  return room.saving;
+};
+
+// Persist a short while after the first unsaved edit
+const schedulePersist = (room) => {
+  if (room.persistTimer) return;
+  room.persistTimer = setTimeout(() => persistRoom(room), getPersistInterval());
+};
+
+// Fill a new room's document from the file. Clients keep their document
+// across reconnects, so a room rebuilt after everyone left must continue the
+// saved history: inserting the content afresh would add it a second time
+// when a client's copy is merged back in.
+const loadDocument = (doc, file) => {
+  const content = file.content || "";
+
+  if (file.collabState && file.collabState.length) {
+    Y.applyUpdate(doc, new Uint8Array(file.collabState), PERSIST_ORIGIN);
+    // Saves made while no room was open are applied as an edit on top
+    replaceText(doc, content, PERSIST_ORIGIN);
+  } else {
+    doc.getText("content").insert(0, content);
+  }
+};
+
+// Load a file into a new room
+const createRoom = async (fileId) => {
+  const file = await File.findById(fileId).select("+collabState");
+  if (!file) throw new Error("File not found");
+
+  const doc = new Y.Doc({ gc: true });
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null);
+
+  const room = {
+    fileId,
+    doc,
+    awareness,
+    // connection -> { user, readOnly, awarenessIds }
+    connections: new Map(),
+    version: file.metadata.version,
+    lastEditor: null,
+    // Whether the document changed since its state was last saved
+    stateChanged: true,
+    persistTimer: null,
+    saving: Promise.resolve(),
+  };
+
+  loadDocument(doc, file);
+  doc.getMap("meta").set("version", file.metadata.version);
+
+  // Relay document updates to every connection
+  doc.on("update", (update, origin) => {
+    room.stateChanged = true;
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    const message = encoding.toUint8Array(encoder);
+    room.connections.forEach((_, conn) => send(room, conn, message));
+
+    const editor = room.connections.get(origin);
+    if (editor) {
+      room.lastEditor = editor.user._id;
+      schedulePersist(room);
+    }
+  });
+
+  // Relay awareness (cursors, selections) and remember which client IDs each
+  // connection controls so they can be cleared when it closes
+  awareness.on("update", ({ added, updated, removed }, origin) => {
+    const changedClients = added.concat(updated, removed);
+    const state = room.connections.get(origin);
+    if (state) {
+      added.forEach((clientId) => state.awarenessIds.add(clientId));
+      removed.forEach((clientId) => state.awarenessIds.delete(clientId));
+    }
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(
+      encoder,
+      awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients)
+    );
+    const message = encoding.toUint8Array(encoder);
+    room.connections.forEach((_, conn) => send(room, conn, message));
+  });
+
+  return room;
+};
+
+// Get the room for a file, loading it on first use
+const getRoom = (fileId) => {
+  if (!rooms.has(fileId)) {
+    const loading = createRoom(fileId).catch((error) => {
+      rooms.delete(fileId);
+      throw error;
+    });
+    rooms.set(fileId, loading);
+  }
+  return rooms.get(fileId);
+};
+
+// Persist and unload a room once its last connection has gone
+const releaseRoom = async (room) => {
+  await persistRoom(room);
+
+  // Someone may have joined while the final save was running
+  if (room.connections.size > 0) return;
+
+  rooms.delete(room.fileId);
+  room.awareness.destroy();
+  room.doc.destroy();
+};
+
+// Remove a connection from its room
+const closeConnection = (room, conn) => {
+  const state = room.connections.get(conn);
+  if (!state) return;
+
+  room.connections.delete(conn);
+  awarenessProtocol.removeAwarenessStates(
+    room.awareness,
+    Array.from(state.awarenessIds),
+    null
+  );
+
+  if (room.connections.size === 0) {
+    releaseRoom(room);
+  }
+
+  conn.close();
+};
+
+// Handle one incoming protocol message
+const handleMessage = (room, conn, data) => {
+  const state = room.connections.get(conn);
+  if (!state) return;
+
+  const decoder = decoding.createDecoder(new Uint8Array(data));
+  const messageType = decoding.readVarUint(decoder);
+
+  if (messageType === MESSAGE_SYNC) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+
+    const syncType = decoding.readVarUint(decoder);
+    if (syncType === syncProtocol.messageYjsSyncStep1) {
+      syncProtocol.readSyncStep1(decoder, encoder, room.doc);
+    } else if (state.readOnly) {
+      // Viewers receive edits but cannot make them
+      return;
+    } else if (syncType === syncProtocol.messageYjsSyncStep2) {
+      syncProtocol.readSyncStep2(decoder, room.doc, conn);
+    } else if (syncType === syncProtocol.messageYjsUpdate) {
+      syncProtocol.readUpdate(decoder, room.doc, conn);
+    }
+
+    // Only a reply to step 1 carries content back to the client
+    if (encoding.length(encoder) > 1) {
+      send(room, conn, encoding.toUint8Array(encoder));
+    }
+  } else if (messageType === MESSAGE_AWARENESS) {
+    awarenessProtocol.applyAwarenessUpdate(
+      room.awareness,
+      decoding.readVarUint8Array(decoder),
+      conn
+    );
+  }
+};
+
+// Join an authenticated WebSocket connection to the room for a file
+const handleCollabConnection = async (conn, { fileId, user, readOnly }) => {
+  conn.binaryType = "arraybuffer";
+
+  let room;
+  try {
+    room = await getRoom(fileId);
+  } catch (error) {
+    conn.close(1011, "Could not load file");
+    return;
+  }
+
+  room.connections.set(conn, { user, readOnly, awarenessIds: new Set() });
+
+  conn.on("message", (data) => {
+    try {
+      handleMessage(room, conn, data);
+    } catch (error) {
+      console.error(`Invalid collaboration message for ${fileId}:`, error);
+      closeConnection(room, conn);
+    }
+  });
+  conn.on("close", () => closeConnection(room, conn));
+
+  // Drop connections whose browser tab went away without closing cleanly
+  let isAlive = true;
+  conn.on("pong", () => {
+    isAlive = true;
+  });
+  const pingTimer = setInterval(() => {
+    if (!isAlive || !room.connections.has(conn)) {
+      clearInterval(pingTimer);
+      closeConnection(room, conn);
+      conn.terminate();
+      return;
+    }
+    isAlive = false;
+    conn.ping();
+  }, PING_INTERVAL);
+  conn.on("close", () => clearInterval(pingTimer));
+
+  // Start the sync: send our state vector, and the current awareness states
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(encoder, room.doc);
+  send(room, conn, encoding.toUint8Array(encoder));
+
+  const states = room.awareness.getStates();
+  if (states.size > 0) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(
+      awarenessEncoder,
+      awarenessProtocol.encodeAwarenessUpdate(
+        room.awareness,
+        Array.from(states.keys())
+      )
+    );
+    send(room, conn, encoding.toUint8Array(awarenessEncoder));
+  }
+};
+
+// Push a change saved outside the live session (REST update, revision
+// restore, find and replace) into the open document, if there is one
+const notifyFileChanged = async (file) => {
+  const loading = rooms.get(file._id.toString());
+  if (!loading) return;
+
+  const room = await loading.catch(() => null);
+  if (!room || room.version === file.metadata.version) return;
+
+  replaceText(room.doc, file.content || "", EXTERNAL_ORIGIN);
+  setVersion(room, file.metadata.version);
+};
+
+// Persist every open document (used on shutdown)
+const flushCollabRooms = async () => {
+  const loaded = await Promise.allSettled(Array.from(rooms.values()));
+  await Promise.all(
+    loaded
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => persistRoom(result.value))
+  );
+};
+
+module.exports = {
+  handleCollabConnection,
+  notifyFileChanged,
+  flushCollabRooms,
+};
@@ -0,0 +1,115 @@
+// Line-anchored comments: anchoring threads to file content, following the
+// commented lines as the file changes, and resolving @mentions
+
+// Required directly: the Comment model re-anchors threads with this module
+const User = require("../models/User");
+
+// @username, with the same characters usernames are registered with
+const MENTION_PATTERN = /@([A-Za-z0-9_-]{3,30})/g;
+
+const splitLines = (content) => (content || "").split(/\r?\n/);
+
+// Snapshot the commented lines of a file
+const createAnchor = (file, startLine, endLine) => {
+  const lines = splitLines(file.content);
+  const start = Math.min(Math.max(startLine, 1), lines.length);
+  const end = Math.min(Math.max(endLine, start), lines.length);
+
+  return {
+    startLine: start,
+    endLine: end,
+    lines: lines.slice(start - 1, end),
+    version: file.metadata.version,
+    outdated: false,
+  };
+};
+
+// Of the line indexes that match, the one nearest to where the thread was
+const nearestIndex = (lines, from, matches) => {
+  let best = -1;
+  for (let i = 0; i < lines.length; i++) {
+    const closer =
+      best === -1 || Math.abs(i - from) < Math.abs(best - from);
+    if (closer && matches(i)) best = i;
+  }
+  return best;
+};
+
+// Find where an anchor's lines are in new content. The same lines anywhere
+// in the file keep the thread current; otherwise it sticks to the nearest
+// surviving line (or its old position) and is marked outdated.
+const findAnchor = (anchor, content) => {
+  const lines = splitLines(content);
+  const block = anchor.lines;
+  const length = Math.max(block.length, 1);
+  const from = anchor.startLine - 1;
+
+  const exact = nearestIndex(lines, from, (i) =>
+    block.every((line, offset) => lines[i + offset] === line)
+  );
+  if (exact !== -1 && block.length > 0) {
+    return { startLine: exact + 1, endLine: exact + length, outdated: false };
+  }
+
+  // A start where at least one non-blank line of the block is unchanged
+  const partial = nearestIndex(lines, from, (i) =>
+    block.some(
+      (line, offset) =>
+        line.trim().length > 0 && lines[i + offset]?.trim() === line.trim()
+    )
+  );
+  const start =
+    partial !== -1
+      ? partial
+      : Math.min(from, Math.max(lines.length - length, 0));
+
+  return {
+    startLine: start + 1,
+    endLine: Math.min(start + length, lines.length),
+    outdated: true,
+  };
+};
+
+// Bring thread anchors up to date with the file's current version, returning
+// the threads that were moved. Anchors are only changed in memory; they are
+// saved when the file is (see Comment.reanchorFile)
+const reanchorThreads = (threads, file) => {
+  const version = file.metadata.version;
+  const moved = [];
+
+  for (const thread of threads) {
+    if (!thread.anchor || thread.anchor.version === version) continue;
+
+    const { startLine, endLine, outdated } = findAnchor(
+      thread.anchor,
+      file.content
+    );
+    thread.anchor.startLine = startLine;
+    thread.anchor.endLine = endLine;
+    thread.anchor.outdated = outdated;
+    thread.anchor.version = version;
+    moved.push(thread);
+  }
+
+  return moved;
+};
+
+// Users mentioned in a comment who can see the project
+const extractMentions = async (body, project) => {
+  const usernames = [
+    ...new Set(Array.from(body.matchAll(MENTION_PATTERN), (match) => match[1])),
+  ];
+  if (!usernames.length) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select("_id");
+  return users
+    .filter((user) => project.getRole(user._id))
+    .map((user) => user._id);
+};
+
+module.exports = {
+  createAnchor,
+  findAnchor,
+  reanchorThreads,
+  extractMentions,
+};
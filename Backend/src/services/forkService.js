@@ -0,0 +1,299 @@
+// Fork lineage: remembering what a fork was copied from and bringing later
+// upstream changes into it with a three-way merge
+
+const path = require("path");
+const File = require("../models/File");
+const FileRevision = require("../models/FileRevision");
+const { mergeThreeWay } = require("./mergeService");
+const { notifyFileChanged } = require("./collabService");
+const { assertFileQuota } = require("./quotaService");
+
+// The upstream state a fork is based on, recorded per file
+const snapshotFiles = (files) =>
+  files
+    .filter((file) => file.type === "file")
+    .map((file) => ({
+      fileId: file._id,
+      path: file.path,
+      version: file.metadata.version,
+      checksum: file.getChecksum(),
+    }));
+
+// Content of an upstream file as of the version the fork is based on, or
+// null when that revision has been pruned
+const getBaseContent = async (upstreamFile, base) => {
+  if (upstreamFile.metadata.version === base.version) {
+    return upstreamFile.content;
+  }
+
+  const revision = await FileRevision.findOne({
+    fileId: upstreamFile._id,
+    version: base.version,
+  });
+  return revision ? revision.content : null;
+};
+
+// Work out what bringing upstream changes into the fork does to each file.
+// Returns the per-file report and the writes that carry it out.
+const planUpstreamSync = async (fork) => {
+  const baseByFileId = new Map(
+    fork.forkedFrom.files.map((base) => [base.fileId.toString(), base])
+  );
+  const upstreamFiles = await File.find({
+    projectId: fork.forkedFrom.projectId,
+    type: "file",
+  });
+  const forkFiles = await File.find({ projectId: fork._id, type: "file" });
+  const forkByPath = new Map(forkFiles.map((file) => [file.path, file]));
+
+  const report = [];
+  const writes = [];
+  const conflict = (filePath, reason, extra = {}) =>
+    report.push({ path: filePath, status: "conflict", reason, ...extra });
+
+  // Merge one upstream change into a fork file that also changed
+  const mergeFile = async (forkFile, upstreamFile, base) => {
+    if (forkFile.encoding !== "utf8" || upstreamFile.encoding !== "utf8") {
+      return conflict(
+        forkFile.path,
+        "Binary file changed in both projects; the fork's version was kept"
+      );
+    }
+
+    const baseContent = base ? await getBaseContent(upstreamFile, base) : "";
+    const merged = mergeThreeWay(
+      baseContent ?? "",
+      forkFile.content,
+      upstreamFile.content
+    );
+
+    writes.push({
+      type: "update",
+      file: forkFile,
+      content: merged.content,
+      conflict: merged.conflicts.length > 0,
+    });
+    if (merged.conflicts.length === 0) {
+      report.push({ path: forkFile.path, status: "merged" });
+    } else {
+      conflict(
+        forkFile.path,
+        !base
+          ? "Added in both projects with different content"
+          : baseContent === null
+          ? "The version this fork is based on is no longer in the file's history"
+          : "Both projects changed the same lines",
+        { lines: merged.conflicts.map((hunk) => hunk.line) }
+      );
+    }
+  };
+
+  for (const upstreamFile of upstreamFiles) {
+    const base = baseByFileId.get(upstreamFile._id.toString());
+    const upstreamChecksum = upstreamFile.getChecksum();
+
+    // Added upstream since the last sync
+    if (!base) {
+      const forkFile = forkByPath.get(upstreamFile.path);
+      if (!forkFile) {
+        writes.push({ type: "create", upstreamFile });
+        report.push({ path: upstreamFile.path, status: "added" });
+      } else if (forkFile.getChecksum() !== upstreamChecksum) {
+        await mergeFile(forkFile, upstreamFile, null);
+      }
+      continue;
+    }
+
+    baseByFileId.delete(upstreamFile._id.toString());
+    const forkFile = forkByPath.get(base.path);
+    const changed = upstreamChecksum !== base.checksum;
+    const moved = upstreamFile.path !== base.path;
+
+    if (!forkFile) {
+      if (changed) {
+        conflict(base.path, "Deleted in the fork but changed upstream");
+      }
+      continue;
+    }
+
+    const forkChecksum = forkFile.getChecksum();
+    if (changed && forkChecksum !== upstreamChecksum) {
+      if (forkChecksum === base.checksum) {
+        writes.push({
+          type: "update",
+          file: forkFile,
+          content: upstreamFile.content,
+          encoding: upstreamFile.encoding,
+        });
+        report.push({ path: forkFile.path, status: "updated" });
+      } else {
+        await mergeFile(forkFile, upstreamFile, base);
+      }
+    }
+
+    if (moved) {
+      if (forkByPath.has(upstreamFile.path)) {
+        conflict(
+          base.path,
+          `Renamed upstream to ${upstreamFile.path}, which already exists in the fork`
+        );
+      } else {
+        writes.push({ type: "move", file: forkFile, path: upstreamFile.path });
+        report.push({
+          path: upstreamFile.path,
+          status: "renamed",
+          from: base.path,
+        });
+      }
+    }
+  }
+
+  // Whatever is left of the base was deleted upstream
+  for (const base of baseByFileId.values()) {
+    const forkFile = forkByPath.get(base.path);
+    if (!forkFile) continue;
+
+    if (forkFile.getChecksum() === base.checksum) {
+      writes.push({ type: "delete", file: forkFile });
+      report.push({ path: base.path, status: "deleted" });
+    } else {
+      conflict(base.path, "Changed in the fork but deleted upstream");
+    }
+  }
+
+  return { report, writes, upstreamFiles };
+};
+
+// ID of the fork's folder at a path, creating it and any missing parents
+// so synced files show up in the file tree
+const ensureFolder = async (projectId, folderPath, userId) => {
+  if (folderPath === "." || folderPath === "/") return null;
+
+  const existing = await File.findOne({
+    projectId,
+    path: folderPath,
+    type: "folder",
+  });
+  if (existing) return existing._id;
+
+  const folder = await File.create({
+    name: path.posix.basename(folderPath),
+    projectId,
+    parentId: await ensureFolder(
+      projectId,
+      path.posix.dirname(folderPath),
+      userId
+    ),
+    type: "folder",
+    path: folderPath,
+    metadata: { lastModifiedBy: userId },
+  });
+  return folder._id;
+};
+
+// ID of the folder a file at a path belongs in
+const ensureParentId = (projectId, filePath, userId) =>
+  ensureFolder(projectId, path.posix.dirname(filePath), userId);
+
+// Files, folders and bytes carrying out a sync plan adds to the fork
+const measureSyncGrowth = async (fork, writes) => {
+  const growth = { files: 0, bytes: 0 };
+  const folderPaths = new Set();
+  const addFolders = (filePath) => {
+    let folderPath = path.posix.dirname(filePath);
+    while (folderPath !== "." && folderPath !== "/") {
+      folderPaths.add(folderPath);
+      folderPath = path.posix.dirname(folderPath);
+    }
+  };
+
+  for (const write of writes) {
+    if (write.type === "create") {
+      const { upstreamFile } = write;
+      growth.files += 1;
+      growth.bytes += File.getContentSize(
+        upstreamFile.content,
+        upstreamFile.encoding
+      );
+      addFolders(upstreamFile.path);
+    } else if (write.type === "update") {
+      growth.bytes +=
+        File.getContentSize(
+          write.content,
+          write.encoding || write.file.encoding
+        ) - write.file.size;
+    } else if (write.type === "move") {
+      addFolders(write.path);
+    } else if (write.type === "delete") {
+      growth.files -= 1;
+      growth.bytes -= write.file.size;
+    }
+  }
+
+  // Folders the fork doesn't have yet are created along the way
+  if (folderPaths.size) {
+    const existing = await File.find({
+      projectId: fork._id,
+      type: "folder",
+      path: { $in: Array.from(folderPaths) },
+    }).distinct("path");
+    growth.files += folderPaths.size - existing.length;
+  }
+
+  return growth;
+};
+
+// Carry out a sync plan on the fork. Throws a QuotaError before writing
+// anything if the result would not fit the fork owner's quotas.
+const applyUpstreamSync = async (fork, { writes, upstreamFiles }, userId) => {
+  await assertFileQuota(fork, await measureSyncGrowth(fork, writes));
+
+  for (const write of writes) {
+    if (write.type === "create") {
+      const { upstreamFile } = write;
+      await File.create({
+        name: upstreamFile.name,
+        projectId: fork._id,
+        parentId: await ensureParentId(fork._id, upstreamFile.path, userId),
+        type: "file",
+        path: upstreamFile.path,
+        content: upstreamFile.content,
+        language: upstreamFile.language,
+        encoding: upstreamFile.encoding,
+        mimeType: upstreamFile.mimeType,
+        metadata: { lastModifiedBy: userId },
+      });
+    } else if (write.type === "update") {
+      write.file.content = write.content;
+      if (write.encoding) write.file.encoding = write.encoding;
+      // Preview and saving wait until the markers are resolved
+      if (write.conflict) write.file.mergeConflict = true;
+      write.file.metadata.lastModifiedBy = userId;
+      await write.file.save();
+      await notifyFileChanged(write.file);
+    } else if (write.type === "move") {
+      write.file.path = write.path;
+      write.file.name = path.posix.basename(write.path);
+      write.file.parentId = await ensureParentId(fork._id, write.path, userId);
+      await write.file.save();
+    } else if (write.type === "delete") {
+      await write.file.moveToTrash(userId);
+    }
+  }
+
+  // The fork is now based on the current upstream
+  fork.forkedFrom.files = snapshotFiles(upstreamFiles);
+  fork.forkedFrom.syncedAt = new Date();
+  fork.metadata.totalFiles = await File.countDocuments({
+    projectId: fork._id,
+    type: "file",
+  });
+  fork.metadata.lastModified = new Date();
+  await fork.save();
+};
+
+module.exports = {
+  snapshotFiles,
+  planUpstreamSync,
+  applyUpstreamSync,
+};
@@ -0,0 +1,272 @@
+// Helpers for importing a project from a ZIP archive or folder upload
+
+const yauzl = require("yauzl");
+const File = require("../models/File");
+
+// Largest single file we accept (matches the File content limit)
+const MAX_IMPORT_FILE_SIZE = 1000000;
+
+// Largest binary asset; base64 encoded it still fits the File content limit
+const MAX_ASSET_SIZE = 750000;
+
+// Entries added by operating systems that never belong in a project
+const IGNORED_SEGMENTS = new Set(["__MACOSX", ".DS_Store", "Thumbs.db", ".git"]);
+
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ImportError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Read import limits from the environment
+const getImportLimits = () => ({
+  maxTotalSize: parseInt(process.env.MAX_IMPORT_SIZE, 10) || 20 * 1024 * 1024,
+  maxEntries: parseInt(process.env.MAX_IMPORT_FILES, 10) || 500,
+  maxFileSize: MAX_IMPORT_FILE_SIZE,
+});
+
+// Normalize an entry path, rejecting anything that escapes the project root
+const normalizeEntryPath = (rawPath) => {
+  const path = String(rawPath || "").replace(/\\/g, "/");
+
+  if (path.startsWith("/") || /^[a-zA-Z]:/.test(path)) {
+    throw new ImportError(`Absolute paths are not allowed: ${rawPath}`);
+  }
+
+  const segments = [];
+  for (const segment of path.split("/")) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") {
+      throw new ImportError(`Path traversal is not allowed: ${rawPath}`);
+    }
+    if (segment.length > 255) {
+      throw new ImportError(`Path segment too long: ${rawPath}`);
+    }
+    segments.push(segment);
+  }
+
+  return segments.join("/");
+};
+
+// Check whether an entry is operating system clutter
+const isIgnoredPath = (path) =>
+  path.split("/").some((segment) => IGNORED_SEGMENTS.has(segment));
+
+// Treat content containing NUL bytes or invalid UTF-8 as binary
+const isBinaryContent = (buffer) =>
+  buffer.includes(0) ||
+  Buffer.compare(Buffer.from(buffer.toString("utf8"), "utf8"), buffer) !== 0;
+
+// Track entry count and total size against the import limits
+const createLimitTracker = (limits) => {
+  let entries = 0;
+  let totalSize = 0;
+
+  return (path, size) => {
+    entries += 1;
+    totalSize += size;
+
+    if (entries > limits.maxEntries) {
+      throw new ImportError(
+        `Import cannot contain more than ${limits.maxEntries} files`,
+        413
+      );
+    }
+    if (size > limits.maxFileSize) {
+      throw new ImportError(
+        `${path} exceeds the ${limits.maxFileSize} byte file size limit`,
+        413
+      );
+    }
+    if (totalSize > limits.maxTotalSize) {
+      throw new ImportError(
+        `Import exceeds the ${limits.maxTotalSize} byte total size limit`,
+        413
+      );
+    }
+  };
+};
+
+// Read every file entry of a ZIP buffer into memory
+const readZipEntries = (buffer, limits = getImportLimits()) =>
+  new Promise((resolve, reject) => {
+    const track = createLimitTracker(limits);
+    const entries = [];
+
+    yauzl.fromBuffer(
+      buffer,
+      { lazyEntries: true, validateEntrySizes: true },
+      (error, zipfile) => {
+        if (error) {
+          return reject(new ImportError(`Invalid ZIP archive: ${error.message}`));
+        }
+
+        const fail = (err) => {
+          zipfile.close();
+          reject(
+            err instanceof ImportError
+              ? err
+              : new ImportError(`Invalid ZIP archive: ${err.message}`)
+          );
+        };
+
+        zipfile.on("error", fail);
+        zipfile.on("end", () => resolve(entries));
+        zipfile.on("entry", (entry) => {
+          let path;
+          try {
+            path = normalizeEntryPath(entry.fileName);
+          } catch (err) {
+            return fail(err);
+          }
+
+          const isFolder = entry.fileName.endsWith("/");
+          if (!path || isIgnoredPath(path)) {
+            return zipfile.readEntry();
+          }
+
+          if (isFolder) {
+            entries.push({ path, type: "folder" });
+            return zipfile.readEntry();
+          }
+
+          try {
+            track(path, entry.uncompressedSize);
+          } catch (err) {
+            return fail(err);
+          }
+
+          zipfile.openReadStream(entry, (streamError, stream) => {
+            if (streamError) return fail(streamError);
+
+            const chunks = [];
+            stream.on("data", (chunk) => chunks.push(chunk));
+            stream.on("error", fail);
+            stream.on("end", () => {
+              entries.push({ path, type: "file", buffer: Buffer.concat(chunks) });
+              zipfile.readEntry();
+            });
+          });
+        });
+
+        zipfile.readEntry();
+      }
+    );
+  });
+
+// Turn multipart folder upload files into import entries
+const readUploadedEntries = (files, paths = [], limits = getImportLimits()) => {
+  const track = createLimitTracker(limits);
+  const entries = [];
+
+  files.forEach((file, index) => {
+    const path = normalizeEntryPath(paths[index] || file.originalname);
+    if (!path || isIgnoredPath(path)) return;
+
+    track(path, file.size);
+    entries.push({ path, type: "file", buffer: file.buffer });
+  });
+
+  return entries;
+};
+
+// Drop a single top-level folder shared by every entry (e.g. "my-app/")
+const stripCommonRoot = (entries) => {
+  const roots = new Set(entries.map((entry) => entry.path.split("/")[0]));
+  if (roots.size !== 1) return entries;
+
+  const [root] = roots;
+  const hasNestedFiles = entries.some(
+    (entry) => entry.type === "file" && entry.path.startsWith(`${root}/`)
+  );
+  const rootIsFile = entries.some(
+    (entry) => entry.type === "file" && entry.path === root
+  );
+  if (!hasNestedFiles || rootIsFile) return entries;
+
+  return entries
+    .filter((entry) => entry.path !== root)
+    .map((entry) => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+};
+
+// Build the ordered list of folders and files to create, parents first
+const buildImportTree = (entries) => {
+  const items = new Map();
+  const skipped = [];
+
+  const addFolder = (path) => {
+    if (items.has(path)) {
+      if (items.get(path).type !== "folder") {
+        throw new ImportError(`${path} is both a file and a folder`);
+      }
+      return;
+    }
+
+    const segments = path.split("/");
+    const name = segments.pop();
+    const parentPath = segments.join("/") || null;
+    if (parentPath) addFolder(parentPath);
+
+    items.set(path, { name, path, parentPath, type: "folder" });
+  };
+
+  for (const entry of stripCommonRoot(entries)) {
+    if (entry.type === "folder") {
+      addFolder(entry.path);
+      continue;
+    }
+
+    const isAsset = File.isBinaryAsset(entry.path);
+
+    if (!isAsset && isBinaryContent(entry.buffer)) {
+      skipped.push({ path: entry.path, reason: "Unsupported binary file" });
+      continue;
+    }
+
+    if (isAsset && entry.buffer.length > MAX_ASSET_SIZE) {
+      skipped.push({
+        path: entry.path,
+        reason: `Assets cannot exceed ${MAX_ASSET_SIZE} bytes`,
+      });
+      continue;
+    }
+
+    const segments = entry.path.split("/");
+    const name = segments.pop();
+    const parentPath = segments.join("/") || null;
+    if (parentPath) addFolder(parentPath);
+
+    if (items.has(entry.path)) {
+      throw new ImportError(`Duplicate entry in import: ${entry.path}`);
+    }
+
+    items.set(entry.path, {
+      name,
+      path: entry.path,
+      parentPath,
+      type: "file",
+      content: entry.buffer.toString(isAsset ? "base64" : "utf8"),
+      encoding: isAsset ? "base64" : "utf8",
+    });
+  }
+
+  // Parents sort before their children because their paths are prefixes
+  const tree = [...items.values()].sort((a, b) =>
+    a.path.split("/").length - b.path.split("/").length ||
+    a.path.localeCompare(b.path)
+  );
+
+  return { tree, skipped };
+};
+
+module.exports = {
+  MAX_ASSET_SIZE,
+  ImportError,
+  getImportLimits,
+  normalizeEntryPath,
+  readZipEntries,
+  readUploadedEntries,
+  buildImportTree,
+};
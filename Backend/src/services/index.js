@@ -1,6 +1,40 @@
 // Services index file
 // Add other services here as needed
 
+const searchService = require("./searchService");
+const replaceService = require("./replaceService");
+const patternTaskService = require("./patternTaskService");
+const archiveService = require("./archiveService");
+const importService = require("./importService");
+const trashService = require("./trashService");
+const collabService = require("./collabService");
+const presenceService = require("./presenceService");
+const commentService = require("./commentService");
+const mergeService = require("./mergeService");
+const forkService = require("./forkService");
+const mailService = require("./mailService");
+const twoFactorService = require("./twoFactorService");
+const oidcService = require("./oidcService");
+const adminService = require("./adminService");
+const auditService = require("./auditService");
+const quotaService = require("./quotaService");
+
 module.exports = {
-  // Add services here
+  ...searchService,
+  ...replaceService,
+  ...patternTaskService,
+  ...archiveService,
+  ...importService,
+  ...trashService,
+  ...collabService,
+  ...presenceService,
+  ...commentService,
+  ...mergeService,
+  ...forkService,
+  ...mailService,
+  ...twoFactorService,
+  ...oidcService,
+  ...adminService,
+  ...auditService,
+  ...quotaService,
 };
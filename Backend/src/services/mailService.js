@@ -0,0 +1,142 @@
+// Outgoing email. MAIL_TRANSPORT picks how messages are delivered:
+//   smtp    - through the SMTP server in SMTP_HOST
+//   file    - written as .eml files to MAIL_FILE_DIR, for local development
+//   console - printed to the server log (the default outside production)
+// Tests can plug in their own transport with setMailTransport.
+
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const getFrontendUrl = () =>
+  process.env.FRONTEND_URL || "http://localhost:3000";
+
+const getMailFrom = () =>
+  process.env.MAIL_FROM || "CipherStudio <no-reply@cipherstudio.local>";
+
+// Each transport factory returns a function that delivers one message
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || "temp/mail");
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, `${name}.eml`), info.message);
+      return info;
+    };
+  },
+
+  console: () => async (message) => {
+    console.log(
+      `Email to ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+    );
+    return { messageId: null };
+  },
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "console");
+
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = transports[name]();
+  }
+
+  return transport;
+};
+
+// Replace the transport, e.g. with one that records messages in tests;
+// null goes back to the one MAIL_TRANSPORT picks
+const setMailTransport = (send) => {
+  transport = send;
+};
+
+// Send a plain-text email
+const sendMail = ({ to, subject, text }) =>
+  getTransport()({ from: getMailFrom(), to, subject, text });
+
+const greet = (user) => `Hi ${user.firstName || user.username},`;
+
+// Email a link that verifies the user's address
+const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Verify your CipherStudio email address",
+    text: [
+      greet(user),
+      "",
+      "Confirm this is your email address by opening the link below:",
+      `${getFrontendUrl()}/?verify-email=${token}`,
+      "",
+      "If you didn't create a CipherStudio account, you can ignore this email.",
+    ].join("\n"),
+  });
+
+// Email a link that sets a new password
+const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Reset your CipherStudio password",
+    text: [
+      greet(user),
+      "",
+      "Someone asked to reset the password for your account. To choose a new",
+      "one, open the link below. It can be used once and expires soon.",
+      `${getFrontendUrl()}/?reset-password=${token}`,
+      "",
+      "If it wasn't you, ignore this email; your password stays the same.",
+    ].join("\n"),
+  });
+
+// Email an invitation to collaborate on a project
+const sendInvitationEmail = (invitation, project, inviter) =>
+  sendMail({
+    to: invitation.email,
+    subject: `${inviter.username} invited you to ${project.name}`,
+    text: [
+      "Hi,",
+      "",
+      `${inviter.username} invited you to work on "${project.name}" as ` +
+        `${invitation.role}. To accept, sign in with this email address ` +
+        "and open the link below:",
+      `${getFrontendUrl()}/?invitation=${invitation.token}`,
+      "",
+      `The invitation expires on ${invitation.expiresAt.toDateString()}. ` +
+        "If you weren't expecting it, you can ignore this email.",
+    ].join("\n"),
+  });
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail,
+};
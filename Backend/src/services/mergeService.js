@@ -0,0 +1,255 @@
+// Line-based three-way merge of text files, as used to bring upstream
+// changes into a fork
+
+const CONFLICT_MARKERS = {
+  start: "<<<<<<< fork",
+  separator: "=======",
+  end: ">>>>>>> upstream",
+};
+
+const splitLines = (content) => (content || "").split("\n");
+
+// Whether content still has the start or end of a conflict hunk in it
+const hasConflictMarkers = (content) =>
+  splitLines(content).some(
+    (line) => line === CONFLICT_MARKERS.start || line === CONFLICT_MARKERS.end
+  );
+
+// Most line insertions and deletions the diff searches through. Beyond this
+// the changed region is treated as one hunk, which keeps diffing two large,
+// unrelated files from tying up the server.
+const MAX_EDIT_DISTANCE = 1000;
+
+// Number lines so they compare as integers; equal lines share a number
+const internLines = (a, b) => {
+  const ids = new Map();
+  const intern = (lines) =>
+    Int32Array.from(lines, (line) => {
+      if (!ids.has(line)) ids.set(line, ids.size);
+      return ids.get(line);
+    });
+  return [intern(a), intern(b)];
+};
+
+// Find the middle snake of a shortest edit script between a[aStart, aEnd)
+// and b[bStart, bEnd) by searching forward from the start and backward from
+// the end at once (Myers, "An O(ND) Difference Algorithm", section 4b).
+// Returns the run of equal lines as { x, y, u, v }, from (x, y) to (u, v)
+// relative to the starts, or null if the script is longer than maxEdits.
+const findMiddleSnake = (a, aStart, aEnd, b, bStart, bEnd, maxEdits) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+  const maxD = Math.min(Math.ceil((n + m) / 2), Math.ceil(maxEdits / 2));
+  const offset = maxD + 1;
+  // Furthest x reached on each diagonal k; backward x counts from the end
+  const forward = new Int32Array(2 * maxD + 3);
+  const backward = new Int32Array(2 * maxD + 3);
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const snakeX = x;
+      const snakeY = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x += 1;
+        y += 1;
+      }
+      forward[offset + k] = x;
+
+      // Backward diagonal delta - k is the same line through the grid
+      const reverseK = delta - k;
+      if (
+        odd &&
+        reverseK >= -(d - 1) &&
+        reverseK <= d - 1 &&
+        x + backward[offset + reverseK] >= n
+      ) {
+        return { x: snakeX, y: snakeY, u: x, v: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const snakeX = x;
+      const snakeY = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x += 1;
+        y += 1;
+      }
+      backward[offset + k] = x;
+
+      const forwardK = delta - k;
+      if (
+        !odd &&
+        forwardK >= -d &&
+        forwardK <= d &&
+        x + forward[offset + forwardK] >= n
+      ) {
+        return { x: n - x, y: m - y, u: n - snakeX, v: m - snakeY };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Append the pairs of equal lines on a shortest edit script between
+// a[aStart, aEnd) and b[bStart, bEnd) to matches, in order. Splitting at the
+// middle snake keeps memory linear in the length of the files.
+const collectMatches = (a, aStart, aEnd, b, bStart, bEnd, matches) => {
+  // Common prefix and suffix need no search
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    matches.push([aStart, bStart]);
+    aStart += 1;
+    bStart += 1;
+  }
+  let suffix = 0;
+  while (
+    aEnd - suffix > aStart &&
+    bEnd - suffix > bStart &&
+    a[aEnd - suffix - 1] === b[bEnd - suffix - 1]
+  ) {
+    suffix += 1;
+  }
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart < aEnd && bStart < bEnd) {
+    const snake = findMiddleSnake(
+      a,
+      aStart,
+      aEnd,
+      b,
+      bStart,
+      bEnd,
+      MAX_EDIT_DISTANCE
+    );
+
+    // Without a snake the whole region counts as changed
+    if (snake) {
+      collectMatches(
+        a,
+        aStart,
+        aStart + snake.x,
+        b,
+        bStart,
+        bStart + snake.y,
+        matches
+      );
+      for (let i = 0; i < snake.u - snake.x; i++) {
+        matches.push([aStart + snake.x + i, bStart + snake.y + i]);
+      }
+      collectMatches(
+        a,
+        aStart + snake.u,
+        aEnd,
+        b,
+        bStart + snake.v,
+        bEnd,
+        matches
+      );
+    }
+  }
+
+  for (let i = 0; i < suffix; i++) {
+    matches.push([aEnd + i, bEnd + i]);
+  }
+};
+
+// Pairs of equal lines [indexInA, indexInB] on a shortest edit script
+// between two line arrays
+const matchLines = (a, b) => {
+  const [aIds, bIds] = internLines(a, b);
+  const matches = [];
+  collectMatches(aIds, 0, aIds.length, bIds, 0, bIds.length, matches);
+  return matches;
+};
+
+const sameLines = (a, b) =>
+  a.length === b.length && a.every((line, index) => line === b[index]);
+
+// Merge the changes from base to upstream into the fork. Conflicting hunks
+// are written with git-style markers; their first lines are reported.
+const mergeThreeWay = (baseContent, forkContent, upstreamContent) => {
+  const base = splitLines(baseContent);
+  const fork = splitLines(forkContent);
+  const upstream = splitLines(upstreamContent);
+
+  const inFork = new Map(matchLines(base, fork));
+  const inUpstream = new Map(matchLines(base, upstream));
+
+  const output = [];
+  const conflicts = [];
+  let o = 0;
+  let f = 0;
+  let u = 0;
+
+  while (o < base.length || f < fork.length || u < upstream.length) {
+    // A base line kept in place on both sides
+    if (o < base.length && inFork.get(o) === f && inUpstream.get(o) === u) {
+      output.push(base[o]);
+      o += 1;
+      f += 1;
+      u += 1;
+      continue;
+    }
+
+    // Find the next base line both sides kept; everything before it changed
+    let nextO = o;
+    while (
+      nextO < base.length &&
+      !(inFork.has(nextO) && inUpstream.has(nextO))
+    ) {
+      nextO += 1;
+    }
+    const nextF = nextO < base.length ? inFork.get(nextO) : fork.length;
+    const nextU = nextO < base.length ? inUpstream.get(nextO) : upstream.length;
+
+    const baseChunk = base.slice(o, nextO);
+    const forkChunk = fork.slice(f, nextF);
+    const upstreamChunk = upstream.slice(u, nextU);
+
+    if (sameLines(forkChunk, baseChunk)) {
+      output.push(...upstreamChunk);
+    } else if (
+      sameLines(upstreamChunk, baseChunk) ||
+      sameLines(forkChunk, upstreamChunk)
+    ) {
+      output.push(...forkChunk);
+    } else {
+      conflicts.push({ line: output.length + 1 });
+      output.push(
+        CONFLICT_MARKERS.start,
+        ...forkChunk,
+        CONFLICT_MARKERS.separator,
+        ...upstreamChunk,
+        CONFLICT_MARKERS.end
+      );
+    }
+
+    o = nextO;
+    f = nextF;
+    u = nextU;
+  }
+
+  return { content: output.join("\n"), conflicts };
+};
+
+module.exports = {
+  CONFLICT_MARKERS,
+  hasConflictMarkers,
+  matchLines,
+  mergeThreeWay,
+};
@@ -0,0 +1,79 @@
+// Runs content search and find/replace tasks. A user's regular expression
+// can backtrack for minutes on the right input, so those run in a worker
+// thread that is stopped after a time limit instead of on the event loop.
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { SearchPatternError, searchFiles } = require("./searchService");
+const {
+  ReplaceConflictError,
+  previewReplace,
+  applyReplaceSelections,
+} = require("./replaceService");
+
+const TASKS = { searchFiles, previewReplace, applyReplaceSelections };
+
+const WORKER_PATH = path.join(__dirname, "patternWorker.js");
+
+// How long a regular expression task may run
+const getPatternTimeout = () =>
+  parseInt(process.env.SEARCH_REGEX_TIMEOUT_MS, 10) || 2000;
+
+// Rebuild an error thrown in the worker
+const toError = ({ name, message, conflicts }) => {
+  if (name === "SearchPatternError") return new SearchPatternError(message);
+  if (name === "ReplaceConflictError") {
+    return new ReplaceConflictError(message, conflicts);
+  }
+  return new Error(message);
+};
+
+const runInWorker = (task, args) =>
+  new Promise((resolve, reject) => {
+    // Documents become plain objects (IDs as strings) to cross the thread
+    const worker = new Worker(WORKER_PATH, {
+      workerData: { task, args: JSON.parse(JSON.stringify(args)) },
+      resourceLimits: { maxOldGenerationSizeMb: 256 },
+    });
+
+    let settled = false;
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      callback();
+    };
+
+    const timer = setTimeout(
+      () =>
+        finish(() =>
+          reject(
+            new SearchPatternError(
+              "The regular expression took too long to run. Try a simpler pattern.",
+              422
+            )
+          )
+        ),
+      getPatternTimeout()
+    );
+
+    worker.once("message", ({ result, error }) =>
+      finish(() => (error ? reject(toError(error)) : resolve(result)))
+    );
+    worker.once("error", (error) => finish(() => reject(error)));
+    worker.once("exit", () =>
+      finish(() => reject(new Error("Search worker stopped unexpectedly")))
+    );
+  });
+
+// Run searchFiles, previewReplace or applyReplaceSelections with the given
+// arguments; options are the search options among them
+const runPatternTask = async (task, args, options = {}) => {
+  if (!options.regex) return TASKS[task](...args);
+  return runInWorker(task, args);
+};
+
+module.exports = {
+  runPatternTask,
+};
@@ -0,0 +1,21 @@
+// Worker thread entry that runs one search or replace task for
+// patternTaskService and posts back its result or error
+
+const { parentPort, workerData } = require("worker_threads");
+const { searchFiles } = require("./searchService");
+const { previewReplace, applyReplaceSelections } = require("./replaceService");
+
+const TASKS = { searchFiles, previewReplace, applyReplaceSelections };
+
+try {
+  const result = TASKS[workerData.task](...workerData.args);
+  parentPort.postMessage({ result });
+} catch (error) {
+  parentPort.postMessage({
+    error: {
+      name: error.name,
+      message: error.message,
+      conflicts: error.conflicts,
+    },
+  });
+}
@@ -0,0 +1,125 @@
+// Live presence: who has a project open and which file they are looking at.
+// Each browser tab holds one WebSocket per project; closing the tab (or
+// missing pings) removes it from the channel.
+
+const crypto = require("crypto");
+
+// Connections that miss a ping for this long are dropped
+const PING_INTERVAL = 30000;
+
+// Longest file path a client may report
+const MAX_PATH_LENGTH = 1024;
+
+// Channels keyed by project ID: connection -> presence entry
+const channels = new Map();
+
+// The public view of a connection
+const toPeer = ({ clientId, user, activePath, joinedAt }) => ({
+  clientId,
+  userId: user._id.toString(),
+  username: user.username,
+  firstName: user.firstName || null,
+  lastName: user.lastName || null,
+  avatar: user.avatar || null,
+  activePath,
+  joinedAt,
+});
+
+// Send the current list of peers to everyone in a channel
+const broadcastPresence = (projectId) => {
+  const channel = channels.get(projectId);
+  if (!channel) return;
+
+  const message = JSON.stringify({
+    type: "presence",
+    peers: Array.from(channel.values()).map(toPeer),
+  });
+
+  channel.forEach((_, conn) => {
+    if (conn.readyState === conn.OPEN) conn.send(message);
+  });
+};
+
+// Remove a connection and tell the others it has gone
+const leaveChannel = (projectId, conn) => {
+  const channel = channels.get(projectId);
+  if (!channel || !channel.delete(conn)) return;
+
+  if (channel.size === 0) {
+    channels.delete(projectId);
+  } else {
+    broadcastPresence(projectId);
+  }
+};
+
+// Handle one message from a client
+const handleMessage = (projectId, conn, data) => {
+  const entry = channels.get(projectId)?.get(conn);
+  if (!entry) return;
+
+  const message = JSON.parse(data.toString());
+
+  if (message.type === "open") {
+    const { path } = message;
+    if (
+      path !== null &&
+      (typeof path !== "string" || path.length > MAX_PATH_LENGTH)
+    ) {
+      return;
+    }
+    if (entry.activePath === path) return;
+
+    entry.activePath = path;
+    broadcastPresence(projectId);
+  }
+};
+
+// Join an authenticated WebSocket connection to a project's presence channel
+const handlePresenceConnection = (conn, { projectId, user }) => {
+  if (!channels.has(projectId)) {
+    channels.set(projectId, new Map());
+  }
+
+  const entry = {
+    clientId: crypto.randomBytes(8).toString("hex"),
+    user,
+    activePath: null,
+    joinedAt: new Date(),
+  };
+  channels.get(projectId).set(conn, entry);
+
+  conn.on("message", (data) => {
+    try {
+      handleMessage(projectId, conn, data);
+    } catch (error) {
+      // Ignore malformed messages; the connection stays usable
+    }
+  });
+
+  // Drop connections whose browser tab went away without closing cleanly
+  let isAlive = true;
+  conn.on("pong", () => {
+    isAlive = true;
+  });
+  const pingTimer = setInterval(() => {
+    if (!isAlive) {
+      conn.terminate();
+      return;
+    }
+    isAlive = false;
+    conn.ping();
+  }, PING_INTERVAL);
+
+  conn.on("close", () => {
+    clearInterval(pingTimer);
+    leaveChannel(projectId, conn);
+  });
+
+  // Tell the client which entry is its own, then announce it to everyone
+  conn.send(JSON.stringify({ type: "welcome", clientId: entry.clientId }));
+  broadcastPresence(projectId);
+};
+
+module.exports = {
+  handlePresenceConnection,
+};
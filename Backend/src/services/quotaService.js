@@ -0,0 +1,130 @@
+// Per-user quotas on projects, files and storage, and usage against them.
+// Files count against the project owner, whoever writes them.
+
+const { Project, File } = require("../models");
+
+const MB = 1024 * 1024;
+
+class QuotaError extends Error {
+  constructor(message, statusCode = 429) {
+    super(message);
+    this.name = "QuotaError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Read quotas from the environment
+const getQuotaLimits = () => ({
+  maxProjects: parseInt(process.env.QUOTA_MAX_PROJECTS, 10) || 100,
+  maxFilesPerProject:
+    parseInt(process.env.QUOTA_MAX_FILES_PER_PROJECT, 10) || 1000,
+  maxStorageBytes: (parseInt(process.env.QUOTA_MAX_STORAGE_MB, 10) || 100) * MB,
+});
+
+const formatMegabytes = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+// Count files and folders and the bytes of their content
+const measureFiles = (files) => ({
+  files: files.length,
+  bytes: files.reduce(
+    (total, file) => total + File.getContentSize(file.content, file.encoding),
+    0
+  ),
+});
+
+// Bytes stored in a user's projects, and the most files any one of them has.
+// Projects and files in the trash don't count.
+const getStorageUsage = async (userId) => {
+  const projectIds = await Project.find({ userId }).distinct("_id");
+  const perProject = await File.aggregate([
+    { $match: { projectId: { $in: projectIds } } },
+    {
+      $group: {
+        _id: "$projectId",
+        files: { $sum: 1 },
+        bytes: { $sum: "$size" },
+      },
+    },
+  ]);
+
+  return {
+    bytes: perProject.reduce((total, project) => total + project.bytes, 0),
+    largestProjectFiles: Math.max(0, ...perProject.map((p) => p.files)),
+  };
+};
+
+// A user's usage against each quota
+const getQuotaUsage = async (userId) => {
+  const limits = getQuotaLimits();
+  const [projects, storage] = await Promise.all([
+    Project.countDocuments({ userId }),
+    getStorageUsage(userId),
+  ]);
+
+  return {
+    projects: { used: projects, limit: limits.maxProjects },
+    filesPerProject: {
+      used: storage.largestProjectFiles,
+      limit: limits.maxFilesPerProject,
+    },
+    storage: { used: storage.bytes, limit: limits.maxStorageBytes },
+  };
+};
+
+const checkFileCount = (count, added) => {
+  const { maxFilesPerProject } = getQuotaLimits();
+  if (added > 0 && count + added > maxFilesPerProject) {
+    throw new QuotaError(
+      `A project can have at most ${maxFilesPerProject} files and folders`
+    );
+  }
+};
+
+const checkStorage = async (userId, bytes) => {
+  if (bytes <= 0) return;
+
+  const { maxStorageBytes } = getQuotaLimits();
+  const { bytes: used } = await getStorageUsage(userId);
+  if (used + bytes > maxStorageBytes) {
+    const usage = `${formatMegabytes(used)} of ${formatMegabytes(
+      maxStorageBytes
+    )}`;
+    throw new QuotaError(`Storage quota exceeded: ${usage} used`, 413);
+  }
+};
+
+// Throw a QuotaError unless a user can create a project holding the given
+// number of files and bytes
+const assertProjectQuota = async (userId, { files = 0, bytes = 0 } = {}) => {
+  const { maxProjects } = getQuotaLimits();
+  if ((await Project.countDocuments({ userId })) >= maxProjects) {
+    throw new QuotaError(
+      `You can have at most ${maxProjects} projects. Delete a project to create another.`
+    );
+  }
+
+  checkFileCount(0, files);
+  await checkStorage(userId, bytes);
+};
+
+// Throw a QuotaError unless a project can take the given number of new files
+// and grow by the given number of bytes
+const assertFileQuota = async (project, { files = 0, bytes = 0 } = {}) => {
+  if (files > 0) {
+    checkFileCount(
+      await File.countDocuments({ projectId: project._id }),
+      files
+    );
+  }
+
+  await checkStorage(project.userId, bytes);
+};
+
+module.exports = {
+  QuotaError,
+  getQuotaLimits,
+  measureFiles,
+  getQuotaUsage,
+  assertProjectQuota,
+  assertFileQuota,
+};
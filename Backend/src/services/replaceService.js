@@ -0,0 +1,163 @@
+// Project-wide find and replace built on the content search helpers
+
+const {
+  buildSearchRegExp,
+  buildSnippet,
+  createPathFilter,
+  findMatchesInContent,
+} = require("./searchService");
+
+class ReplaceConflictError extends Error {
+  constructor(message, conflicts = []) {
+    super(message);
+    this.name = "ReplaceConflictError";
+    this.statusCode = 409;
+    this.conflicts = conflicts;
+  }
+}
+
+// Identify a hunk by its position so the client can select it for apply
+const hunkId = (match) => `${match.line}:${match.column}`;
+
+// Expand $&, $1, $<name> and $$ in a regex replacement string
+const expandReplacement = (replacement, match, useRegex) => {
+  if (!useRegex) return replacement;
+
+  return replacement.replace(
+    /\$(\$|&|\d{1,2}|<([^>]+)>)/g,
+    (token, ref, name) => {
+      if (ref === "$") return "$";
+      if (ref === "&") return match.text;
+      if (name !== undefined) {
+        return match.namedGroups?.[name] ?? "";
+      }
+
+      const group = match.groups[parseInt(ref, 10) - 1];
+      return group === undefined ? token : group;
+    }
+  );
+};
+
+// Compute every replacement hunk for a single file
+const buildFileHunks = (file, pattern, replacement, options) => {
+  return findMatchesInContent(file.content, pattern).map((match) => {
+    const replacementText = expandReplacement(
+      replacement,
+      match,
+      options.regex
+    );
+    const column = match.column - 1;
+    const lineAfter =
+      match.lineText.slice(0, column) +
+      replacementText +
+      match.lineText.slice(column + match.length);
+
+    return {
+      id: hunkId(match),
+      line: match.line,
+      column: match.column,
+      offset: match.offset,
+      length: match.length,
+      text: match.text,
+      replacement: replacementText,
+      before: buildSnippet(match.lineText, column, match.length),
+      after: buildSnippet(lineAfter, column, replacementText.length),
+    };
+  });
+};
+
+// Build a per-file preview of the changes a replace would make
+const previewReplace = (files, query, replacement, options = {}) => {
+  const { maxHunks = 1000 } = options;
+  const pattern = buildSearchRegExp(query, options);
+  const matchesPath = createPathFilter(options);
+
+  const preview = [];
+  let totalHunks = 0;
+  let truncated = false;
+
+  for (const file of files) {
+    if (file.type !== "file" || file.encoding !== "utf8") continue;
+    if (!matchesPath(file.path)) continue;
+
+    const hunks = buildFileHunks(file, pattern, replacement, options);
+    if (!hunks.length) continue;
+
+    if (totalHunks + hunks.length > maxHunks) {
+      truncated = true;
+      break;
+    }
+
+    totalHunks += hunks.length;
+    preview.push({
+      fileId: file._id,
+      path: file.path,
+      name: file.name,
+      version: file.metadata.version,
+      hunks: hunks.map(({ offset, ...hunk }) => hunk),
+    });
+  }
+
+  return { files: preview, totalHunks, truncated };
+};
+
+// Apply the selected hunks to a file's content, returning the new content
+const applyHunks = (file, query, replacement, options, selectedIds) => {
+  const pattern = buildSearchRegExp(query, options);
+  const hunks = buildFileHunks(file, pattern, replacement, options);
+  const byId = new Map(hunks.map((hunk) => [hunk.id, hunk]));
+
+  const selected = selectedIds
+    ? [...new Set(selectedIds)].map((id) => byId.get(id))
+    : hunks;
+
+  if (selected.some((hunk) => !hunk)) {
+    throw new ReplaceConflictError(
+      `Selected changes no longer match ${file.path}`,
+      [{ id: file._id, path: file.path, currentVersion: file.metadata.version }]
+    );
+  }
+
+  // Replace from the end so earlier offsets stay valid
+  let content = file.content;
+  [...selected]
+    .sort((a, b) => b.offset - a.offset)
+    .forEach((hunk) => {
+      content =
+        content.slice(0, hunk.offset) +
+        hunk.replacement +
+        content.slice(hunk.offset + hunk.length);
+    });
+
+  return { content, replacements: selected.length };
+};
+
+// Apply the selected hunks ({ fileId, hunks }) across several files
+const applyReplaceSelections = (
+  files,
+  selections,
+  query,
+  replacement,
+  options
+) => {
+  const filesById = new Map(files.map((file) => [String(file._id), file]));
+
+  return selections.map((selection) => ({
+    fileId: selection.fileId,
+    ...applyHunks(
+      filesById.get(String(selection.fileId)),
+      query,
+      replacement,
+      options,
+      selection.hunks
+    ),
+  }));
+};
+
+module.exports = {
+  ReplaceConflictError,
+  expandReplacement,
+  previewReplace,
+  applyHunks,
+  applyReplaceSelections,
+};
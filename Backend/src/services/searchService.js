@@ -0,0 +1,223 @@
+// Content search helpers shared by project search and find/replace
+
+const MAX_PATTERN_LENGTH = 500;
+const MAX_LINE_LENGTH = 10000;
+const SNIPPET_CONTEXT = 60;
+
+class SearchPatternError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SearchPatternError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Escape a string for literal use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Convert a glob ("src/**/*.jsx", "*.css") into a RegExp matching file paths
+const globToRegExp = (glob) => {
+  let pattern = glob.trim().replace(/^\.?\//, "");
+
+  // A bare name like "*.css" or "node_modules" matches at any depth
+  const anyDepth = !pattern.includes("/");
+  if (pattern.endsWith("/")) pattern += "**";
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories, "**" matches anything
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+      } else {
+        const options = pattern.slice(i + 1, end).split(",").map(escapeRegExp);
+        source += `(?:${options.join("|")})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // Also match everything below a matching folder
+  return new RegExp(`^${anyDepth ? "(?:.*/)?" : ""}${source}(?:/.*)?$`);
+};
+
+// Parse a comma separated list of globs into RegExps
+const parseGlobs = (globs) => {
+  if (!globs) return [];
+  const list = Array.isArray(globs) ? globs : String(globs).split(",");
+  return list.filter((glob) => glob.trim()).map(globToRegExp);
+};
+
+// Check a path against include/exclude glob lists
+const createPathFilter = ({ include, exclude } = {}) => {
+  const includes = parseGlobs(include);
+  const excludes = parseGlobs(exclude);
+
+  return (path) => {
+    const normalized = path.replace(/^\//, "");
+    if (includes.length && !includes.some((re) => re.test(normalized))) {
+      return false;
+    }
+    return !excludes.some((re) => re.test(normalized));
+  };
+};
+
+// Build the RegExp used to find matches within a line
+const buildSearchRegExp = (
+  query,
+  { caseSensitive = false, wholeWord = false, regex = false } = {}
+) => {
+  if (!query) {
+    throw new SearchPatternError("Search query is required");
+  }
+
+  if (query.length > MAX_PATTERN_LENGTH) {
+    throw new SearchPatternError(
+      `Search query cannot exceed ${MAX_PATTERN_LENGTH} characters`
+    );
+  }
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, caseSensitive ? "g" : "gi");
+  } catch (error) {
+    throw new SearchPatternError(`Invalid regular expression: ${error.message}`);
+  }
+
+  if (pattern.test("")) {
+    throw new SearchPatternError("Search pattern must not match empty text");
+  }
+  pattern.lastIndex = 0;
+
+  return pattern;
+};
+
+// Build a short preview of a line around a match
+const buildSnippet = (line, index, length) => {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(line.length, index + length + SNIPPET_CONTEXT);
+
+  return {
+    text: `${start > 0 ? "…" : ""}${line.slice(start, end)}${
+      end < line.length ? "…" : ""
+    }`,
+    matchStart: index - start + (start > 0 ? 1 : 0),
+    matchLength: length,
+  };
+};
+
+// Split content into lines, remembering where each line starts
+const splitLines = (content) => {
+  const parts = (content || "").split(/(\r?\n)/);
+  const lines = [];
+  let offset = 0;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    lines.push({ text: parts[i], offset });
+    offset += parts[i].length + (parts[i + 1] || "").length;
+  }
+
+  return lines;
+};
+
+// Find all matches of a pattern within a file's content
+const findMatchesInContent = (content, pattern, { limit = Infinity } = {}) => {
+  const matches = [];
+  const lines = splitLines(content);
+
+  for (let i = 0; i < lines.length && matches.length < limit; i++) {
+    const { text: line, offset } = lines[i];
+    if (line.length > MAX_LINE_LENGTH) continue;
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(line)) && matches.length < limit) {
+      matches.push({
+        line: i + 1,
+        column: match.index + 1,
+        offset: offset + match.index,
+        length: match[0].length,
+        text: match[0],
+        groups: match.slice(1),
+        namedGroups: match.groups || null,
+        lineText: line,
+        snippet: buildSnippet(line, match.index, match[0].length),
+      });
+    }
+  }
+
+  return matches;
+};
+
+// Search a list of files, returning one entry per match
+const searchFiles = (files, query, options = {}) => {
+  const { maxResults = 1000 } = options;
+  const pattern = buildSearchRegExp(query, options);
+  const matchesPath = createPathFilter(options);
+
+  const results = [];
+  let truncated = false;
+
+  for (const file of files) {
+    if (file.type !== "file" || file.encoding !== "utf8") continue;
+    if (!matchesPath(file.path)) continue;
+
+    const remaining = maxResults - results.length;
+    const matches = findMatchesInContent(file.content, pattern, {
+      limit: remaining + 1,
+    });
+
+    for (const match of matches.slice(0, remaining)) {
+      results.push({
+        fileId: file._id,
+        path: file.path,
+        name: file.name,
+        line: match.line,
+        column: match.column,
+        length: match.length,
+        text: match.text,
+        snippet: match.snippet,
+      });
+    }
+
+    if (matches.length > remaining) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return { results, truncated };
+};
+
+module.exports = {
+  SearchPatternError,
+  escapeRegExp,
+  globToRegExp,
+  createPathFilter,
+  buildSearchRegExp,
+  buildSnippet,
+  findMatchesInContent,
+  searchFiles,
+};
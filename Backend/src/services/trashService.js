@@ -0,0 +1,74 @@
+// Trash retention and the background job that purges expired items
+
+const { Project, File, FileRevision, Comment } = require("../models");
+const { auditTarget, recordAuditEvent } = require("./auditService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted file or project stays in the trash
+const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Minutes between background purge runs
+const getTrashPurgeInterval = () =>
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// When a trashed item will be purged
+const getPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+// Permanently delete everything that has been in the trash too long
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY_MS);
+
+  const projects = await Project.find({
+    deletedAt: { $ne: null, $lte: cutoff },
+  });
+  for (const project of projects) {
+    await project.purge();
+    await recordAuditEvent(null, "project.purge", {
+      target: auditTarget("project", project),
+      details: { reason: "trash retention expired" },
+    });
+  }
+
+  const fileIds = await File.find({
+    deletedAt: { $ne: null, $lte: cutoff },
+  }).distinct("_id");
+
+  if (fileIds.length) {
+    await FileRevision.deleteMany({ fileId: { $in: fileIds } });
+    await Comment.deleteMany({ fileId: { $in: fileIds } });
+    await File.deleteMany({ _id: { $in: fileIds } });
+  }
+
+  return { projects: projects.length, files: fileIds.length };
+};
+
+// Run the purge now and then on an interval
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged.projects || purged.files) {
+        console.log(
+          `Purged ${purged.projects} project(s) and ${purged.files} file(s) from trash`
+        );
+      }
+    } catch (error) {
+      console.error("Trash purge failed:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, getTrashPurgeInterval() * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeExpiredTrash,
+  startTrashPurge,
+};
@@ -0,0 +1,135 @@
+// Two-factor sign-in: time-based one-time passwords (RFC 6238) from an
+// authenticator app, and the recovery codes that stand in for them
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+
+const ISSUER = "CipherStudio";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted, for clocks that drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let output = "";
+  let value = 0;
+  let bits = 0;
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+// The one-time password for a key and counter (RFC 4226)
+const generateHotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+// The time step a moment falls in
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+// A new random secret, base32-encoded as authenticator apps expect
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Check a code against a secret. Returns the time step it matched, or null.
+// Steps up to lastUsedStep are refused so a code can't be used twice.
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const current = getTimeStep();
+  const last = current + TOTP_WINDOW;
+  for (let step = current - TOTP_WINDOW; step <= last; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// The otpauth:// URL authenticator apps enroll from, and its QR code as a
+// data URL
+const getTotpEnrollment = async (secret, accountName) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  const otpauthUrl = `otpauth://totp/${encodeURIComponent(
+    `${ISSUER}:${accountName}`
+  )}?${params}`;
+
+  return { otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Recovery codes are compared ignoring case and the dash, and only their
+// hashes are stored
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+// A fresh set of one-time recovery codes, like "3f9a1-c04be"
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  getTotpEnrollment,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
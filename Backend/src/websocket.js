@@ -0,0 +1,180 @@
+const { WebSocketServer } = require("ws");
+const { User, File, Project } = require("./models");
+const {
+  verifyToken,
+  findActiveSession,
+  resolveShareLink,
+} = require("./middleware/auth");
+const {
+  handleCollabConnection,
+  handlePresenceConnection,
+} = require("./services");
+
+// /ws/collab/<fileId>
+const COLLAB_PATH = /^\/ws\/collab\/([a-f0-9]{24})$/i;
+
+// /ws/presence/<projectId>
+const PRESENCE_PATH = /^\/ws\/presence\/([a-f0-9]{24})$/i;
+
+// Largest message accepted from a client (a whole file plus protocol overhead)
+const MAX_PAYLOAD = 2 * 1024 * 1024;
+
+// Reject an upgrade request with a plain HTTP response
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(
+    `HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`
+  );
+  socket.destroy();
+};
+
+// Browsers cannot set headers on WebSocket requests, so they send the JWT as a
+// subprotocol after this one: new WebSocket(url, [AUTH_PROTOCOL, token])
+const AUTH_PROTOCOL = "cipherstudio.auth";
+
+// The JWT from the Sec-WebSocket-Protocol header or the Authorization header.
+// Tokens in the URL are not accepted, as URLs end up in logs and history.
+const getUpgradeToken = (req) => {
+  const protocols = (req.headers["sec-websocket-protocol"] || "")
+    .split(",")
+    .map((protocol) => protocol.trim());
+  const index = protocols.indexOf(AUTH_PROTOCOL);
+  if (index !== -1 && protocols[index + 1]) {
+    return protocols[index + 1];
+  }
+
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  return null;
+};
+
+// Resolve the user from the JWT the upgrade request carries
+const authenticateUpgrade = async (req) => {
+  const token = getUpgradeToken(req);
+  if (!token) return null;
+
+  try {
+    const decoded = verifyToken(token);
+    if (!(await findActiveSession(decoded))) return null;
+
+    const user = await User.findById(decoded.userId).select("-password");
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Collaborative editing of one text file
+const upgradeCollab = async (
+  wss,
+  req,
+  socket,
+  head,
+  { user, id, shareLink }
+) => {
+  const file = await File.findById(id).populate("projectId");
+  if (!file || !file.projectId || file.type !== "file") {
+    return rejectUpgrade(socket, 404, "Not Found");
+  }
+
+  // Binary assets are replaced whole, never edited as text
+  if (file.encoding !== "utf8") {
+    return rejectUpgrade(socket, 400, "Bad Request");
+  }
+
+  if (!file.projectId.canView(user, shareLink)) {
+    return rejectUpgrade(socket, 403, "Forbidden");
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    handleCollabConnection(ws, {
+      fileId: file._id.toString(),
+      user,
+      readOnly: !file.projectId.hasRole(user, "editor", shareLink),
+    });
+  });
+};
+
+// Presence of everyone who has a project open
+const upgradePresence = async (
+  wss,
+  req,
+  socket,
+  head,
+  { user, id, shareLink }
+) => {
+  const project = await Project.findById(id);
+  if (!project) {
+    return rejectUpgrade(socket, 404, "Not Found");
+  }
+
+  if (!project.canView(user, shareLink)) {
+    return rejectUpgrade(socket, 403, "Forbidden");
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    handlePresenceConnection(ws, {
+      projectId: project._id.toString(),
+      user,
+    });
+  });
+};
+
+const ROUTES = [
+  { path: COLLAB_PATH, upgrade: upgradeCollab },
+  { path: PRESENCE_PATH, upgrade: upgradePresence },
+];
+
+// Accept WebSocket connections for collaborative editing and presence on
+// the HTTP server
+const attachWebSocketServer = (server) => {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_PAYLOAD,
+    // Answer with the auth subprotocol, never the token that follows it
+    handleProtocols: (protocols) =>
+      protocols.has(AUTH_PROTOCOL) ? AUTH_PROTOCOL : false,
+  });
+
+  server.on("upgrade", async (req, socket, head) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      let match = null;
+      const route = ROUTES.find(({ path }) => {
+        match = url.pathname.match(path);
+        return match;
+      });
+
+      if (!route) {
+        return rejectUpgrade(socket, 404, "Not Found");
+      }
+
+      const user = await authenticateUpgrade(req);
+      if (!user) {
+        return rejectUpgrade(socket, 401, "Unauthorized");
+      }
+
+      // Share links work here too, through the share query parameter
+      const shareLink = await resolveShareLink(url.searchParams.get("share"));
+
+      await route.upgrade(wss, req, socket, head, {
+        user,
+        id: match[1],
+        shareLink,
+      });
+    } catch (error) {
+      console.error("WebSocket upgrade error:", error);
+      rejectUpgrade(socket, 500, "Internal Server Error");
+    }
+  });
+
+  return wss;
+};
+
+module.exports = {
+  attachWebSocketServer,
+};
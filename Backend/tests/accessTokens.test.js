@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+const { AccessToken, User } = require("../src/models");
+const { authenticate, requireSession } = require("../src/middleware/auth");
+
+const userId = new mongoose.Types.ObjectId();
+
+// Tokens, as the database would hold them
+let tokens;
+
+beforeEach(() => {
+  tokens = [];
+  jest.spyOn(AccessToken, "create").mockImplementation(async (data) => {
+    const accessToken = new AccessToken(data);
+    tokens.push(accessToken);
+    return accessToken;
+  });
+  jest
+    .spyOn(AccessToken, "findOne")
+    .mockImplementation(
+      async ({ tokenHash }) =>
+        tokens.find((token) => token.tokenHash === tokenHash) || null
+    );
+  jest
+    .spyOn(AccessToken.prototype, "save")
+    .mockImplementation(async function () {
+      return this;
+    });
+  jest.spyOn(User, "findById").mockReturnValue({
+    select: async () => new User({ _id: userId, username: "ada" }),
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const issue = (scopes, fields) =>
+  AccessToken.issue({ userId, name: "CI", scopes, ...fields });
+
+// Run authenticate for a request made with a token
+const authenticateWith = async (token, { method = "GET", baseUrl }) => {
+  const req = {
+    method,
+    baseUrl,
+    ip: "203.0.113.7",
+    headers: { authorization: `Bearer ${token}` },
+  };
+  const res = { status: jest.fn(() => res), json: jest.fn() };
+  const next = jest.fn();
+  await authenticate(req, res, next);
+  return { req, res, next };
+};
+
+describe("personal access tokens", () => {
+  it("are only stored as a hash", async () => {
+    const { accessToken, token } = await issue(["projects:read"]);
+
+    expect(token).toMatch(/^csp_/);
+    expect(accessToken.tokenHash).not.toContain(token);
+    expect(token.startsWith(accessToken.tokenPreview)).toBe(true);
+    expect(JSON.stringify(accessToken)).not.toContain(accessToken.tokenHash);
+  });
+
+  it("stop working once revoked or expired", async () => {
+    const { accessToken, token } = await issue(["projects:read"]);
+    const expired = await issue(["projects:read"], {
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    expect(await AccessToken.findActive(token)).toBe(accessToken);
+    expect(await AccessToken.findActive(expired.token)).toBeNull();
+    expect(await AccessToken.findActive("csp_guess")).toBeNull();
+
+    await accessToken.revoke();
+    expect(await AccessToken.findActive(token)).toBeNull();
+  });
+
+  it("grant their scopes and what those include", async () => {
+    const { accessToken: reader } = await issue(["projects:read"]);
+    const { accessToken: writer } = await issue(["files:write"]);
+    const { accessToken: admin } = await issue(["admin"]);
+
+    expect(reader.hasScope("projects:read")).toBe(true);
+    expect(reader.hasScope("files:write")).toBe(false);
+    expect(writer.hasScope("projects:read")).toBe(true);
+    expect(writer.hasScope("admin")).toBe(false);
+    expect(admin.hasScope("files:write")).toBe(true);
+  });
+});
+
+describe("authenticating with a personal access token", () => {
+  it("allows reads with a read token and records its use", async () => {
+    const { accessToken, token } = await issue(["projects:read"]);
+
+    const { req, next } = await authenticateWith(token, {
+      baseUrl: "/api/projects",
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.accessToken).toBe(accessToken);
+    expect(req.userSession).toBeNull();
+    expect(accessToken.lastUsedIp).toBe("203.0.113.7");
+  });
+
+  it("refuses requests outside the token's scopes", async () => {
+    const { token } = await issue(["projects:read"]);
+
+    const write = await authenticateWith(token, {
+      method: "PUT",
+      baseUrl: "/api/files",
+    });
+    const account = await authenticateWith(token, { baseUrl: "/api/users" });
+
+    expect(write.res.status).toHaveBeenCalledWith(403);
+    expect(account.res.status).toHaveBeenCalledWith(403);
+    expect(write.next).not.toHaveBeenCalled();
+  });
+
+  it("refuses revoked tokens", async () => {
+    const { accessToken, token } = await issue(["admin"]);
+    await accessToken.revoke();
+
+    const { res, next } = await authenticateWith(token, {
+      baseUrl: "/api/projects",
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("cannot be used where a signed-in session is required", async () => {
+    const { token } = await issue(["admin"]);
+    const { req } = await authenticateWith(token, { baseUrl: "/api/users" });
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    requireSession(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,193 @@
+const mongoose = require("mongoose");
+const { AccountToken, User, Session, AuditEvent } = require("../src/models");
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+} = require("../src/controllers/userController");
+const { setMailTransport } = require("../src/services");
+const { callController } = require("./helpers/express");
+
+// Tokens, as the database would hold them, and emails sent
+let tokens;
+let sent;
+
+beforeEach(() => {
+  tokens = [];
+  sent = [];
+  setMailTransport(async (message) => {
+    sent.push(message);
+    return { messageId: null };
+  });
+
+  jest
+    .spyOn(AccountToken, "deleteMany")
+    .mockImplementation(async ({ userId, purpose }) => {
+      tokens = tokens.filter(
+        (token) => !(token.userId.equals(userId) && token.purpose === purpose)
+      );
+    });
+  jest.spyOn(AccountToken, "create").mockImplementation(async (data) => {
+    const accountToken = new AccountToken(data);
+    tokens.push(accountToken);
+    return accountToken;
+  });
+  jest
+    .spyOn(AccountToken, "findOneAndDelete")
+    .mockImplementation(async ({ tokenHash, purpose, expiresAt }) => {
+      const accountToken = tokens.find(
+        (token) =>
+          token.tokenHash === tokenHash &&
+          token.purpose === purpose &&
+          token.expiresAt > expiresAt.$gt
+      );
+      tokens = tokens.filter((token) => token !== accountToken);
+      return accountToken || null;
+    });
+  jest.spyOn(AuditEvent, "create").mockResolvedValue(null);
+});
+
+afterEach(() => {
+  setMailTransport(null);
+  jest.restoreAllMocks();
+});
+
+const createUser = (fields) => {
+  const user = new User({
+    username: "ada",
+    email: "ada@example.com",
+    password: "old-password",
+    ...fields,
+  });
+  jest.spyOn(user, "save").mockResolvedValue(user);
+  jest
+    .spyOn(User, "findOne")
+    .mockImplementation(async (filter) =>
+      filter.email === user.email || user._id.equals(filter._id) ? user : null
+    );
+  jest.spyOn(User, "findById").mockResolvedValue(user);
+  return user;
+};
+
+// The token in the link of the last email sent
+const tokenFromEmail = () => sent[sent.length - 1].text.match(/=([\w-]+)$/m)[1];
+
+describe("account tokens", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  it("can be used once, for their purpose only", async () => {
+    const token = await AccountToken.issue(userId, "reset-password");
+
+    expect(tokens[0].tokenHash).not.toContain(token);
+    expect(await AccountToken.consume(token, "verify-email")).toBeNull();
+    expect(await AccountToken.consume(token, "reset-password")).toEqual(userId);
+    expect(await AccountToken.consume(token, "reset-password")).toBeNull();
+  });
+
+  it("stop working when a newer one is issued", async () => {
+    const first = await AccountToken.issue(userId, "reset-password");
+    const second = await AccountToken.issue(userId, "reset-password");
+
+    expect(await AccountToken.consume(first, "reset-password")).toBeNull();
+    expect(await AccountToken.consume(second, "reset-password")).toEqual(
+      userId
+    );
+  });
+
+  it("expire", async () => {
+    const token = await AccountToken.issue(userId, "reset-password");
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect(await AccountToken.consume(token, "reset-password")).toBeNull();
+  });
+});
+
+describe("password reset", () => {
+  it("answers the same whether or not the account exists", async () => {
+    createUser();
+
+    const known = await callController(forgotPassword, {
+      body: { email: "ada@example.com" },
+    });
+    const unknown = await callController(forgotPassword, {
+      body: { email: "nobody@example.com" },
+    });
+
+    expect(known.res.json.mock.calls[0][0]).toEqual(
+      unknown.res.json.mock.calls[0][0]
+    );
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("ada@example.com");
+  });
+
+  it("sets the new password and signs out every session", async () => {
+    const user = createUser({ emailVerifiedAt: null });
+    const revokeAll = jest.spyOn(Session, "revokeAll").mockResolvedValue({});
+    await callController(forgotPassword, { body: { email: user.email } });
+
+    const { res } = await callController(resetPassword, {
+      body: { token: tokenFromEmail(), password: "new-password" },
+      headers: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.password).toBe("new-password");
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(revokeAll).toHaveBeenCalledWith(user._id);
+  });
+
+  it("refuses a reset link that was already used", async () => {
+    const user = createUser();
+    jest.spyOn(Session, "revokeAll").mockResolvedValue({});
+    await callController(forgotPassword, { body: { email: user.email } });
+    const token = tokenFromEmail();
+
+    await callController(resetPassword, {
+      body: { token, password: "new-password" },
+      headers: {},
+    });
+    const { res } = await callController(resetPassword, {
+      body: { token, password: "another-password" },
+      headers: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.password).toBe("new-password");
+  });
+
+  it("does not take a verification token as a reset token", async () => {
+    const user = createUser();
+    const token = await AccountToken.issue(user._id, "verify-email");
+
+    const { res } = await callController(resetPassword, {
+      body: { token, password: "new-password" },
+      headers: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.password).toBe("old-password");
+  });
+});
+
+describe("email verification", () => {
+  it("verifies the address the token was sent for", async () => {
+    const user = createUser({ emailVerifiedAt: null });
+    const token = await AccountToken.issue(user._id, "verify-email");
+
+    const { res } = await callController(verifyEmail, { body: { token } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+  });
+
+  it("refuses an unknown token", async () => {
+    const user = createUser({ emailVerifiedAt: null });
+
+    const { res } = await callController(verifyEmail, {
+      body: { token: "guess" },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.emailVerifiedAt).toBeNull();
+  });
+});
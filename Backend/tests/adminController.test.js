@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const { AuditEvent, File, Project, Session, User } = require("../src/models");
+const { authorize } = require("../src/middleware/auth");
+const {
+  deactivateUser,
+  updateUserRole,
+  unpublishProject,
+  republishProject,
+} = require("../src/controllers/adminController");
+const {
+  getFileById,
+  getFileDownloadUrl,
+  searchFiles,
+} = require("../src/controllers/fileController");
+const { promoteConfiguredAdmins } = require("../src/services/adminService");
+const { callController } = require("./helpers/express");
+
+const admin = new User({
+  username: "root",
+  email: "root@example.com",
+  role: "admin",
+});
+
+let audited;
+
+beforeEach(() => {
+  audited = [];
+  jest.spyOn(AuditEvent, "create").mockImplementation(async (data) => {
+    audited.push(data);
+    return data;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createUser = () => {
+  const user = new User({ username: "ada", email: "ada@example.com" });
+  jest.spyOn(user, "save").mockResolvedValue(user);
+  jest.spyOn(User, "findById").mockResolvedValue(user);
+  return user;
+};
+
+const onUser = (controller, userId, body = {}) =>
+  callController(controller, {
+    params: { userId: userId.toString() },
+    body,
+    user: admin,
+    headers: {},
+  });
+
+describe("admin routes", () => {
+  it("are closed to everyone but admins", () => {
+    const call = (user) => {
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      authorize("admin")({ user }, res, next);
+      return { res, next };
+    };
+
+    expect(call(admin).next).toHaveBeenCalled();
+    expect(call(createUser()).res.status).toHaveBeenCalledWith(403);
+    expect(call(undefined).res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe("managing users", () => {
+  it("signs a deactivated user out everywhere", async () => {
+    const user = createUser();
+    const revokeAll = jest.spyOn(Session, "revokeAll").mockResolvedValue({});
+
+    const { res } = await onUser(deactivateUser, user._id);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.isActive).toBe(false);
+    expect(revokeAll).toHaveBeenCalledWith(user._id);
+    expect(audited[0].action).toBe("admin.user_deactivate");
+    expect(audited[0].actor.username).toBe("root");
+  });
+
+  it("records role changes from and to", async () => {
+    const user = createUser();
+
+    await onUser(updateUserRole, user._id, { role: "admin" });
+
+    expect(user.role).toBe("admin");
+    expect(audited[0].details).toEqual({ from: "user", to: "admin" });
+  });
+
+  it("won't let admins deactivate or demote themselves", async () => {
+    const findById = jest.spyOn(User, "findById");
+
+    const deactivated = await onUser(deactivateUser, admin._id);
+    const demoted = await onUser(updateUserRole, admin._id, { role: "user" });
+
+    expect(deactivated.res.status).toHaveBeenCalledWith(400);
+    expect(demoted.res.status).toHaveBeenCalledWith(400);
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it("answers 404 for a missing user", async () => {
+    jest.spyOn(User, "findById").mockResolvedValue(null);
+
+    const { res } = await onUser(deactivateUser, new mongoose.Types.ObjectId());
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("moderating projects", () => {
+  const createProject = () => {
+    const project = new Project({
+      name: "Demo",
+      userId: new mongoose.Types.ObjectId(),
+    });
+    jest.spyOn(project, "save").mockResolvedValue(project);
+    jest.spyOn(Project, "findById").mockResolvedValue(project);
+    return project;
+  };
+
+  const onProject = (controller, project, body = {}) =>
+    callController(controller, {
+      params: { id: project._id.toString() },
+      body,
+      user: admin,
+      headers: {},
+    });
+
+  it("unpublishes a project with the reason recorded", async () => {
+    const project = createProject();
+
+    await onProject(unpublishProject, project, { reason: "Spam" });
+
+    expect(project.isPublic).toBe(false);
+    expect(project.moderation.unpublishedBy).toEqual(admin._id);
+    expect(audited[0].details).toEqual({ reason: "Spam" });
+  });
+
+  it("only republishes projects a moderator unpublished", async () => {
+    const project = createProject();
+    project.isPublic = false;
+
+    const refused = await onProject(republishProject, project);
+    await onProject(unpublishProject, project);
+    const republished = await onProject(republishProject, project);
+
+    expect(refused.res.status).toHaveBeenCalledWith(400);
+    expect(republished.res.status).toHaveBeenCalledWith(200);
+    expect(project.isPublic).toBe(true);
+    expect(project.moderation.unpublishedAt).toBeNull();
+  });
+});
+
+describe("viewing files of a private project", () => {
+  const setUp = () => {
+    const project = new Project({
+      name: "Demo",
+      userId: new mongoose.Types.ObjectId(),
+      isPublic: false,
+    });
+    const file = new File({
+      name: "App.js",
+      path: "src/App.js",
+      projectId: project._id,
+      type: "file",
+      content: "export default 1;",
+    });
+    file.projectId = project;
+    jest
+      .spyOn(File, "findById")
+      .mockReturnValue({ populate: async () => file });
+    jest.spyOn(Project, "findById").mockResolvedValue(project);
+    jest.spyOn(File, "findByPattern").mockResolvedValue([file]);
+    return { project, file };
+  };
+
+  const viewAs = (user) => {
+    const { project, file } = setUp();
+    return Promise.all([
+      callController(getFileById, { params: { id: file._id }, user }),
+      callController(getFileDownloadUrl, { params: { id: file._id }, user }),
+      callController(searchFiles, {
+        params: { projectId: project._id },
+        query: { q: "App" },
+        user,
+      }),
+    ]);
+  };
+
+  it("is open to admins moderating it", async () => {
+    for (const { res } of await viewAs(admin)) {
+      expect(res.status).toHaveBeenCalledWith(200);
+    }
+  });
+
+  it("is closed to other users", async () => {
+    const user = new User({ username: "eve", email: "eve@example.com" });
+
+    for (const { res } of await viewAs(user)) {
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+  });
+});
+
+describe("promoteConfiguredAdmins", () => {
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it("promotes the users listed in ADMIN_EMAILS", async () => {
+    process.env.ADMIN_EMAILS = " Root@Example.com, ,ops@example.com";
+    const updateMany = jest
+      .spyOn(User, "updateMany")
+      .mockResolvedValue({ modifiedCount: 0 });
+
+    await promoteConfiguredAdmins();
+
+    expect(updateMany).toHaveBeenCalledWith(
+      {
+        email: { $in: ["root@example.com", "ops@example.com"] },
+        role: { $ne: "admin" },
+      },
+      { role: "admin" }
+    );
+  });
+
+  it("does nothing when none are configured", async () => {
+    const updateMany = jest.spyOn(User, "updateMany");
+
+    expect(await promoteConfiguredAdmins()).toBe(0);
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+});
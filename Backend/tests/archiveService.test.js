@@ -0,0 +1,139 @@
+const { PassThrough } = require("stream");
+const mongoose = require("mongoose");
+const { File, Project } = require("../src/models");
+const { toFileBuffer } = require("../src/services/archiveService");
+const {
+  readZipEntries,
+  buildImportTree,
+} = require("../src/services/importService");
+const { exportProject } = require("../src/controllers/projectController");
+const { createZip } = require("./helpers/zip");
+
+// Bytes that are not valid UTF-8, so only a base64 round trip keeps them
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80]);
+
+const owner = { _id: new mongoose.Types.ObjectId() };
+
+afterEach(() => jest.restoreAllMocks());
+
+// Store an import's tree as a project's files, the way importProject does
+const storeTree = (project, tree) => {
+  const idsByPath = new Map();
+  return tree.map((item) => {
+    const file = new File({
+      name: item.name,
+      projectId: project._id,
+      parentId: item.parentPath ? idsByPath.get(item.parentPath) : null,
+      type: item.type,
+      path: item.path,
+      content: item.content || "",
+      encoding: item.encoding || "utf8",
+    });
+    idsByPath.set(item.path, file._id);
+    return file.toObject();
+  });
+};
+
+// The project's files as the collection holds them. Queries go through
+// mongoose, so the trash filter of the soft delete plugin applies.
+const mockCollection = (docs) =>
+  jest.spyOn(File.collection, "find").mockImplementation((filter) => ({
+    toArray: async () =>
+      docs.filter((doc) =>
+        Object.entries(filter).every(([key, value]) =>
+          value === null ? doc[key] == null : String(doc[key]) === String(value)
+        )
+      ),
+  }));
+
+// Run exportProject and collect the ZIP it streams
+const exportZip = (project) =>
+  new Promise((resolve, reject) => {
+    const res = new PassThrough();
+    res.set = jest.fn();
+    res.status = jest.fn(() => res);
+    res.json = jest.fn((body) => reject(new Error(body.message)));
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => resolve({ res, zip: Buffer.concat(chunks) }));
+
+    exportProject({ params: { id: project._id }, user: owner }, res, reject);
+  });
+
+// The tree an archive imports as
+const importZip = async (zip) => buildImportTree(await readZipEntries(zip));
+
+describe("project export", () => {
+  const original = createZip([
+    { name: "demo/" },
+    { name: "demo/index.html", content: "<h1>Café</h1>\n" },
+    { name: "demo/package.json", content: '{ "name": "demo" }\n' },
+    { name: "demo/src/App.js", content: "export default () => null;\n" },
+    { name: "demo/img/logo.png", content: PNG },
+  ]);
+
+  const createProject = () => {
+    const project = new Project({ name: "My Demo!", userId: owner._id });
+    jest.spyOn(Project, "findById").mockResolvedValue(project);
+    return project;
+  };
+
+  it("imports back as the same files, assets included", async () => {
+    const project = createProject();
+    const { tree } = await importZip(original);
+    mockCollection(storeTree(project, tree));
+
+    const { res, zip } = await exportZip(project);
+    const reimported = await importZip(zip);
+
+    expect(res.set).toHaveBeenCalledWith({
+      "Content-Type": "application/zip",
+      "Content-Disposition": 'attachment; filename="My-Demo.zip"',
+    });
+    expect(reimported.skipped).toEqual([]);
+    expect(reimported.tree).toEqual(tree);
+    const logo = reimported.tree.find((item) => item.path === "img/logo.png");
+    expect(logo.encoding).toBe("base64");
+    expect(Buffer.from(logo.content, "base64").equals(PNG)).toBe(true);
+  });
+
+  it("leaves out files in the trash", async () => {
+    const project = createProject();
+    const { tree } = await importZip(original);
+    const docs = storeTree(project, tree);
+    docs.find((doc) => doc.path === "src/App.js").deletedAt = new Date();
+    mockCollection(docs);
+
+    const { zip } = await exportZip(project);
+    const paths = (await readZipEntries(zip)).map((entry) => entry.path);
+
+    expect(paths).toContain("My-Demo/index.html");
+    expect(paths).not.toContain("My-Demo/src/App.js");
+  });
+
+  it("adds the project's package.json when no file holds one", async () => {
+    const project = createProject();
+    project.packageJson = { name: "demo", dependencies: { react: "^18.0.0" } };
+    mockCollection([]);
+
+    const { zip } = await exportZip(project);
+    const [entry] = await readZipEntries(zip);
+
+    expect(entry.path).toBe("My-Demo/package.json");
+    expect(JSON.parse(entry.buffer.toString())).toEqual(project.packageJson);
+  });
+});
+
+describe("toFileBuffer", () => {
+  it("decodes content from its stored encoding", () => {
+    expect(
+      toFileBuffer({ content: PNG.toString("base64"), encoding: "base64" })
+    ).toEqual(PNG);
+    expect(
+      toFileBuffer({ content: PNG.toString("binary"), encoding: "binary" })
+    ).toEqual(PNG);
+    expect(toFileBuffer({ content: "Café", encoding: "utf8" })).toEqual(
+      Buffer.from("Café", "utf8")
+    );
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const { AuditEvent } = require("../src/models");
+const {
+  auditTarget,
+  recordAuditEvent,
+  buildAuditQuery,
+  toAuditCsv,
+} = require("../src/services/auditService");
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "ada",
+  email: "ada@example.com",
+};
+const project = { _id: new mongoose.Types.ObjectId(), name: "Demo" };
+
+const request = (headers = {}) => ({ user, ip: "203.0.113.7", headers });
+
+describe("recordAuditEvent", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(AuditEvent, "create")
+      .mockImplementation(async (data) => new AuditEvent(data));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("records the signed-in user, the request and the target", async () => {
+    const event = await recordAuditEvent(
+      request({ "user-agent": "x".repeat(600) }),
+      "project.delete",
+      { target: auditTarget("project", project) }
+    );
+
+    expect(event.actor.username).toBe("ada");
+    expect(event.ip).toBe("203.0.113.7");
+    expect(event.userAgent).toHaveLength(512);
+    expect(event.target.name).toBe("Demo");
+    expect(event.projectId).toEqual(project._id);
+    expect(event.outcome).toBe("success");
+  });
+
+  it("records background jobs and failed sign-ins without an actor", async () => {
+    const job = await recordAuditEvent(null, "trash.purge", {
+      details: { projects: 2 },
+    });
+    const failed = await recordAuditEvent(request(), "auth.login_failed", {
+      actor: null,
+      outcome: "failure",
+    });
+
+    expect(job.actor.userId).toBeNull();
+    expect(job.ip).toBeNull();
+    expect(failed.actor.userId).toBeNull();
+    expect(failed.outcome).toBe("failure");
+  });
+
+  it("never throws when the log can't be written", async () => {
+    AuditEvent.create.mockRejectedValue(new Error("database is down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      recordAuditEvent(request(), "account.delete")
+    ).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe("auditTarget", () => {
+  it("names each kind of target", () => {
+    expect(auditTarget("user", user).name).toBe("ada");
+    expect(auditTarget("file", { _id: 1, path: "/src/App.js" }).name).toBe(
+      "/src/App.js"
+    );
+    expect(auditTarget("share-link", { _id: 1, scope: "edit" }).name).toBe(
+      "edit link"
+    );
+  });
+});
+
+describe("buildAuditQuery", () => {
+  it("matches a whole group for an action without a dot", () => {
+    expect(buildAuditQuery({ action: "project" })).toEqual({
+      action: { $regex: "^project\\." },
+    });
+    expect(buildAuditQuery({ action: "project.delete" })).toEqual({
+      action: "project.delete",
+    });
+  });
+
+  it("filters by actor, target, project and time", () => {
+    const query = buildAuditQuery({
+      actorId: user._id.toString(),
+      targetType: "project",
+      projectId: project._id.toString(),
+      from: "2024-01-01",
+    });
+
+    expect(query["actor.userId"]).toEqual(user._id);
+    expect(query["target.type"]).toBe("project");
+    expect(query.projectId).toEqual(project._id);
+    expect(query.createdAt).toEqual({ $gte: new Date("2024-01-01") });
+  });
+
+  it("matches everything without filters", () => {
+    expect(buildAuditQuery()).toEqual({});
+  });
+});
+
+describe("toAuditCsv", () => {
+  const event = (fields) =>
+    new AuditEvent({
+      action: "file.delete",
+      createdAt: new Date("2024-05-01T12:00:00Z"),
+      ...fields,
+    });
+
+  it("writes a header row and one row per event", () => {
+    const csv = toAuditCsv([event({ details: { count: 2 } })]);
+    const [header, row] = csv.trim().split("\r\n");
+
+    expect(header.split(",")[0]).toBe("time");
+    expect(header.split(",")).toHaveLength(13);
+    expect(row).toMatch(/^2024-05-01T12:00:00.000Z,file.delete,success,/);
+    expect(row).toMatch(/,"{""count"":2}"$/);
+  });
+
+  it("keeps spreadsheets from running values as formulas", () => {
+    const csv = toAuditCsv([
+      event({ target: { type: "file", name: "=HYPERLINK(1)" } }),
+      event({ userAgent: "@SUM(A1), -1" }),
+    ]);
+
+    expect(csv).toContain(",'=HYPERLINK(1),");
+    expect(csv).toContain(`,"'@SUM(A1), -1",`);
+  });
+});
@@ -0,0 +1,283 @@
+const { EventEmitter } = require("events");
+const Y = require("yjs");
+const syncProtocol = require("y-protocols/sync");
+const awarenessProtocol = require("y-protocols/awareness");
+const encoding = require("lib0/encoding");
+const decoding = require("lib0/decoding");
+
+// The stored file, as the database would return it
+const stored = {};
+
+jest.mock("../src/models/File", () => {
+  // A query that can be narrowed with select() or awaited directly
+  const query = (load) => ({
+    select() {
+      return this;
+    },
+    then(resolve, reject) {
+      return Promise.resolve().then(load).then(resolve, reject);
+    },
+  });
+
+  const toDocument = () => ({
+    _id: stored._id,
+    projectId: "64b000000000000000000099",
+    content: stored.content,
+    size: Buffer.byteLength(stored.content),
+    encoding: "utf8",
+    collabState: stored.collabState,
+    metadata: { version: stored.version, lastModifiedBy: null },
+    async save() {
+      stored.content = this.content;
+      stored.version += 1;
+      this.metadata.version = stored.version;
+      return this;
+    },
+  });
+
+  return {
+    getContentSize: (content) => Buffer.byteLength(content),
+    findById: jest.fn(() => query(() => (stored._id ? toDocument() : null))),
+    updateOne: jest.fn(async (filter, { $set }) => {
+      Object.assign(stored, $set);
+    }),
+  };
+});
+
+jest.mock("../src/models/Project", () => ({
+  findById: jest.fn(() => ({
+    select: async () => ({ userId: "64b0000000000000000000aa" }),
+  })),
+}));
+jest.mock("../src/services/quotaService", () => {
+  const actual = jest.requireActual("../src/services/quotaService");
+  return { QuotaError: actual.QuotaError, assertFileQuota: jest.fn() };
+});
+
+const { QuotaError, assertFileQuota } = require("../src/services/quotaService");
+const {
+  handleCollabConnection,
+  flushCollabRooms,
+} = require("../src/services/collabService");
+
+const FILE_ID = "64b000000000000000000001";
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+// Let saves and room teardown that run after a close finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+// Connect a client document to the file's room over a fake WebSocket that
+// speaks the y-websocket sync protocol, like WebsocketProvider does. Given an
+// awareness, cursors sent to the client are applied to it.
+const connect = async (doc, awareness = null) => {
+  const conn = new EventEmitter();
+  conn.OPEN = 1;
+  conn.readyState = 1;
+  conn.ping = () => {};
+  conn.terminate = () => {};
+  conn.close = () => {
+    if (conn.readyState !== conn.OPEN) return;
+    conn.readyState = 3;
+    doc.off("update", sendUpdate);
+    conn.emit("close");
+    // Stops the awareness timer that would keep jest running
+    if (awareness) awareness.destroy();
+  };
+
+  const toServer = (write) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    write(encoder);
+    conn.emit("message", encoding.toUint8Array(encoder));
+  };
+
+  conn.send = (message, callback) => {
+    const decoder = decoding.createDecoder(new Uint8Array(message));
+    const messageType = decoding.readVarUint(decoder);
+    if (messageType === MESSAGE_AWARENESS && awareness) {
+      awarenessProtocol.applyAwarenessUpdate(
+        awareness,
+        decoding.readVarUint8Array(decoder),
+        conn
+      );
+    } else if (messageType === MESSAGE_SYNC) {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.readSyncMessage(decoder, encoder, doc, conn);
+      if (encoding.length(encoder) > 1) {
+        conn.emit("message", encoding.toUint8Array(encoder));
+      }
+    }
+    if (callback) callback();
+  };
+
+  const sendUpdate = (update, origin) => {
+    if (origin === conn) return;
+    toServer((encoder) => syncProtocol.writeUpdate(encoder, update));
+  };
+  doc.on("update", sendUpdate);
+
+  await handleCollabConnection(conn, {
+    fileId: FILE_ID,
+    user: { _id: "64b0000000000000000000aa" },
+    readOnly: false,
+  });
+  toServer((encoder) => syncProtocol.writeSyncStep1(encoder, doc));
+
+  return conn;
+};
+
+// Send a client's own cursor to the room, as WebsocketProvider does
+const sendCursor = (conn, awareness) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+  encoding.writeVarUint8Array(
+    encoder,
+    awarenessProtocol.encodeAwarenessUpdate(awareness, [awareness.clientID])
+  );
+  conn.emit("message", encoding.toUint8Array(encoder));
+};
+
+describe("collaborative editing", () => {
+  beforeEach(() => {
+    Object.assign(stored, {
+      _id: FILE_ID,
+      content: "hello",
+      collabState: null,
+      version: 1,
+    });
+    assertFileQuota.mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await flushCollabRooms();
+  });
+
+  it("syncs the file content to a new client", async () => {
+    const doc = new Y.Doc();
+    const conn = await connect(doc);
+
+    expect(doc.getText("content").toString()).toBe("hello");
+
+    conn.close();
+    await settle();
+  });
+
+  it("does not duplicate content when a client reconnects to a rebuilt room", async () => {
+    const doc = new Y.Doc();
+    let conn = await connect(doc);
+    doc.getText("content").insert(5, " world");
+
+    // The last peer leaves, so the room is persisted and unloaded
+    conn.close();
+    await settle();
+    expect(stored.content).toBe("hello world");
+
+    // The client keeps its document and reconnects to a fresh room
+    conn = await connect(doc);
+    expect(doc.getText("content").toString()).toBe("hello world");
+
+    conn.close();
+    await settle();
+    expect(stored.content).toBe("hello world");
+  });
+
+  it("applies saves made while the room was closed on top of the kept history", async () => {
+    const doc = new Y.Doc();
+    let conn = await connect(doc);
+    conn.close();
+    await settle();
+
+    // A REST save while nobody has the file open
+    stored.content = "hello there";
+    stored.version += 1;
+
+    conn = await connect(doc);
+    expect(doc.getText("content").toString()).toBe("hello there");
+
+    conn.close();
+    await settle();
+    expect(stored.content).toBe("hello there");
+  });
+
+  it("reverts edits that would go over the storage quota", async () => {
+    assertFileQuota.mockRejectedValue(
+      new QuotaError("Storage quota exceeded", 413)
+    );
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const doc = new Y.Doc();
+    const conn = await connect(doc);
+    doc.getText("content").insert(5, " world");
+
+    // A periodic save while the client is still connected
+    await flushCollabRooms();
+
+    expect(assertFileQuota).toHaveBeenCalledWith(
+      { userId: "64b0000000000000000000aa" },
+      { bytes: 6 }
+    );
+    expect(stored.content).toBe("hello");
+    expect(stored.version).toBe(1);
+    expect(doc.getText("content").toString()).toBe("hello");
+
+    conn.close();
+    await settle();
+  });
+});
+
+describe("remote cursors", () => {
+  beforeEach(() => {
+    Object.assign(stored, {
+      _id: FILE_ID,
+      content: "hello",
+      collabState: null,
+      version: 1,
+    });
+  });
+
+  afterEach(async () => {
+    await flushCollabRooms();
+  });
+
+  // A client with its own document and awareness of the others' cursors
+  const createClient = async () => {
+    const doc = new Y.Doc();
+    const awareness = new awarenessProtocol.Awareness(doc);
+    const conn = await connect(doc, awareness);
+    return { doc, awareness, conn };
+  };
+
+  it("are relayed to the other clients, and to clients joining later", async () => {
+    const ada = await createClient();
+    const grace = await createClient();
+
+    ada.awareness.setLocalStateField("selection", { anchor: 1, head: 3 });
+    sendCursor(ada.conn, ada.awareness);
+    const late = await createClient();
+
+    for (const { awareness } of [grace, late]) {
+      expect(awareness.getStates().get(ada.doc.clientID)).toEqual({
+        selection: { anchor: 1, head: 3 },
+      });
+    }
+
+    for (const { conn } of [ada, grace, late]) conn.close();
+    await settle();
+  });
+
+  it("are cleared when their client disconnects", async () => {
+    const ada = await createClient();
+    const grace = await createClient();
+    ada.awareness.setLocalStateField("selection", { anchor: 0, head: 0 });
+    sendCursor(ada.conn, ada.awareness);
+    expect(grace.awareness.getStates().has(ada.doc.clientID)).toBe(true);
+
+    ada.conn.close();
+
+    expect(grace.awareness.getStates().has(ada.doc.clientID)).toBe(false);
+
+    grace.conn.close();
+    await settle();
+  });
+});
@@ -0,0 +1,161 @@
+const {
+  Project,
+  ProjectInvitation,
+  User,
+  AuditEvent,
+} = require("../src/models");
+const {
+  inviteCollaborator,
+  acceptInvitation,
+  declineInvitation,
+} = require("../src/controllers/collaboratorController");
+const { setMailTransport } = require("../src/services");
+const { callController } = require("./helpers/express");
+
+let sent;
+let invitations;
+
+beforeEach(() => {
+  sent = [];
+  invitations = [];
+  setMailTransport(async (message) => {
+    sent.push(message);
+    return { messageId: null };
+  });
+
+  jest
+    .spyOn(ProjectInvitation, "findOne")
+    .mockImplementation(
+      async (filter) =>
+        invitations.find((invitation) =>
+          filter.token
+            ? invitation.token === filter.token
+            : invitation.email === filter.email &&
+              invitation.status === filter.status
+        ) || null
+    );
+  jest.spyOn(ProjectInvitation, "create").mockImplementation(async (data) => {
+    const invitation = new ProjectInvitation(data);
+    invitations.push(invitation);
+    return invitation;
+  });
+  jest
+    .spyOn(ProjectInvitation.prototype, "save")
+    .mockImplementation(async function () {
+      return this;
+    });
+  jest.spyOn(User, "findOne").mockResolvedValue(null);
+  jest.spyOn(AuditEvent, "create").mockResolvedValue(null);
+});
+
+afterEach(() => {
+  setMailTransport(null);
+  jest.restoreAllMocks();
+});
+
+const owner = new User({
+  username: "owner",
+  email: "owner@example.com",
+  password: "hashed",
+});
+
+const createProject = () => {
+  const project = new Project({ name: "Demo", userId: owner._id });
+  jest.spyOn(Project, "findById").mockResolvedValue(project);
+  jest
+    .spyOn(project, "setCollaborator")
+    .mockImplementation(async (userId, role) => {
+      project.collaborators.push({ userId, role });
+    });
+  return project;
+};
+
+const invite = (project, email) =>
+  callController(inviteCollaborator, {
+    body: { email, role: "editor" },
+    project,
+    projectRole: "owner",
+    user: owner,
+    headers: {},
+  });
+
+const invitee = (fields) =>
+  new User({
+    username: "invitee",
+    email: "invitee@example.com",
+    password: "hashed",
+    ...fields,
+  });
+
+describe("project invitations", () => {
+  it("emails the invitation link to the invitee", async () => {
+    const project = createProject();
+
+    const { res } = await invite(project, "invitee@example.com");
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.emailSent).toBe(true);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("invitee@example.com");
+    expect(sent[0].text).toContain(`?invitation=${invitations[0].token}`);
+  });
+
+  it("keeps the invitation when the email cannot be sent", async () => {
+    const project = createProject();
+    setMailTransport(async () => {
+      throw new Error("SMTP unavailable");
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const { res } = await invite(project, "invitee@example.com");
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.emailSent).toBe(false);
+    expect(invitations).toHaveLength(1);
+  });
+
+  it("lets a verified invitee accept", async () => {
+    const project = createProject();
+    await invite(project, "invitee@example.com");
+    const user = invitee({ emailVerifiedAt: new Date() });
+
+    const { res } = await callController(acceptInvitation, {
+      params: { token: invitations[0].token },
+      user,
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(project.getRole(user)).toBe("editor");
+    expect(invitations[0].status).toBe("accepted");
+  });
+
+  it("refuses invitees who have not verified their email", async () => {
+    const project = createProject();
+    await invite(project, "invitee@example.com");
+    const user = invitee({ emailVerifiedAt: null });
+
+    for (const controller of [acceptInvitation, declineInvitation]) {
+      const { res } = await callController(controller, {
+        params: { token: invitations[0].token },
+        user,
+      });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+    expect(project.getRole(user)).toBeNull();
+    expect(invitations[0].status).toBe("pending");
+  });
+
+  it("refuses invitations sent to another address", async () => {
+    const project = createProject();
+    await invite(project, "someone@example.com");
+
+    const { res } = await callController(acceptInvitation, {
+      params: { token: invitations[0].token },
+      user: invitee({ emailVerifiedAt: new Date() }),
+    });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(invitations[0].status).toBe("pending");
+  });
+});
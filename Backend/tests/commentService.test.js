@@ -0,0 +1,228 @@
+const mongoose = require("mongoose");
+const { Comment, File, FileRevision } = require("../src/models");
+const {
+  createAnchor,
+  findAnchor,
+  reanchorThreads,
+} = require("../src/services/commentService");
+const { getFileComments } = require("../src/controllers/commentController");
+const { callController } = require("./helpers/express");
+
+const ORIGINAL = [
+  "import a;",
+  "",
+  "function add(x, y) {",
+  "  return x + y;",
+  "}",
+];
+
+// A stored file, as loaded from the database
+const loadFile = (lines = ORIGINAL, version = 1) =>
+  File.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    projectId: new mongoose.Types.ObjectId(),
+    name: "math.js",
+    path: "src/math.js",
+    type: "file",
+    content: lines.join("\n"),
+    encoding: "utf8",
+    metadata: { version },
+  });
+
+// A thread left on lines of the original file
+const createThread = (file, startLine, endLine) =>
+  Comment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    projectId: file.projectId,
+    fileId: file._id,
+    authorId: new mongoose.Types.ObjectId(),
+    body: "Check this",
+    anchor: createAnchor(file, startLine, endLine),
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("findAnchor", () => {
+  const anchor = createAnchor(loadFile(), 3, 4);
+
+  it("follows lines moved elsewhere in the file", () => {
+    const content = ["// math", "import a;", "", "", "function add(x, y) {"]
+      .concat(["  return x + y;", "}"])
+      .join("\n");
+
+    expect(findAnchor(anchor, content)).toEqual({
+      startLine: 5,
+      endLine: 6,
+      outdated: false,
+    });
+  });
+
+  it("keeps the place of edited lines, marked outdated", () => {
+    const content = ["import a;", "", "function add(x, y) {"]
+      .concat(["  return y + x;", "}"])
+      .join("\n");
+
+    expect(findAnchor(anchor, content)).toEqual({
+      startLine: 3,
+      endLine: 4,
+      outdated: true,
+    });
+  });
+
+  it("stays in the file when the lines are deleted, marked outdated", () => {
+    expect(findAnchor(anchor, "import a;\n")).toEqual({
+      startLine: 1,
+      endLine: 2,
+      outdated: true,
+    });
+    expect(findAnchor(anchor, "")).toEqual({
+      startLine: 1,
+      endLine: 1,
+      outdated: true,
+    });
+  });
+
+  it("picks the copy of the lines nearest to where they were", () => {
+    const block = ["function add(x, y) {", "  return x + y;"];
+    const content = [...block, "", "", "", "", ...block].join("\n");
+
+    expect(findAnchor(anchor, content).startLine).toBe(1);
+    expect(findAnchor({ ...anchor, startLine: 6 }, content).startLine).toBe(7);
+  });
+});
+
+describe("reanchorThreads", () => {
+  it("moves threads to the file's version, only in memory", () => {
+    const thread = createThread(loadFile(), 3, 4);
+    const save = jest.spyOn(thread, "save");
+    const edited = loadFile(["// math", ...ORIGINAL], 2);
+
+    expect(reanchorThreads([thread], edited)).toEqual([thread]);
+    expect(thread.anchor.toObject()).toMatchObject({
+      startLine: 4,
+      endLine: 5,
+      version: 2,
+      outdated: false,
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("changes nothing when run again for the same version", () => {
+    const thread = createThread(loadFile(), 3, 4);
+    const edited = loadFile(["import a;", "", "}"], 2);
+
+    reanchorThreads([thread], edited);
+    const anchor = thread.anchor.toObject();
+
+    expect(reanchorThreads([thread], edited)).toEqual([]);
+    expect(thread.anchor.toObject()).toEqual(anchor);
+    expect(anchor.outdated).toBe(true);
+  });
+
+  it("keeps an outdated thread where the lines went on later edits", () => {
+    const thread = createThread(loadFile(), 3, 4);
+
+    reanchorThreads([thread], loadFile(["function add(x, y) {"], 2));
+    reanchorThreads([thread], loadFile(["// math", ...ORIGINAL], 3));
+
+    expect(thread.anchor.toObject()).toMatchObject({
+      startLine: 4,
+      endLine: 5,
+      outdated: false,
+    });
+  });
+});
+
+describe("threads when a file is saved", () => {
+  let threads;
+
+  beforeEach(() => {
+    threads = [];
+    jest
+      .spyOn(File.collection, "updateOne")
+      .mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(FileRevision, "recordSnapshot").mockResolvedValue(null);
+    jest
+      .spyOn(Comment, "find")
+      .mockReturnValue({ session: async () => threads });
+    jest.spyOn(Comment.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  it("are moved and saved along with their lines", async () => {
+    const file = loadFile();
+    threads.push(createThread(file, 3, 4));
+
+    file.content = ["// math", ...ORIGINAL].join("\n");
+    await file.save();
+
+    expect(Comment.find).toHaveBeenCalledWith({
+      fileId: file._id,
+      parentId: null,
+      "anchor.version": { $ne: 2 },
+    });
+    expect(Comment.prototype.save).toHaveBeenCalledWith({
+      timestamps: false,
+      session: null,
+    });
+    expect(threads[0].anchor.startLine).toBe(4);
+    expect(threads[0].anchor.version).toBe(2);
+  });
+
+  it("are left alone when the save is rejected as stale", async () => {
+    File.collection.updateOne.mockResolvedValue({ matchedCount: 0 });
+    const file = loadFile();
+
+    file.content = "rewritten";
+    file.$where = { "metadata.version": 1 };
+
+    await expect(file.save()).rejects.toThrow(
+      mongoose.Error.DocumentNotFoundError
+    );
+    expect(Comment.find).not.toHaveBeenCalled();
+  });
+
+  it("are left alone when the content did not change", async () => {
+    const file = loadFile();
+
+    file.name = "sum.js";
+    await file.save();
+
+    expect(Comment.find).not.toHaveBeenCalled();
+  });
+});
+
+describe("getFileComments", () => {
+  // Comment.find for the threads, then for their replies
+  const mockFind = (threads) => {
+    const query = (result) => {
+      const chain = {
+        populate: () => chain,
+        sort: async () => result,
+      };
+      return chain;
+    };
+    jest
+      .spyOn(Comment, "find")
+      .mockReturnValueOnce(query(threads))
+      .mockReturnValueOnce(query([]));
+  };
+
+  it("shows threads where their lines are now without saving them", async () => {
+    const thread = createThread(loadFile(), 3, 4);
+    const save = jest.spyOn(Comment.prototype, "save");
+    mockFind([thread]);
+
+    const { res } = await callController(getFileComments, {
+      query: {},
+      file: loadFile(["// math", ...ORIGINAL], 2),
+    });
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(data.threads[0].anchor).toMatchObject({ startLine: 4, version: 2 });
+    expect(data.version).toBe(2);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
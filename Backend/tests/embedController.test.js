@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const { Project, ShareLink } = require("../src/models");
+const { getOEmbed } = require("../src/controllers/embedController");
+const { embedValidation } = require("../src/middleware/validation");
+const { callController } = require("./helpers/express");
+
+const FRONTEND_URL = "https://cipherstudio.example";
+
+beforeAll(() => {
+  process.env.FRONTEND_URL = FRONTEND_URL;
+});
+
+afterAll(() => {
+  delete process.env.FRONTEND_URL;
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createProject = (fields = {}) => {
+  const project = new Project({
+    name: "Demo",
+    userId: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
+  jest
+    .spyOn(Project, "findById")
+    .mockReturnValue({ populate: async () => project });
+  return project;
+};
+
+const embedUrl = (project, query = "") =>
+  `${FRONTEND_URL}/embed/${project._id}${query}`;
+
+const oembed = (query) => callController(getOEmbed, { query });
+
+describe("getOEmbed", () => {
+  it("describes a public project as a rich embed", async () => {
+    const project = createProject();
+
+    const { res } = await oembed({ url: embedUrl(project) });
+
+    const body = res.json.mock.calls[0][0];
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(body).toMatchObject({
+      version: "1.0",
+      type: "rich",
+      provider_url: FRONTEND_URL,
+      title: "Demo",
+      width: 800,
+      height: 500,
+    });
+    expect(body.html).toContain(`src="${embedUrl(project)}"`);
+  });
+
+  it("escapes the project name in the iframe markup", async () => {
+    const project = createProject({
+      name: `Demo" onload="alert(1)"><script>x</script>`,
+    });
+
+    const { res } = await oembed({ url: embedUrl(project) });
+
+    const { html, title } = res.json.mock.calls[0][0];
+    expect(title).toBe(project.name);
+    expect(html).toContain(
+      'title="Demo&quot; onload=&quot;alert(1)&quot;&gt;&lt;script&gt;x&lt;/script&gt;"'
+    );
+    expect(html).not.toContain("<script>");
+  });
+
+  it("answers 404 for a private project without a share link", async () => {
+    const project = createProject({ isPublic: false });
+
+    const { res } = await oembed({ url: embedUrl(project) });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json.mock.calls[0][0].message).toBe("Project not found");
+  });
+
+  it("describes a private project embedded with a share link", async () => {
+    const project = createProject({ isPublic: false });
+    const token = crypto.randomBytes(24).toString("hex");
+    const shareLink = new ShareLink({
+      projectId: project._id,
+      createdBy: project.userId,
+      token,
+      scope: "view",
+    });
+    jest.spyOn(ShareLink, "findOne").mockResolvedValue(shareLink);
+
+    const { res } = await oembed({
+      url: embedUrl(project, `?share=${token}`),
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(ShareLink.findOne).toHaveBeenCalledWith({ token });
+  });
+
+  it("answers 404 for URLs that are not our embeds", async () => {
+    const project = createProject();
+
+    for (const url of [
+      `https://elsewhere.example/embed/${project._id}`,
+      `${FRONTEND_URL}/projects/${project._id}`,
+      "not a url",
+    ]) {
+      const { res } = await oembed({ url });
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    }
+    expect(Project.findById).not.toHaveBeenCalled();
+  });
+
+  it("only speaks json", async () => {
+    const project = createProject();
+
+    const { res } = await oembed({ url: embedUrl(project), format: "xml" });
+
+    expect(res.status).toHaveBeenCalledWith(501);
+  });
+});
+
+describe("embed size", () => {
+  // Run the route's validation, which turns the sizes into numbers
+  const request = async (query) => {
+    const req = { query };
+    await Promise.all(embedValidation.oembed.map((rule) => rule.run(req)));
+    return req;
+  };
+
+  it("fits within maxwidth and maxheight", async () => {
+    const project = createProject();
+    const req = await request({
+      url: embedUrl(project),
+      maxwidth: "400",
+      maxheight: "300",
+    });
+
+    const { res } = await oembed(req.query);
+
+    const { width, height, html } = res.json.mock.calls[0][0];
+    expect({ width, height }).toEqual({ width: 400, height: 300 });
+    expect(html).toContain('width="400" height="300"');
+  });
+
+  it("never grows past the default size", async () => {
+    const project = createProject();
+    const req = await request({
+      url: embedUrl(project),
+      maxwidth: "5000",
+      maxheight: "4000",
+    });
+
+    const { res } = await oembed(req.query);
+
+    const { width, height } = res.json.mock.calls[0][0];
+    expect({ width, height }).toEqual({ width: 800, height: 500 });
+  });
+
+  it("refuses sizes that are not positive integers", async () => {
+    for (const size of ["0", "-10", "wide"]) {
+      const req = await request({ url: FRONTEND_URL, maxwidth: size });
+
+      expect(validationResult(req).array()).toEqual([
+        expect.objectContaining({ msg: "maxwidth must be a positive integer" }),
+      ]);
+    }
+  });
+});
@@ -0,0 +1,438 @@
+const { Readable } = require("stream");
+const mongoose = require("mongoose");
+const { Comment, File, FileRevision, Project } = require("../src/models");
+const {
+  getFileById,
+  getFileRaw,
+  updateFile,
+  uploadFile,
+  bulkUpdateFiles,
+} = require("../src/controllers/fileController");
+const { assetUpload } = require("../src/middleware/upload");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { MAX_ASSET_SIZE } = require("../src/services");
+const { callController } = require("./helpers/express");
+
+const owner = { _id: new mongoose.Types.ObjectId() };
+
+// Versions of files as the database holds them, by path
+let storedVersions;
+
+beforeEach(() => {
+  storedVersions = new Map();
+
+  // Like mongoose, a save with $where set only matches the stored version it
+  // names, and the saved file moves to the next version
+  jest.spyOn(File.prototype, "save").mockImplementation(async function () {
+    const stored = storedVersions.get(this.path);
+    if (this.$where && this.$where["metadata.version"] !== stored) {
+      throw new mongoose.Error.DocumentNotFoundError({ _id: this._id });
+    }
+
+    if (stored !== undefined) this.metadata.version = stored + 1;
+    storedVersions.set(this.path, this.metadata.version);
+    return this;
+  });
+
+  // Storage use is well inside the quota
+  jest.spyOn(Project, "find").mockReturnValue({ distinct: async () => [] });
+  jest.spyOn(File, "aggregate").mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createProject = () => {
+  const project = new Project({ name: "Demo", userId: owner._id });
+  jest.spyOn(project, "save").mockResolvedValue(project);
+  jest.spyOn(Project, "findById").mockResolvedValue(project);
+  return project;
+};
+
+// A stored file, as loaded with its project populated
+const createFile = (project, path, version) => {
+  storedVersions.set(path, version);
+  const file = File.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: path.split("/").pop(),
+    path,
+    projectId: project._id,
+    type: "file",
+    content: "old",
+    size: 3,
+    metadata: { version },
+  });
+  file.projectId = project;
+  return file;
+};
+
+const loadFile = (file) =>
+  jest.spyOn(File, "findById").mockReturnValue({ populate: async () => file });
+
+const update = (file, { body = {}, headers = {} } = {}) =>
+  callController(updateFile, {
+    params: { id: file._id.toString() },
+    body: { content: "new", ...body },
+    headers,
+    user: owner,
+  });
+
+describe("updateFile versions", () => {
+  it("sends the version of a file as its ETag", async () => {
+    const file = createFile(createProject(), "src/App.js", 3);
+    loadFile(file);
+
+    const { res } = await callController(getFileById, {
+      params: { id: file._id.toString() },
+      user: owner,
+    });
+
+    expect(res.set).toHaveBeenCalledWith("ETag", '"3"');
+  });
+
+  it("accepts If-Match with the current version, strong or weak", async () => {
+    for (const ifMatch of ['"3"', 'W/"3"', "3"]) {
+      const file = createFile(createProject(), "src/App.js", 3);
+      loadFile(file);
+
+      const { res } = await update(file, { headers: { "if-match": ifMatch } });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith("ETag", '"4"');
+    }
+  });
+
+  it("rejects a stale If-Match or base version with the server copy", async () => {
+    const file = createFile(createProject(), "src/App.js", 3);
+    loadFile(file);
+
+    const header = await update(file, { headers: { "if-match": '"2"' } });
+    const body = await update(file, { body: { baseVersion: 2 } });
+
+    for (const { res } of [header, body]) {
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].data.conflict).toMatchObject({
+        path: "src/App.js",
+        currentVersion: 3,
+        content: "old",
+      });
+    }
+    expect(File.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("prefers the base version in the body over If-Match", async () => {
+    const file = createFile(createProject(), "src/App.js", 3);
+    loadFile(file);
+
+    const { res } = await update(file, {
+      body: { baseVersion: 2 },
+      headers: { "if-match": '"3"' },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it("writes without a check for If-Match * or no version at all", async () => {
+    for (const headers of [{ "if-match": "*" }, {}]) {
+      const file = createFile(createProject(), "src/App.js", 3);
+      loadFile(file);
+
+      const { res } = await update(file, { headers });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(file.$where).toBeUndefined();
+    }
+  });
+
+  it("answers 409 when another write lands between the check and the save", async () => {
+    const file = createFile(createProject(), "src/App.js", 3);
+    loadFile(file);
+    jest
+      .spyOn(File, "findById")
+      .mockReturnValueOnce({ populate: async () => file })
+      .mockResolvedValueOnce(
+        File.hydrate({ ...file.toObject(), metadata: { version: 4 } })
+      );
+    storedVersions.set("src/App.js", 4);
+
+    const { res } = await update(file, { body: { baseVersion: 3 } });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].data.conflict.currentVersion).toBe(4);
+  });
+});
+
+describe("bulkUpdateFiles versions", () => {
+  // Files of the project found by path, as each is loaded
+  const storeFiles = (files) => {
+    const byPath = new Map(files.map((file) => [file.path, file]));
+    jest
+      .spyOn(File, "findOne")
+      .mockImplementation(async ({ path }) => byPath.get(path) || null);
+    jest.spyOn(File, "find").mockReturnValue({ select: async () => files });
+  };
+
+  const bulkSave = (project, files) =>
+    callController(bulkUpdateFiles, {
+      params: { projectId: project._id.toString() },
+      body: { files },
+      user: owner,
+    });
+
+  it("writes nothing when a base version is stale", async () => {
+    const project = createProject();
+    const stale = createFile(project, "src/a.js", 5);
+    storeFiles([createFile(project, "src/b.js", 1), stale]);
+
+    const { res } = await bulkSave(project, [
+      { path: "src/b.js", name: "b.js", content: "b", baseVersion: 1 },
+      { path: "src/a.js", name: "a.js", content: "a", baseVersion: 4 },
+    ]);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].data.conflicts).toEqual([
+      expect.objectContaining({ path: "src/a.js", currentVersion: 5 }),
+    ]);
+    expect(File.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("answers 409 when a file is written while the batch is saved", async () => {
+    const project = createProject();
+    const first = createFile(project, "src/a.js", 1);
+    const second = createFile(project, "src/b.js", 1);
+    storeFiles([first, second]);
+    // Someone saves b.js once the version check has passed
+    File.prototype.save.mockImplementationOnce(async function () {
+      storedVersions.set("src/b.js", 2);
+      storedVersions.set(this.path, 2);
+      this.metadata.version = 2;
+      return this;
+    });
+
+    const { res } = await bulkSave(project, [
+      { path: "src/a.js", name: "a.js", content: "a", baseVersion: 1 },
+      { path: "src/b.js", name: "b.js", content: "b", baseVersion: 1 },
+    ]);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(data.conflicts).toEqual([
+      expect.objectContaining({ path: "src/b.js" }),
+    ]);
+    expect(data.results.updated).toEqual([
+      expect.objectContaining({ path: "src/a.js", version: 2 }),
+    ]);
+    expect(data.results.errors).toEqual([]);
+  });
+});
+
+describe("uploadFile", () => {
+  const MB = 1024 * 1024;
+  const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]);
+
+  beforeEach(() => {
+    // Saves run their hooks, so the stored size is the model's own
+    File.prototype.save.mockRestore();
+    jest.spyOn(File.collection, "insertOne").mockResolvedValue({});
+    jest
+      .spyOn(File.collection, "updateOne")
+      .mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(FileRevision, "recordSnapshot").mockResolvedValue(null);
+    jest.spyOn(Comment, "reanchorFile").mockResolvedValue();
+    jest.spyOn(File, "countDocuments").mockResolvedValue(1);
+    jest.spyOn(File, "findOne").mockResolvedValue(null);
+    process.env.QUOTA_MAX_STORAGE_MB = "1";
+  });
+
+  afterEach(() => {
+    delete process.env.QUOTA_MAX_STORAGE_MB;
+  });
+
+  // Bytes the owner already stores, out of the 1 MB quota
+  const setStorageUsed = (bytes) => {
+    Project.find.mockReturnValue({ distinct: async () => ["other"] });
+    File.aggregate.mockResolvedValue([{ files: 1, bytes }]);
+  };
+
+  const upload = (project, buffer, name = "logo.png") =>
+    callController(uploadFile, {
+      body: { projectId: project._id.toString(), name },
+      file: { originalname: name, buffer },
+      user: owner,
+    });
+
+  it("stores an asset as base64, sized by its decoded bytes", async () => {
+    const { res } = await upload(createProject(), PNG);
+
+    const { file } = res.json.mock.calls[0][0].data;
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(file).toMatchObject({
+      content: PNG.toString("base64"),
+      encoding: "base64",
+      size: 6,
+      mimeType: "image/png",
+      language: "binary",
+    });
+  });
+
+  it("counts the decoded bytes, not the base64 text, against the quota", async () => {
+    setStorageUsed(MB - 6);
+    const fits = await upload(createProject(), PNG);
+
+    setStorageUsed(MB - 5);
+    const over = await upload(createProject(), PNG);
+
+    expect(fits.res.status).toHaveBeenCalledWith(201);
+    expect(over.error.statusCode).toBe(413);
+  });
+
+  it("counts only the growth when replacing an asset", async () => {
+    const project = createProject();
+    const stored = File.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "logo.png",
+      path: "logo.png",
+      projectId: project._id,
+      type: "file",
+      content: PNG.toString("base64"),
+      encoding: "base64",
+      size: 6,
+      metadata: { version: 1 },
+    });
+    File.findOne.mockResolvedValue(stored);
+    // Room for the 4 bytes it grows by, not for all 10
+    setStorageUsed(MB - 4);
+
+    const { res } = await upload(project, Buffer.concat([PNG, PNG.slice(2)]));
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(stored.size).toBe(10);
+    expect(stored.metadata.version).toBe(2);
+  });
+
+  it("accepts only the allowed asset types", async () => {
+    for (const name of ["page.html", "icon.svg", "app.js", "README"]) {
+      const { res } = await upload(createProject(), PNG, name);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    for (const name of ["a.JPG", "b.webp", "c.woff2", "d.mp3"]) {
+      const { res } = await upload(createProject(), PNG, name);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    }
+  });
+
+  describe("size limit", () => {
+    // A multipart request with one file in the field assetUpload reads
+    const multipart = (content) => {
+      const boundary = "asset-boundary";
+      const body = Buffer.concat([
+        Buffer.from(
+          `--${boundary}\r\n` +
+            'Content-Disposition: form-data; name="file"; filename="big.png"\r\n' +
+            "Content-Type: image/png\r\n\r\n"
+        ),
+        content,
+        Buffer.from(`\r\n--${boundary}--\r\n`),
+      ]);
+      const req = Readable.from([body]);
+      req.headers = {
+        "content-type": `multipart/form-data; boundary=${boundary}`,
+        "content-length": String(body.length),
+      };
+      return req;
+    };
+
+    const receive = (content) =>
+      new Promise((resolve) => {
+        const req = multipart(content);
+        assetUpload(req, {}, (error) => resolve({ req, error }));
+      });
+
+    it("takes assets up to 750KB", async () => {
+      const { req, error } = await receive(Buffer.alloc(MAX_ASSET_SIZE));
+
+      expect(error).toBeUndefined();
+      expect(req.file.size).toBe(750000);
+      // Its base64 text still fits the model's content limit
+      const file = new File({
+        name: "big.png",
+        path: "big.png",
+        projectId: new mongoose.Types.ObjectId(),
+        type: "file",
+        content: req.file.buffer.toString("base64"),
+        encoding: "base64",
+      });
+      expect(file.validateSync()).toBeUndefined();
+    });
+
+    it("refuses larger ones with 413", async () => {
+      const { error } = await receive(Buffer.alloc(MAX_ASSET_SIZE + 1));
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      errorHandler(error, {}, res, () => {});
+
+      expect(error.code).toBe("LIMIT_FILE_SIZE");
+      expect(res.status).toHaveBeenCalledWith(413);
+    });
+  });
+});
+
+describe("getFileRaw", () => {
+  const serve = (file, user = owner) => {
+    loadFile(file);
+    return callController(getFileRaw, {
+      params: { id: file._id.toString() },
+      user,
+    });
+  };
+
+  it("sends an asset's decoded bytes with its MIME type", async () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    const file = createFile(createProject(), "img/logo.png", 1);
+    file.set({
+      content: bytes.toString("base64"),
+      encoding: "base64",
+      mimeType: "image/png",
+    });
+
+    const { res } = await serve(file);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0].equals(bytes)).toBe(true);
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({ "Content-Type": "image/png", ETag: '"1"' })
+    );
+  });
+
+  it("sandboxes every raw response so uploaded markup cannot run scripts", async () => {
+    for (const [path, mimeType] of [
+      ["index.html", "text/html"],
+      ["icon.svg", "image/svg+xml"],
+    ]) {
+      const file = createFile(createProject(), path, 1);
+      file.set({ content: "<script>alert(1)</script>", mimeType });
+
+      const { res } = await serve(file);
+
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          "Content-Type": mimeType,
+          "Content-Security-Policy": "sandbox",
+        })
+      );
+    }
+  });
+
+  it("is closed to others on a private project", async () => {
+    const project = createProject();
+    project.isPublic = false;
+    const file = createFile(project, "img/logo.png", 1);
+
+    const { res } = await serve(file, { _id: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.send).not.toHaveBeenCalled();
+  });
+});
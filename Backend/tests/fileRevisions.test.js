@@ -0,0 +1,215 @@
+const mongoose = require("mongoose");
+const { Comment, File, FileRevision, Project } = require("../src/models");
+const {
+  restoreFileRevision,
+} = require("../src/controllers/revisionController");
+const { callController } = require("./helpers/express");
+
+const userId = new mongoose.Types.ObjectId();
+
+// A file as loaded from the database
+const loadFile = (fields) =>
+  File.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    projectId: new mongoose.Types.ObjectId(),
+    name: "App.js",
+    path: "src/App.js",
+    type: "file",
+    content: "version one",
+    encoding: "utf8",
+    size: 11,
+    metadata: { version: 1, lastModifiedBy: userId },
+    ...fields,
+  });
+
+let writes;
+
+beforeEach(() => {
+  writes = [];
+  // The update a save sends matches the stored file unless told otherwise
+  jest.spyOn(File.collection, "updateOne").mockImplementation(async () => {
+    writes.push("file");
+    return { matchedCount: 1 };
+  });
+  jest
+    .spyOn(FileRevision, "recordSnapshot")
+    .mockImplementation(async (file, snapshot) => {
+      writes.push("revision");
+      return snapshot;
+    });
+  jest.spyOn(Comment, "reanchorFile").mockResolvedValue();
+});
+
+afterEach(() => {
+  delete process.env.MAX_FILE_REVISIONS;
+  jest.restoreAllMocks();
+});
+
+describe("revisions recorded on save", () => {
+  it("keep the overwritten content once the save goes through", async () => {
+    const file = loadFile();
+
+    file.content = "version two";
+    await file.save();
+
+    expect(writes).toEqual(["file", "revision"]);
+    expect(FileRevision.recordSnapshot).toHaveBeenCalledWith(
+      file,
+      expect.objectContaining({
+        content: "version one",
+        version: 1,
+        size: 11,
+        author: userId,
+      }),
+      { session: null }
+    );
+    expect(file.metadata.version).toBe(2);
+  });
+
+  it("follow each save of the same document", async () => {
+    const file = loadFile();
+
+    file.content = "version two";
+    await file.save();
+    file.content = "version three";
+    await file.save();
+
+    expect(FileRevision.recordSnapshot).toHaveBeenLastCalledWith(
+      file,
+      expect.objectContaining({ content: "version two", version: 2 }),
+      { session: null }
+    );
+  });
+
+  it("are not recorded when the save is rejected as stale", async () => {
+    File.collection.updateOne.mockResolvedValue({ matchedCount: 0 });
+    const file = loadFile();
+
+    file.content = "version two";
+    file.$where = { "metadata.version": 1 };
+
+    await expect(file.save()).rejects.toThrow(
+      mongoose.Error.DocumentNotFoundError
+    );
+    expect(FileRevision.recordSnapshot).not.toHaveBeenCalled();
+  });
+
+  it("are not recorded when the save fails validation", async () => {
+    const file = loadFile();
+
+    file.content = "x".repeat(1000001);
+
+    await expect(file.save()).rejects.toThrow(mongoose.Error.ValidationError);
+    expect(FileRevision.recordSnapshot).not.toHaveBeenCalled();
+  });
+
+  it("are not recorded when the content is unchanged", async () => {
+    const file = loadFile();
+
+    file.name = "Main.js";
+    file.path = "src/Main.js";
+    await file.save();
+
+    expect(FileRevision.recordSnapshot).not.toHaveBeenCalled();
+  });
+});
+
+describe("revision pruning", () => {
+  it("keeps MAX_FILE_REVISIONS revisions, dropping the oldest", async () => {
+    process.env.MAX_FILE_REVISIONS = "3";
+    const stale = [{ _id: 1 }, { _id: 2 }];
+    const query = {
+      sort: jest.fn(() => query),
+      skip: jest.fn(() => query),
+      select: jest.fn(() => query),
+      session: jest.fn(async () => stale),
+    };
+    jest.spyOn(FileRevision, "find").mockReturnValue(query);
+    const deleteMany = jest
+      .spyOn(FileRevision, "deleteMany")
+      .mockResolvedValue({});
+
+    await FileRevision.pruneRevisions("file-id");
+
+    expect(query.sort).toHaveBeenCalledWith({ version: -1 });
+    expect(query.skip).toHaveBeenCalledWith(3);
+    expect(deleteMany).toHaveBeenCalledWith(
+      { _id: { $in: [1, 2] } },
+      { session: null }
+    );
+  });
+
+  it("deletes nothing under the limit", async () => {
+    const query = {
+      sort: () => query,
+      skip: jest.fn(() => query),
+      select: () => query,
+      session: async () => [],
+    };
+    jest.spyOn(FileRevision, "find").mockReturnValue(query);
+    const deleteMany = jest.spyOn(FileRevision, "deleteMany");
+
+    await FileRevision.pruneRevisions("file-id");
+
+    expect(query.skip).toHaveBeenCalledWith(100);
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("restoreFileRevision", () => {
+  const restore = (file, revisionId) =>
+    callController(restoreFileRevision, {
+      params: { revisionId: revisionId.toString() },
+      file: { _id: file._id, projectId: { _id: file.projectId, userId } },
+      user: { _id: userId },
+    });
+
+  beforeEach(() => {
+    // Storage use is well inside the quota
+    jest.spyOn(Project, "find").mockReturnValue({ distinct: async () => [] });
+    jest.spyOn(File, "aggregate").mockResolvedValue([]);
+    const project = new Project({ name: "Demo", userId });
+    jest.spyOn(project, "save").mockResolvedValue(project);
+    jest.spyOn(Project, "findById").mockResolvedValue(project);
+  });
+
+  it("brings back old content, keeping the current content as a revision", async () => {
+    const file = loadFile({
+      content: "version three",
+      size: 13,
+      metadata: { version: 3 },
+    });
+    const revision = new FileRevision({
+      fileId: file._id,
+      projectId: file.projectId,
+      version: 1,
+      path: file.path,
+      content: "version one",
+    });
+    jest.spyOn(File, "findById").mockResolvedValue(file);
+    jest.spyOn(FileRevision, "findOne").mockResolvedValue(revision);
+
+    const { res } = await restore(file, revision._id);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(file.content).toBe("version one");
+    expect(file.metadata.version).toBe(4);
+    expect(FileRevision.recordSnapshot).toHaveBeenCalledWith(
+      file,
+      expect.objectContaining({ content: "version three", version: 3 }),
+      { session: null }
+    );
+    expect(res.json.mock.calls[0][0].data.restoredFrom.version).toBe(1);
+  });
+
+  it("answers 404 for a revision of another file", async () => {
+    const file = loadFile();
+    jest.spyOn(File, "findById").mockResolvedValue(file);
+    jest.spyOn(FileRevision, "findOne").mockResolvedValue(null);
+
+    const { res } = await restore(file, new mongoose.Types.ObjectId());
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(writes).toEqual([]);
+  });
+});
@@ -0,0 +1,202 @@
+const mongoose = require("mongoose");
+
+jest.mock("../src/models/File", () => ({
+  getContentSize: (content) => Buffer.byteLength(content || ""),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+}));
+jest.mock("../src/models/FileRevision", () => ({}));
+jest.mock("../src/services/collabService", () => ({
+  notifyFileChanged: jest.fn(),
+}));
+jest.mock("../src/services/quotaService", () => ({
+  assertFileQuota: jest.fn(),
+}));
+
+const File = require("../src/models/File");
+const { assertFileQuota } = require("../src/services/quotaService");
+const { QuotaError } = jest.requireActual("../src/services/quotaService");
+const { applyUpstreamSync } = require("../src/services/forkService");
+
+const userId = new mongoose.Types.ObjectId();
+
+// A fork with the in-memory files it holds
+const createFork = (files = []) => {
+  File.find.mockImplementation(({ path, type }) => ({
+    distinct: async () =>
+      files
+        .filter((file) => file.type === type && path.$in.includes(file.path))
+        .map((file) => file.path),
+  }));
+  File.findOne.mockImplementation(
+    async ({ path, type }) =>
+      files.find((file) => file.path === path && file.type === type) || null
+  );
+  File.create.mockImplementation(async (data) => {
+    const file = { _id: new mongoose.Types.ObjectId(), ...data };
+    files.push(file);
+    return file;
+  });
+  File.countDocuments.mockImplementation(
+    async () => files.filter((file) => file.type === "file").length
+  );
+
+  return {
+    files,
+    project: {
+      _id: new mongoose.Types.ObjectId(),
+      forkedFrom: { files: [] },
+      metadata: {},
+      save: jest.fn(),
+    },
+  };
+};
+
+const upstreamFile = (path, content = "") => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: path.split("/").pop(),
+  type: "file",
+  path,
+  content,
+  language: "javascript",
+  encoding: "utf8",
+  mimeType: "application/javascript",
+  metadata: { version: 1 },
+  getChecksum: () => "checksum",
+});
+
+describe("applyUpstreamSync", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("creates the folders a new upstream file needs", async () => {
+    const { files, project } = createFork();
+    const added = upstreamFile("src/components/Button.js", "export {}");
+
+    await applyUpstreamSync(
+      project,
+      {
+        writes: [{ type: "create", upstreamFile: added }],
+        upstreamFiles: [added],
+      },
+      userId
+    );
+
+    const src = files.find((file) => file.path === "src");
+    const components = files.find((file) => file.path === "src/components");
+    const button = files.find((file) => file.path === added.path);
+
+    expect(src).toMatchObject({ type: "folder", name: "src", parentId: null });
+    expect(components).toMatchObject({
+      type: "folder",
+      name: "components",
+      parentId: src._id,
+    });
+    expect(button).toMatchObject({ type: "file", parentId: components._id });
+  });
+
+  it("reuses folders the fork already has", async () => {
+    const src = {
+      _id: new mongoose.Types.ObjectId(),
+      type: "folder",
+      path: "src",
+    };
+    const { files, project } = createFork([src]);
+    const added = upstreamFile("src/utils.js");
+
+    await applyUpstreamSync(
+      project,
+      {
+        writes: [{ type: "create", upstreamFile: added }],
+        upstreamFiles: [added],
+      },
+      userId
+    );
+
+    expect(files.filter((file) => file.type === "folder")).toEqual([src]);
+    expect(files.find((file) => file.path === added.path).parentId).toBe(
+      src._id
+    );
+  });
+
+  it("flags files merged with conflicts", async () => {
+    const { project } = createFork();
+    const forkFile = {
+      _id: new mongoose.Types.ObjectId(),
+      content: "a",
+      size: 1,
+      mergeConflict: false,
+      metadata: {},
+      save: jest.fn(),
+    };
+
+    await applyUpstreamSync(
+      project,
+      {
+        writes: [
+          {
+            type: "update",
+            file: forkFile,
+            content: "<<<<<<< fork\na\n=======\nb\n>>>>>>> upstream",
+            conflict: true,
+          },
+        ],
+        upstreamFiles: [],
+      },
+      userId
+    );
+
+    expect(forkFile.mergeConflict).toBe(true);
+    expect(forkFile.save).toHaveBeenCalled();
+  });
+
+  it("checks the fork owner's quota for what the sync adds", async () => {
+    const src = {
+      _id: new mongoose.Types.ObjectId(),
+      type: "folder",
+      path: "src",
+    };
+    const removed = { type: "file", size: 4, moveToTrash: jest.fn() };
+    const { project } = createFork([src]);
+    const added = upstreamFile("src/lib/util.js", "export {}");
+
+    await applyUpstreamSync(
+      project,
+      {
+        writes: [
+          { type: "create", upstreamFile: added },
+          { type: "delete", file: removed },
+        ],
+        upstreamFiles: [added],
+      },
+      userId
+    );
+
+    // One file and the src/lib folder, less the deleted file
+    expect(assertFileQuota).toHaveBeenCalledWith(project, {
+      files: 1,
+      bytes: 5,
+    });
+  });
+
+  it("writes nothing when the sync would go over quota", async () => {
+    const { files, project } = createFork();
+    const added = upstreamFile("App.js", "export {}");
+    assertFileQuota.mockRejectedValueOnce(new QuotaError("Too many files"));
+
+    await expect(
+      applyUpstreamSync(
+        project,
+        {
+          writes: [{ type: "create", upstreamFile: added }],
+          upstreamFiles: [added],
+        },
+        userId
+      )
+    ).rejects.toThrow(QuotaError);
+
+    expect(files).toHaveLength(0);
+    expect(project.save).not.toHaveBeenCalled();
+  });
+});
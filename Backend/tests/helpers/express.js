@@ -0,0 +1,21 @@
+// Call an asyncHandler-wrapped controller and wait for it to respond or to
+// pass an error on. Resolves with the response mock, whose methods are jest
+// functions, and the error given to next, if any.
+const callController = (controller, req) =>
+  new Promise((resolve) => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.json = jest.fn(() => {
+      resolve({ res, error: null });
+      return res;
+    });
+    res.send = jest.fn(() => resolve({ res, error: null }));
+    res.redirect = jest.fn(() => resolve({ res, error: null }));
+
+    controller(req, res, (error) => resolve({ res, error }));
+  });
+
+module.exports = {
+  callController,
+};
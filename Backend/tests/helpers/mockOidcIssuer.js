@@ -0,0 +1,200 @@
+// A minimal OpenID Connect provider for tests and local development: it
+// supports discovery, the authorization code flow with PKCE, signed ID
+// tokens and userinfo, and signs in as whoever it is told to without asking.
+//
+// Run it on its own with `node tests/helpers/mockOidcIssuer.js` and set
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://127.0.0.1:9400
+//   OIDC_MOCK_CLIENT_ID=cipherstudio
+//   OIDC_MOCK_CLIENT_SECRET=secret
+// MOCK_OIDC_EMAIL and MOCK_OIDC_SUB choose who signs in.
+
+const http = require("http");
+const crypto = require("crypto");
+const { generateKeyPair, exportJWK, SignJWT } = require("jose");
+
+const base64url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+// Start an issuer on a local port (0 picks a free one). defaultClaims are
+// used by the /authorize endpoint; tests call authorize() instead.
+const startMockIssuer = async ({ port = 0, defaultClaims = {} } = {}) => {
+  const { publicKey, privateKey } = await generateKeyPair("RS256");
+  const jwk = {
+    ...(await exportJWK(publicKey)),
+    kid: "mock",
+    alg: "RS256",
+    use: "sig",
+  };
+
+  // code -> { claims, nonce, codeChallenge, clientId }
+  const codes = new Map();
+  // access token -> claims
+  const accessTokens = new Map();
+  let issuer;
+
+  // Record a completed sign-in for an authorization URL from the client and
+  // return the code the provider would redirect back with. overrides
+  // replaces values in the ID token, e.g. a wrong nonce.
+  const authorize = (authorizationUrl, claims, overrides = {}) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = base64url(crypto.randomBytes(16));
+
+    codes.set(code, {
+      claims,
+      overrides,
+      nonce: params.get("nonce"),
+      codeChallenge: params.get("code_challenge"),
+      clientId: params.get("client_id"),
+    });
+    return code;
+  };
+
+  const issueTokens = async (res, form) => {
+    const grant = codes.get(form.get("code"));
+    codes.delete(form.get("code"));
+
+    if (!grant) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+
+    const verifier = form.get("code_verifier") || "";
+    const challenge = base64url(
+      crypto.createHash("sha256").update(verifier).digest()
+    );
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, {
+        error: "invalid_grant",
+        error_description: "PKCE verification failed",
+      });
+    }
+
+    const accessToken = base64url(crypto.randomBytes(16));
+    accessTokens.set(accessToken, grant.claims);
+
+    // Claims other than sub can be left to userinfo, as some providers do
+    const { userinfoOnly = [] } = grant.overrides;
+    const idClaims = Object.fromEntries(
+      Object.entries(grant.claims).filter(
+        ([key]) => !userinfoOnly.includes(key)
+      )
+    );
+
+    const idToken = await new SignJWT({
+      ...idClaims,
+      nonce: grant.nonce,
+      ...grant.overrides.idToken,
+    })
+      .setProtectedHeader({ alg: "RS256", kid: jwk.kid })
+      .setIssuer(issuer)
+      .setAudience(grant.clientId)
+      .setIssuedAt()
+      .setExpirationTime("5m")
+      .sign(privateKey);
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    try {
+      if (url.pathname === "/.well-known/openid-configuration") {
+        return sendJson(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          userinfo_endpoint: `${issuer}/userinfo`,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ["code"],
+          subject_types_supported: ["public"],
+          id_token_signing_alg_values_supported: ["RS256"],
+          code_challenge_methods_supported: ["S256"],
+          token_endpoint_auth_methods_supported: [
+            "client_secret_basic",
+            "client_secret_post",
+          ],
+        });
+      }
+
+      if (url.pathname === "/jwks") {
+        return sendJson(res, 200, { keys: [jwk] });
+      }
+
+      if (url.pathname === "/authorize") {
+        const code = authorize(url.href, defaultClaims);
+        const redirect = new URL(url.searchParams.get("redirect_uri"));
+        redirect.searchParams.set("code", code);
+        redirect.searchParams.set("state", url.searchParams.get("state"));
+        res.writeHead(302, { Location: redirect.href });
+        return res.end();
+      }
+
+      if (url.pathname === "/token" && req.method === "POST") {
+        return await issueTokens(res, await readBody(req));
+      }
+
+      if (url.pathname === "/userinfo") {
+        const token = (req.headers.authorization || "").replace(
+          /^Bearer /,
+          ""
+        );
+        const claims = accessTokens.get(token);
+        return claims
+          ? sendJson(res, 200, claims)
+          : sendJson(res, 401, { error: "invalid_token" });
+      }
+
+      sendJson(res, 404, { error: "not_found" });
+    } catch (error) {
+      sendJson(res, 500, {
+        error: "server_error",
+        error_description: error.message,
+      });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    authorize,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+if (require.main === module) {
+  startMockIssuer({
+    port: parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400,
+    defaultClaims: {
+      sub: process.env.MOCK_OIDC_SUB || "mock-user",
+      email: process.env.MOCK_OIDC_EMAIL || "mock.user@example.com",
+      email_verified: true,
+      name: "Mock User",
+    },
+  }).then(({ issuer }) => console.log(`Mock OpenID provider at ${issuer}`));
+}
+
+module.exports = {
+  startMockIssuer,
+};
@@ -0,0 +1,155 @@
+const {
+  ImportError,
+  normalizeEntryPath,
+  readZipEntries,
+  readUploadedEntries,
+  buildImportTree,
+} = require("../src/services/importService");
+const { createZip } = require("./helpers/zip");
+
+const limits = { maxTotalSize: 1000, maxEntries: 3, maxFileSize: 600 };
+
+const expectImportError = async (promise, statusCode, message) => {
+  const error = await promise.catch((err) => err);
+  expect(error).toBeInstanceOf(ImportError);
+  expect(error.statusCode).toBe(statusCode);
+  if (message) expect(error.message).toMatch(message);
+};
+
+describe("normalizeEntryPath", () => {
+  it("normalizes separators and empty segments", () => {
+    expect(normalizeEntryPath("src\\components//./App.js")).toBe(
+      "src/components/App.js"
+    );
+  });
+
+  it.each([
+    ["../escape.js", /Path traversal/],
+    ["src\\..\\..\\escape.js", /Path traversal/],
+    ["/etc/passwd", /Absolute paths/],
+    ["C:\\Windows\\system.ini", /Absolute paths/],
+  ])("rejects %s", (path, message) => {
+    expect(() => normalizeEntryPath(path)).toThrow(message);
+  });
+});
+
+describe("readZipEntries", () => {
+  it("reads files and folders and skips system clutter", async () => {
+    const zip = createZip([
+      { name: "app/" },
+      { name: "app/index.js", content: "console.log(1)" },
+      { name: "__MACOSX/app/._index.js", content: "junk" },
+      { name: "app/.DS_Store", content: "junk" },
+    ]);
+
+    const entries = await readZipEntries(zip, limits);
+
+    expect(entries.map(({ path, type }) => ({ path, type }))).toEqual([
+      { path: "app", type: "folder" },
+      { path: "app/index.js", type: "file" },
+    ]);
+    expect(entries[1].buffer.toString()).toBe("console.log(1)");
+  });
+
+  it.each([
+    "../escape.js",
+    "src/../../escape.js",
+    "/etc/passwd",
+    "C:/Windows/system.ini",
+  ])("rejects the entry %s", async (name) => {
+    const zip = createZip([{ name, content: "x" }]);
+
+    await expectImportError(readZipEntries(zip, limits), 400);
+  });
+
+  it("rejects too many entries", async () => {
+    const zip = createZip(
+      ["a.js", "b.js", "c.js", "d.js"].map((name) => ({ name, content: "x" }))
+    );
+
+    await expectImportError(readZipEntries(zip, limits), 413, /more than 3/);
+  });
+
+  it("rejects a file over the size limit", async () => {
+    const zip = createZip([{ name: "big.js", content: "x".repeat(601) }]);
+
+    await expectImportError(readZipEntries(zip, limits), 413, /big\.js/);
+  });
+
+  it("rejects archives over the total size limit", async () => {
+    const zip = createZip([
+      { name: "a.js", content: "x".repeat(500) },
+      { name: "b.js", content: "x".repeat(501) },
+    ]);
+
+    await expectImportError(readZipEntries(zip, limits), 413, /total size/);
+  });
+
+  it("stops entries that inflate past their declared size", async () => {
+    const zip = createZip([
+      { name: "bomb.js", content: "x".repeat(1000000), declaredSize: 10 },
+    ]);
+
+    await expectImportError(readZipEntries(zip, limits), 400);
+  });
+
+  it("rejects data that is not a ZIP archive", async () => {
+    await expectImportError(
+      readZipEntries(Buffer.from("not a zip"), limits),
+      400,
+      /Invalid ZIP archive/
+    );
+  });
+});
+
+describe("readUploadedEntries", () => {
+  const upload = (size) => ({ size, buffer: Buffer.alloc(size) });
+
+  it("applies the same path and size checks to folder uploads", () => {
+    expect(() =>
+      readUploadedEntries([upload(1)], ["../escape.js"], limits)
+    ).toThrow(ImportError);
+    expect(() =>
+      readUploadedEntries([upload(500), upload(501)], ["a.js", "b.js"], limits)
+    ).toThrow(/total size/);
+  });
+});
+
+describe("buildImportTree", () => {
+  const file = (path, content) => ({
+    path,
+    type: "file",
+    buffer: Buffer.from(content),
+  });
+
+  it("strips a shared root folder and orders parents first", () => {
+    const { tree } = buildImportTree([
+      file("my-app/src/index.js", "x"),
+      file("my-app/package.json", "{}"),
+    ]);
+
+    expect(tree.map((item) => item.path)).toEqual([
+      "package.json",
+      "src",
+      "src/index.js",
+    ]);
+  });
+
+  it("skips binary files that are not assets", () => {
+    const { tree, skipped } = buildImportTree([
+      file("a.js", "x"),
+      file("program.exe", "MZ\0\0"),
+    ]);
+
+    expect(tree.map((item) => item.path)).toEqual(["a.js"]);
+    expect(skipped).toEqual([
+      { path: "program.exe", reason: "Unsupported binary file" },
+    ]);
+  });
+
+  it("rejects a path used for both a file and a folder", () => {
+    expect(() =>
+      buildImportTree([file("a.js", "x"), file("a.js/b.js", "y")])
+    ).toThrow(/both a file and a folder/);
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  CONFLICT_MARKERS,
+  hasConflictMarkers,
+  matchLines,
+  mergeThreeWay,
+} = require("../src/services/mergeService");
+
+// Length of the longest common subsequence, by dynamic programming
+const lcsLength = (a, b) => {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [0];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] =
+        a[i - 1] === b[j - 1]
+          ? previous[j - 1] + 1
+          : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Deterministic pseudo-random numbers, so failures can be reproduced
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+describe("matchLines", () => {
+  it("finds a longest common subsequence of lines", () => {
+    const next = random(42);
+    const pick = () => ["a", "b", "c", "d"][Math.floor(next() * 4)];
+
+    for (let run = 0; run < 200; run++) {
+      const a = Array.from({ length: Math.floor(next() * 12) }, pick);
+      const b = Array.from({ length: Math.floor(next() * 12) }, pick);
+      const matches = matchLines(a, b);
+
+      expect(matches).toHaveLength(lcsLength(a, b));
+      matches.forEach(([i, j], index) => {
+        expect(a[i]).toBe(b[j]);
+        if (index > 0) {
+          expect(i).toBeGreaterThan(matches[index - 1][0]);
+          expect(j).toBeGreaterThan(matches[index - 1][1]);
+        }
+      });
+    }
+  });
+
+  it("keeps a common prefix and suffix around unrelated middles", () => {
+    const a = ["top", ...Array.from({ length: 5000 }, (_, i) => `a${i}`), "end"];
+    const b = ["top", ...Array.from({ length: 5000 }, (_, i) => `b${i}`), "end"];
+
+    const started = Date.now();
+    expect(matchLines(a, b)).toEqual([
+      [0, 0],
+      [5001, 5001],
+    ]);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
+
+describe("mergeThreeWay", () => {
+  it("takes upstream changes to lines the fork left alone", () => {
+    const result = mergeThreeWay("a\nb\nc", "a\nb\nc\nd", "A\nb\nc");
+
+    expect(result).toEqual({ content: "A\nb\nc\nd", conflicts: [] });
+  });
+
+  it("marks conflicting changes to the same lines", () => {
+    const result = mergeThreeWay("a\nb\nc", "a\nfork\nc", "a\nupstream\nc");
+
+    expect(result.content).toBe(
+      [
+        "a",
+        CONFLICT_MARKERS.start,
+        "fork",
+        CONFLICT_MARKERS.separator,
+        "upstream",
+        CONFLICT_MARKERS.end,
+        "c",
+      ].join("\n")
+    );
+    expect(result.conflicts).toEqual([{ line: 2 }]);
+    expect(hasConflictMarkers(result.content)).toBe(true);
+    expect(hasConflictMarkers("a\nfork\nc")).toBe(false);
+  });
+
+  it("merges files near the content limit with nothing in common", () => {
+    const lines = (prefix) =>
+      Array.from({ length: 60000 }, (_, i) => `${prefix} line ${i}`).join(
+        "\n"
+      );
+    const base = lines("base");
+
+    const result = mergeThreeWay(base, lines("fork"), lines("upstream"));
+
+    expect(result.conflicts).toEqual([{ line: 1 }]);
+  });
+});
@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const { User, OidcAuthRequest, Session, AuditEvent } = require("../src/models");
+const {
+  startOidcLogin,
+  startOidcLink,
+  completeOidcLogin,
+} = require("../src/controllers/oidcController");
+const { callController } = require("./helpers/express");
+const { startMockIssuer } = require("./helpers/mockOidcIssuer");
+
+let issuer;
+// Users and pending sign-ins, as the database would hold them
+let users;
+let requests;
+
+beforeAll(async () => {
+  issuer = await startMockIssuer();
+  Object.assign(process.env, {
+    JWT_SECRET: "test-secret",
+    OIDC_PROVIDERS: "mock",
+    OIDC_MOCK_ISSUER: issuer.issuer,
+    OIDC_MOCK_CLIENT_ID: "cipherstudio",
+    OIDC_MOCK_CLIENT_SECRET: "secret",
+    OIDC_MOCK_NAME: "Mock",
+    OIDC_REDIRECT_URI: "http://localhost:3000/auth/callback",
+  });
+});
+
+afterAll(async () => {
+  await issuer.close();
+});
+
+beforeEach(() => {
+  users = [];
+  requests = new Map();
+
+  jest.spyOn(OidcAuthRequest, "create").mockImplementation(async (data) => {
+    requests.set(data.state, data);
+    return data;
+  });
+  jest.spyOn(OidcAuthRequest, "consume").mockImplementation(async (state) => {
+    const request = requests.get(state) || null;
+    requests.delete(state);
+    return request;
+  });
+
+  jest.spyOn(User, "findByIdentity").mockImplementation(
+    async (provider, subject) =>
+      users.find((user) =>
+        user.identities.some(
+          (item) => item.provider === provider && item.subject === subject
+        )
+      ) || null
+  );
+  jest
+    .spyOn(User, "findOne")
+    .mockImplementation(
+      async ({ email }) => users.find((user) => user.email === email) || null
+    );
+  jest.spyOn(User, "exists").mockResolvedValue(null);
+  jest.spyOn(User, "create").mockImplementation(async (data) => {
+    const user = new User(data);
+    users.push(user);
+    return user;
+  });
+  jest.spyOn(User, "updateOne").mockImplementation(async (filter, update) => {
+    const user = users.find((item) => item._id.equals(filter._id));
+    user.identities.push(update.$push.identities);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(User.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+
+  jest.spyOn(Session, "start").mockResolvedValue({
+    session: { _id: new mongoose.Types.ObjectId() },
+    refreshToken: "refresh-token",
+  });
+  jest.spyOn(AuditEvent, "create").mockResolvedValue(null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// A local account registered with a password
+const addUser = (fields) => {
+  const user = new User({
+    username: "local",
+    email: "ada@example.com",
+    password: "hashed",
+    ...fields,
+  });
+  users.push(user);
+  return user;
+};
+
+const verifiedClaims = {
+  sub: "subject-1",
+  email: "ada@example.com",
+  email_verified: true,
+  given_name: "Ada",
+};
+
+// Start a sign-in, complete it at the provider as claims, and call back
+const signIn = async (
+  claims,
+  { overrides, start = startOidcLogin, req } = {}
+) => {
+  const { res: startRes } = await callController(start, {
+    params: { provider: "mock" },
+    headers: {},
+    ...req,
+  });
+  const { authorizationUrl, state } = startRes.json.mock.calls[0][0].data;
+  const code = issuer.authorize(authorizationUrl, claims, overrides);
+
+  const result = await callController(completeOidcLogin, {
+    body: { state, code },
+    headers: {},
+    ...req,
+  });
+  return { ...result, state, code };
+};
+
+const responseBody = (res) => res.json.mock.calls[0][0];
+
+describe("OpenID Connect sign-in", () => {
+  it("creates a user for a new identity", async () => {
+    const { res } = await signIn(verifiedClaims);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(responseBody(res).data.refreshToken).toBe("refresh-token");
+    expect(users).toHaveLength(1);
+    expect(users[0].email).toBe("ada@example.com");
+    expect(users[0].emailVerifiedAt).toBeInstanceOf(Date);
+    expect(users[0].identities[0]).toMatchObject({
+      provider: "mock",
+      subject: "subject-1",
+    });
+  });
+
+  it("signs in the user an identity is linked to", async () => {
+    const user = addUser({
+      emailVerifiedAt: new Date(),
+      identities: [{ provider: "mock", subject: "subject-1" }],
+    });
+
+    const { res } = await signIn({
+      ...verifiedClaims,
+      email: "new@example.com",
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(responseBody(res).data.user._id).toEqual(user._id);
+    expect(users).toHaveLength(1);
+  });
+
+  it("links to a verified account with the same email", async () => {
+    const user = addUser({ emailVerifiedAt: new Date() });
+
+    const { res } = await signIn(verifiedClaims);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.identities).toHaveLength(1);
+    expect(user.identities[0].subject).toBe("subject-1");
+  });
+
+  it("reads the email from userinfo when the ID token leaves it out", async () => {
+    addUser({ emailVerifiedAt: new Date() });
+
+    const { res } = await signIn(verifiedClaims, {
+      overrides: { userinfoOnly: ["email", "email_verified"] },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(users).toHaveLength(1);
+  });
+
+  it("does not link to an account whose email was never verified", async () => {
+    const user = addUser({ emailVerifiedAt: null });
+
+    const { res } = await signIn(verifiedClaims);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(user.identities).toHaveLength(0);
+    expect(user.emailVerifiedAt).toBeNull();
+    expect(Session.start).not.toHaveBeenCalled();
+  });
+
+  it("does not link when the provider has not verified the email", async () => {
+    const user = addUser({ emailVerifiedAt: new Date() });
+
+    const { res } = await signIn({ ...verifiedClaims, email_verified: false });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(user.identities).toHaveLength(0);
+  });
+
+  it("rejects a state that was already used", async () => {
+    const { state, code } = await signIn(verifiedClaims);
+
+    const { res } = await callController(completeOidcLogin, {
+      body: { state, code },
+      headers: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(users).toHaveLength(1);
+  });
+
+  it("rejects an unknown state", async () => {
+    const { res } = await callController(completeOidcLogin, {
+      body: { state: "forged", code: "code" },
+      headers: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("rejects an ID token issued for another nonce", async () => {
+    const { res } = await signIn(verifiedClaims, {
+      overrides: { idToken: { nonce: "replayed" } },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(responseBody(res).message).toMatch(/nonce mismatch/);
+    expect(users).toHaveLength(0);
+  });
+
+  it("links an identity to the signed-in user who asked for it", async () => {
+    const user = addUser({ emailVerifiedAt: new Date() });
+
+    const { res } = await signIn(
+      { ...verifiedClaims, email: "other@example.com" },
+      { start: startOidcLink, req: { user, userSession: {} } }
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(responseBody(res).data.linked).toBe(true);
+    expect(user.identities[0].email).toBe("other@example.com");
+  });
+});
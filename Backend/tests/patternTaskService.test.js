@@ -0,0 +1,103 @@
+const { Project } = require("../src/models");
+const { runPatternTask } = require("../src/services/patternTaskService");
+const { searchFileContents } = require("../src/controllers/fileController");
+const { callController } = require("./helpers/express");
+
+const files = [
+  {
+    _id: "64b000000000000000000001",
+    name: "App.js",
+    path: "src/App.js",
+    type: "file",
+    encoding: "utf8",
+    content: "const answer = 42;\nconsole.log(answer);",
+    metadata: { version: 3 },
+  },
+];
+
+// A string that makes (a+)+$ backtrack exponentially
+const EVIL_INPUT = `${"a".repeat(40)}!`;
+
+describe("runPatternTask", () => {
+  const timeout = process.env.SEARCH_REGEX_TIMEOUT_MS;
+
+  beforeAll(() => {
+    process.env.SEARCH_REGEX_TIMEOUT_MS = "500";
+  });
+
+  afterAll(() => {
+    process.env.SEARCH_REGEX_TIMEOUT_MS = timeout;
+  });
+
+  it("searches with a regular expression in a worker", async () => {
+    const options = { regex: true };
+    const { results } = await runPatternTask(
+      "searchFiles",
+      [files, "answer\\s*=", options],
+      options
+    );
+
+    expect(results).toEqual([
+      expect.objectContaining({
+        fileId: files[0]._id,
+        line: 1,
+        text: "answer =",
+      }),
+    ]);
+  });
+
+  it("stops a regular expression that runs too long", async () => {
+    const options = { regex: true };
+    const slowFiles = [{ ...files[0], content: EVIL_INPUT }];
+    const started = Date.now();
+
+    await expect(
+      runPatternTask("searchFiles", [slowFiles, "(a+)+$", options], options)
+    ).rejects.toMatchObject({ name: "SearchPatternError", statusCode: 422 });
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+
+  it("reports invalid patterns from the worker", async () => {
+    const options = { regex: true };
+
+    await expect(
+      runPatternTask("searchFiles", [files, "(", options], options)
+    ).rejects.toMatchObject({ name: "SearchPatternError", statusCode: 400 });
+  });
+
+  it("previews and applies regex replacements in a worker", async () => {
+    const options = { regex: true };
+    const preview = await runPatternTask(
+      "previewReplace",
+      [files, "(\\d+)", "<$1>", options],
+      options
+    );
+    expect(preview.totalHunks).toBe(1);
+
+    const [applied] = await runPatternTask(
+      "applyReplaceSelections",
+      [files, [{ fileId: files[0]._id }], "(\\d+)", "<$1>", options],
+      options
+    );
+    expect(applied.content).toBe(
+      "const answer = <42>;\nconsole.log(answer);"
+    );
+  });
+});
+
+describe("searchFileContents", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("requires sign-in for regular expression searches", async () => {
+    jest
+      .spyOn(Project, "findById")
+      .mockResolvedValue({ canView: () => true });
+    const { res } = await callController(searchFileContents, {
+      params: { projectId: "64b0000000000000000000aa" },
+      query: { q: "(a+)+$", regex: "true" },
+      user: null,
+    });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
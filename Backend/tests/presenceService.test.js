@@ -0,0 +1,153 @@
+const { EventEmitter } = require("events");
+const { handlePresenceConnection } = require("../src/services/presenceService");
+
+const PING_INTERVAL = 30000;
+
+// Each test uses its own project, as channels outlive a test
+let projectCount = 0;
+const nextProjectId = () => `64b0000000000000000001${++projectCount}`;
+
+// Open connections, closed after each test so their ping timers stop
+const connections = [];
+
+// Join a fake WebSocket to a project's channel. Messages sent to it are kept,
+// parsed, in conn.received
+const connect = (projectId, username) => {
+  const conn = new EventEmitter();
+  conn.OPEN = 1;
+  conn.readyState = 1;
+  conn.received = [];
+  conn.send = (message) => conn.received.push(JSON.parse(message));
+  conn.ping = jest.fn();
+  // Like ws, terminating closes the connection without a handshake
+  conn.terminate = jest.fn(() => {
+    conn.readyState = 3;
+    conn.emit("close");
+  });
+
+  connections.push(conn);
+  handlePresenceConnection(conn, {
+    projectId,
+    user: { _id: `user-${username}`, username },
+  });
+  return conn;
+};
+
+const send = (conn, message) => conn.emit("message", JSON.stringify(message));
+
+// The peers in the last presence message a connection received
+const peersSeenBy = (conn) => {
+  const presence = conn.received.filter(({ type }) => type === "presence");
+  return presence[presence.length - 1].peers;
+};
+
+afterEach(() => {
+  connections.splice(0).forEach((conn) => conn.emit("close"));
+  jest.useRealTimers();
+});
+
+describe("joining a project", () => {
+  it("welcomes the connection and announces it to everyone", () => {
+    const projectId = nextProjectId();
+    const ada = connect(projectId, "ada");
+    const grace = connect(projectId, "grace");
+
+    const [welcome] = grace.received;
+    expect(welcome).toEqual({ type: "welcome", clientId: expect.any(String) });
+    expect(peersSeenBy(ada).map((peer) => peer.username)).toEqual([
+      "ada",
+      "grace",
+    ]);
+    expect(peersSeenBy(grace)).toContainEqual(
+      expect.objectContaining({
+        clientId: welcome.clientId,
+        username: "grace",
+        activePath: null,
+        avatar: null,
+      })
+    );
+  });
+
+  it("keeps each project's peers to itself", () => {
+    const ada = connect(nextProjectId(), "ada");
+    connect(nextProjectId(), "grace");
+
+    expect(peersSeenBy(ada).map((peer) => peer.username)).toEqual(["ada"]);
+  });
+});
+
+describe("open files", () => {
+  it("are shared with the other peers", () => {
+    const projectId = nextProjectId();
+    const ada = connect(projectId, "ada");
+    const grace = connect(projectId, "grace");
+
+    send(grace, { type: "open", path: "src/App.js" });
+
+    expect(peersSeenBy(ada)).toContainEqual(
+      expect.objectContaining({ username: "grace", activePath: "src/App.js" })
+    );
+  });
+
+  it("are not announced again when unchanged", () => {
+    const projectId = nextProjectId();
+    const ada = connect(projectId, "ada");
+
+    send(ada, { type: "open", path: "src/App.js" });
+    const count = ada.received.length;
+    send(ada, { type: "open", path: "src/App.js" });
+
+    expect(ada.received).toHaveLength(count);
+  });
+
+  it("ignore bad paths and malformed messages", () => {
+    const projectId = nextProjectId();
+    const ada = connect(projectId, "ada");
+    const count = ada.received.length;
+
+    send(ada, { type: "open", path: 42 });
+    send(ada, { type: "open", path: "a".repeat(1025) });
+    ada.emit("message", "{not json");
+
+    expect(ada.received).toHaveLength(count);
+    send(ada, { type: "open", path: "index.html" });
+    expect(peersSeenBy(ada)[0].activePath).toBe("index.html");
+  });
+});
+
+describe("leaving a project", () => {
+  it("tells the remaining peers", () => {
+    const projectId = nextProjectId();
+    const ada = connect(projectId, "ada");
+    const grace = connect(projectId, "grace");
+
+    grace.readyState = 3;
+    grace.emit("close");
+
+    expect(peersSeenBy(ada).map((peer) => peer.username)).toEqual(["ada"]);
+  });
+
+  it("drops connections that stop answering pings", () => {
+    jest.useFakeTimers();
+    const projectId = nextProjectId();
+    const ada = connect(projectId, "ada");
+    const grace = connect(projectId, "grace");
+
+    // Both answer the first ping; only ada answers the second
+    jest.advanceTimersByTime(PING_INTERVAL);
+    ada.emit("pong");
+    grace.emit("pong");
+    jest.advanceTimersByTime(PING_INTERVAL);
+    ada.emit("pong");
+    jest.advanceTimersByTime(PING_INTERVAL);
+
+    expect(grace.ping).toHaveBeenCalledTimes(2);
+    expect(grace.terminate).toHaveBeenCalled();
+    expect(ada.terminate).not.toHaveBeenCalled();
+    expect(peersSeenBy(ada).map((peer) => peer.username)).toEqual(["ada"]);
+
+    // Pings stop once the connection has gone
+    jest.advanceTimersByTime(PING_INTERVAL * 2);
+    expect(grace.ping).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const { Project } = require("../src/models");
+const { authorizeProject } = require("../src/middleware/auth");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const owner = { _id: id() };
+const admin = { _id: id() };
+const editor = { _id: id() };
+const viewer = { _id: id() };
+const stranger = { _id: id() };
+
+const createProject = (fields) =>
+  new Project({
+    name: "Demo",
+    userId: owner._id,
+    isPublic: false,
+    collaborators: [
+      { userId: admin._id, role: "admin" },
+      { userId: editor._id, role: "editor" },
+      { userId: viewer._id, role: "viewer" },
+    ],
+    ...fields,
+  });
+
+describe("project roles", () => {
+  it("gives each member their role", () => {
+    const project = createProject();
+
+    expect(project.getRole(owner)).toBe("owner");
+    expect(project.getRole(admin)).toBe("admin");
+    expect(project.getRole(editor._id)).toBe("editor");
+    expect(project.getRole(viewer._id.toString())).toBe("viewer");
+    expect(project.getRole(stranger)).toBeNull();
+    expect(project.getRole(null)).toBeNull();
+  });
+
+  it("ranks roles from viewer up to owner", () => {
+    const project = createProject();
+
+    expect(project.hasRole(owner, "admin")).toBe(true);
+    expect(project.hasRole(admin, "admin")).toBe(true);
+    expect(project.hasRole(admin, "owner")).toBe(false);
+    expect(project.hasRole(editor, "editor")).toBe(true);
+    expect(project.hasRole(editor, "admin")).toBe(false);
+    expect(project.hasRole(viewer, "viewer")).toBe(true);
+    expect(project.hasRole(viewer, "editor")).toBe(false);
+    expect(project.hasRole(stranger, "viewer")).toBe(false);
+  });
+
+  it("lets members, site admins and everyone on public projects view", () => {
+    const project = createProject();
+
+    expect(project.canView(viewer)).toBe(true);
+    expect(project.canView(stranger)).toBe(false);
+    expect(project.canView(null)).toBe(false);
+    expect(project.canView({ _id: id(), role: "admin" })).toBe(true);
+
+    project.isPublic = true;
+    expect(project.canView(null)).toBe(true);
+    expect(project.hasRole(null, "viewer")).toBe(false);
+  });
+
+  it("finds projects by the roles that reach a minimum", () => {
+    expect(Project.accessibleBy(owner._id, "owner")).toEqual({
+      userId: owner._id,
+    });
+    expect(Project.accessibleBy(editor._id, "editor")).toEqual({
+      $or: [
+        { userId: editor._id },
+        {
+          collaborators: {
+            $elemMatch: {
+              userId: editor._id,
+              role: { $in: ["editor", "admin"] },
+            },
+          },
+        },
+      ],
+    });
+  });
+});
+
+describe("authorizeProject", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const authorize = async (minRole, user, project = createProject()) => {
+    jest.spyOn(Project, "findById").mockResolvedValue(project);
+    const req = { params: { id: id().toString() }, body: {}, user };
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    await authorizeProject(minRole)(req, res, next);
+    return { req, res, next };
+  };
+
+  it("passes members with the role on, with the project loaded", async () => {
+    const { req, next } = await authorize("editor", admin);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.projectRole).toBe("admin");
+    expect(req.project.name).toBe("Demo");
+  });
+
+  it("refuses members below the role", async () => {
+    const { res, next } = await authorize("editor", viewer);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("refuses owner-only actions to admins", async () => {
+    const { res } = await authorize("owner", admin);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("answers 404 for a missing project", async () => {
+    const { res, next } = await authorize("viewer", owner, null);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
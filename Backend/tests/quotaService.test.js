@@ -0,0 +1,150 @@
+const mongoose = require("mongoose");
+const { File, Project } = require("../src/models");
+const {
+  QuotaError,
+  getQuotaLimits,
+  getQuotaUsage,
+  assertProjectQuota,
+  assertFileQuota,
+} = require("../src/services/quotaService");
+
+const MB = 1024 * 1024;
+const userId = new mongoose.Types.ObjectId();
+const project = { _id: new mongoose.Types.ObjectId(), userId };
+
+// The owner's projects, and the files and bytes in each
+const mockUsage = ({ projects = 1, perProject = [] } = {}) => {
+  jest.spyOn(Project, "countDocuments").mockResolvedValue(projects);
+  jest.spyOn(Project, "find").mockReturnValue({
+    distinct: async () => perProject.map(() => new mongoose.Types.ObjectId()),
+  });
+  jest.spyOn(File, "aggregate").mockResolvedValue(perProject);
+  jest
+    .spyOn(File, "countDocuments")
+    .mockResolvedValue(perProject[0]?.files || 0);
+};
+
+beforeEach(() => {
+  process.env.QUOTA_MAX_PROJECTS = "3";
+  process.env.QUOTA_MAX_FILES_PER_PROJECT = "10";
+  process.env.QUOTA_MAX_STORAGE_MB = "2";
+});
+
+afterEach(() => {
+  delete process.env.QUOTA_MAX_PROJECTS;
+  delete process.env.QUOTA_MAX_FILES_PER_PROJECT;
+  delete process.env.QUOTA_MAX_STORAGE_MB;
+  jest.restoreAllMocks();
+});
+
+describe("quota limits", () => {
+  it("are read from the environment, with defaults", () => {
+    expect(getQuotaLimits()).toEqual({
+      maxProjects: 3,
+      maxFilesPerProject: 10,
+      maxStorageBytes: 2 * MB,
+    });
+
+    delete process.env.QUOTA_MAX_PROJECTS;
+    process.env.QUOTA_MAX_STORAGE_MB = "lots";
+    expect(getQuotaLimits().maxProjects).toBe(100);
+    expect(getQuotaLimits().maxStorageBytes).toBe(100 * MB);
+  });
+});
+
+describe("getQuotaUsage", () => {
+  it("reports usage against each limit", async () => {
+    mockUsage({
+      projects: 2,
+      perProject: [
+        { files: 4, bytes: MB },
+        { files: 7, bytes: 1024 },
+      ],
+    });
+
+    expect(await getQuotaUsage(userId)).toEqual({
+      projects: { used: 2, limit: 3 },
+      filesPerProject: { used: 7, limit: 10 },
+      storage: { used: MB + 1024, limit: 2 * MB },
+    });
+  });
+
+  it("reports nothing used for a new account", async () => {
+    mockUsage({ projects: 0 });
+
+    const usage = await getQuotaUsage(userId);
+
+    expect(usage.filesPerProject.used).toBe(0);
+    expect(usage.storage.used).toBe(0);
+  });
+});
+
+describe("assertProjectQuota", () => {
+  it("allows projects up to the limit", async () => {
+    mockUsage({ projects: 2 });
+
+    await expect(
+      assertProjectQuota(userId, { files: 10, bytes: MB })
+    ).resolves.toBeUndefined();
+  });
+
+  it("refuses a project past the limit with 429", async () => {
+    mockUsage({ projects: 3 });
+
+    const error = await assertProjectQuota(userId).catch((e) => e);
+
+    expect(error).toBeInstanceOf(QuotaError);
+    expect(error.statusCode).toBe(429);
+    expect(error.message).toMatch(/at most 3 projects/);
+  });
+
+  it("refuses a project with too many files or bytes", async () => {
+    mockUsage({ perProject: [{ files: 1, bytes: MB }] });
+
+    const files = await assertProjectQuota(userId, { files: 11 }).catch(
+      (e) => e
+    );
+    const bytes = await assertProjectQuota(userId, { bytes: MB + 1 }).catch(
+      (e) => e
+    );
+
+    expect(files.statusCode).toBe(429);
+    expect(bytes.statusCode).toBe(413);
+    expect(bytes.message).toBe("Storage quota exceeded: 1.0 MB of 2.0 MB used");
+  });
+});
+
+describe("assertFileQuota", () => {
+  it("counts files in the project against the per-project limit", async () => {
+    mockUsage({ perProject: [{ files: 9, bytes: 0 }] });
+
+    await expect(
+      assertFileQuota(project, { files: 1 })
+    ).resolves.toBeUndefined();
+    await expect(assertFileQuota(project, { files: 2 })).rejects.toMatchObject({
+      statusCode: 429,
+    });
+  });
+
+  it("counts storage against the project owner", async () => {
+    mockUsage({ perProject: [{ files: 1, bytes: 2 * MB - 10 }] });
+
+    await expect(
+      assertFileQuota(project, { bytes: 10 })
+    ).resolves.toBeUndefined();
+    const error = await assertFileQuota(project, { bytes: 11 }).catch((e) => e);
+
+    expect(error.statusCode).toBe(413);
+    expect(Project.find).toHaveBeenCalledWith({ userId });
+  });
+
+  it("always allows changes that shrink a project", async () => {
+    mockUsage({ perProject: [{ files: 20, bytes: 5 * MB }] });
+
+    await expect(
+      assertFileQuota(project, { files: -1, bytes: -MB })
+    ).resolves.toBeUndefined();
+    expect(File.countDocuments).not.toHaveBeenCalled();
+    expect(File.aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const { File, FileRevision, Project } = require("../src/models");
+const { applyProjectReplace } = require("../src/controllers/replaceController");
+const { fileValidation } = require("../src/middleware/validation");
+const { callController } = require("./helpers/express");
+
+const createFile = (content, version, path = "src/App.js") => ({
+  _id: new mongoose.Types.ObjectId(),
+  path,
+  type: "file",
+  encoding: "utf8",
+  content,
+  size: Buffer.byteLength(content),
+  metadata: { version },
+  save: jest.fn(async function () {
+    this.metadata.version += 1;
+  }),
+});
+
+// Replace "count" with "total" in a file previewed at version 4
+const replaceCount = (file, project, replacement = "total") =>
+  callController(applyProjectReplace, {
+    body: {
+      query: "count",
+      replacement,
+      files: [{ fileId: file._id.toString(), baseVersion: 4 }],
+    },
+    project,
+    user: { _id: new mongoose.Types.ObjectId() },
+  });
+
+const standalone = Object.assign(
+  new Error(
+    "Transaction numbers are only allowed on a replica set member or mongos"
+  ),
+  { code: 20 }
+);
+
+describe("applyProjectReplace", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("falls back to version-checked writes on a standalone server", async () => {
+    const transaction = jest
+      .spyOn(mongoose.connection, "transaction")
+      .mockRejectedValue(standalone);
+
+    const file = createFile("let count = 1;", 4);
+    jest.spyOn(File, "find").mockReturnValue({ session: async () => [file] });
+    jest
+      .spyOn(File, "aggregate")
+      .mockReturnValue({ session: async () => [{ totalSize: 14 }] });
+    const project = {
+      _id: new mongoose.Types.ObjectId(),
+      metadata: {},
+      save: jest.fn(),
+    };
+
+    const { res, error } = await replaceCount(file, project);
+
+    expect(error).toBeNull();
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(file.content).toBe("let total = 1;");
+    expect(file.save).toHaveBeenCalledWith({ session: null });
+    expect(file.$where).toEqual({ "metadata.version": 4 });
+    expect(project.save).toHaveBeenCalled();
+  });
+
+  it("undoes earlier writes when a later one fails without a transaction", async () => {
+    jest
+      .spyOn(mongoose.connection, "transaction")
+      .mockRejectedValue(standalone);
+    const first = createFile("let count = 1;", 4, "src/a.js");
+    const second = createFile("let count = 2;", 4, "src/b.js");
+    second.save.mockRejectedValue(
+      new mongoose.Error.DocumentNotFoundError("File", second._id)
+    );
+    jest
+      .spyOn(File, "find")
+      .mockReturnValue({ session: async () => [first, second] });
+    const updateOne = jest
+      .spyOn(File, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const deleteRevision = jest
+      .spyOn(FileRevision, "deleteOne")
+      .mockResolvedValue({});
+
+    const { res } = await callController(applyProjectReplace, {
+      body: {
+        query: "count",
+        replacement: "total",
+        files: [first, second].map((file) => ({
+          fileId: file._id.toString(),
+          baseVersion: 4,
+        })),
+      },
+      project: { _id: new mongoose.Types.ObjectId(), metadata: {} },
+      user: { _id: new mongoose.Types.ObjectId() },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: first._id, "metadata.version": 5 },
+      {
+        $set: expect.objectContaining({
+          content: "let count = 1;",
+          "metadata.version": 4,
+        }),
+      }
+    );
+    expect(deleteRevision).toHaveBeenCalledWith({
+      fileId: first._id,
+      version: 4,
+    });
+  });
+
+  it("rejects files that changed since the preview", async () => {
+    jest
+      .spyOn(mongoose.connection, "transaction")
+      .mockImplementation(async (fn) => fn({}));
+    const file = createFile("let count = 1;", 5);
+    jest.spyOn(File, "find").mockReturnValue({ session: async () => [file] });
+
+    const { res } = await replaceCount(file, {
+      _id: new mongoose.Types.ObjectId(),
+      metadata: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(file.save).not.toHaveBeenCalled();
+  });
+
+  it("refuses replacements that go over the storage quota", async () => {
+    jest
+      .spyOn(mongoose.connection, "transaction")
+      .mockImplementation(async (fn) => fn({}));
+    const file = createFile("let count = 1;", 4);
+    jest.spyOn(File, "find").mockReturnValue({ session: async () => [file] });
+
+    // The owner's projects already hold exactly the storage quota
+    jest.spyOn(Project, "find").mockReturnValue({
+      distinct: async () => [new mongoose.Types.ObjectId()],
+    });
+    jest
+      .spyOn(File, "aggregate")
+      .mockResolvedValue([{ files: 1, bytes: 100 * 1024 * 1024 }]);
+
+    const { error } = await replaceCount(
+      file,
+      { _id: new mongoose.Types.ObjectId(), metadata: {} },
+      "totalNumberOfItems"
+    );
+
+    expect(error.name).toBe("QuotaError");
+    expect(error.statusCode).toBe(413);
+    expect(file.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("replace apply validation", () => {
+  it("refuses a file selected more than once", async () => {
+    const fileId = new mongoose.Types.ObjectId().toString();
+    const req = {
+      body: {
+        files: [
+          { fileId, baseVersion: 1 },
+          { fileId, baseVersion: 1 },
+        ],
+      },
+    };
+
+    await Promise.all(fileValidation.replaceApply.map((rule) => rule.run(req)));
+
+    expect(validationResult(req).array()).toEqual([
+      expect.objectContaining({ msg: "Each file can only be selected once" }),
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+const { Session, User } = require("../src/models");
+const {
+  authenticate,
+  findActiveSession,
+  generateToken,
+} = require("../src/middleware/auth");
+
+const req = { headers: { "user-agent": "Mozilla/5.0 Firefox/120.0" } };
+const userId = new mongoose.Types.ObjectId();
+
+// Sessions, as the database would hold them
+let sessions;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+beforeEach(() => {
+  sessions = [];
+  jest.spyOn(Session, "create").mockImplementation(async (data) => {
+    const session = new Session(data);
+    sessions.push(session);
+    return session;
+  });
+  jest
+    .spyOn(Session, "findOne")
+    .mockImplementation(
+      async (filter) =>
+        sessions.find((session) =>
+          Object.entries(filter).every(([key, value]) => session[key] === value)
+        ) || null
+    );
+  jest
+    .spyOn(Session, "findById")
+    .mockImplementation(
+      async (id) => sessions.find((session) => session._id.equals(id)) || null
+    );
+  jest.spyOn(Session.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("refresh token rotation", () => {
+  it("stores only a hash of the refresh token", async () => {
+    const { session, refreshToken } = await Session.start(userId, req);
+
+    expect(session.refreshTokenHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(session.refreshTokenHash).not.toContain(refreshToken);
+    expect(session.device).toBe("Firefox");
+    expect(JSON.stringify(session)).not.toContain(session.refreshTokenHash);
+  });
+
+  it("swaps the refresh token for a new one", async () => {
+    const { session, refreshToken } = await Session.start(userId, req);
+
+    const rotated = await Session.rotate(refreshToken, req);
+
+    expect(rotated.session).toBe(session);
+    expect(rotated.refreshToken).toEqual(expect.any(String));
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect((await Session.rotate(rotated.refreshToken, req)).session).toBe(
+      session
+    );
+  });
+
+  it("lets a racing tab keep the session without a new token", async () => {
+    const { session, refreshToken } = await Session.start(userId, req);
+    await Session.rotate(refreshToken, req);
+
+    const raced = await Session.rotate(refreshToken, req);
+
+    expect(raced).toEqual({ session, refreshToken: null });
+    expect(session.revokedAt).toBeNull();
+  });
+
+  it("revokes the session when an old refresh token is reused", async () => {
+    const { session, refreshToken } = await Session.start(userId, req);
+    const rotated = await Session.rotate(refreshToken, req);
+    session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    expect(await Session.rotate(refreshToken, req)).toBeNull();
+    expect(session.revokedAt).toBeInstanceOf(Date);
+
+    // The token the thief was given no longer works either
+    expect(await Session.rotate(rotated.refreshToken, req)).toBeNull();
+  });
+
+  it("refuses unknown tokens and ended sessions", async () => {
+    const { session, refreshToken } = await Session.start(userId, req);
+
+    expect(await Session.rotate("guess", req)).toBeNull();
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    expect(await Session.rotate(refreshToken, req)).toBeNull();
+  });
+});
+
+describe("access tokens tied to sessions", () => {
+  it("are accepted only while their session is active", async () => {
+    const { session } = await Session.start(userId, req);
+    const decoded = { userId: userId.toString(), sessionId: session._id };
+
+    expect(await findActiveSession(decoded)).toBe(session);
+    expect(
+      await findActiveSession({ ...decoded, userId: "someone else" })
+    ).toBeNull();
+    expect(await findActiveSession({ userId: decoded.userId })).toBeNull();
+
+    await session.revoke();
+    expect(await findActiveSession(decoded)).toBeNull();
+  });
+
+  it("are turned away by authenticate once signed out", async () => {
+    const { session } = await Session.start(userId, req);
+    const token = generateToken(userId, session._id);
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: async () => new User({ _id: userId, username: "ada" }),
+    });
+
+    const call = async () => {
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      await authenticate(
+        { headers: { authorization: `Bearer ${token}` } },
+        res,
+        next
+      );
+      return { res, next };
+    };
+
+    expect((await call()).next).toHaveBeenCalled();
+
+    await session.revoke();
+    const { res, next } = await call();
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,166 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { Project, ShareLink } = require("../src/models");
+const {
+  generateShareGrant,
+  resolveShareLink,
+} = require("../src/middleware/auth");
+const { openShareLink } = require("../src/controllers/shareLinkController");
+const { callController } = require("./helpers/express");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createProject = () =>
+  new Project({
+    name: "Demo",
+    userId: new mongoose.Types.ObjectId(),
+    isPublic: false,
+  });
+
+const createLink = (project, fields) =>
+  new ShareLink({
+    projectId: project._id,
+    createdBy: project.userId,
+    ...fields,
+  });
+
+describe("share link roles", () => {
+  it("grants the role of the link's scope", () => {
+    const project = createProject();
+
+    expect(project.getRole(null, createLink(project))).toBe("viewer");
+    expect(project.getRole(null, createLink(project, { scope: "fork" }))).toBe(
+      "viewer"
+    );
+    expect(
+      project.hasRole(null, "editor", createLink(project, { scope: "edit" }))
+    ).toBe(true);
+    expect(
+      project.hasRole(null, "admin", createLink(project, { scope: "edit" }))
+    ).toBe(false);
+  });
+
+  it("never lowers a member's own role", () => {
+    const project = createProject();
+
+    expect(project.getRole(project.userId, createLink(project))).toBe("owner");
+  });
+
+  it("grants nothing for revoked, expired or other projects' links", () => {
+    const project = createProject();
+
+    const revoked = createLink(project, { revokedAt: new Date() });
+    const expired = createLink(project, {
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    const elsewhere = createLink(createProject(), { scope: "edit" });
+
+    for (const link of [revoked, expired, elsewhere]) {
+      expect(project.getRole(null, link)).toBeNull();
+      expect(project.canView(null, link)).toBe(false);
+    }
+  });
+});
+
+describe("resolveShareLink", () => {
+  const findLink = (link) => {
+    jest.spyOn(ShareLink, "findOne").mockResolvedValue(link);
+    jest.spyOn(ShareLink, "findById").mockResolvedValue(link);
+  };
+
+  it("accepts the raw token of a link without a password", async () => {
+    const link = createLink(createProject());
+    findLink(link);
+
+    expect(await resolveShareLink(link.token)).toBe(link);
+    expect(ShareLink.findOne).toHaveBeenCalledWith({ token: link.token });
+  });
+
+  it("requires a grant for a password protected link", async () => {
+    const link = createLink(createProject(), { hasPassword: true });
+    findLink(link);
+
+    expect(await resolveShareLink(link.token)).toBeNull();
+    expect(await resolveShareLink(generateShareGrant(link))).toBe(link);
+  });
+
+  it("stops accepting grants once the link is revoked", async () => {
+    const link = createLink(createProject());
+    const grant = generateShareGrant(link);
+    link.revokedAt = new Date();
+    findLink(link);
+
+    expect(await resolveShareLink(grant)).toBeNull();
+  });
+
+  it("rejects forged and unrelated tokens", async () => {
+    const link = createLink(createProject());
+    findLink(link);
+
+    const forged = jwt.sign({ shareLinkId: link._id.toString() }, "guess");
+    const sessionToken = jwt.sign({ userId: "u" }, process.env.JWT_SECRET);
+
+    expect(await resolveShareLink(forged)).toBeNull();
+    expect(await resolveShareLink(sessionToken)).toBeNull();
+    expect(await resolveShareLink(["array"])).toBeNull();
+  });
+
+  it("issues grants that expire no later than the link", () => {
+    const link = createLink(createProject(), {
+      expiresAt: new Date(Date.now() + HOUR_MS),
+    });
+
+    const { exp } = jwt.decode(generateShareGrant(link));
+
+    expect(exp * 1000).toBeLessThanOrEqual(link.expiresAt.getTime());
+  });
+});
+
+describe("openShareLink", () => {
+  // A link as findOne(...).select().populate() would return it
+  const findLink = (link) =>
+    jest.spyOn(ShareLink, "findOne").mockReturnValue({
+      select: () => ({ populate: async () => link }),
+    });
+
+  const open = (token, body = {}) =>
+    callController(openShareLink, { params: { token }, body });
+
+  it("checks the password before issuing a grant", async () => {
+    const link = createLink(createProject(), {
+      password: bcrypt.hashSync("hunter22", 4),
+      hasPassword: true,
+    });
+    link.projectId = { _id: link.projectId, name: "Demo" };
+    jest.spyOn(link, "save").mockResolvedValue(link);
+    findLink(link);
+
+    const missing = await open(link.token);
+    const wrong = await open(link.token, { password: "guess" });
+    const right = await open(link.token, { password: "hunter22" });
+
+    expect(missing.res.status).toHaveBeenCalledWith(401);
+    expect(wrong.res.status).toHaveBeenCalledWith(401);
+    expect(right.res.status).toHaveBeenCalledWith(200);
+    expect(right.res.json.mock.calls[0][0].data.grant).toEqual(
+      expect.any(String)
+    );
+  });
+
+  it("answers 404 for a link to a trashed project", async () => {
+    const link = createLink(createProject());
+    link.projectId = null;
+    findLink(link);
+
+    const { res } = await open(link.token);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
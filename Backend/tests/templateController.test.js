@@ -0,0 +1,259 @@
+const {
+  Project,
+  File,
+  FileRevision,
+  Comment,
+  ProjectInvitation,
+  ShareLink,
+  ProjectTemplate,
+  User,
+} = require("../src/models");
+const {
+  getTemplateById,
+  createTemplate,
+} = require("../src/controllers/templateController");
+const { callController } = require("./helpers/express");
+
+const owner = new User({ username: "owner", email: "owner@example.com" });
+const member = new User({ username: "member", email: "member@example.com" });
+const stranger = new User({
+  username: "stranger",
+  email: "stranger@example.com",
+});
+
+let projects;
+let templates;
+
+// Whether a stored document matches a filter, for the operators the
+// visibility filters use
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((each) => matches(doc, each));
+    if (key === "$and") return condition.every((each) => matches(doc, each));
+
+    const value = doc[key] ?? null;
+    if (condition?.$in) {
+      return condition.$in.some((each) => String(each) === String(value));
+    }
+    if (condition?.$elemMatch) {
+      return (value || []).some((item) => matches(item, condition.$elemMatch));
+    }
+    return String(value) === String(condition ?? null);
+  });
+
+beforeEach(() => {
+  projects = [];
+  templates = [];
+
+  jest.spyOn(Project, "find").mockImplementation((filter) => ({
+    distinct: async () =>
+      projects
+        .filter((project) => matches(project.toObject(), filter))
+        .map((project) => project._id),
+  }));
+  jest.spyOn(ProjectTemplate, "findOne").mockImplementation((filter) => {
+    const template = templates.find((each) => matches(each.toObject(), filter));
+    const chain = {
+      select: () => chain,
+      populate: async () => template || null,
+    };
+    return chain;
+  });
+  jest
+    .spyOn(ProjectTemplate.prototype, "save")
+    .mockImplementation(async function () {
+      templates.push(this);
+      return this;
+    });
+  jest
+    .spyOn(ProjectTemplate.prototype, "populate")
+    .mockImplementation(async function () {
+      return this;
+    });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createProject = (fields = {}) => {
+  const project = new Project({
+    name: "Demo",
+    userId: owner._id,
+    isPublic: false,
+    collaborators: [{ userId: member._id, role: "viewer" }],
+    ...fields,
+  });
+  projects.push(project);
+  return project;
+};
+
+const createStoredTemplate = (project, fields = {}) => {
+  const template = new ProjectTemplate({
+    name: "Starter",
+    userId: owner._id,
+    projectId: project._id,
+    ...fields,
+  });
+  templates.push(template);
+  return template;
+};
+
+const viewTemplate = (template, user) =>
+  callController(getTemplateById, {
+    params: { id: String(template._id) },
+    user,
+  });
+
+describe("template visibility", () => {
+  it("shows private templates to their owner only", async () => {
+    const template = createStoredTemplate(createProject());
+
+    expect(
+      (await viewTemplate(template, owner)).res.status
+    ).toHaveBeenCalledWith(200);
+    expect(
+      (await viewTemplate(template, member)).res.status
+    ).toHaveBeenCalledWith(404);
+  });
+
+  it("shows public templates to everyone, signed in or not", async () => {
+    const template = createStoredTemplate(createProject(), {
+      visibility: "public",
+    });
+
+    for (const user of [owner, stranger, undefined]) {
+      const { res } = await viewTemplate(template, user);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    }
+  });
+
+  it("shows team templates to the members of their project", async () => {
+    const template = createStoredTemplate(createProject(), {
+      visibility: "team",
+    });
+
+    for (const [user, status] of [
+      [owner, 200],
+      [member, 200],
+      [stranger, 404],
+      [undefined, 404],
+    ]) {
+      const { res } = await viewTemplate(template, user);
+
+      expect(res.status).toHaveBeenCalledWith(status);
+    }
+  });
+
+  it("only counts projects the user is a member of as their team", async () => {
+    await ProjectTemplate.visibleTo(member._id);
+
+    expect(Project.find).toHaveBeenCalledWith(
+      Project.accessibleBy(member._id, "viewer")
+    );
+    expect(await ProjectTemplate.visibleTo(null)).toEqual({
+      visibility: "public",
+    });
+  });
+
+  it("hides team templates from the team once their project is purged", async () => {
+    const project = createProject();
+    const template = createStoredTemplate(project, { visibility: "team" });
+    [File, FileRevision, Comment, ProjectInvitation, ShareLink].forEach(
+      (Model) => jest.spyOn(Model, "deleteMany").mockResolvedValue(null)
+    );
+    jest
+      .spyOn(ProjectTemplate, "updateMany")
+      .mockImplementation(async (filter, update) => {
+        templates
+          .filter((each) => matches(each.toObject(), filter))
+          .forEach((each) => each.set(update));
+      });
+    jest.spyOn(project, "deleteOne").mockImplementation(async () => {
+      projects = projects.filter((each) => each !== project);
+    });
+
+    await project.purge();
+
+    expect(template.projectId).toBeNull();
+    expect(
+      (await viewTemplate(template, member)).res.status
+    ).toHaveBeenCalledWith(404);
+    expect(
+      (await viewTemplate(template, owner)).res.status
+    ).toHaveBeenCalledWith(200);
+  });
+});
+
+describe("createTemplate", () => {
+  const saveTemplate = (project, user, body = {}) =>
+    callController(createTemplate, {
+      body: { projectId: project._id, visibility: "team", ...body },
+      user,
+    });
+
+  beforeEach(() => {
+    jest
+      .spyOn(Project, "findById")
+      .mockImplementation(
+        async (id) =>
+          projects.find((project) => String(project._id) === String(id)) || null
+      );
+  });
+
+  it("saves a project its members can view, files included", async () => {
+    const project = createProject();
+    const file = new File({
+      name: "index.js",
+      projectId: project._id,
+      type: "file",
+      path: "index.js",
+      content: "console.log(1);\n",
+      size: 16,
+    });
+    jest.spyOn(File, "find").mockResolvedValue([file]);
+
+    const { res } = await saveTemplate(project, member);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [template] = templates;
+    expect(template).toMatchObject({
+      name: "Demo",
+      visibility: "team",
+      totalFiles: 1,
+      totalSize: 16,
+    });
+    expect(template.userId).toEqual(member._id);
+    expect(template.projectId).toEqual(project._id);
+    expect(template.files[0].sourceId).toEqual(file._id);
+    expect(res.json.mock.calls[0][0].data.template).not.toHaveProperty("files");
+  });
+
+  it("saves public projects for anyone", async () => {
+    const project = createProject({ isPublic: true });
+    jest.spyOn(File, "find").mockResolvedValue([]);
+
+    const { res } = await saveTemplate(project, stranger);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("refuses projects the user cannot view", async () => {
+    const project = createProject();
+    jest.spyOn(File, "find");
+
+    const { res } = await saveTemplate(project, stranger);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(File.find).not.toHaveBeenCalled();
+    expect(templates).toEqual([]);
+  });
+
+  it("answers 404 for a project that does not exist", async () => {
+    const project = new Project({ name: "Gone", userId: owner._id });
+
+    const { res } = await saveTemplate(project, owner);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(templates).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { pathToFileURL } = require("url");
+const { Project } = require("../src/models");
+const { defaultTemplates } = require("../src/config/templates");
+
+const FRONTEND_TEMPLATES = path.join(
+  __dirname,
+  "../../frontend/src/lib/templates.js"
+);
+
+const TEMPLATES = Project.schema.path("template").enumValues;
+
+// Every file of a template's tree, keyed by its path in the preview
+const templateFiles = (template) => {
+  const flatten = (items) =>
+    items.flatMap((item) => [item, ...flatten(item.children || [])]);
+
+  return Object.fromEntries(
+    flatten(defaultTemplates[template].files)
+      .filter((item) => item.type === "file")
+      .map((item) => [`/${item.path}`, item.content])
+  );
+};
+
+// The frontend is an ES module without a test runner of its own. Its
+// templates module imports nothing, so plain Node can load it and report
+// the preview setup it picks for each template's starter files.
+const loadFrontendTemplates = () => {
+  const script = `
+    import { PROJECT_TEMPLATES, getSandpackSetup } from ${JSON.stringify(
+      pathToFileURL(FRONTEND_TEMPLATES).href
+    )};
+    const files = JSON.parse(process.argv[1]);
+    console.log(JSON.stringify({
+      values: PROJECT_TEMPLATES.map(({ value }) => value),
+      setups: Object.fromEntries(
+        Object.entries(files).map(([template, tree]) => [
+          template,
+          getSandpackSetup(template, tree),
+        ])
+      ),
+    }));
+  `;
+  const files = Object.fromEntries(
+    TEMPLATES.map((template) => [template, templateFiles(template)])
+  );
+
+  return JSON.parse(
+    execFileSync(
+      process.execPath,
+      ["--input-type=module", "-e", script, JSON.stringify(files)],
+      { encoding: "utf8" }
+    )
+  );
+};
+
+describe("starter templates", () => {
+  it("exist for every project template", () => {
+    expect(Object.keys(defaultTemplates).sort()).toEqual([...TEMPLATES].sort());
+  });
+
+  it.each(TEMPLATES)("%s has a package.json matching its own", (template) => {
+    const files = templateFiles(template);
+
+    const packageJson = JSON.parse(files["/package.json"]);
+
+    expect(packageJson).toEqual(defaultTemplates[template].packageJson);
+    expect(Object.keys(packageJson.scripts).length).toBeGreaterThan(0);
+  });
+
+  it.each(["react", "vanilla", "typescript"])(
+    "%s has the entry file its package.json names",
+    (template) => {
+      const files = templateFiles(template);
+      const { main } = defaultTemplates[template].packageJson;
+
+      expect(files[`/${main}`]).toEqual(expect.any(String));
+    }
+  );
+
+  it("nextjs has the pages and config Next.js starts from", () => {
+    const files = templateFiles("nextjs");
+    const { dependencies, scripts } = defaultTemplates.nextjs.packageJson;
+
+    expect(Object.keys(files)).toEqual(
+      expect.arrayContaining([
+        "/pages/_app.js",
+        "/pages/index.js",
+        "/next.config.js",
+      ])
+    );
+    expect(dependencies).toHaveProperty("next");
+    expect(scripts.dev).toMatch(/next dev/);
+  });
+
+  it("typescript has a tsconfig.json that parses", () => {
+    const tsconfig = templateFiles("typescript")["/tsconfig.json"];
+
+    expect(JSON.parse(tsconfig)).toHaveProperty("compilerOptions");
+  });
+});
+
+describe("frontend templates", () => {
+  const { values, setups } = loadFrontendTemplates();
+
+  it("offer every project template", () => {
+    expect(values).toEqual(TEMPLATES);
+  });
+
+  it("map each project template to its own Sandpack template", () => {
+    expect(
+      Object.fromEntries(
+        TEMPLATES.map((template) => [template, setups[template].template])
+      )
+    ).toEqual({
+      react: "react",
+      vanilla: "vanilla",
+      typescript: "vanilla-ts",
+      nextjs: "nextjs",
+    });
+  });
+
+  it.each(["react", "vanilla", "typescript"])(
+    "find the entry file of the %s starter",
+    (template) => {
+      const { entry } = setups[template].customSetup;
+
+      expect(templateFiles(template)[entry]).toEqual(expect.any(String));
+    }
+  );
+});
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const { Project, File, AuditEvent } = require("../src/models");
+const {
+  restoreTrashedProject,
+  restoreTrashedFile,
+} = require("../src/controllers/trashController");
+const { callController } = require("./helpers/express");
+
+const MB = 1024 * 1024;
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// How many projects the owner has; File.aggregate gives their bytes
+const setUsage = ({ projects = 1 } = {}) => {
+  jest.spyOn(Project, "countDocuments").mockResolvedValue(projects);
+  jest
+    .spyOn(Project, "find")
+    .mockReturnValue({ distinct: async () => [new mongoose.Types.ObjectId()] });
+};
+
+const trashedProject = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: user._id,
+  metadata: {},
+  restoreFromTrash: jest.fn(),
+  hasRole: () => true,
+  save: jest.fn(),
+});
+
+beforeEach(() => {
+  jest.spyOn(AuditEvent, "create").mockResolvedValue(null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("restoring a project from the trash", () => {
+  const restore = (project) => {
+    jest.spyOn(Project, "findOne").mockResolvedValue(project);
+    return callController(restoreTrashedProject, {
+      params: { id: project._id.toString() },
+      user,
+      headers: {},
+    });
+  };
+
+  it("restores a project that fits the quotas", async () => {
+    setUsage();
+    jest
+      .spyOn(File, "aggregate")
+      .mockResolvedValueOnce([{ files: 3, bytes: MB }])
+      .mockResolvedValueOnce([{ files: 5, bytes: 10 * MB }]);
+    const project = trashedProject();
+
+    const { res } = await restore(project);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(project.restoreFromTrash).toHaveBeenCalled();
+  });
+
+  it("refuses when the owner is at the project limit", async () => {
+    setUsage({ projects: 100 });
+    jest.spyOn(File, "aggregate").mockResolvedValue([]);
+    const project = trashedProject();
+
+    const { error } = await restore(project);
+
+    expect(error.name).toBe("QuotaError");
+    expect(error.statusCode).toBe(429);
+    expect(project.restoreFromTrash).not.toHaveBeenCalled();
+  });
+
+  it("refuses when its files would go over the storage quota", async () => {
+    setUsage();
+    jest
+      .spyOn(File, "aggregate")
+      .mockResolvedValueOnce([{ files: 3, bytes: 10 * MB }])
+      .mockResolvedValueOnce([{ files: 5, bytes: 95 * MB }]);
+    const project = trashedProject();
+
+    const { error } = await restore(project);
+
+    expect(error.statusCode).toBe(413);
+    expect(project.restoreFromTrash).not.toHaveBeenCalled();
+  });
+});
+
+describe("restoring a file from the trash", () => {
+  // A trashed folder holding the given number of files of one byte each
+  const restoreFolder = (project, contents) => {
+    const folder = {
+      _id: new mongoose.Types.ObjectId(),
+      type: "folder",
+      path: "src",
+      size: 0,
+      projectId: project,
+      restoreFromTrash: jest.fn(),
+    };
+    jest
+      .spyOn(File, "findOne")
+      .mockReturnValue({ populate: async () => folder });
+    jest.spyOn(File, "find").mockReturnValue({
+      select: async () => Array.from({ length: contents }, () => ({ size: 1 })),
+    });
+
+    return callController(restoreTrashedFile, {
+      params: { id: folder._id.toString() },
+      user,
+    }).then((result) => ({ ...result, folder }));
+  };
+
+  it("restores a folder and its contents", async () => {
+    setUsage();
+    jest.spyOn(File, "countDocuments").mockResolvedValue(10);
+    jest.spyOn(File, "aggregate").mockResolvedValue([]);
+    const project = trashedProject();
+
+    const { res, folder } = await restoreFolder(project, 2);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(folder.restoreFromTrash).toHaveBeenCalled();
+    expect(project.save).toHaveBeenCalled();
+  });
+
+  it("refuses a folder whose contents go over the file limit", async () => {
+    setUsage();
+    jest.spyOn(File, "countDocuments").mockResolvedValue(998);
+    jest.spyOn(File, "aggregate").mockResolvedValue([]);
+
+    const { error, folder } = await restoreFolder(trashedProject(), 2);
+
+    expect(error.name).toBe("QuotaError");
+    expect(error.message).toMatch(/at most 1000 files/);
+    expect(folder.restoreFromTrash).not.toHaveBeenCalled();
+  });
+});
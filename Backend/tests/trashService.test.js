@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const {
+  Project,
+  File,
+  FileRevision,
+  Comment,
+  AuditEvent,
+} = require("../src/models");
+const { purgeExpiredTrash } = require("../src/services/trashService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run a model's pre hooks on a query or aggregate, as executing it would,
+// and return it. (Awaiting a query would execute it.)
+const runPreHooks = async (Model, hook, query) => {
+  await new Promise((resolve, reject) =>
+    Model.schema.s.hooks.execPre(hook, query, [], (error) =>
+      error ? reject(error) : resolve()
+    )
+  );
+  return { query };
+};
+
+describe("soft delete", () => {
+  it.each([
+    ["find", () => File.find({ projectId: "p" })],
+    ["findOne", () => File.findOne({ projectId: "p" })],
+    ["countDocuments", () => File.countDocuments({ projectId: "p" })],
+    ["updateMany", () => File.updateMany({ projectId: "p" }, { size: 0 })],
+  ])("hides trashed documents from %s", async (operation, build) => {
+    const { query } = await runPreHooks(File, operation, build());
+
+    expect(query.getFilter()).toEqual({ projectId: "p", deletedAt: null });
+  });
+
+  it("leaves queries that ask about the trash alone", async () => {
+    const { query } = await runPreHooks(
+      Project,
+      "find",
+      Project.find({ deletedAt: { $ne: null } })
+    );
+
+    expect(query.getFilter()).toEqual({ deletedAt: { $ne: null } });
+  });
+
+  it("includes trashed documents when asked to", async () => {
+    const { query } = await runPreHooks(
+      File,
+      "find",
+      File.find({ projectId: "p" }).setOptions({ withDeleted: true })
+    );
+
+    expect(query.getFilter()).toEqual({ projectId: "p" });
+  });
+
+  it("hides trashed documents from aggregations", async () => {
+    const { query: aggregate } = await runPreHooks(
+      File,
+      "aggregate",
+      File.aggregate([{ $group: { _id: null } }])
+    );
+
+    expect(aggregate.pipeline()[0]).toEqual({ $match: { deletedAt: null } });
+  });
+});
+
+describe("purgeExpiredTrash", () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+    jest.restoreAllMocks();
+  });
+
+  it("purges projects and files trashed before the retention period", async () => {
+    process.env.TRASH_RETENTION_DAYS = "7";
+    const project = { _id: new mongoose.Types.ObjectId(), name: "Old" };
+    project.purge = jest.fn();
+    const fileIds = [new mongoose.Types.ObjectId()];
+
+    const findProjects = jest
+      .spyOn(Project, "find")
+      .mockResolvedValue([project]);
+    const findFiles = jest
+      .spyOn(File, "find")
+      .mockReturnValue({ distinct: async () => fileIds });
+    jest.spyOn(FileRevision, "deleteMany").mockResolvedValue({});
+    jest.spyOn(Comment, "deleteMany").mockResolvedValue({});
+    const deleteFiles = jest.spyOn(File, "deleteMany").mockResolvedValue({});
+    const audit = jest.spyOn(AuditEvent, "create").mockResolvedValue(null);
+
+    const purged = await purgeExpiredTrash();
+
+    expect(purged).toEqual({ projects: 1, files: 1 });
+    expect(project.purge).toHaveBeenCalled();
+    expect(deleteFiles).toHaveBeenCalledWith({ _id: { $in: fileIds } });
+    expect(audit).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "project.purge" })
+    );
+
+    // Only items trashed at least a week ago are taken
+    for (const find of [findProjects, findFiles]) {
+      const { $ne, $lte } = find.mock.calls[0][0].deletedAt;
+      expect($ne).toBeNull();
+      expect(Date.now() - $lte.getTime()).toBeGreaterThanOrEqual(7 * DAY_MS);
+      expect(Date.now() - $lte.getTime()).toBeLessThan(7 * DAY_MS + 1000);
+    }
+  });
+
+  it("leaves everything alone when nothing has expired", async () => {
+    jest.spyOn(Project, "find").mockResolvedValue([]);
+    jest.spyOn(File, "find").mockReturnValue({ distinct: async () => [] });
+    const deleteFiles = jest.spyOn(File, "deleteMany");
+
+    expect(await purgeExpiredTrash()).toEqual({ projects: 0, files: 0 });
+    expect(deleteFiles).not.toHaveBeenCalled();
+  });
+});
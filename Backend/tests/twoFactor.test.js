@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+const { AuditEvent, Session, User } = require("../src/models");
+const { generateTwoFactorChallenge } = require("../src/middleware/auth");
+const {
+  enableTwoFactor,
+  loginWithTwoFactor,
+} = require("../src/controllers/twoFactorController");
+const { generateRecoveryCodes, verifyTotp } = require("../src/services");
+const { callController } = require("./helpers/express");
+
+// The SHA-1 test secret from RFC 6238, base32-encoded, and the codes it gives
+// at 59 seconds (step 1) and at 1111111109 seconds (step 37037036)
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const AT_59_SECONDS = { time: 59 * 1000, step: 1, code: "287082" };
+const AT_1111111109_SECONDS = {
+  time: 1111111109 * 1000,
+  step: 37037036,
+  code: "081804",
+};
+
+const setTime = (time) => jest.spyOn(Date, "now").mockReturnValue(time);
+
+describe("verifyTotp", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("accepts the RFC 6238 codes and returns their time step", () => {
+    for (const { time, step, code } of [AT_59_SECONDS, AT_1111111109_SECONDS]) {
+      setTime(time);
+      expect(verifyTotp(SECRET, code)).toBe(step);
+    }
+  });
+
+  it("allows one step of clock drift either way, and no more", () => {
+    const { time, step, code } = AT_1111111109_SECONDS;
+
+    setTime(time + 30 * 1000);
+    expect(verifyTotp(SECRET, code)).toBe(step);
+    setTime(time - 30 * 1000);
+    expect(verifyTotp(SECRET, code)).toBe(step);
+    setTime(time + 60 * 1000);
+    expect(verifyTotp(SECRET, code)).toBeNull();
+  });
+
+  it("refuses codes from steps already used", () => {
+    const { time, step, code } = AT_1111111109_SECONDS;
+    setTime(time);
+
+    expect(verifyTotp(SECRET, code, step - 1)).toBe(step);
+    expect(verifyTotp(SECRET, code, step)).toBeNull();
+    expect(verifyTotp(SECRET, code, step + 1)).toBeNull();
+  });
+
+  it("refuses malformed codes", () => {
+    setTime(AT_59_SECONDS.time);
+
+    expect(verifyTotp(SECRET, "28708")).toBeNull();
+    expect(verifyTotp(SECRET, "2870820")).toBeNull();
+    expect(verifyTotp(SECRET, "abcdef")).toBeNull();
+  });
+});
+
+describe("two-factor sign-in", () => {
+  const userId = new mongoose.Types.ObjectId();
+  let stored;
+  let recoveryCodes;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+
+  beforeEach(() => {
+    const { codes, hashes } = generateRecoveryCodes();
+    recoveryCodes = codes;
+    // The user, as the database holds them
+    stored = {
+      _id: userId,
+      username: "ada",
+      email: "ada@example.com",
+      twoFactorSecret: SECRET,
+      twoFactorEnabledAt: new Date(),
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: hashes,
+    };
+
+    setTime(AT_1111111109_SECONDS.time);
+    // Each request loads its own copy, as separate requests would
+    jest.spyOn(User, "findById").mockImplementation(() => {
+      const user = User.hydrate(stored);
+      return { select: async () => user };
+    });
+    jest.spyOn(User, "updateOne").mockImplementation(async (filter, update) => {
+      const step = filter.twoFactorLastUsedStep;
+      const hash = filter.twoFactorRecoveryCodes;
+      if (step && stored.twoFactorLastUsedStep >= step.$not.$gte) {
+        return { modifiedCount: 0 };
+      }
+      if (hash && !stored.twoFactorRecoveryCodes.includes(hash)) {
+        return { modifiedCount: 0 };
+      }
+
+      if (update.$pull) {
+        stored.twoFactorRecoveryCodes = stored.twoFactorRecoveryCodes.filter(
+          (code) => code !== update.$pull.twoFactorRecoveryCodes
+        );
+      } else {
+        Object.assign(stored, update);
+      }
+      return { modifiedCount: 1 };
+    });
+    // Like mongoose, save only writes the paths that were changed
+    jest.spyOn(User.prototype, "save").mockImplementation(async function () {
+      for (const path of this.modifiedPaths()) stored[path] = this.get(path);
+      return this;
+    });
+    jest
+      .spyOn(Session, "create")
+      .mockImplementation(async (data) => new Session(data));
+    jest.spyOn(AuditEvent, "create").mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const signIn = (code) =>
+    callController(loginWithTwoFactor, {
+      body: { challengeToken: generateTwoFactorChallenge(userId), code },
+      headers: {},
+    });
+
+  it("accepts a code from the app only once", async () => {
+    const first = await signIn(AT_1111111109_SECONDS.code);
+    const replayed = await signIn(AT_1111111109_SECONDS.code);
+
+    expect(first.res.status).toHaveBeenCalledWith(200);
+    expect(first.res.json.mock.calls[0][0].data.token).toEqual(
+      expect.any(String)
+    );
+    expect(replayed.res.status).toHaveBeenCalledWith(401);
+    expect(stored.twoFactorLastUsedStep).toBe(AT_1111111109_SECONDS.step);
+  });
+
+  it("lets only one of two racing requests use the same code", async () => {
+    const results = await Promise.all([
+      signIn(AT_1111111109_SECONDS.code),
+      signIn(AT_1111111109_SECONDS.code),
+    ]);
+
+    const statuses = results.map(({ res }) => res.status.mock.calls[0][0]);
+    expect(statuses.sort()).toEqual([200, 401]);
+  });
+
+  it("accepts each recovery code once, however it is typed", async () => {
+    const typed = ` ${recoveryCodes[0].toUpperCase().replace("-", "")} `;
+
+    const first = await signIn(typed);
+    const replayed = await signIn(recoveryCodes[0]);
+
+    expect(first.res.status).toHaveBeenCalledWith(200);
+    expect(first.res.json.mock.calls[0][0].data.recoveryCodesRemaining).toBe(9);
+    expect(replayed.res.status).toHaveBeenCalledWith(401);
+    expect(stored.twoFactorRecoveryCodes).toHaveLength(9);
+  });
+
+  it("does not accept the code that turned two-factor on", async () => {
+    stored.twoFactorEnabledAt = null;
+
+    const enabled = await callController(enableTwoFactor, {
+      body: { code: AT_1111111109_SECONDS.code },
+      user: { _id: userId },
+      headers: {},
+    });
+    stored.twoFactorEnabledAt = new Date();
+    const { res } = await signIn(AT_1111111109_SECONDS.code);
+
+    expect(enabled.res.status).toHaveBeenCalledWith(200);
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("refuses a challenge that is not a two-factor challenge", async () => {
+    const { res } = await callController(loginWithTwoFactor, {
+      body: { challengeToken: "guess", code: AT_1111111109_SECONDS.code },
+      headers: {},
+    });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(stored.twoFactorLastUsedStep).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+const http = require("http");
+const mongoose = require("mongoose");
+const WebSocket = require("ws");
+const { Project, Session, User } = require("../src/models");
+const { generateToken } = require("../src/middleware/auth");
+const { attachWebSocketServer } = require("../src/websocket");
+
+const user = new User({ username: "ada", email: "ada@example.com" });
+const session = new Session({
+  userId: user._id,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+});
+const project = new Project({ name: "Demo", userId: user._id });
+const PRESENCE_PATH = `/ws/presence/${project._id}`;
+
+let server;
+let port;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  server = http.createServer();
+  attachWebSocketServer(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  session.revokedAt = null;
+  jest.spyOn(Session, "findById").mockResolvedValue(session);
+  jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+  jest.spyOn(Project, "findById").mockResolvedValue(project);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Open a WebSocket and wait for the first message, or for the upgrade to be
+// refused. Resolves with the status of the upgrade.
+const open = (path, { protocols = [], headers = {} } = {}) =>
+  new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, protocols, {
+      headers,
+    });
+    ws.on("error", () => {});
+    ws.on("unexpected-response", (req, res) => {
+      resolve({ status: res.statusCode });
+    });
+    ws.on("message", (data) => {
+      resolve({
+        status: 101,
+        protocol: ws.protocol,
+        message: JSON.parse(data),
+      });
+      ws.close();
+    });
+  });
+
+describe("WebSocket sign-in", () => {
+  const token = () => generateToken(user._id, session._id);
+
+  it("takes the JWT from the subprotocols, answering with the auth one", async () => {
+    const { status, protocol, message } = await open(PRESENCE_PATH, {
+      protocols: ["cipherstudio.auth", token()],
+    });
+
+    expect(status).toBe(101);
+    expect(protocol).toBe("cipherstudio.auth");
+    expect(message.type).toBe("welcome");
+  });
+
+  it("takes the JWT from the Authorization header", async () => {
+    const { status } = await open(PRESENCE_PATH, {
+      headers: { Authorization: `Bearer ${token()}` },
+    });
+
+    expect(status).toBe(101);
+  });
+
+  it("refuses a JWT in the URL", async () => {
+    const { status } = await open(`${PRESENCE_PATH}?token=${token()}`);
+
+    expect(status).toBe(401);
+  });
+
+  it("refuses the JWT of a session that has been signed out", async () => {
+    session.revokedAt = new Date();
+
+    const { status } = await open(PRESENCE_PATH, {
+      protocols: ["cipherstudio.auth", token()],
+    });
+
+    expect(status).toBe(401);
+  });
+
+  it("refuses users who cannot view the project", async () => {
+    const other = new Project({
+      name: "Private",
+      userId: new mongoose.Types.ObjectId(),
+      isPublic: false,
+    });
+    Project.findById.mockResolvedValue(other);
+
+    const { status } = await open(`/ws/presence/${other._id}`, {
+      protocols: ["cipherstudio.auth", token()],
+    });
+
+    expect(status).toBe(403);
+  });
+});
@@ -6,12 +6,23 @@ import {
   useSandpack,
 } from "@codesandbox/sandpack-react";
 
-import { AuthProvider } from "./contexts/AuthContext";
+import { Routes, Route, useSearchParams } from "react-router-dom";
+import { AuthProvider, useAuth } from "./contexts/AuthContext";
 import FileExplorer from "./components/FileExplorer";
 import TopBar from "./components/TopBar";
 import MonacoEditor from "./components/MonacoEditor";
 import ProjectList from "./components/ProjectList";
+import SearchPanel from "./components/SearchPanel";
+import CommentsPanel from "./components/CommentsPanel";
+import AssetViewer from "./components/AssetViewer";
+import EmbedView from "./components/EmbedView";
+import AdminDashboard from "./components/AdminDashboard";
 import useProjectApi from "./hooks/useProjectApi";
+import usePresence from "./hooks/usePresence";
+import useFileComments from "./hooks/useFileComments";
+import { isAssetPath } from "./lib/assets";
+import { getSandpackSetup } from "./lib/templates";
+import { collaboratorsApi, shareLinksApi } from "./lib/api";
 import "./newStyles.css";
 import "./styles/project-list.css";
 
@@ -68,11 +79,55 @@ function AppContent() {
     isLoading,
     error,
     hasUnsavedChanges,
+    conflicts,
+    resolveConflict,
+    unresolvedMerges,
+    isReadOnly,
+    fileIds,
+    fileVersions,
+    setFileLive,
+    setFileVersion,
   } = project;
 
   const [theme, setTheme] = useState("dark");
   const [forceRefresh, setForceRefresh] = useState(0); // Counter to force refresh
   const [showProjectList, setShowProjectList] = useState(false);
+  const [sidebarView, setSidebarView] = useState("explorer"); // 'explorer' | 'search' | 'comments'
+  const [revealTarget, setRevealTarget] = useState(null);
+  const { isAuthenticated } = useAuth();
+  const isBackendProject = Boolean(project.project);
+  const presence = usePresence(
+    project.project?._id,
+    activePath,
+    isAuthenticated && isBackendProject
+  );
+  const fileComments = useFileComments(
+    isAuthenticated && isBackendProject ? fileIds[activePath] : null,
+    fileVersions[activePath]
+  );
+  const [members, setMembers] = useState([]); // people who can be @mentioned
+
+  // Load the project's members for @mentions in comments
+  useEffect(() => {
+    const backendProjectId = project.project?._id;
+    if (!isAuthenticated || !backendProjectId) {
+      setMembers([]);
+      return;
+    }
+
+    collaboratorsApi
+      .getAll(backendProjectId)
+      .then((response) =>
+        setMembers(
+          [
+            response.data.owner,
+            ...response.data.collaborators.map((entry) => entry.userId),
+          ].filter(Boolean)
+        )
+      )
+      .catch(() => setMembers([]));
+  }, [isAuthenticated, project.project?._id]);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   useEffect(() => {
     if (theme === "light") {
@@ -82,9 +137,19 @@ function AppContent() {
     }
   }, [theme]);
 
-  const handleCreateProject = async (name, description = "") => {
+  const handleCreateProject = async (
+    name,
+    description = "",
+    template,
+    templateId
+  ) => {
     try {
-      const newProject = await createProject(name, description);
+      const newProject = await createProject(
+        name,
+        description,
+        template,
+        templateId
+      );
       const newProjectId = newProject._id;
 
       setForceRefresh((prev) => prev + 1);
@@ -115,6 +180,31 @@ function AppContent() {
     }
   };
 
+  // Open a search match in the editor at its line and column
+  const handleOpenMatch = (match) => {
+    const path = match.path.startsWith("/") ? match.path : `/${match.path}`;
+    setActivePath(path);
+    setRevealTarget({
+      path,
+      line: match.line,
+      column: match.column,
+      length: match.length,
+      requestedAt: Date.now(), // re-trigger when the same match is clicked twice
+    });
+  };
+
+  // Open a comment thread from the project's list of threads
+  const handleOpenThread = (thread) => {
+    const path = thread.path.startsWith("/") ? thread.path : `/${thread.path}`;
+    setActivePath(path);
+    setRevealTarget({
+      path,
+      line: thread.anchor.startLine,
+      threadId: thread._id,
+      requestedAt: Date.now(),
+    });
+  };
+
   const handleShowProjectList = () => {
     setShowProjectList(true);
   };
@@ -134,6 +224,70 @@ function AppContent() {
     }, 100);
   };
 
+  // Accept an invitation link (?invitation=<token>) once signed in
+  useEffect(() => {
+    const token = searchParams.get("invitation");
+    if (!token || !isAuthenticated) return;
+
+    setSearchParams((prev) => {
+      const newParams = new URLSearchParams(prev);
+      newParams.delete("invitation");
+      return newParams;
+    });
+
+    if (!confirm("Accept the invitation to collaborate on this project?")) {
+      return;
+    }
+
+    collaboratorsApi
+      .acceptInvitation(token)
+      .then((response) => handleSelectProject(response.data.project._id))
+      .catch((err) => alert("Failed to accept invitation: " + err.message));
+  }, [isAuthenticated]);
+
+  // Open a project from the admin dashboard (?review=<projectId>) once
+  // signed in; admins can read every project
+  useEffect(() => {
+    const reviewProjectId = searchParams.get("review");
+    if (!reviewProjectId || !isAuthenticated) return;
+
+    setSearchParams((prev) => {
+      const newParams = new URLSearchParams(prev);
+      newParams.delete("review");
+      return newParams;
+    });
+
+    handleSelectProject(reviewProjectId);
+  }, [isAuthenticated]);
+
+  // Open a share link (?share=<token>); works without an account
+  useEffect(() => {
+    const token = searchParams.get("share");
+    if (!token) return;
+
+    setSearchParams((prev) => {
+      const newParams = new URLSearchParams(prev);
+      newParams.delete("share");
+      return newParams;
+    });
+
+    const openShareLink = async (password) => {
+      try {
+        const response = await shareLinksApi.open(token, password);
+        handleSelectProject(response.data.project._id);
+      } catch (err) {
+        if (err.data?.passwordRequired) {
+          const retry = prompt(`${err.message}. Enter the link's password:`);
+          if (retry !== null) await openShareLink(retry);
+          return;
+        }
+        alert("Failed to open share link: " + err.message);
+      }
+    };
+
+    openShareLink();
+  }, []);
+
   return (
     <div className={`app-root ${theme}`}>
       {error && (
@@ -143,6 +297,51 @@ function AppContent() {
         </div>
       )}
 
+      {conflicts.length > 0 && (
+        <div className="conflict-banner">
+          <p>
+            These files were changed by someone else since you loaded them.
+            Choose which version to keep, then save again.
+          </p>
+          <ul>
+            {conflicts.map((conflict) => (
+              <li key={conflict.path}>
+                <span className="conflict-path">{conflict.path}</span>
+                <span className="conflict-version">
+                  server version {conflict.currentVersion}
+                </span>
+                <button onClick={() => resolveConflict(conflict.path, "mine")}>
+                  Keep mine
+                </button>
+                <button
+                  onClick={() => resolveConflict(conflict.path, "theirs")}
+                >
+                  Use server version
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {unresolvedMerges.length > 0 && (
+        <div className="conflict-banner">
+          <p>
+            Syncing with upstream left conflict markers in these files. Edit
+            each one to keep the lines you want; preview and saving resume
+            once every marker is gone.
+          </p>
+          <ul>
+            {unresolvedMerges.map((path) => (
+              <li key={path}>
+                <span className="conflict-path">{path}</span>
+                <button onClick={() => setActivePath(path)}>Open</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <TopBar
         projectId={projectId}
         setProjectId={setProjectId}
@@ -150,6 +349,11 @@ function AppContent() {
         onLoad={handleLoad}
         onCreateProject={handleCreateProject}
         onShowProjectList={handleShowProjectList}
+        onProjectImported={handleSelectProject}
+        onUpstreamSynced={handleLoad}
+        backendProject={project.project}
+        projectRole={project.project?.role || null}
+        isReadOnly={isReadOnly}
         autosave={autosave}
         setAutosave={setAutosave}
         theme={theme}
@@ -157,15 +361,13 @@ function AppContent() {
         isSaving={isSaving}
         isLoading={isLoading}
         hasUnsavedChanges={hasUnsavedChanges}
+        presentUsers={presence.users}
       />
 
       <SandpackProvider
         key={`${projectId}-${forceRefresh}`} // Force remount when projectId or forceRefresh changes
         files={sandpackFiles}
-        customSetup={{
-          entry: "/src/index.jsx",
-          dependencies: { react: "18.2.0", "react-dom": "18.2.0" },
-        }}
+        {...getSandpackSetup(project.project?.template, sandpackFiles)}
       >
         <SandpackController
           projectId={projectId}
@@ -175,37 +377,103 @@ function AppContent() {
         <div className="workspace">
           {/* File Explorer Sidebar */}
           <aside className="file-explorer">
-            <FileExplorer
-              files={files}
-              activePath={activePath}
-              setActivePath={setActivePath}
-              deleteFile={deleteFile}
-              createFile={createFile}
-              renameFile={renameFile}
-              onRefresh={handleLoad}
-            />
+            <div className="sidebar-tabs">
+              <button
+                className={`sidebar-tab ${
+                  sidebarView === "explorer" ? "active" : ""
+                }`}
+                onClick={() => setSidebarView("explorer")}
+              >
+                Explorer
+              </button>
+              <button
+                className={`sidebar-tab ${
+                  sidebarView === "search" ? "active" : ""
+                }`}
+                onClick={() => setSidebarView("search")}
+              >
+                Search
+              </button>
+              <button
+                className={`sidebar-tab ${
+                  sidebarView === "comments" ? "active" : ""
+                }`}
+                onClick={() => setSidebarView("comments")}
+              >
+                Comments
+              </button>
+            </div>
+            {sidebarView === "explorer" && (
+              <FileExplorer
+                files={files}
+                activePath={activePath}
+                setActivePath={setActivePath}
+                deleteFile={deleteFile}
+                createFile={createFile}
+                updateFile={updateFile}
+                renameFile={renameFile}
+                onRefresh={handleLoad}
+                peersByPath={presence.peersByPath}
+              />
+            )}
+            {sidebarView === "search" && (
+              <SearchPanel
+                projectId={projectId}
+                onOpenMatch={handleOpenMatch}
+                onReplaced={handleLoad}
+                hasUnsavedChanges={hasUnsavedChanges}
+              />
+            )}
+            {sidebarView === "comments" && (
+              <CommentsPanel
+                projectId={isAuthenticated ? project.project?._id : null}
+                onOpenThread={handleOpenThread}
+                refreshKey={fileComments.threads}
+              />
+            )}
           </aside>
 
           {/* Code Editor + Preview side-by-side */}
           <main className="editor-preview">
             <div className="editor-container">
-              <MonacoEditor
-                files={files}
-                activePath={activePath}
-                updateFile={updateFile}
-                theme={theme}
-              />
+              {activePath && isAssetPath(activePath) ? (
+                <AssetViewer path={activePath} content={files[activePath]} />
+              ) : (
+                <MonacoEditor
+                  files={files}
+                  activePath={activePath}
+                  updateFile={updateFile}
+                  theme={theme}
+                  revealTarget={revealTarget}
+                  readOnly={isReadOnly}
+                  fileId={fileIds[activePath] || null}
+                  collaborative={isAuthenticated && isBackendProject}
+                  onLiveChange={setFileLive}
+                  onRemoteVersion={setFileVersion}
+                  comments={
+                    isAuthenticated && fileIds[activePath] ? fileComments : null
+                  }
+                  members={members}
+                  projectRole={project.project?.role || null}
+                />
+              )}
             </div>
 
             <div className="preview-container">
-              <SandpackLayout className="preview-layout">
-                <SandpackPreview
-                  showOpenInCodeSandbox={false}
-                  style={{ height: "100%", width: "100%" }}
-                  showNavigator
-                  showRefreshButton
-                />
-              </SandpackLayout>
+              {unresolvedMerges.length > 0 ? (
+                <div className="preview-blocked">
+                  Preview is paused until the merge conflicts are resolved.
+                </div>
+              ) : (
+                <SandpackLayout className="preview-layout">
+                  <SandpackPreview
+                    showOpenInCodeSandbox={false}
+                    style={{ height: "100%", width: "100%" }}
+                    showNavigator
+                    showRefreshButton
+                  />
+                </SandpackLayout>
+              )}
             </div>
           </main>
         </div>
@@ -217,6 +485,9 @@ function AppContent() {
           onSelectProject={handleSelectProject}
           onClose={() => setShowProjectList(false)}
           currentProjectId={projectId}
+          onTrashChanged={(changedProjectId) => {
+            if (changedProjectId === projectId) handleLoad();
+          }}
         />
       )}
     </div>
@@ -226,7 +497,11 @@ function AppContent() {
 export default function App() {
   return (
     <AuthProvider>
-      <AppContent />
+      <Routes>
+        <Route path="/embed/:projectId" element={<EmbedView />} />
+        <Route path="/admin" element={<AdminDashboard />} />
+        <Route path="*" element={<AppContent />} />
+      </Routes>
     </AuthProvider>
   );
 }
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from "react";
+import { accessTokensApi } from "../lib/api";
+
+const SCOPES = [
+  {
+    value: "projects:read",
+    label: "Read projects",
+    hint: "List and read projects and files",
+  },
+  {
+    value: "files:write",
+    label: "Write files",
+    hint: "Also create, update and delete files",
+  },
+  {
+    value: "admin",
+    label: "Admin",
+    hint: "Everything you can do, except managing your account",
+  },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "", label: "Never" },
+];
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString() : "Never";
+
+// Personal access tokens for scripts and CI, in the user profile
+export default function AccessTokens() {
+  const [accessTokens, setAccessTokens] = useState([]);
+  const [scopes, setScopes] = useState(["projects:read"]);
+  const [newToken, setNewToken] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    accessTokensApi
+      .getAll()
+      .then((response) => setAccessTokens(response.data.accessTokens))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) =>
+      prev.includes(scope)
+        ? prev.filter((item) => item !== scope)
+        : [...prev, scope]
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const formData = new FormData(form);
+    const expiresInDays = formData.get("expiresInDays");
+
+    setIsCreating(true);
+    setError(null);
+    try {
+      const response = await accessTokensApi.create({
+        name: formData.get("name"),
+        scopes,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null,
+      });
+      setAccessTokens((prev) => [response.data.accessToken, ...prev]);
+      setNewToken(response.data.token);
+      setCopied(false);
+      form.reset();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (accessToken) => {
+    if (
+      !window.confirm(
+        `Revoke "${accessToken.name}"? Scripts using it will stop working.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await accessTokensApi.revoke(accessToken._id);
+      setAccessTokens((prev) =>
+        prev.filter((item) => item._id !== accessToken._id)
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+    } catch (err) {
+      setError("Could not copy the token; select it and copy it instead.");
+    }
+  };
+
+  return (
+    <div className="access-tokens">
+      <p className="access-tokens-intro">
+        Use a personal access token instead of your password to call the API
+        from scripts or CI, as <code>Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {newToken && (
+        <div className="success-message access-token-new">
+          <p>Copy your new token now. It will not be shown again.</p>
+          <code>{newToken}</code>
+          <button
+            type="button"
+            className="profile-button primary"
+            onClick={handleCopy}
+          >
+            {copied ? "Copied" : "Copy"}
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="profile-form">
+        <div className="form-group">
+          <label htmlFor="token-name">Token Name</label>
+          <input
+            type="text"
+            id="token-name"
+            name="name"
+            required
+            maxLength={100}
+            placeholder="e.g. CI deploy"
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Scopes</label>
+          {SCOPES.map((scope) => (
+            <div key={scope.value} className="checkbox-group">
+              <label title={scope.hint}>
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope.value)}
+                  onChange={() => toggleScope(scope.value)}
+                />
+                {scope.label}
+                <small className="access-token-hint">{scope.hint}</small>
+              </label>
+            </div>
+          ))}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="token-expiry">Expires</label>
+          <select id="token-expiry" name="expiresInDays" defaultValue="30">
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button
+          type="submit"
+          className="profile-button primary"
+          disabled={isCreating || scopes.length === 0}
+        >
+          {isCreating ? "Creating..." : "Create Token"}
+        </button>
+      </form>
+
+      {isLoading ? (
+        <div className="loading">Loading tokens...</div>
+      ) : accessTokens.length === 0 ? (
+        <div className="no-stats">No access tokens yet</div>
+      ) : (
+        <ul className="access-token-list">
+          {accessTokens.map((accessToken) => (
+            <li key={accessToken._id}>
+              <div>
+                <strong>{accessToken.name}</strong>{" "}
+                <code>{accessToken.tokenPreview}…</code>
+                <small>
+                  {accessToken.scopes.join(", ")} · Expires{" "}
+                  {formatDate(accessToken.expiresAt)} · Last used{" "}
+                  {accessToken.lastUsedAt
+                    ? new Date(accessToken.lastUsedAt).toLocaleString()
+                    : "never"}
+                </small>
+              </div>
+              <button
+                type="button"
+                className="profile-button danger"
+                onClick={() => handleRevoke(accessToken)}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
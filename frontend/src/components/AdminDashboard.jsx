@@ -0,0 +1,579 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import { adminApi, getAuthToken } from "../lib/api";
+import AuditLog from "./AuditLog";
+import "../styles/admin.css";
+
+const PAGE_SIZE = 20;
+
+// Load a page of users or projects whenever the filters, the page or the
+// reload key change
+const useAdminList = (load, filters, page, reloadKey) => {
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    load({ ...filters, page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setItems(data.items);
+        setPagination(data.pagination);
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [JSON.stringify(filters), page, reloadKey]);
+
+  return { items, setItems, pagination, isLoading, error, setError };
+};
+
+function Pager({ pagination, onPage }) {
+  if (!pagination || pagination.totalPages <= 1) return null;
+
+  return (
+    <div className="admin-pager">
+      <button
+        type="button"
+        className="profile-button"
+        disabled={!pagination.hasPrevPage}
+        onClick={() => onPage(pagination.currentPage - 1)}
+      >
+        Previous
+      </button>
+      <span>
+        Page {pagination.currentPage} of {pagination.totalPages} (
+        {pagination.total} total)
+      </span>
+      <button
+        type="button"
+        className="profile-button"
+        disabled={!pagination.hasNextPage}
+        onClick={() => onPage(pagination.currentPage + 1)}
+      >
+        Next
+      </button>
+    </div>
+  );
+}
+
+function AdminStats({ reloadKey }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    adminApi
+      .getStats()
+      .then((response) => setStats(response.data.stats))
+      .catch(() => setStats(null));
+  }, [reloadKey]);
+
+  if (!stats) return null;
+
+  const cards = [
+    ["Users", stats.users.total],
+    ["Active users", stats.users.active],
+    ["Deactivated", stats.users.deactivated],
+    ["New this week", stats.users.newThisWeek],
+    ["Admins", stats.users.admins],
+    ["Projects", stats.projects.total],
+    ["Public", stats.projects.public],
+    ["Unpublished", stats.projects.unpublished],
+    ["In trash", stats.projects.trashed],
+    ["Files", stats.files],
+    ["Active sessions", stats.activeSessions],
+  ];
+
+  return (
+    <div className="stats-grid">
+      {cards.map(([label, value]) => (
+        <div className="stat-card" key={label}>
+          <div className="stat-number">{value}</div>
+          <div className="stat-label">{label}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AdminUsers({ currentUserId, onChanged, onShowProjects }) {
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState({ search: "", status: "all" });
+  const [page, setPage] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0);
+  const { items, setItems, pagination, isLoading, error, setError } =
+    useAdminList(
+      (params) =>
+        adminApi.getUsers(params).then((response) => ({
+          items: response.data.users,
+          pagination: response.data.pagination,
+        })),
+      filters,
+      page,
+      reloadKey
+    );
+
+  const updateFilters = (changes) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  // Run an action on a user and show the user it returns
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      const response = await action();
+      const updated = response.data.user;
+      setItems((prev) =>
+        prev.map((item) =>
+          item._id === updated._id ? { ...item, ...updated } : item
+        )
+      );
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeactivate = (user) => {
+    if (!window.confirm(`Deactivate ${user.username} and sign them out?`)) {
+      return;
+    }
+    runAction(() => adminApi.deactivateUser(user._id));
+  };
+
+  const handleRole = (user) => {
+    const role = user.role === "admin" ? "user" : "admin";
+    const question =
+      role === "admin"
+        ? `Make ${user.username} an admin?`
+        : `Remove admin access from ${user.username}?`;
+    if (!window.confirm(question)) return;
+    runAction(() => adminApi.setUserRole(user._id, role));
+  };
+
+  return (
+    <section>
+      <form
+        className="admin-filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateFilters({ search: search.trim() });
+        }}
+      >
+        <input
+          type="search"
+          placeholder="Search by name, username or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value })}
+        >
+          <option value="all">All users</option>
+          <option value="active">Active</option>
+          <option value="inactive">Deactivated</option>
+        </select>
+        <button type="submit" className="profile-button primary">
+          Search
+        </button>
+        <button
+          type="button"
+          className="profile-button"
+          onClick={() => setReloadKey((key) => key + 1)}
+        >
+          Refresh
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isLoading ? (
+        <div className="loading">Loading users...</div>
+      ) : items.length === 0 ? (
+        <div className="no-stats">No users found</div>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Projects</th>
+              <th>Joined</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((user) => (
+              <tr key={user._id}>
+                <td>
+                  <strong>{user.username}</strong>
+                  <small>{user.email}</small>
+                </td>
+                <td>
+                  <span className={`admin-badge ${user.role}`}>
+                    {user.role}
+                  </span>
+                </td>
+                <td>
+                  <span
+                    className={`admin-badge ${
+                      user.isActive ? "active" : "inactive"
+                    }`}
+                  >
+                    {user.isActive ? "Active" : "Deactivated"}
+                  </span>
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => onShowProjects(user)}
+                  >
+                    {user.projectsCount ?? 0}
+                  </button>
+                </td>
+                <td>{new Date(user.createdAt).toLocaleDateString()}</td>
+                <td className="admin-actions">
+                  {user._id === currentUserId ? (
+                    <small>You</small>
+                  ) : (
+                    <>
+                      {user.isActive ? (
+                        <button
+                          type="button"
+                          className="profile-button danger"
+                          onClick={() => handleDeactivate(user)}
+                        >
+                          Deactivate
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          className="profile-button primary"
+                          onClick={() =>
+                            runAction(() => adminApi.reactivateUser(user._id))
+                          }
+                        >
+                          Reactivate
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="profile-button warning"
+                        onClick={() => handleRole(user)}
+                      >
+                        {user.role === "admin" ? "Remove admin" : "Make admin"}
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <Pager pagination={pagination} onPage={setPage} />
+    </section>
+  );
+}
+
+function AdminProjects({ owner, onClearOwner, onChanged }) {
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState({ search: "", visibility: "all" });
+  const [page, setPage] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0);
+  const { items, setItems, pagination, isLoading, error, setError } =
+    useAdminList(
+      (params) =>
+        adminApi.getProjects(params).then((response) => ({
+          items: response.data.projects,
+          pagination: response.data.pagination,
+        })),
+      { ...filters, userId: owner?._id },
+      page,
+      reloadKey
+    );
+
+  useEffect(() => setPage(1), [owner?._id]);
+
+  const updateFilters = (changes) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  // Run a moderation action and show the project it returns
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      const response = await action();
+      const updated = response.data.project;
+      setItems((prev) =>
+        prev.map((item) =>
+          item._id === updated._id
+            ? {
+                ...item,
+                isPublic: updated.isPublic,
+                moderation: updated.moderation,
+              }
+            : item
+        )
+      );
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUnpublish = (project) => {
+    const reason = window.prompt(
+      `Unpublish "${project.name}"? Its owner won't be able to make it public again. Reason (optional):`
+    );
+    if (reason === null) return;
+    runAction(() => adminApi.unpublishProject(project._id, reason.trim()));
+  };
+
+  const handleRepublish = (project) => {
+    if (!window.confirm(`Make "${project.name}" public again?`)) return;
+    runAction(() => adminApi.republishProject(project._id));
+  };
+
+  return (
+    <section>
+      <form
+        className="admin-filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateFilters({ search: search.trim() });
+        }}
+      >
+        <input
+          type="search"
+          placeholder="Search by name or description"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select
+          value={filters.visibility}
+          onChange={(e) => updateFilters({ visibility: e.target.value })}
+        >
+          <option value="all">All projects</option>
+          <option value="public">Public</option>
+          <option value="private">Private</option>
+          <option value="unpublished">Unpublished</option>
+        </select>
+        <button type="submit" className="profile-button primary">
+          Search
+        </button>
+        <button
+          type="button"
+          className="profile-button"
+          onClick={() => setReloadKey((key) => key + 1)}
+        >
+          Refresh
+        </button>
+      </form>
+
+      {owner && (
+        <p className="admin-owner-filter">
+          Projects owned by <strong>{owner.username}</strong>{" "}
+          <button type="button" className="link-button" onClick={onClearOwner}>
+            Show all
+          </button>
+        </p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isLoading ? (
+        <div className="loading">Loading projects...</div>
+      ) : items.length === 0 ? (
+        <div className="no-stats">No projects found</div>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Project</th>
+              <th>Owner</th>
+              <th>Visibility</th>
+              <th>Updated</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((project) => (
+              <tr key={project._id}>
+                <td>
+                  <strong>{project.name}</strong>
+                  {project.description && <small>{project.description}</small>}
+                </td>
+                <td>{project.userId?.username || "Deleted user"}</td>
+                <td>
+                  {project.moderation?.unpublishedAt ? (
+                    <>
+                      <span className="admin-badge inactive">Unpublished</span>
+                      <small>
+                        {project.moderation.reason || "No reason given"}
+                        {project.moderation.unpublishedBy &&
+                          ` · by ${project.moderation.unpublishedBy.username}`}
+                      </small>
+                    </>
+                  ) : (
+                    <span
+                      className={`admin-badge ${
+                        project.isPublic ? "active" : ""
+                      }`}
+                    >
+                      {project.isPublic ? "Public" : "Private"}
+                    </span>
+                  )}
+                </td>
+                <td>{new Date(project.updatedAt).toLocaleDateString()}</td>
+                <td className="admin-actions">
+                  <a
+                    className="profile-button"
+                    href={`/?review=${project._id}`}
+                    target="_blank"
+                    rel="noreferrer"
+                  >
+                    View
+                  </a>
+                  {project.moderation?.unpublishedAt ? (
+                    <button
+                      type="button"
+                      className="profile-button primary"
+                      onClick={() => handleRepublish(project)}
+                    >
+                      Republish
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      className="profile-button danger"
+                      onClick={() => handleUnpublish(project)}
+                    >
+                      Unpublish
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <Pager pagination={pagination} onPage={setPage} />
+    </section>
+  );
+}
+
+function AdminConsole({ currentUser }) {
+  const [activeTab, setActiveTab] = useState("users");
+  const [owner, setOwner] = useState(null);
+  const [statsKey, setStatsKey] = useState(0);
+  const refreshStats = () => setStatsKey((key) => key + 1);
+
+  return (
+    <div className="admin-page">
+      <header className="admin-header">
+        <h1>Admin</h1>
+        <Link to="/" className="link-button">
+          Back to editor
+        </Link>
+      </header>
+
+      <AdminStats reloadKey={statsKey} />
+
+      <div className="user-profile-tabs">
+        <button
+          className={`tab-button ${activeTab === "users" ? "active" : ""}`}
+          onClick={() => setActiveTab("users")}
+        >
+          Users
+        </button>
+        <button
+          className={`tab-button ${activeTab === "projects" ? "active" : ""}`}
+          onClick={() => setActiveTab("projects")}
+        >
+          Projects
+        </button>
+        <button
+          className={`tab-button ${activeTab === "audit" ? "active" : ""}`}
+          onClick={() => setActiveTab("audit")}
+        >
+          Audit Log
+        </button>
+      </div>
+
+      <div className="admin-content">
+        {activeTab === "users" && (
+          <AdminUsers
+            currentUserId={currentUser._id}
+            onChanged={refreshStats}
+            onShowProjects={(user) => {
+              setOwner(user);
+              setActiveTab("projects");
+            }}
+          />
+        )}
+        {activeTab === "projects" && (
+          <AdminProjects
+            owner={owner}
+            onClearOwner={() => setOwner(null)}
+            onChanged={refreshStats}
+          />
+        )}
+        {activeTab === "audit" && <AuditLog api={adminApi} admin />}
+      </div>
+    </div>
+  );
+}
+
+// Site administration page: system counts and moderation of users and
+// projects. Only admins get past the check here; the API checks again.
+export default function AdminDashboard() {
+  const { user } = useAuth();
+
+  if (!user) {
+    return (
+      <div className="admin-page admin-message">
+        {getAuthToken() ? (
+          <div className="loading">Loading...</div>
+        ) : (
+          <p>
+            Sign in with an admin account to see this page.{" "}
+            <Link to="/" className="link-button">
+              Back to editor
+            </Link>
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  if (user.role !== "admin") {
+    return (
+      <div className="admin-page admin-message">
+        <p>
+          You don't have access to this page.{" "}
+          <Link to="/" className="link-button">
+            Back to editor
+          </Link>
+        </p>
+      </div>
+    );
+  }
+
+  return <AdminConsole currentUser={user} />;
+}
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from "react";
+import { getAssetKind, getAssetMimeType, parseDataUrl } from "../lib/assets";
+
+// Load a font data URL under a unique family name for previewing
+function useFontFace(path, src) {
+  const [family, setFamily] = useState(null);
+
+  useEffect(() => {
+    if (!src) return;
+
+    const name = `asset-${path.replace(/[^a-zA-Z0-9]/g, "-")}`;
+    const font = new FontFace(name, `url(${src})`);
+    let cancelled = false;
+
+    font
+      .load()
+      .then((loaded) => {
+        if (cancelled) return;
+        document.fonts.add(loaded);
+        setFamily(name);
+      })
+      .catch(() => setFamily(null));
+
+    return () => {
+      cancelled = true;
+      document.fonts.delete(font);
+    };
+  }, [path, src]);
+
+  return family;
+}
+
+// Read-only viewer shown instead of Monaco for images, fonts and audio
+export default function AssetViewer({ path, content }) {
+  const kind = getAssetKind(path);
+  const asset = parseDataUrl(content);
+  const fontFamily = useFontFace(path, kind === "font" ? content : null);
+  const [dimensions, setDimensions] = useState(null);
+
+  if (!asset) {
+    return <div className="asset-viewer empty">This asset has no content.</div>;
+  }
+
+  const size = Math.floor((asset.base64.length * 3) / 4);
+
+  return (
+    <div className="asset-viewer">
+      <div className="asset-viewer-body">
+        {kind === "image" && (
+          <img
+            src={content}
+            alt={path}
+            onLoad={(e) =>
+              setDimensions({
+                width: e.target.naturalWidth,
+                height: e.target.naturalHeight,
+              })
+            }
+          />
+        )}
+        {kind === "audio" && <audio src={content} controls />}
+        {kind === "font" && (
+          <p className="asset-font-sample" style={{ fontFamily }}>
+            The quick brown fox jumps over the lazy dog
+            <br />
+            ABCDEFGHIJKLMNOPQRSTUVWXYZ 0123456789
+          </p>
+        )}
+      </div>
+      <div className="asset-viewer-info">
+        <span>{path.split("/").pop()}</span>
+        <span>{getAssetMimeType(path)}</span>
+        {dimensions && (
+          <span>
+            {dimensions.width} × {dimensions.height}
+          </span>
+        )}
+        <span>{(size / 1024).toFixed(1)} KB</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from "react";
+import "../styles/audit.css";
+
+const PAGE_SIZE = 25;
+
+const ACTION_GROUPS = [
+  ["", "All actions"],
+  ["auth", "Sign-ins"],
+  ["account", "Account"],
+  ["project", "Projects"],
+  ["file", "Files"],
+  ["share", "Sharing"],
+  ["admin", "Admin"],
+];
+
+const ACTION_LABELS = {
+  "auth.login": "Signed in",
+  "auth.login_failed": "Failed sign-in",
+  "account.register": "Account created",
+  "account.password_change": "Password changed",
+  "account.password_reset": "Password reset",
+  "account.two_factor_enable": "Two-factor turned on",
+  "account.two_factor_disable": "Two-factor turned off",
+  "account.deactivate": "Account deactivated",
+  "account.delete": "Account deleted",
+  "admin.user_deactivate": "User deactivated by admin",
+  "admin.user_reactivate": "User reactivated by admin",
+  "admin.user_role_change": "User role changed",
+  "admin.project_unpublish": "Project unpublished by admin",
+  "admin.project_republish": "Project republished by admin",
+  "project.create": "Project created",
+  "project.delete": "Project moved to trash",
+  "project.restore": "Project restored from trash",
+  "project.purge": "Project permanently deleted",
+  "project.archive": "Project archived",
+  "project.unarchive": "Project unarchived",
+  "project.visibility_change": "Project visibility changed",
+  "file.delete": "File moved to trash",
+  "file.purge": "File permanently deleted",
+  "share.link_create": "Share link created",
+  "share.link_revoke": "Share link revoked",
+  "share.invite": "Collaborator invited",
+  "share.invite_revoke": "Invitation revoked",
+  "share.collaborator_role_change": "Collaborator role changed",
+  "share.collaborator_remove": "Collaborator removed",
+};
+
+// Date inputs give a day; the API wants the instants the day starts and ends
+const startOfDay = (day) => day && new Date(`${day}T00:00:00`).toISOString();
+const endOfDay = (day) => day && new Date(`${day}T23:59:59.999`).toISOString();
+
+const describeTarget = (target) =>
+  target?.type ? `${target.type}: ${target.name || target.id}` : "";
+
+// Audit events with filters, paging and CSV export. The user profile shows
+// the user's own events; the admin dashboard passes admin to see everyone's
+// and filter by actor and project.
+export default function AuditLog({ api, admin = false }) {
+  const [filters, setFilters] = useState({
+    action: "",
+    outcome: "",
+    from: "",
+    to: "",
+    actorId: "",
+    projectId: "",
+  });
+  const [page, setPage] = useState(1);
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toParams = () => ({
+    action: filters.action,
+    outcome: filters.outcome,
+    from: startOfDay(filters.from),
+    to: endOfDay(filters.to),
+    ...(admin && { actorId: filters.actorId, projectId: filters.projectId }),
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    api
+      .getAuditLog({ ...toParams(), page, limit: PAGE_SIZE })
+      .then((response) => {
+        if (cancelled) return;
+        setEvents(response.data.events);
+        setPagination(response.data.pagination);
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, page]);
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const { blob, filename } = await api.exportAuditLog(toParams());
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="audit-log">
+      <div className="audit-filters">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter("action", e.target.value)}
+        >
+          {ACTION_GROUPS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.outcome}
+          onChange={(e) => updateFilter("outcome", e.target.value)}
+        >
+          <option value="">Any outcome</option>
+          <option value="success">Succeeded</option>
+          <option value="failure">Failed</option>
+        </select>
+        <label>
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter("from", e.target.value)}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter("to", e.target.value)}
+          />
+        </label>
+        <button
+          type="button"
+          className="profile-button primary"
+          onClick={handleExport}
+          disabled={isExporting}
+        >
+          {isExporting ? "Exporting..." : "Export CSV"}
+        </button>
+      </div>
+
+      {admin && (filters.actorId || filters.projectId) && (
+        <p className="audit-scope">
+          {filters.actorId && `Actor ${filters.actorId} `}
+          {filters.projectId && `Project ${filters.projectId} `}
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => {
+              updateFilter("actorId", "");
+              updateFilter("projectId", "");
+            }}
+          >
+            Clear
+          </button>
+        </p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isLoading ? (
+        <div className="loading">Loading activity...</div>
+      ) : events.length === 0 ? (
+        <div className="no-stats">No activity found</div>
+      ) : (
+        <table className="audit-table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>What</th>
+              {admin && <th>Who</th>}
+              <th>From</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr
+                key={event._id}
+                className={event.outcome === "failure" ? "failure" : ""}
+              >
+                <td>{new Date(event.createdAt).toLocaleString()}</td>
+                <td>
+                  <strong>{ACTION_LABELS[event.action] || event.action}</strong>
+                  <small>
+                    {describeTarget(event.target)}
+                    {admin && event.projectId && (
+                      <>
+                        {" "}
+                        <button
+                          type="button"
+                          className="link-button"
+                          onClick={() =>
+                            updateFilter("projectId", event.projectId)
+                          }
+                        >
+                          project
+                        </button>
+                      </>
+                    )}
+                  </small>
+                  {event.details?.reason && (
+                    <small>{event.details.reason}</small>
+                  )}
+                </td>
+                {admin && (
+                  <td>
+                    {event.actor?.userId ? (
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() =>
+                          updateFilter("actorId", event.actor.userId)
+                        }
+                      >
+                        {event.actor.username || event.actor.userId}
+                      </button>
+                    ) : (
+                      <small>Nobody signed in</small>
+                    )}
+                  </td>
+                )}
+                <td title={event.userAgent}>{event.ip || "Unknown"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="audit-pager">
+          <button
+            type="button"
+            className="link-button"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setPage(page - 1)}
+          >
+            Newer
+          </button>
+          <span>
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            type="button"
+            className="link-button"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setPage(page + 1)}
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,33 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { authApi } from "../lib/api";
 import "../styles/auth.css";
 
-const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
-  const [mode, setMode] = useState(initialMode); // 'login' or 'register'
+const TITLES = {
+  login: "Login",
+  register: "Sign Up",
+  forgot: "Forgot Password",
+  reset: "Reset Password",
+  verify: "Verify Email",
+  "two-factor": "Two-Factor Authentication",
+};
+
+const SUBMIT_LABELS = {
+  login: "Login",
+  register: "Sign Up",
+  forgot: "Send Reset Link",
+  reset: "Set New Password",
+  "two-factor": "Verify",
+};
+
+// Screens that ask for an email address, and for a password
+const EMAIL_MODES = ["login", "register", "forgot"];
+const PASSWORD_MODES = ["login", "register", "reset"];
+
+// `token` comes from an emailed link, for the reset and verify modes
+const AuthModal = ({ isOpen, onClose, mode: initialMode = "login", token }) => {
+  // 'login', 'register', 'forgot', 'reset', 'verify' or 'two-factor'
+  const [mode, setMode] = useState(initialMode);
   const [formData, setFormData] = useState({
     username: "",
     email: "",
@@ -11,14 +35,35 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
     confirmPassword: "",
     firstName: "",
     lastName: "",
+    code: "",
   });
   const [errors, setErrors] = useState({});
-  const { login, register, isLoading, error, clearError } = useAuth();
+  const [notice, setNotice] = useState(null);
+  const [requestError, setRequestError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Issued by login when the account needs a two-factor code
+  const [challengeToken, setChallengeToken] = useState(null);
+  const verifiedToken = useRef(null);
+  const {
+    login,
+    loginWithTwoFactor,
+    register,
+    isAuthenticated,
+    refreshProfile,
+    isLoading,
+    error,
+    clearError,
+  } = useAuth();
+
+  const [providers, setProviders] = useState([]);
 
-  // Sync internal mode state with prop when it changes
+  // Sync internal mode state with prop when it changes. Opening straight to
+  // the two-factor screen (after signing in with a provider) passes the
+  // challenge token as the token.
   useEffect(() => {
     setMode(initialMode);
-  }, [initialMode]);
+    if (initialMode === "two-factor") setChallengeToken(token);
+  }, [initialMode, token]);
 
   // Clear errors when modal opens - but only once per open
   useEffect(() => {
@@ -27,6 +72,35 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
     }
   }, [isOpen]);
 
+  // Providers to offer signing in with
+  useEffect(() => {
+    if (!isOpen) return;
+
+    authApi
+      .getSignInProviders()
+      .then((response) => setProviders(response.data.providers))
+      .catch(() => setProviders([]));
+  }, [isOpen]);
+
+  // Verification links are used as soon as they are opened. Tokens only work
+  // once, so the same one is never sent twice.
+  useEffect(() => {
+    if (!isOpen || mode !== "verify" || verifiedToken.current === token) {
+      return;
+    }
+    verifiedToken.current = token;
+
+    setIsSubmitting(true);
+    authApi
+      .verifyEmail(token)
+      .then((response) => {
+        setNotice(response.message);
+        if (isAuthenticated) refreshProfile().catch(() => {});
+      })
+      .catch((err) => setRequestError(err.message))
+      .finally(() => setIsSubmitting(false));
+  }, [isOpen, mode, token]);
+
   const handleClose = () => {
     // Reset form data
     setFormData({
@@ -36,8 +110,12 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
       confirmPassword: "",
       firstName: "",
       lastName: "",
+      code: "",
     });
+    setChallengeToken(null);
     setErrors({});
+    setNotice(null);
+    setRequestError(null);
     clearError();
     onClose();
   };
@@ -81,16 +159,28 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
       }
     }
 
-    if (!formData.email.trim()) {
-      newErrors.email = "Email is required";
-    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      newErrors.email = "Email is invalid";
+    if (mode === "reset" && formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = "Passwords do not match";
+    }
+
+    if (mode === "two-factor" && !formData.code.trim()) {
+      newErrors.code = "Enter a code";
+    }
+
+    if (EMAIL_MODES.includes(mode)) {
+      if (!formData.email.trim()) {
+        newErrors.email = "Email is required";
+      } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+        newErrors.email = "Email is invalid";
+      }
     }
 
-    if (!formData.password) {
-      newErrors.password = "Password is required";
-    } else if (formData.password.length < 6) {
-      newErrors.password = "Password must be at least 6 characters";
+    if (PASSWORD_MODES.includes(mode)) {
+      if (!formData.password) {
+        newErrors.password = "Password is required";
+      } else if (formData.password.length < 6) {
+        newErrors.password = "Password must be at least 6 characters";
+      }
     }
 
     setErrors(newErrors);
@@ -102,12 +192,57 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
 
     if (!validateForm()) return;
 
+    if (mode === "forgot" || mode === "reset") {
+      setIsSubmitting(true);
+      setRequestError(null);
+      try {
+        if (mode === "forgot") {
+          const response = await authApi.forgotPassword(formData.email);
+          setNotice(response.message);
+        } else {
+          const response = await authApi.resetPassword(
+            token,
+            formData.password
+          );
+          setFormData((prev) => ({
+            ...prev,
+            password: "",
+            confirmPassword: "",
+          }));
+          setMode("login");
+          setNotice(response.message);
+        }
+      } catch (err) {
+        setRequestError(err.message);
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
     try {
       if (mode === "login") {
-        await login({
+        const response = await login({
           email: formData.email,
           password: formData.password,
         });
+
+        if (response.data.twoFactorRequired) {
+          setChallengeToken(response.data.challengeToken);
+          showMode("two-factor");
+          return;
+        }
+      } else if (mode === "two-factor") {
+        const response = await loginWithTwoFactor(
+          challengeToken,
+          formData.code.trim()
+        );
+
+        if (response.data.recoveryCodesRemaining !== undefined) {
+          alert(
+            `Signed in with a recovery code. You have ${response.data.recoveryCodesRemaining} left; generate new ones in your profile if you are running out.`
+          );
+        }
       } else {
         await register({
           username: formData.username,
@@ -124,10 +259,29 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
     }
   };
 
-  const switchMode = () => {
-    setMode(mode === "login" ? "register" : "login");
+  // Leave for the provider's sign-in page; it redirects back to finish
+  const handleProviderLogin = async (provider) => {
+    setIsSubmitting(true);
+    setRequestError(null);
+    try {
+      await authApi.startOidc(provider.id);
+    } catch (err) {
+      setRequestError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  // Show another screen, keeping what was typed into shared fields
+  const showMode = (nextMode) => {
+    setMode(nextMode);
     setErrors({});
+    setNotice(null);
+    setRequestError(null);
     clearError();
+  };
+
+  const switchMode = () => {
+    showMode(mode === "login" ? "register" : "login");
     // Keep the email and password fields, only reset register-specific fields
     if (mode === "login") {
       // Switching to register, keep existing data
@@ -149,126 +303,250 @@ const AuthModal = ({ isOpen, onClose, mode: initialMode = "login" }) => {
     <div className="auth-modal-overlay" onClick={handleClose}>
       <div className="auth-modal" onClick={(e) => e.stopPropagation()}>
         <div className="auth-modal-header">
-          <h2>{mode === "login" ? "Login" : "Sign Up"}</h2>
+          <h2>{TITLES[mode]}</h2>
           <button className="close-button" onClick={handleClose}>
             ×
           </button>
         </div>
 
-        <form onSubmit={handleSubmit} className="auth-form">
-          {error && <div className="error-message">{error}</div>}
-
-          {mode === "register" && (
-            <>
-              <div className="form-group">
-                <label htmlFor="username">Username *</label>
-                <input
-                  type="text"
-                  id="username"
-                  name="username"
-                  value={formData.username}
-                  onChange={handleInputChange}
-                  className={errors.username ? "error" : ""}
-                  placeholder="Enter your username"
-                />
-                {errors.username && (
-                  <span className="field-error">{errors.username}</span>
-                )}
+        {mode === "verify" ? (
+          <div className="auth-form">
+            {isSubmitting && <p>Verifying your email...</p>}
+            {notice && <div className="success-message">{notice}</div>}
+            {requestError && (
+              <div className="error-message">{requestError}</div>
+            )}
+            {!isSubmitting && (
+              <button
+                type="button"
+                className="auth-button"
+                onClick={handleClose}
+              >
+                Done
+              </button>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            {error && <div className="error-message">{error}</div>}
+            {requestError && (
+              <div className="error-message">{requestError}</div>
+            )}
+            {notice && <div className="success-message">{notice}</div>}
+            {mode === "reset" && !token && (
+              <div className="error-message">
+                This reset link is incomplete. Ask for a new one.
               </div>
+            )}
 
-              <div className="form-row">
+            {mode === "register" && (
+              <>
                 <div className="form-group">
-                  <label htmlFor="firstName">First Name *</label>
+                  <label htmlFor="username">Username *</label>
                   <input
                     type="text"
-                    id="firstName"
-                    name="firstName"
-                    value={formData.firstName}
+                    id="username"
+                    name="username"
+                    value={formData.username}
                     onChange={handleInputChange}
-                    className={errors.firstName ? "error" : ""}
-                    placeholder="First name"
+                    className={errors.username ? "error" : ""}
+                    placeholder="Enter your username"
                   />
-                  {errors.firstName && (
-                    <span className="field-error">{errors.firstName}</span>
+                  {errors.username && (
+                    <span className="field-error">{errors.username}</span>
                   )}
                 </div>
 
-                <div className="form-group">
-                  <label htmlFor="lastName">Last Name *</label>
-                  <input
-                    type="text"
-                    id="lastName"
-                    name="lastName"
-                    value={formData.lastName}
-                    onChange={handleInputChange}
-                    className={errors.lastName ? "error" : ""}
-                    placeholder="Last name"
-                  />
-                  {errors.lastName && (
-                    <span className="field-error">{errors.lastName}</span>
-                  )}
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="firstName">First Name *</label>
+                    <input
+                      type="text"
+                      id="firstName"
+                      name="firstName"
+                      value={formData.firstName}
+                      onChange={handleInputChange}
+                      className={errors.firstName ? "error" : ""}
+                      placeholder="First name"
+                    />
+                    {errors.firstName && (
+                      <span className="field-error">{errors.firstName}</span>
+                    )}
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="lastName">Last Name *</label>
+                    <input
+                      type="text"
+                      id="lastName"
+                      name="lastName"
+                      value={formData.lastName}
+                      onChange={handleInputChange}
+                      className={errors.lastName ? "error" : ""}
+                      placeholder="Last name"
+                    />
+                    {errors.lastName && (
+                      <span className="field-error">{errors.lastName}</span>
+                    )}
+                  </div>
                 </div>
+              </>
+            )}
+
+            {mode === "forgot" && (
+              <p className="auth-hint">
+                Enter the email you signed up with and we'll send you a link to
+                choose a new password.
+              </p>
+            )}
+
+            {mode === "two-factor" && (
+              <div className="form-group">
+                <p className="auth-hint">
+                  Enter the 6-digit code from your authenticator app, or one of
+                  your recovery codes.
+                </p>
+                <label htmlFor="code">Authentication Code *</label>
+                <input
+                  type="text"
+                  id="code"
+                  name="code"
+                  value={formData.code}
+                  onChange={handleInputChange}
+                  className={errors.code ? "error" : ""}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  placeholder="123456"
+                />
+                {errors.code && (
+                  <span className="field-error">{errors.code}</span>
+                )}
               </div>
-            </>
-          )}
+            )}
 
-          <div className="form-group">
-            <label htmlFor="email">Email *</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={formData.email}
-              onChange={handleInputChange}
-              className={errors.email ? "error" : ""}
-              placeholder="Enter your email"
-            />
-            {errors.email && (
-              <span className="field-error">{errors.email}</span>
+            {EMAIL_MODES.includes(mode) && (
+              <div className="form-group">
+                <label htmlFor="email">Email *</label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  className={errors.email ? "error" : ""}
+                  placeholder="Enter your email"
+                />
+                {errors.email && (
+                  <span className="field-error">{errors.email}</span>
+                )}
+              </div>
             )}
-          </div>
 
-          <div className="form-group">
-            <label htmlFor="password">Password *</label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleInputChange}
-              className={errors.password ? "error" : ""}
-              placeholder="Enter your password"
-            />
-            {errors.password && (
-              <span className="field-error">{errors.password}</span>
+            {PASSWORD_MODES.includes(mode) && (
+              <div className="form-group">
+                <label htmlFor="password">
+                  {mode === "reset" ? "New Password *" : "Password *"}
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  className={errors.password ? "error" : ""}
+                  placeholder="Enter your password"
+                />
+                {errors.password && (
+                  <span className="field-error">{errors.password}</span>
+                )}
+              </div>
             )}
-          </div>
 
-          {mode === "register" && (
-            <div className="form-group">
-              <label htmlFor="confirmPassword">Confirm Password *</label>
-              <input
-                type="password"
-                id="confirmPassword"
-                name="confirmPassword"
-                value={formData.confirmPassword}
-                onChange={handleInputChange}
-                className={errors.confirmPassword ? "error" : ""}
-                placeholder="Confirm your password"
-              />
-              {errors.confirmPassword && (
-                <span className="field-error">{errors.confirmPassword}</span>
-              )}
-            </div>
-          )}
+            {(mode === "register" || mode === "reset") && (
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm Password *</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleInputChange}
+                  className={errors.confirmPassword ? "error" : ""}
+                  placeholder="Confirm your password"
+                />
+                {errors.confirmPassword && (
+                  <span className="field-error">{errors.confirmPassword}</span>
+                )}
+              </div>
+            )}
 
-          <button type="submit" className="auth-button" disabled={isLoading}>
-            {isLoading ? "Loading..." : mode === "login" ? "Login" : "Sign Up"}
-          </button>
-        </form>
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={
+                isLoading || isSubmitting || (mode === "reset" && !token)
+              }
+            >
+              {isLoading || isSubmitting ? "Loading..." : SUBMIT_LABELS[mode]}
+            </button>
+
+            {mode === "login" && (
+              <button
+                type="button"
+                className="link-button forgot-password"
+                onClick={() => showMode("forgot")}
+              >
+                Forgot password?
+              </button>
+            )}
+          </form>
+        )}
+
+        {(mode === "login" || mode === "register") && providers.length > 0 && (
+          <div className="auth-providers">
+            <span className="auth-divider">or</span>
+            {providers.map((provider) => (
+              <button
+                key={provider.id}
+                type="button"
+                className="auth-provider-button"
+                onClick={() => handleProviderLogin(provider)}
+                disabled={isLoading || isSubmitting}
+              >
+                Continue with {provider.name}
+              </button>
+            ))}
+          </div>
+        )}
 
         <div className="auth-switch">
-          {mode === "login" ? (
+          {mode === "two-factor" ? (
+            <p>
+              Lost your device?{" "}
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken(null);
+                  showMode("login");
+                }}
+                className="link-button"
+              >
+                Back to login
+              </button>
+            </p>
+          ) : mode === "forgot" || mode === "reset" ? (
+            <p>
+              Remembered it?{" "}
+              <button
+                type="button"
+                onClick={() => showMode("login")}
+                className="link-button"
+              >
+                Login
+              </button>
+            </p>
+          ) : mode === "verify" ? null : mode === "login" ? (
             <p>
               Don't have an account?{" "}
               <button
@@ -0,0 +1,244 @@
+import React, { useState } from "react";
+import "../styles/comments.css";
+
+const displayName = (user) =>
+  user?.firstName
+    ? `${user.firstName} ${user.lastName || ""}`.trim()
+    : user?.username || "Deleted user";
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Show @mentions of project members highlighted
+function CommentBody({ comment }) {
+  const mentioned = new Set(
+    (comment.mentions || []).map((user) => user.username)
+  );
+  const parts = comment.body.split(/(@[A-Za-z0-9_-]{3,30})/g);
+
+  return (
+    <p className="comment-body">
+      {parts.map((part, index) =>
+        mentioned.has(part.slice(1)) ? (
+          <span key={index} className="comment-mention">
+            {part}
+          </span>
+        ) : (
+          part
+        )
+      )}
+    </p>
+  );
+}
+
+// A text box that suggests project members after "@"
+export function CommentComposer({
+  members = [],
+  initialValue = "",
+  placeholder,
+  submitLabel,
+  onSubmit,
+  onCancel,
+  autoFocus = false,
+}) {
+  const [value, setValue] = useState(initialValue);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const mentionQuery = value.match(/@([A-Za-z0-9_-]*)$/);
+  const suggestions = mentionQuery
+    ? members
+        .filter((member) =>
+          member.username
+            .toLowerCase()
+            .startsWith(mentionQuery[1].toLowerCase())
+        )
+        .slice(0, 5)
+    : [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(value.trim());
+      setValue("");
+    } catch (err) {
+      // The error is shown by the thread's owner
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="comment-composer" onSubmit={handleSubmit}>
+      <textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        autoFocus={autoFocus}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) handleSubmit(e);
+          if (e.key === "Escape" && onCancel) onCancel();
+        }}
+      />
+      {suggestions.length > 0 && (
+        <div className="comment-suggestions">
+          {suggestions.map((member) => (
+            <button
+              key={member._id}
+              type="button"
+              onClick={() =>
+                setValue(
+                  value.replace(/@[A-Za-z0-9_-]*$/, `@${member.username} `)
+                )
+              }
+            >
+              @{member.username}
+              <small>{displayName(member)}</small>
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="comment-actions">
+        {onCancel && (
+          <button type="button" className="btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          className="btn-primary"
+          disabled={isSubmitting || !value.trim()}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// One comment with edit and delete for its author (delete also for admins)
+function CommentItem({ comment, currentUserId, canModerate, actions, members }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const isAuthor = comment.authorId?._id === currentUserId;
+
+  return (
+    <li className="comment-item">
+      <div className="comment-meta">
+        <strong>{displayName(comment.authorId)}</strong>
+        <span>{formatTime(comment.createdAt)}</span>
+        {comment.editedAt && <span>(edited)</span>}
+        <span className="comment-item-actions">
+          {isAuthor && !isEditing && (
+            <button onClick={() => setIsEditing(true)}>Edit</button>
+          )}
+          {(isAuthor || canModerate) && (
+            <button
+              onClick={() => {
+                const question = comment.parentId
+                  ? "Delete this comment?"
+                  : "Delete this thread and all of its replies?";
+                if (confirm(question)) actions.remove(comment._id);
+              }}
+            >
+              Delete
+            </button>
+          )}
+        </span>
+      </div>
+      {isEditing ? (
+        <CommentComposer
+          members={members}
+          initialValue={comment.body}
+          submitLabel="Save"
+          autoFocus
+          onSubmit={async (body) => {
+            await actions.edit(comment._id, body);
+            setIsEditing(false);
+          }}
+          onCancel={() => setIsEditing(false)}
+        />
+      ) : (
+        <CommentBody comment={comment} />
+      )}
+    </li>
+  );
+}
+
+// A comment thread with its replies, a reply box and resolve/reopen
+export default function CommentThread({
+  thread,
+  currentUserId,
+  projectRole,
+  members,
+  actions,
+  onClose,
+}) {
+  const canModerate = projectRole === "owner" || projectRole === "admin";
+  const canResolve =
+    thread.authorId?._id === currentUserId ||
+    ["editor", "admin", "owner"].includes(projectRole);
+  const { startLine, endLine, outdated } = thread.anchor;
+
+  return (
+    <div className={`comment-thread ${thread.resolved ? "resolved" : ""}`}>
+      <div className="comment-thread-header">
+        <span>
+          {startLine === endLine
+            ? `Line ${startLine}`
+            : `Lines ${startLine}–${endLine}`}
+          {outdated && (
+            <span
+              className="badge outdated"
+              title="The commented code has changed since this thread started"
+            >
+              outdated
+            </span>
+          )}
+          {thread.resolved && <span className="badge resolved">resolved</span>}
+        </span>
+        <span className="comment-thread-actions">
+          {canResolve && (
+            <button
+              onClick={() => actions.setResolved(thread._id, !thread.resolved)}
+            >
+              {thread.resolved ? "Reopen" : "Resolve"}
+            </button>
+          )}
+          {onClose && (
+            <button onClick={onClose} title="Close">
+              ×
+            </button>
+          )}
+        </span>
+      </div>
+
+      <ul className="comment-list">
+        {[thread, ...(thread.replies || [])].map((comment) => (
+          <CommentItem
+            key={comment._id}
+            comment={comment}
+            currentUserId={currentUserId}
+            canModerate={canModerate}
+            actions={actions}
+            members={members}
+          />
+        ))}
+      </ul>
+
+      {!thread.resolved && (
+        <CommentComposer
+          members={members}
+          placeholder="Reply… (@ to mention)"
+          submitLabel="Reply"
+          onSubmit={(body) => actions.reply(thread._id, body)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+
+// Render children in a Monaco view zone below a line, resizing the zone to
+// fit them
+export default function CommentZone({ editor, afterLineNumber, children }) {
+  const [container, setContainer] = useState(null);
+
+  useEffect(() => {
+    const domNode = document.createElement("div");
+    domNode.className = "comment-zone";
+    const content = document.createElement("div");
+    domNode.appendChild(content);
+
+    const zone = { afterLineNumber, heightInPx: 0, domNode };
+    let zoneId = null;
+    editor.changeViewZones((accessor) => {
+      zoneId = accessor.addZone(zone);
+    });
+
+    const observer = new ResizeObserver(() => {
+      const height = content.offsetHeight;
+      if (height === zone.heightInPx) return;
+      zone.heightInPx = height;
+      editor.changeViewZones((accessor) => accessor.layoutZone(zoneId));
+    });
+    observer.observe(content);
+
+    setContainer(content);
+
+    return () => {
+      observer.disconnect();
+      editor.changeViewZones((accessor) => accessor.removeZone(zoneId));
+      setContainer(null);
+    };
+  }, [editor, afterLineNumber]);
+
+  return container ? createPortal(children, container) : null;
+}
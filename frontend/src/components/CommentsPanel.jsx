@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { commentsApi } from "../lib/api";
+import "../styles/comments.css";
+
+const STATUSES = ["open", "resolved", "all"];
+
+const authorName = (user) =>
+  user?.firstName
+    ? `${user.firstName} ${user.lastName || ""}`.trim()
+    : user?.username || "Deleted user";
+
+// Comment threads across every file of a project
+export default function CommentsPanel({ projectId, onOpenThread, refreshKey }) {
+  const [status, setStatus] = useState("open");
+  const [threads, setThreads] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadThreads = useCallback(async () => {
+    if (!projectId) return;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await commentsApi.getForProject(projectId, status);
+      setThreads(response.data.threads);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectId, status]);
+
+  useEffect(() => {
+    loadThreads();
+  }, [loadThreads, refreshKey]);
+
+  if (!projectId) {
+    return (
+      <div className="search-panel">
+        <div className="fe-header">
+          <span>Comments</span>
+        </div>
+        <div className="search-empty">
+          Save this project and sign in to review it with comments.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="search-panel comments-panel">
+      <div className="fe-header">
+        <span>Comments</span>
+        <div className="fe-header-actions">
+          <button
+            className="icon-btn"
+            title="Refresh"
+            aria-label="Refresh"
+            onClick={loadThreads}
+          >
+            ↻
+          </button>
+        </div>
+      </div>
+
+      <div className="comments-filter">
+        {STATUSES.map((value) => (
+          <button
+            key={value}
+            className={`search-toggle ${status === value ? "active" : ""}`}
+            onClick={() => setStatus(value)}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="search-error">{error}</div>}
+
+      <div className="search-results">
+        {threads.map((thread) => (
+          <button
+            key={thread._id}
+            className={`comments-panel-thread ${
+              thread.resolved ? "resolved" : ""
+            }`}
+            onClick={() => onOpenThread(thread)}
+          >
+            <span className="comments-panel-location">
+              {thread.path}:{thread.anchor.startLine}
+              {thread.anchor.outdated && (
+                <span className="badge outdated">outdated</span>
+              )}
+            </span>
+            <span className="comments-panel-body">{thread.body}</span>
+            <span className="comments-panel-meta">
+              {authorName(thread.authorId)}
+              {thread.replyCount > 0 &&
+                ` · ${thread.replyCount} ${
+                  thread.replyCount === 1 ? "reply" : "replies"
+                }`}
+            </span>
+          </button>
+        ))}
+
+        {!isLoading && threads.length === 0 && (
+          <div className="search-empty">
+            {status === "open" ? "No open threads." : "No threads."}
+          </div>
+        )}
+        {isLoading && threads.length === 0 && (
+          <div className="search-empty">Loading...</div>
+        )}
+      </div>
+    </div>
+  );
+}
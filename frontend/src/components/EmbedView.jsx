@@ -0,0 +1,213 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import {
+  SandpackProvider,
+  SandpackLayout,
+  SandpackPreview,
+} from "@codesandbox/sandpack-react";
+import MonacoEditor from "./MonacoEditor";
+import AssetViewer from "./AssetViewer";
+import { projectsApi, setShareGrant } from "../lib/api";
+import { isAssetPath, toDataUrl } from "../lib/assets";
+import { getSandpackSetup } from "../lib/templates";
+import "../styles/embed.css";
+
+const LAYOUTS = ["editor", "preview", "split"];
+
+// Flatten the backend file tree into the path -> content map the editor uses
+const flattenTree = (items, out = {}) => {
+  if (!Array.isArray(items)) return out;
+
+  items.forEach((item) => {
+    if (item.type === "file" && item.path && item.content !== undefined) {
+      const path = item.path.startsWith("/") ? item.path : `/${item.path}`;
+      out[path] =
+        item.encoding === "base64"
+          ? toDataUrl(item.mimeType, item.content)
+          : item.content;
+    } else if (item.type === "folder" && item.children) {
+      flattenTree(item.children, out);
+    }
+  });
+
+  return out;
+};
+
+// A hidden entry is a file path, or a folder when it ends with "/"
+const isHidden = (path, hidden) =>
+  hidden.some((entry) =>
+    entry.endsWith("/") ? path.startsWith(entry) : path === entry
+  );
+
+// Read-only view of a public or share-linked project for embedding in other
+// pages. Query parameters:
+//   file    initial file path          theme  dark | light
+//   layout  editor | preview | split   hide   comma-separated paths/folders/
+//   tabs    0 to hide the tab strip    share  share link token
+export default function EmbedView() {
+  const { projectId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [project, setProject] = useState(null);
+  const [files, setFiles] = useState({});
+  const [activePath, setActivePath] = useState("");
+  const [error, setError] = useState(null);
+
+  const theme = searchParams.get("theme") === "light" ? "light" : "dark";
+  const layout = LAYOUTS.includes(searchParams.get("layout"))
+    ? searchParams.get("layout")
+    : "split";
+  const showTabs = searchParams.get("tabs") !== "0";
+  const hidden = useMemo(
+    () =>
+      (searchParams.get("hide") || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => (entry.startsWith("/") ? entry : `/${entry}`)),
+    [searchParams]
+  );
+
+  useEffect(() => {
+    if (theme === "light") {
+      document.documentElement.setAttribute("data-theme", "light");
+    } else {
+      document.documentElement.removeAttribute("data-theme");
+    }
+  }, [theme]);
+
+  useEffect(() => {
+    const share = searchParams.get("share");
+    if (share) setShareGrant(share);
+
+    const loadEmbed = async () => {
+      try {
+        // The project comes with its file tree, contents included
+        const response = await projectsApi.getById(projectId);
+        const loadedFiles = flattenTree(response.data.project.fileTree);
+
+        setProject(response.data.project);
+        setFiles(loadedFiles);
+
+        const requested = searchParams.get("file");
+        const initialPath = requested
+          ? requested.startsWith("/")
+            ? requested
+            : `/${requested}`
+          : null;
+        setActivePath(
+          initialPath && loadedFiles[initialPath] !== undefined
+            ? initialPath
+            : Object.keys(loadedFiles).find(
+                (path) => !isHidden(path, hidden)
+              ) || ""
+        );
+      } catch (err) {
+        setError(
+          err.status === 403 || err.status === 404
+            ? "This project is not public, or the link has expired."
+            : err.message
+        );
+      }
+    };
+
+    loadEmbed();
+  }, [projectId]);
+
+  // Convert files to Sandpack format
+  const sandpackFiles = useMemo(() => {
+    const out = {};
+    Object.entries(files).forEach(([path, code]) => {
+      const key = path.startsWith("/public/")
+        ? path.replace("/public/", "/")
+        : path;
+      out[key] = { code };
+    });
+    return out;
+  }, [files]);
+
+  const visiblePaths = Object.keys(files).filter(
+    (path) => !isHidden(path, hidden)
+  );
+
+  if (error) {
+    return (
+      <div className={`embed-root ${theme}`}>
+        <div className="embed-message">{error}</div>
+      </div>
+    );
+  }
+
+  if (!project) {
+    return (
+      <div className={`embed-root ${theme}`}>
+        <div className="embed-message">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`embed-root ${theme}`}>
+      <SandpackProvider
+        files={sandpackFiles}
+        {...getSandpackSetup(project.template, sandpackFiles)}
+      >
+        <div className={`embed-body layout-${layout}`}>
+          {layout !== "preview" && (
+            <div className="embed-editor">
+              {showTabs && (
+                <div className="embed-tabs" role="tablist">
+                  {visiblePaths.map((path) => (
+                    <button
+                      key={path}
+                      role="tab"
+                      aria-selected={path === activePath}
+                      className={`embed-tab ${
+                        path === activePath ? "active" : ""
+                      }`}
+                      title={path}
+                      onClick={() => setActivePath(path)}
+                    >
+                      {path.split("/").pop()}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="embed-editor-body">
+                {activePath && isAssetPath(activePath) ? (
+                  <AssetViewer path={activePath} content={files[activePath]} />
+                ) : (
+                  <MonacoEditor
+                    files={files}
+                    activePath={activePath}
+                    updateFile={() => {}}
+                    theme={theme}
+                    readOnly
+                  />
+                )}
+              </div>
+            </div>
+          )}
+
+          {layout !== "editor" && (
+            <div className="embed-preview">
+              <SandpackLayout className="preview-layout">
+                <SandpackPreview
+                  showOpenInCodeSandbox={false}
+                  style={{ height: "100%", width: "100%" }}
+                  showRefreshButton
+                />
+              </SandpackLayout>
+            </div>
+          )}
+        </div>
+      </SandpackProvider>
+
+      <div className="embed-footer">
+        <span className="embed-title">{project.name}</span>
+        <a href={window.location.origin} target="_blank" rel="noreferrer">
+          CipherStudio
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -5,6 +5,15 @@ import React, {
   useEffect,
   useRef,
 } from "react";
+import {
+  MAX_ASSET_SIZE,
+  getAssetMimeType,
+  isAssetPath,
+  parseDataUrl,
+  readFileAsDataUrl,
+  toDataUrl,
+} from "../lib/assets";
+import { getPresenceColor, getPresenceName } from "../lib/presence";
 
 // build a nested tree from array of paths (['/src/App.jsx', '/index.html'])
 function buildTree(paths) {
@@ -69,6 +78,7 @@ function TreeNode({
   collapseFolder,
   openFolders,
   collapseSignal,
+  peersByPath,
 }) {
   const isFile = node.__isFile;
   // collapsed by default
@@ -148,6 +158,18 @@ function TreeNode({
         >
           <Icon isFile={isFile} open={open} />{" "}
           <span className="fe-name">{name}</span>
+          {isFile && peersByPath?.[absolutePath] && (
+            <span className="fe-presence">
+              {peersByPath[absolutePath].map((peer) => (
+                <span
+                  key={peer.userId}
+                  className="fe-presence-dot"
+                  title={`${getPresenceName(peer)} has this file open`}
+                  style={{ background: getPresenceColor(peer.userId) }}
+                />
+              ))}
+            </span>
+          )}
         </div>
 
         <div className="fe-actions">
@@ -201,6 +223,7 @@ function TreeNode({
                 collapseFolder={collapseFolder}
                 openFolders={openFolders}
                 collapseSignal={collapseSignal}
+                peersByPath={peersByPath}
               />
             ))}
         </div>
@@ -261,8 +284,10 @@ export default function FileExplorer({
   setActivePath,
   deleteFile,
   createFile,
+  updateFile,
   renameFile,
   onRefresh,
+  peersByPath = {},
 }) {
   const paths = useMemo(() => Object.keys(files), [files]);
   const tree = useMemo(() => buildTree(paths), [paths]);
@@ -327,8 +352,8 @@ export default function FileExplorer({
       );
       const msg =
         toRemove.length > 1
-          ? `Delete ${toRemove.length} items under ${normalized}?`
-          : `Delete ${normalized}?`;
+          ? `Move ${toRemove.length} items under ${normalized} to the trash?`
+          : `Move ${normalized} to the trash?`;
       if (confirm(msg)) deleteFile(normalized);
     },
     [deleteFile, files]
@@ -361,6 +386,46 @@ export default function FileExplorer({
     [createFile]
   );
 
+  const assetInputRef = useRef(null);
+
+  const handleUploadAssets = useCallback(
+    async (e) => {
+      const selected = Array.from(e.target.files || []);
+      e.target.value = "";
+      const target = getTargetFolder();
+
+      for (const file of selected) {
+        const path = (target === "/" ? "" : target) + "/" + file.name;
+
+        if (!isAssetPath(path)) {
+          alert(
+            `${file.name}: only png, jpg, gif, webp, woff, woff2 and mp3 files can be uploaded`
+          );
+          continue;
+        }
+        if (file.size > MAX_ASSET_SIZE) {
+          alert(`${file.name} is larger than ${MAX_ASSET_SIZE / 1000} KB`);
+          continue;
+        }
+        if (files[path] !== undefined && !confirm(`Replace ${path}?`)) {
+          continue;
+        }
+
+        // Browsers don't always know font MIME types, so use the extension's
+        const { base64 } = parseDataUrl(await readFileAsDataUrl(file));
+        const content = toDataUrl(getAssetMimeType(path), base64);
+
+        if (files[path] !== undefined) {
+          updateFile(path, content);
+          setActivePath(path);
+        } else {
+          await createFile(path, content);
+        }
+      }
+    },
+    [getTargetFolder, files, createFile, updateFile, setActivePath]
+  );
+
   const handleStartRename = useCallback((p, currentName) => {
     setRenamingPath(p);
     setRenamingValue(currentName);
@@ -467,6 +532,44 @@ export default function FileExplorer({
               />
             </svg>
           </button>
+          <button
+            className="icon-btn"
+            title="Upload Asset"
+            aria-label="Upload Asset"
+            onClick={() => assetInputRef.current?.click()}
+          >
+            {/* upload icon (arrow into tray) */}
+            <svg
+              width="14"
+              height="14"
+              viewBox="0 0 24 24"
+              fill="none"
+              xmlns="http://www.w3.org/2000/svg"
+            >
+              <path
+                d="M12 16V4M7 9l5-5 5 5"
+                stroke="currentColor"
+                strokeWidth="1.5"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+              <path
+                d="M4 16v2a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-2"
+                stroke="currentColor"
+                strokeWidth="1.5"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            </svg>
+          </button>
+          <input
+            ref={assetInputRef}
+            type="file"
+            accept=".png,.jpg,.jpeg,.gif,.webp,.woff,.woff2,.mp3"
+            multiple
+            hidden
+            onChange={handleUploadAssets}
+          />
           <button
             className="icon-btn"
             title="Refresh"
@@ -586,6 +689,7 @@ export default function FileExplorer({
                 setCreatingValue("");
               }}
               collapseSignal={collapseSignal}
+              peersByPath={peersByPath}
             />
           ))}
       </div>
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { projectsApi } from "../lib/api";
+
+const displayName = (user) =>
+  user?.firstName
+    ? `${user.firstName} ${user.lastName || ""}`.trim()
+    : user?.username || "Unknown";
+
+// Per-file result of an upstream sync, conflicts first
+function SyncReport({ result }) {
+  const files = [...result.files].sort(
+    (a, b) => (b.status === "conflict") - (a.status === "conflict")
+  );
+
+  return (
+    <div className="fork-report">
+      <p>{result.message}</p>
+      {files.length > 0 && (
+        <ul className="share-members">
+          {files.map((file) => (
+            <li
+              key={`${file.status}:${file.path}`}
+              className={`share-member fork-file ${file.status}`}
+            >
+              <span>
+                {file.path}
+                {(file.reason || file.from) && (
+                  <small>
+                    {file.from ? `from ${file.from}` : file.reason}
+                    {file.lines?.length > 0 &&
+                      ` — conflict markers at line ${file.lines.join(", ")}`}
+                  </small>
+                )}
+              </span>
+              <span className={`badge ${file.status}`}>{file.status}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Where a project was forked from, its own forks, and updating a fork from
+// its upstream
+export default function ForksModal({
+  project,
+  hasUnsavedChanges,
+  onSelectProject,
+  onSynced,
+  onClose,
+}) {
+  const { isAuthenticated } = useAuth();
+  const [forks, setForks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [syncResult, setSyncResult] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const upstream = project.forkedFrom?.projectId;
+  const isFork = Boolean(project.forkedFrom?.forkedAt);
+  const canSync = ["editor", "admin", "owner"].includes(project.role);
+
+  useEffect(() => {
+    projectsApi
+      .getForks(project._id)
+      .then((response) => {
+        setForks(response.data.forks);
+        setTotal(response.data.total);
+      })
+      .catch((err) => setError(err.message));
+  }, [project._id]);
+
+  const handleSync = async (dryRun) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const response = await projectsApi.syncUpstream(project._id, dryRun);
+      setSyncResult({ ...response.data, message: response.message });
+      if (!dryRun) onSynced();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFork = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const response = await projectsApi.duplicate(project._id);
+      onSelectProject(response.data.project._id);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="auth-modal-overlay" onClick={onClose}>
+      <div className="auth-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="auth-modal-header">
+          <h2>Forks</h2>
+          <button className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="auth-form">
+          {error && <div className="error-message">{error}</div>}
+
+          {isFork && (
+            <div className="fork-upstream">
+              {upstream ? (
+                <p>
+                  Forked from{" "}
+                  <button
+                    className="link-button"
+                    onClick={() => {
+                      onSelectProject(upstream._id);
+                      onClose();
+                    }}
+                  >
+                    {upstream.name}
+                  </button>
+                  {project.forkedFrom.syncedAt &&
+                    `, last updated ${new Date(
+                      project.forkedFrom.syncedAt
+                    ).toLocaleString()}`}
+                </p>
+              ) : (
+                <p>Forked from a project that no longer exists.</p>
+              )}
+
+              {upstream && canSync && (
+                <div className="fork-actions">
+                  <button
+                    className="btn-secondary"
+                    disabled={isWorking}
+                    onClick={() => handleSync(true)}
+                  >
+                    Check for updates
+                  </button>
+                  <button
+                    className="btn-primary"
+                    disabled={isWorking || hasUnsavedChanges}
+                    title={
+                      hasUnsavedChanges
+                        ? "Save your changes before updating from upstream"
+                        : ""
+                    }
+                    onClick={() => handleSync(false)}
+                  >
+                    Update from upstream
+                  </button>
+                </div>
+              )}
+
+              {syncResult && <SyncReport result={syncResult} />}
+            </div>
+          )}
+
+          <h3 className="fork-heading">
+            {total} {total === 1 ? "fork" : "forks"}
+            {isAuthenticated && (
+              <button
+                className="btn-secondary"
+                disabled={isWorking}
+                onClick={handleFork}
+              >
+                Fork this project
+              </button>
+            )}
+          </h3>
+          <ul className="share-members">
+            {forks.map((fork) => (
+              <li key={fork._id} className="share-member">
+                <span>
+                  <button
+                    className="link-button"
+                    onClick={() => {
+                      onSelectProject(fork._id);
+                      onClose();
+                    }}
+                  >
+                    {fork.name}
+                  </button>
+                  <small>
+                    {displayName(fork.userId)} ·{" "}
+                    {new Date(fork.createdAt).toLocaleDateString()}
+                  </small>
+                </span>
+                {!fork.isPublic && (
+                  <span className="badge private">private</span>
+                )}
+              </li>
+            ))}
+            {total > forks.length && (
+              <li className="share-member pending">
+                <span>
+                  {total - forks.length} private{" "}
+                  {total - forks.length === 1 ? "fork" : "forks"} not shown
+                </span>
+              </li>
+            )}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
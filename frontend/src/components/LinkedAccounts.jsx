@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from "react";
+import { authApi } from "../lib/api";
+
+// Sign-in providers linked to the account, in the user profile
+export default function LinkedAccounts() {
+  const [identities, setIdentities] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [hasPassword, setHasPassword] = useState(true);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    authApi
+      .getIdentities()
+      .then((response) => {
+        setIdentities(response.data.identities);
+        setProviders(response.data.providers);
+        setHasPassword(response.data.hasPassword);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // Leaves for the provider's sign-in page; it redirects back to finish
+  const handleLink = async (provider) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await authApi.startOidc(provider.id, "link");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    if (!window.confirm(`Unlink ${provider.name} from your account?`)) {
+      return;
+    }
+
+    setError(null);
+    setSuccess(null);
+    try {
+      const response = await authApi.unlinkIdentity(provider.id);
+      setIdentities((prev) =>
+        prev.filter((identity) => identity.provider !== provider.id)
+      );
+      setSuccess(response.message);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="loading">Loading linked accounts...</div>;
+  }
+
+  return (
+    <div className="linked-accounts">
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {providers.length === 0 ? (
+        <p>No sign-in providers are set up on this server.</p>
+      ) : (
+        <ul className="session-list">
+          {providers.map((provider) => {
+            const identity = identities.find(
+              (item) => item.provider === provider.id
+            );
+
+            return (
+              <li key={provider.id}>
+                <div>
+                  <strong>{provider.name}</strong>
+                  <small>
+                    {identity
+                      ? `${identity.email || "Linked"} · Linked ${new Date(
+                          identity.linkedAt
+                        ).toLocaleDateString()}`
+                      : "Not linked"}
+                  </small>
+                </div>
+                {identity ? (
+                  <button
+                    type="button"
+                    className="profile-button danger"
+                    onClick={() => handleUnlink(provider)}
+                  >
+                    Unlink
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="profile-button primary"
+                    onClick={() => handleLink(provider)}
+                  >
+                    Link
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!hasPassword && (
+        <p>
+          Your account has no password, so you sign in with a provider. Use
+          Forgot password on the login screen to set one.
+        </p>
+      )}
+    </div>
+  );
+}
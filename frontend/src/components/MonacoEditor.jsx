@@ -1,11 +1,223 @@
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import Editor from "@monaco-editor/react";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  createCollabSession,
+  bindMonacoModel,
+  bindRemoteCursors,
+} from "../lib/collab";
+import { getPresenceColorIndex, getPresenceName } from "../lib/presence";
+import CommentThread, { CommentComposer } from "./CommentThread";
+import CommentZone from "./CommentZone";
 
-function MonacoEditor({ files, activePath, updateFile, theme }) {
+function MonacoEditor({
+  files,
+  activePath,
+  updateFile,
+  theme,
+  revealTarget,
+  readOnly = false,
+  fileId = null,
+  collaborative = false,
+  onLiveChange,
+  onRemoteVersion,
+  comments = null,
+  members = [],
+  projectRole = null,
+}) {
+  const { user } = useAuth();
   const editorRef = useRef(null);
+  const [isEditorReady, setIsEditorReady] = useState(false);
+  const [openThreadIds, setOpenThreadIds] = useState(() => new Set());
+  const [draftRange, setDraftRange] = useState(null); // new thread being written
+  const commentsRef = useRef(comments);
+  const commentDecorationsRef = useRef(null);
+  commentsRef.current = comments;
+  const [livePath, setLivePath] = useState(null); // file bound to a shared document
+  const [collabStatus, setCollabStatus] = useState(null);
+
+  // Edit the active file together with everyone else who has it open
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!collaborative || !fileId || !isEditorReady || !editor) return;
+
+    const path = activePath;
+    const session = createCollabSession(fileId);
+    let unbind = null;
+    let unbindCursors = null;
+
+    // Bind once the server's copy has arrived, so it replaces the local one
+    const handleSync = (isSynced) => {
+      if (!isSynced || unbind) return;
+      unbind = bindMonacoModel(editor.getModel(), session.text);
+      unbindCursors = bindRemoteCursors(editor, session, {
+        name: getPresenceName(user),
+        colorIndex: getPresenceColorIndex(user?._id),
+      });
+      setLivePath(path);
+      if (onLiveChange) onLiveChange(path, true);
+    };
+
+    const handleStatus = ({ status }) => setCollabStatus(status);
+
+    // The server reports the database version each time it persists
+    const handleMeta = () => {
+      const version = session.meta.get("version");
+      if (version && onRemoteVersion) onRemoteVersion(path, version);
+    };
+
+    session.provider.on("sync", handleSync);
+    session.provider.on("status", handleStatus);
+    session.meta.observe(handleMeta);
+
+    return () => {
+      if (unbindCursors) unbindCursors();
+      if (unbind) unbind();
+      session.meta.unobserve(handleMeta);
+      session.destroy();
+      setLivePath(null);
+      setCollabStatus(null);
+      if (onLiveChange) onLiveChange(path, false);
+    };
+  }, [activePath, fileId, collaborative, isEditorReady]);
+
+  // Threads open in one file stay closed in the next
+  useEffect(() => {
+    setOpenThreadIds(new Set());
+    setDraftRange(null);
+  }, [activePath]);
+
+  // Gutter markers on the first line of each thread, and a highlight of the
+  // lines an open thread is about
+  useEffect(() => {
+    const decorations = commentDecorationsRef.current;
+    if (!decorations) return;
+
+    const threads = comments ? comments.threads : [];
+    decorations.set(
+      threads.flatMap((thread) => {
+        const { startLine, endLine } = thread.anchor;
+        const marker = {
+          range: {
+            startLineNumber: startLine,
+            startColumn: 1,
+            endLineNumber: startLine,
+            endColumn: 1,
+          },
+          options: {
+            glyphMarginClassName: `comment-glyph ${
+              thread.resolved ? "resolved" : ""
+            }`,
+            glyphMarginHoverMessage: {
+              value: `${thread.replies.length + 1} comment(s)${
+                thread.resolved ? " (resolved)" : ""
+              }`,
+            },
+          },
+        };
+        if (!openThreadIds.has(thread._id)) return [marker];
+
+        return [
+          marker,
+          {
+            range: {
+              startLineNumber: startLine,
+              startColumn: 1,
+              endLineNumber: endLine,
+              endColumn: 1,
+            },
+            options: { isWholeLine: true, className: "comment-range" },
+          },
+        ];
+      })
+    );
+  }, [comments?.threads, openThreadIds, isEditorReady]);
+
+  // Open the threads on a line, or start one there if it has none
+  const toggleThreadsAt = (lineNumber) => {
+    const current = commentsRef.current;
+    if (!current) return;
+
+    const here = current.threads.filter(
+      (thread) => thread.anchor.startLine === lineNumber
+    );
+    if (here.length === 0) {
+      setDraftRange({ startLine: lineNumber, endLine: lineNumber });
+      return;
+    }
+
+    setOpenThreadIds((prev) => {
+      const next = new Set(prev);
+      const isOpen = here.every((thread) => next.has(thread._id));
+      here.forEach((thread) =>
+        isOpen ? next.delete(thread._id) : next.add(thread._id)
+      );
+      return next;
+    });
+  };
+
+  const closeThread = (threadId) =>
+    setOpenThreadIds((prev) => {
+      const next = new Set(prev);
+      next.delete(threadId);
+      return next;
+    });
+
+  // Jump to a location (e.g. a search match) once its file is open
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || !revealTarget || revealTarget.path !== activePath) return;
+
+    const { line, column = 1, length = 0, threadId } = revealTarget;
+    editor.revealLineInCenter(line);
+    if (threadId) {
+      setOpenThreadIds((prev) => new Set(prev).add(threadId));
+    }
+    editor.setSelection({
+      startLineNumber: line,
+      startColumn: column,
+      endLineNumber: line,
+      endColumn: column + length,
+    });
+    editor.focus();
+  }, [revealTarget, activePath]);
 
   function handleEditorDidMount(editor, monaco) {
     editorRef.current = editor;
+    commentDecorationsRef.current = editor.createDecorationsCollection();
+    setIsEditorReady(true);
+
+    // Comment threads open from the gutter, or from a selection
+    editor.onMouseDown((e) => {
+      if (
+        e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN &&
+        e.target.position
+      ) {
+        toggleThreadsAt(e.target.position.lineNumber);
+      }
+    });
+
+    editor.addAction({
+      id: "cipherstudio.addComment",
+      label: "Add Comment",
+      contextMenuGroupId: "navigation",
+      keybindings: [
+        monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyCode.KeyM,
+      ],
+      run: (ed) => {
+        if (!commentsRef.current) return;
+        const selection = ed.getSelection();
+        setDraftRange({
+          startLine: selection.startLineNumber,
+          // A selection ending at column 1 doesn't include that line
+          endLine:
+            selection.endColumn === 1 &&
+            selection.endLineNumber > selection.startLineNumber
+              ? selection.endLineNumber - 1
+              : selection.endLineNumber,
+        });
+      },
+    });
 
     // Configure TypeScript/JavaScript settings for better IntelliSense
     monaco.languages.typescript.javascriptDefaults.setCompilerOptions({
@@ -206,16 +418,32 @@ function MonacoEditor({ files, activePath, updateFile, theme }) {
         }}
       >
         {activePath}
+        {livePath === activePath && (
+          <span
+            className={`collab-status ${collabStatus || ""}`}
+            title={
+              collabStatus === "connected"
+                ? "Changes sync live with everyone editing this file"
+                : "Reconnecting; your changes will sync when the connection is back"
+            }
+          >
+            {collabStatus === "connected" ? "● Live" : "○ Offline"}
+          </span>
+        )}
       </div>
       <div style={{ flex: 1 }}>
         <Editor
           height="100%"
           language={getLanguageFromPath(activePath)}
-          value={files[activePath] || ""}
+          // A shared document drives the model while it is bound
+          value={livePath === activePath ? undefined : files[activePath] || ""}
           onChange={handleChange}
           onMount={handleEditorDidMount}
           theme={theme === "light" ? "vs" : "vs-dark"}
           options={{
+            readOnly,
+            glyphMargin: Boolean(comments),
+
             // IntelliSense and autocomplete settings
             minimap: { enabled: false },
             fontSize: 14,
@@ -268,6 +496,58 @@ function MonacoEditor({ files, activePath, updateFile, theme }) {
           }}
         />
       </div>
+
+      {comments &&
+        isEditorReady &&
+        comments.threads
+          .filter((thread) => openThreadIds.has(thread._id))
+          .map((thread) => (
+            <CommentZone
+              key={thread._id}
+              editor={editorRef.current}
+              afterLineNumber={thread.anchor.endLine}
+            >
+              <CommentThread
+                thread={thread}
+                currentUserId={user?._id}
+                projectRole={projectRole}
+                members={members}
+                actions={comments}
+                onClose={() => closeThread(thread._id)}
+              />
+            </CommentZone>
+          ))}
+
+      {comments && isEditorReady && draftRange && (
+        <CommentZone
+          editor={editorRef.current}
+          afterLineNumber={draftRange.endLine}
+        >
+          <div className="comment-thread">
+            <div className="comment-thread-header">
+              <span>
+                {draftRange.startLine === draftRange.endLine
+                  ? `New comment on line ${draftRange.startLine}`
+                  : `New comment on lines ${draftRange.startLine}–${draftRange.endLine}`}
+              </span>
+            </div>
+            <CommentComposer
+              members={members}
+              placeholder="Leave a comment… (@ to mention)"
+              submitLabel="Comment"
+              autoFocus
+              onSubmit={async (body) => {
+                const response = await comments.createThread(draftRange, body);
+                setDraftRange(null);
+                setOpenThreadIds((prev) =>
+                  new Set(prev).add(response.data.thread._id)
+                );
+              }}
+              onCancel={() => setDraftRange(null)}
+            />
+          </div>
+        </CommentZone>
+      )}
     </div>
   );
 }
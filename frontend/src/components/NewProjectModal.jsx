@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { templatesApi } from "../lib/api";
+import { PROJECT_TEMPLATES } from "../lib/templates";
+
+const SCOPES = [
+  { value: "all", label: "All" },
+  { value: "mine", label: "Mine" },
+  { value: "team", label: "Team" },
+  { value: "public", label: "Public" },
+];
+
+const stackLabel = (stack) =>
+  PROJECT_TEMPLATES.find((template) => template.value === stack)?.label ||
+  stack;
+
+const ownerName = (owner) =>
+  owner?.firstName
+    ? `${owner.firstName} ${owner.lastName || ""}`.trim()
+    : owner?.username || "Unknown";
+
+// One template in the gallery
+function TemplateCard({
+  title,
+  description,
+  thumbnail,
+  badge,
+  meta,
+  selected,
+  onSelect,
+  onDelete,
+}) {
+  return (
+    <div
+      className={`template-card ${selected ? "selected" : ""}`}
+      role="radio"
+      aria-checked={selected}
+      tabIndex={0}
+      onClick={onSelect}
+      onKeyDown={(e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          onSelect();
+        }
+      }}
+    >
+      <div className="template-thumbnail">
+        {thumbnail ? (
+          <img src={thumbnail} alt="" loading="lazy" />
+        ) : (
+          <span>{title.charAt(0).toUpperCase()}</span>
+        )}
+      </div>
+      <div className="template-details">
+        <strong title={title}>{title}</strong>
+        {description && <p>{description}</p>}
+        {meta && <small>{meta}</small>}
+      </div>
+      {badge && <span className={`badge ${badge}`}>{badge}</span>}
+      {onDelete && (
+        <button
+          type="button"
+          className="template-delete"
+          title="Delete template"
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete();
+          }}
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
+
+// New project form with a gallery of starter and saved templates to pick
+// from, and project import
+export default function NewProjectModal({
+  onCreate,
+  onImport,
+  isImporting,
+  onClose,
+}) {
+  const { user } = useAuth();
+  const [selected, setSelected] = useState({ template: "react" });
+  const [scope, setScope] = useState("all");
+  const [search, setSearch] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // Wait for typing to settle before searching
+    const timeout = setTimeout(() => {
+      setIsLoading(true);
+      templatesApi
+        .getAll({ scope, search: search.trim() })
+        .then((response) => setTemplates(response.data.templates))
+        .catch((err) => setError(err.message))
+        .finally(() => setIsLoading(false));
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [scope, search]);
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+
+    try {
+      await templatesApi.delete(template._id);
+      setTemplates((prev) => prev.filter((item) => item._id !== template._id));
+      if (selected.templateId === template._id) {
+        setSelected({ template: "react" });
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const name = formData.get("name");
+    const description = formData.get("description");
+
+    if (!name) return;
+
+    setIsCreating(true);
+    setError(null);
+    try {
+      await onCreate(name, description, selected.template, selected.templateId);
+      onClose();
+    } catch (err) {
+      setError("Failed to create project: " + err.message);
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="auth-modal-overlay" onClick={onClose}>
+      <div
+        className="auth-modal template-gallery-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="auth-modal-header">
+          <h2>Create New Project</h2>
+          <button className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="auth-form">
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="form-group">
+            <label htmlFor="name">Project Name *</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              required
+              placeholder="Enter project name"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="description">Description</label>
+            <textarea
+              id="description"
+              name="description"
+              rows="3"
+              placeholder="Project description (optional)"
+              style={{
+                width: "100%",
+                padding: "12px 16px",
+                border: "2px solid var(--border-color)",
+                borderRadius: "8px",
+                backgroundColor: "var(--input-bg)",
+                color: "var(--text-color)",
+                fontSize: "14px",
+                resize: "vertical",
+                minHeight: "80px",
+                boxSizing: "border-box",
+              }}
+            />
+          </div>
+
+          <h3 className="template-heading">Starter templates</h3>
+          <div className="template-grid" role="radiogroup">
+            {PROJECT_TEMPLATES.map((template) => (
+              <TemplateCard
+                key={template.value}
+                title={template.label}
+                selected={
+                  !selected.templateId && selected.template === template.value
+                }
+                onSelect={() => setSelected({ template: template.value })}
+              />
+            ))}
+          </div>
+
+          <h3 className="template-heading">
+            Saved templates
+            <input
+              type="search"
+              className="template-search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search templates"
+            />
+          </h3>
+          <div className="template-scopes">
+            {SCOPES.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                className={`link-button ${
+                  scope === option.value ? "active" : ""
+                }`}
+                onClick={() => setScope(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="template-grid" role="radiogroup">
+            {templates.map((template) => {
+              const isOwn = template.userId?._id === user?._id;
+              return (
+                <TemplateCard
+                  key={template._id}
+                  title={template.name}
+                  description={template.description}
+                  thumbnail={template.thumbnail}
+                  badge={template.visibility}
+                  meta={`${stackLabel(template.stack)} · ${ownerName(
+                    template.userId
+                  )}${
+                    template.tags.length > 0
+                      ? ` · ${template.tags.join(", ")}`
+                      : ""
+                  }`}
+                  selected={selected.templateId === template._id}
+                  onSelect={() =>
+                    setSelected({
+                      template: template.stack,
+                      templateId: template._id,
+                    })
+                  }
+                  onDelete={isOwn ? () => handleDelete(template) : null}
+                />
+              );
+            })}
+            {!isLoading && templates.length === 0 && (
+              <p className="template-empty">
+                No saved templates here yet. Save a project as a template from
+                the top bar to reuse it.
+              </p>
+            )}
+          </div>
+
+          <button type="submit" className="auth-button" disabled={isCreating}>
+            {isCreating ? "Creating..." : "Create Project"}
+          </button>
+        </form>
+        <div className="import-project">
+          <p>Or import an existing project</p>
+          <label className={`import-button${isImporting ? " disabled" : ""}`}>
+            {isImporting ? "Importing..." : "Import ZIP"}
+            <input
+              type="file"
+              accept=".zip,application/zip"
+              disabled={isImporting}
+              onChange={(e) => {
+                const [archive] = e.target.files;
+                e.target.value = "";
+                if (archive) onImport({ archive });
+              }}
+            />
+          </label>
+          <label className={`import-button${isImporting ? " disabled" : ""}`}>
+            Import Folder
+            <input
+              type="file"
+              webkitdirectory=""
+              multiple
+              disabled={isImporting}
+              onChange={(e) => {
+                const files = Array.from(e.target.files);
+                e.target.value = "";
+                if (files.length) onImport({ files });
+              }}
+            />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,22 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext";
-import { projectsApi } from "../lib/api";
+import { projectsApi, trashApi, collaboratorsApi } from "../lib/api";
 
 export default function ProjectList({
   onSelectProject,
   onClose,
   currentProjectId,
+  onTrashChanged,
 }) {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user } = useAuth();
   const [projects, setProjects] = useState([]);
+  const [sharedProjects, setSharedProjects] = useState([]);
+  const [invitations, setInvitations] = useState([]);
   const [publicProjects, setPublicProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState("my-projects");
+  const [trash, setTrash] = useState({ projects: [], files: [] });
 
   useEffect(() => {
     loadProjects();
@@ -27,6 +31,15 @@ export default function ProjectList({
       if (isAuthenticated) {
         const userProjectsResponse = await projectsApi.getAll();
         setProjects(userProjectsResponse.data.projects || []);
+
+        const trashResponse = await trashApi.getAll();
+        setTrash(trashResponse.data);
+
+        const sharedResponse = await projectsApi.getShared();
+        setSharedProjects(sharedResponse.data.projects || []);
+
+        const invitationsResponse = await collaboratorsApi.getInvitations();
+        setInvitations(invitationsResponse.data.invitations || []);
       }
 
       // Load public projects
@@ -45,6 +58,65 @@ export default function ProjectList({
     onClose();
   };
 
+  // Run a trash action, then refresh the lists and the open project
+  const runTrashAction = async (action, projectId, confirmMessage) => {
+    if (confirmMessage && !confirm(confirmMessage)) return;
+
+    try {
+      const response = await action();
+      if (response?.message) console.log(response.message);
+      await loadProjects();
+      if (typeof onTrashChanged === "function") onTrashChanged(projectId);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDeleteProject = (e, project) => {
+    e.stopPropagation();
+    runTrashAction(
+      () => projectsApi.delete(project._id),
+      project._id,
+      `Move "${project.name}" to the trash?`
+    );
+  };
+
+  const handleLeaveProject = async (e, project) => {
+    e.stopPropagation();
+    if (!confirm(`Leave "${project.name}"? You will lose access to it.`)) {
+      return;
+    }
+
+    try {
+      await collaboratorsApi.remove(project._id, user._id);
+      await loadProjects();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Accept or decline an invitation, then refresh the shared projects
+  const handleInvitation = async (invitation, accept) => {
+    try {
+      if (accept) {
+        await collaboratorsApi.acceptInvitation(invitation.token);
+      } else {
+        await collaboratorsApi.declineInvitation(invitation.token);
+      }
+      await loadProjects();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // The current user's role on a project shared with them
+  const getSharedRole = (project) =>
+    project.collaborators?.find(
+      (entry) => (entry.userId?._id || entry.userId) === user?._id
+    )?.role;
+
+  const trashCount = trash.projects.length + trash.files.length;
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString("en-US", {
       year: "numeric",
@@ -55,7 +127,7 @@ export default function ProjectList({
     });
   };
 
-  const ProjectCard = ({ project, isPublic = false }) => (
+  const ProjectCard = ({ project, isPublic = false, isShared = false }) => (
     <div
       className={`project-card ${
         currentProjectId === project._id ? "active" : ""
@@ -70,6 +142,9 @@ export default function ProjectList({
           {!project.isPublic && !isPublic && (
             <span className="badge private">Private</span>
           )}
+          {isShared && (
+            <span className="badge role">{getSharedRole(project)}</span>
+          )}
         </div>
       </div>
 
@@ -91,11 +166,48 @@ export default function ProjectList({
         <div className="project-owner">
           By:{" "}
           {project.userId?.firstName || project.userId?.username || "Unknown"}
+          {isShared ? (
+            <button
+              className="project-delete"
+              title="Leave project"
+              onClick={(e) => handleLeaveProject(e, project)}
+            >
+              ⎋
+            </button>
+          ) : (
+            <button
+              className="project-delete"
+              title="Move to trash"
+              onClick={(e) => handleDeleteProject(e, project)}
+            >
+              🗑
+            </button>
+          )}
         </div>
       )}
     </div>
   );
 
+  const TrashItem = ({ title, subtitle, item, onRestore, onPurge }) => (
+    <div className="trash-item">
+      <div className="trash-item-info">
+        <span className="trash-item-title">{title}</span>
+        <span className="trash-item-meta">
+          {subtitle} · Deleted {formatDate(item.deletedAt)} · Purged{" "}
+          {formatDate(item.purgeAt)}
+        </span>
+      </div>
+      <div className="trash-item-actions">
+        <button className="btn-secondary" onClick={onRestore}>
+          Restore
+        </button>
+        <button className="btn-danger" onClick={onPurge}>
+          Delete forever
+        </button>
+      </div>
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="project-list-modal">
@@ -138,12 +250,31 @@ export default function ProjectList({
               My Projects ({projects.length})
             </button>
           )}
+          {isAuthenticated && (
+            <button
+              className={`tab ${activeTab === "shared" ? "active" : ""}`}
+              onClick={() => setActiveTab("shared")}
+            >
+              Shared with me ({sharedProjects.length})
+              {invitations.length > 0 && (
+                <span className="tab-count">{invitations.length}</span>
+              )}
+            </button>
+          )}
           <button
             className={`tab ${activeTab === "public-projects" ? "active" : ""}`}
             onClick={() => setActiveTab("public-projects")}
           >
             Public Projects ({publicProjects.length})
           </button>
+          {isAuthenticated && (
+            <button
+              className={`tab ${activeTab === "trash" ? "active" : ""}`}
+              onClick={() => setActiveTab("trash")}
+            >
+              Trash ({trashCount})
+            </button>
+          )}
         </div>
 
         <div className="projects-container">
@@ -166,6 +297,140 @@ export default function ProjectList({
             </div>
           )}
 
+          {activeTab === "shared" && isAuthenticated && (
+            <>
+              {invitations.length > 0 && (
+                <div className="invitation-list">
+                  {invitations.map((invitation) => (
+                    <div key={invitation._id} className="invitation-item">
+                      <span>
+                        <strong>
+                          {invitation.invitedBy?.firstName ||
+                            invitation.invitedBy?.username ||
+                            "Someone"}
+                        </strong>{" "}
+                        invited you to <strong>{invitation.projectId.name}</strong>{" "}
+                        as {invitation.role}
+                      </span>
+                      <div className="trash-item-actions">
+                        <button
+                          className="btn-primary"
+                          onClick={() => handleInvitation(invitation, true)}
+                        >
+                          Accept
+                        </button>
+                        <button
+                          className="btn-secondary"
+                          onClick={() => handleInvitation(invitation, false)}
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="projects-grid">
+                {sharedProjects.length === 0 ? (
+                  <div className="no-projects">
+                    <p>No projects have been shared with you yet.</p>
+                  </div>
+                ) : (
+                  sharedProjects.map((project) => (
+                    <ProjectCard
+                      key={project._id}
+                      project={project}
+                      isShared={true}
+                    />
+                  ))
+                )}
+              </div>
+            </>
+          )}
+
+          {activeTab === "trash" && isAuthenticated && (
+            <div className="trash-list">
+              {trashCount === 0 ? (
+                <div className="no-projects">
+                  <p>The trash is empty.</p>
+                  <p>
+                    Deleted items are kept for {trash.retentionDays} days
+                    before they are removed for good.
+                  </p>
+                </div>
+              ) : (
+                <>
+                  <div className="trash-header">
+                    <span>
+                      Items are permanently deleted after{" "}
+                      {trash.retentionDays} days.
+                    </span>
+                    <button
+                      className="btn-danger"
+                      onClick={() =>
+                        runTrashAction(
+                          () => trashApi.empty(),
+                          currentProjectId,
+                          "Permanently delete everything in the trash?"
+                        )
+                      }
+                    >
+                      Empty trash
+                    </button>
+                  </div>
+                  {trash.projects.map((project) => (
+                    <TrashItem
+                      key={project._id}
+                      title={project.name}
+                      subtitle={`Project · ${
+                        project.metadata?.totalFiles || 0
+                      } files`}
+                      item={project}
+                      onRestore={() =>
+                        runTrashAction(
+                          () => trashApi.restoreProject(project._id),
+                          project._id
+                        )
+                      }
+                      onPurge={() =>
+                        runTrashAction(
+                          () => trashApi.purgeProject(project._id),
+                          project._id,
+                          `Permanently delete "${project.name}" and all its files?`
+                        )
+                      }
+                    />
+                  ))}
+                  {trash.files.map((file) => (
+                    <TrashItem
+                      key={file._id}
+                      title={file.path}
+                      subtitle={`${
+                        file.type === "folder"
+                          ? `Folder with ${file.itemCount} items`
+                          : "File"
+                      } in ${file.projectId?.name || "project"}`}
+                      item={file}
+                      onRestore={() =>
+                        runTrashAction(
+                          () => trashApi.restoreFile(file._id),
+                          file.projectId?._id
+                        )
+                      }
+                      onPurge={() =>
+                        runTrashAction(
+                          () => trashApi.purgeFile(file._id),
+                          file.projectId?._id,
+                          `Permanently delete ${file.path}?`
+                        )
+                      }
+                    />
+                  ))}
+                </>
+              )}
+            </div>
+          )}
+
           {activeTab === "public-projects" && (
             <div className="projects-grid">
               {publicProjects.length === 0 ? (
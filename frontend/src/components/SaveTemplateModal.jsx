@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { templatesApi } from "../lib/api";
+
+const VISIBILITIES = [
+  { value: "private", label: "Only me" },
+  { value: "team", label: "Members of this project" },
+  { value: "public", label: "Everyone" },
+];
+
+// Save the current project as a reusable template
+export default function SaveTemplateModal({
+  project,
+  hasUnsavedChanges,
+  onClose,
+}) {
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await templatesApi.create({
+        projectId: project._id,
+        name: formData.get("name"),
+        description: formData.get("description"),
+        thumbnail: formData.get("thumbnail"),
+        tags: formData
+          .get("tags")
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
+        visibility: formData.get("visibility"),
+      });
+      setSaved(response.data.template);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="auth-modal-overlay" onClick={onClose}>
+      <div className="auth-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="auth-modal-header">
+          <h2>Save as Template</h2>
+          <button className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        {saved ? (
+          <div className="auth-form">
+            <p>
+              Saved <strong>{saved.name}</strong> with {saved.totalFiles}{" "}
+              {saved.totalFiles === 1 ? "file" : "files"}. It is now in the
+              New Project gallery.
+            </p>
+            <button className="auth-button" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            {error && <div className="error-message">{error}</div>}
+            {hasUnsavedChanges && (
+              <p className="template-note">
+                Unsaved changes are not included. Save the project first to
+                include them.
+              </p>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="template-name">Template Name *</label>
+              <input
+                type="text"
+                id="template-name"
+                name="name"
+                required
+                maxLength={100}
+                defaultValue={project.name}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="template-description">Description</label>
+              <input
+                type="text"
+                id="template-description"
+                name="description"
+                maxLength={500}
+                defaultValue={project.description}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="template-thumbnail">Thumbnail URL</label>
+              <input
+                type="url"
+                id="template-thumbnail"
+                name="thumbnail"
+                placeholder="https://example.com/preview.png"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="template-tags">Tags</label>
+              <input
+                type="text"
+                id="template-tags"
+                name="tags"
+                placeholder="Comma-separated, e.g. dashboard, charts"
+                defaultValue={project.tags?.join(", ")}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="template-visibility">Visible to</label>
+              <select
+                id="template-visibility"
+                name="visibility"
+                defaultValue="private"
+              >
+                {VISIBILITIES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <button type="submit" className="auth-button" disabled={isSaving}>
+              {isSaving ? "Saving..." : "Save Template"}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
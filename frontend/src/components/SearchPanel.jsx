@@ -0,0 +1,433 @@
+import React, { useState, useMemo, useCallback } from "react";
+import { filesApi } from "../lib/api";
+import "../styles/search.css";
+
+const PAGE_SIZE = 50;
+
+// Group flat match results by file path, keeping server order
+function groupByFile(matches) {
+  const groups = [];
+  const byPath = {};
+
+  matches.forEach((match) => {
+    if (!byPath[match.path]) {
+      byPath[match.path] = { path: match.path, name: match.name, matches: [] };
+      groups.push(byPath[match.path]);
+    }
+    byPath[match.path].matches.push(match);
+  });
+
+  return groups;
+}
+
+function Snippet({ snippet }) {
+  const { text, matchStart, matchLength } = snippet;
+  return (
+    <span className="search-snippet">
+      {text.slice(0, matchStart)}
+      <mark>{text.slice(matchStart, matchStart + matchLength)}</mark>
+      {text.slice(matchStart + matchLength)}
+    </span>
+  );
+}
+
+// Key a hunk within a replace preview
+const hunkKey = (fileId, hunkId) => `${fileId}|${hunkId}`;
+
+export default function SearchPanel({
+  projectId,
+  onOpenMatch,
+  onReplaced,
+  hasUnsavedChanges,
+}) {
+  const [query, setQuery] = useState("");
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [include, setInclude] = useState("");
+  const [exclude, setExclude] = useState("");
+  const [showGlobs, setShowGlobs] = useState(false);
+
+  const [matches, setMatches] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [page, setPage] = useState(1);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Find and replace state
+  const [showReplace, setShowReplace] = useState(false);
+  const [replacement, setReplacement] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [selectedHunks, setSelectedHunks] = useState(new Set());
+  const [isApplying, setIsApplying] = useState(false);
+  const [replaceMessage, setReplaceMessage] = useState(null);
+
+  const groups = useMemo(() => groupByFile(matches), [matches]);
+
+  const runSearch = useCallback(
+    async (pageToLoad = 1) => {
+      if (!query.trim() || !projectId) return;
+
+      setIsSearching(true);
+      setError(null);
+
+      try {
+        const response = await filesApi.searchContent(projectId, query, {
+          caseSensitive,
+          wholeWord,
+          regex,
+          include,
+          exclude,
+          page: pageToLoad,
+          limit: PAGE_SIZE,
+        });
+
+        const { data } = response;
+        setMatches((prev) =>
+          pageToLoad === 1 ? data.matches : [...prev, ...data.matches]
+        );
+        setSummary({
+          totalMatches: data.totalMatches,
+          filesMatched: data.filesMatched,
+          truncated: data.truncated,
+        });
+        setPage(pageToLoad);
+        setHasNextPage(data.pagination.hasNextPage);
+      } catch (err) {
+        setError(err.message);
+        if (pageToLoad === 1) {
+          setMatches([]);
+          setSummary(null);
+        }
+      } finally {
+        setIsSearching(false);
+      }
+    },
+    [projectId, query, caseSensitive, wholeWord, regex, include, exclude]
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(1);
+  };
+
+  const handlePreviewReplace = async () => {
+    if (!query.trim()) return;
+
+    setIsSearching(true);
+    setError(null);
+    setReplaceMessage(null);
+
+    try {
+      const response = await filesApi.previewReplace(projectId, {
+        query,
+        replacement,
+        caseSensitive,
+        wholeWord,
+        regex,
+        ...(include && { include }),
+        ...(exclude && { exclude }),
+      });
+
+      const { data } = response;
+      setPreview(data);
+      setSelectedHunks(
+        new Set(
+          data.files.flatMap((file) =>
+            file.hunks.map((hunk) => hunkKey(file.fileId, hunk.id))
+          )
+        )
+      );
+    } catch (err) {
+      setError(err.message);
+      setPreview(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const toggleHunk = (key) => {
+    setSelectedHunks((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleApplyReplace = async () => {
+    if (!preview || selectedHunks.size === 0) return;
+
+    if (
+      hasUnsavedChanges &&
+      !window.confirm(
+        "You have unsaved changes. Replacing will reload the project from the server and discard them. Continue?"
+      )
+    ) {
+      return;
+    }
+
+    const selections = preview.files
+      .map((file) => ({
+        fileId: file.fileId,
+        baseVersion: file.version,
+        hunks: file.hunks
+          .filter((hunk) => selectedHunks.has(hunkKey(file.fileId, hunk.id)))
+          .map((hunk) => hunk.id),
+      }))
+      .filter((selection) => selection.hunks.length > 0);
+
+    setIsApplying(true);
+    setError(null);
+
+    try {
+      const response = await filesApi.applyReplace(projectId, {
+        query,
+        replacement,
+        caseSensitive,
+        wholeWord,
+        regex,
+        ...(include && { include }),
+        ...(exclude && { exclude }),
+        files: selections,
+      });
+
+      const { totalReplacements, files } = response.data;
+      setReplaceMessage(
+        `Replaced ${totalReplacements} occurrence${
+          totalReplacements === 1 ? "" : "s"
+        } in ${files.length} file${files.length === 1 ? "" : "s"}`
+      );
+      setPreview(null);
+      setSelectedHunks(new Set());
+      setMatches([]);
+      setSummary(null);
+
+      if (typeof onReplaced === "function") await onReplaced();
+    } catch (err) {
+      setError(
+        err.status === 409
+          ? `${err.message}. Preview again to see the latest changes.`
+          : err.message
+      );
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  if (!projectId || projectId === "default" || projectId.startsWith("guest-")) {
+    return (
+      <div className="search-panel">
+        <div className="fe-header">
+          <span>Search</span>
+        </div>
+        <div className="search-empty">
+          Save this project to search across its files.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="search-panel">
+      <div className="fe-header">
+        <span>Search</span>
+        <div className="fe-header-actions">
+          <button
+            className={`icon-btn ${showReplace ? "active" : ""}`}
+            title="Toggle Replace"
+            aria-label="Toggle Replace"
+            onClick={() => {
+              setShowReplace((v) => !v);
+              setPreview(null);
+            }}
+          >
+            ⇄
+          </button>
+        </div>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <div className="search-input-row">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search"
+            aria-label="Search file contents"
+          />
+          <button
+            type="button"
+            className={`search-toggle ${caseSensitive ? "active" : ""}`}
+            title="Match Case"
+            onClick={() => setCaseSensitive((v) => !v)}
+          >
+            Aa
+          </button>
+          <button
+            type="button"
+            className={`search-toggle ${wholeWord ? "active" : ""}`}
+            title="Match Whole Word"
+            onClick={() => setWholeWord((v) => !v)}
+          >
+            ab
+          </button>
+          <button
+            type="button"
+            className={`search-toggle ${regex ? "active" : ""}`}
+            title="Use Regular Expression"
+            onClick={() => setRegex((v) => !v)}
+          >
+            .*
+          </button>
+        </div>
+
+        {showReplace && (
+          <div className="search-input-row">
+            <input
+              type="text"
+              value={replacement}
+              onChange={(e) => setReplacement(e.target.value)}
+              placeholder={regex ? "Replace ($1, $& supported)" : "Replace"}
+              aria-label="Replacement text"
+            />
+            <button
+              type="button"
+              className="search-toggle"
+              title="Preview Replace"
+              onClick={handlePreviewReplace}
+              disabled={isSearching || !query.trim()}
+            >
+              Preview
+            </button>
+          </div>
+        )}
+
+        <button
+          type="button"
+          className="link-button search-globs-toggle"
+          onClick={() => setShowGlobs((v) => !v)}
+        >
+          {showGlobs ? "Hide file filters" : "File filters…"}
+        </button>
+
+        {showGlobs && (
+          <>
+            <input
+              type="text"
+              value={include}
+              onChange={(e) => setInclude(e.target.value)}
+              placeholder="files to include (e.g. src/**/*.jsx)"
+              aria-label="Files to include"
+            />
+            <input
+              type="text"
+              value={exclude}
+              onChange={(e) => setExclude(e.target.value)}
+              placeholder="files to exclude (e.g. *.css)"
+              aria-label="Files to exclude"
+            />
+          </>
+        )}
+      </form>
+
+      {error && <div className="search-error">{error}</div>}
+
+      {replaceMessage && <div className="search-summary">{replaceMessage}</div>}
+
+      {showReplace && preview && (
+        <div className="search-results replace-preview">
+          <div className="search-summary">
+            {preview.totalHunks} change{preview.totalHunks === 1 ? "" : "s"} in{" "}
+            {preview.files.length} file{preview.files.length === 1 ? "" : "s"}
+            {preview.truncated && " (preview capped, refine your search)"}
+          </div>
+
+          {preview.files.map((file) => (
+            <div key={file.fileId} className="search-file">
+              <div className="search-file-name" title={file.path}>
+                {file.name}
+                <span className="search-file-path">{file.path}</span>
+              </div>
+              {file.hunks.map((hunk) => {
+                const key = hunkKey(file.fileId, hunk.id);
+                return (
+                  <label key={key} className="replace-hunk">
+                    <input
+                      type="checkbox"
+                      checked={selectedHunks.has(key)}
+                      onChange={() => toggleHunk(key)}
+                    />
+                    <span className="search-match-line">{hunk.line}</span>
+                    <span className="replace-hunk-diff">
+                      <del>
+                        <Snippet snippet={hunk.before} />
+                      </del>
+                      <ins>
+                        <Snippet snippet={hunk.after} />
+                      </ins>
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          ))}
+
+          <button
+            className="search-more"
+            onClick={handleApplyReplace}
+            disabled={isApplying || selectedHunks.size === 0}
+          >
+            {isApplying
+              ? "Replacing..."
+              : `Replace selected (${selectedHunks.size})`}
+          </button>
+        </div>
+      )}
+
+      {summary && (
+        <div className="search-summary">
+          {summary.totalMatches} result{summary.totalMatches === 1 ? "" : "s"}{" "}
+          in {summary.filesMatched} file{summary.filesMatched === 1 ? "" : "s"}
+          {summary.truncated && " (results capped, refine your search)"}
+        </div>
+      )}
+
+      <div className="search-results">
+        {groups.map((group) => (
+          <div key={group.path} className="search-file">
+            <div className="search-file-name" title={group.path}>
+              {group.name}
+              <span className="search-file-path">{group.path}</span>
+            </div>
+            {group.matches.map((match) => (
+              <button
+                key={`${match.line}:${match.column}`}
+                className="search-match"
+                onClick={() => onOpenMatch(match)}
+              >
+                <span className="search-match-line">{match.line}</span>
+                <Snippet snippet={match.snippet} />
+              </button>
+            ))}
+          </div>
+        ))}
+
+        {hasNextPage && (
+          <button
+            className="search-more"
+            onClick={() => runSearch(page + 1)}
+            disabled={isSearching}
+          >
+            {isSearching ? "Loading..." : "Load more results"}
+          </button>
+        )}
+
+        {isSearching && matches.length === 0 && (
+          <div className="search-empty">Searching...</div>
+        )}
+      </div>
+    </div>
+  );
+}
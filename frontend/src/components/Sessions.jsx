@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { authApi } from "../lib/api";
+
+// Devices signed in to the account, in the user profile
+export default function Sessions({ onSignedOut }) {
+  const { logout, endSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    authApi
+      .getSessions()
+      .then((response) => setSessions(response.data.sessions))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setError(null);
+    try {
+      if (session.isCurrent) {
+        await logout();
+        onSignedOut();
+        return;
+      }
+
+      await authApi.revokeSession(session._id);
+      setSessions((prev) => prev.filter((item) => item._id !== session._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm("Sign out of every device, including this one?")) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await authApi.revokeAllSessions();
+      endSession();
+      onSignedOut();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="sessions">
+      {error && <div className="error-message">{error}</div>}
+
+      {isLoading ? (
+        <div className="loading">Loading sessions...</div>
+      ) : (
+        <ul className="session-list">
+          {sessions.map((session) => (
+            <li key={session._id}>
+              <div>
+                <strong>{session.device}</strong>
+                {session.isCurrent && <span className="badge">This device</span>}
+                <small>
+                  {session.ip || "Unknown IP"} · Last seen{" "}
+                  {new Date(session.lastSeenAt).toLocaleString()}
+                </small>
+              </div>
+              <button
+                type="button"
+                className="profile-button danger"
+                onClick={() => handleRevoke(session)}
+              >
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        type="button"
+        className="profile-button danger"
+        onClick={handleRevokeAll}
+      >
+        Sign out everywhere
+      </button>
+    </div>
+  );
+}
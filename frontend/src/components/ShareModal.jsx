@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { collaboratorsApi, shareLinksApi } from "../lib/api";
+
+const ROLES = ["viewer", "editor", "admin"];
+
+const SCOPES = {
+  view: "Can view",
+  fork: "Can view and fork",
+  edit: "Can edit (signed-in users)",
+};
+
+const EXPIRY_OPTIONS = [
+  { value: "", label: "Never expires" },
+  { value: "1", label: "Expires in 1 day" },
+  { value: "7", label: "Expires in 7 days" },
+  { value: "30", label: "Expires in 30 days" },
+];
+
+const displayName = (user) =>
+  user?.firstName
+    ? `${user.firstName} ${user.lastName || ""}`.trim()
+    : user?.username || "Unknown";
+
+// Links that give anyone who has them access to the project, with an
+// optional password and expiry
+function ShareLinks({ projectId, onError }) {
+  const [shareLinks, setShareLinks] = useState([]);
+  const [scope, setScope] = useState("view");
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [password, setPassword] = useState("");
+  const [label, setLabel] = useState("");
+
+  useEffect(() => {
+    loadShareLinks();
+  }, [projectId]);
+
+  const loadShareLinks = async () => {
+    try {
+      const response = await shareLinksApi.getAll(projectId);
+      setShareLinks(response.data.shareLinks);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    onError(null);
+
+    try {
+      await shareLinksApi.create(projectId, {
+        scope,
+        label,
+        password: password || undefined,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+      });
+      setPassword("");
+      setLabel("");
+      await loadShareLinks();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    if (!confirm("Revoke this link? Anyone using it will lose access.")) return;
+    onError(null);
+
+    try {
+      await shareLinksApi.revoke(projectId, linkId);
+      await loadShareLinks();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const linkUrl = (link) => `${window.location.origin}/?share=${link.token}`;
+  const embedCode = (link) =>
+    `<iframe src="${window.location.origin}/embed/${projectId}?share=${link.token}" ` +
+    `width="800" height="500" style="border:0" loading="lazy"></iframe>`;
+
+  return (
+    <div className="share-links">
+      <h3>Share links</h3>
+      <form onSubmit={handleCreate} className="share-link-form">
+        <select value={scope} onChange={(e) => setScope(e.target.value)}>
+          {Object.entries(SCOPES).map(([value, text]) => (
+            <option key={value} value={value}>
+              {text}
+            </option>
+          ))}
+        </select>
+        <select
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          placeholder="Label (optional)"
+          maxLength={100}
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (optional)"
+          autoComplete="new-password"
+        />
+        <button type="submit" className="btn-primary">
+          Create link
+        </button>
+      </form>
+
+      <ul className="share-members">
+        {shareLinks.map((link) => (
+          <li key={link._id} className="share-member">
+            <span>
+              {link.label || SCOPES[link.scope]}
+              <small>
+                {link.label && `${SCOPES[link.scope]} · `}
+                {link.expiresAt
+                  ? `expires ${new Date(link.expiresAt).toLocaleDateString()}`
+                  : "never expires"}
+                {link.hasPassword && " · password"}
+                {link.lastUsedAt &&
+                  ` · last used ${new Date(
+                    link.lastUsedAt
+                  ).toLocaleDateString()}`}
+              </small>
+            </span>
+            <button
+              className="btn-secondary"
+              onClick={() => navigator.clipboard?.writeText(linkUrl(link))}
+              title={linkUrl(link)}
+            >
+              Copy
+            </button>
+            <button
+              className="btn-secondary"
+              onClick={() => navigator.clipboard?.writeText(embedCode(link))}
+              title="Copy the HTML to embed a read-only view"
+            >
+              Embed
+            </button>
+            <button
+              className="btn-secondary"
+              onClick={() => handleRevoke(link._id)}
+            >
+              Revoke
+            </button>
+          </li>
+        ))}
+        {shareLinks.length === 0 && (
+          <li className="share-member pending">
+            <span>No active share links.</span>
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+export default function ShareModal({ projectId, onClose }) {
+  const { user } = useAuth();
+  const [owner, setOwner] = useState(null);
+  const [collaborators, setCollaborators] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [role, setRole] = useState(null);
+  const [email, setEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("viewer");
+  const [inviteLink, setInviteLink] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canManage = role === "owner" || role === "admin";
+
+  useEffect(() => {
+    loadCollaborators();
+  }, [projectId]);
+
+  const loadCollaborators = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await collaboratorsApi.getAll(projectId);
+      setOwner(response.data.owner);
+      setCollaborators(response.data.collaborators);
+      setInvitations(response.data.invitations);
+      setRole(response.data.role);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a collaborator action, then reload the list
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadCollaborators();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await collaboratorsApi.invite(
+        projectId,
+        email,
+        inviteRole
+      );
+      const { invitation, emailSent } = response.data;
+      setInviteLink(
+        `${window.location.origin}/?invitation=${invitation.token}`
+      );
+      // Say so when the email failed, so the link is passed on by hand
+      if (!emailSent) setError(response.message);
+      setEmail("");
+      await loadCollaborators();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Admins can manage everyone but admins; the owner can manage everyone
+  const canManageMember = (member) =>
+    canManage && (role === "owner" || member.role !== "admin");
+
+  return (
+    <div className="auth-modal-overlay" onClick={onClose}>
+      <div className="auth-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="auth-modal-header">
+          <h2>Share Project</h2>
+          <button className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="auth-form">
+          {error && <div className="error-message">{error}</div>}
+
+          {canManage && (
+            <form onSubmit={handleInvite} className="share-invite">
+              <input
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Invite by email"
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+              >
+                {ROLES.filter((r) => r !== "admin" || role === "owner").map(
+                  (r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  )
+                )}
+              </select>
+              <button type="submit" className="btn-primary">
+                Invite
+              </button>
+            </form>
+          )}
+
+          {inviteLink && (
+            <div className="share-link">
+              <span>Invitation link:</span>
+              <input readOnly value={inviteLink} onFocus={(e) => e.target.select()} />
+            </div>
+          )}
+
+          {loading ? (
+            <div className="loading">Loading collaborators...</div>
+          ) : (
+            <ul className="share-members">
+              {owner && (
+                <li className="share-member">
+                  <span>
+                    {displayName(owner)}
+                    <small>{owner.email}</small>
+                  </span>
+                  <span className="badge role">owner</span>
+                </li>
+              )}
+              {collaborators.map((member) => (
+                <li key={member.userId._id} className="share-member">
+                  <span>
+                    {displayName(member.userId)}
+                    <small>{member.userId.email}</small>
+                  </span>
+                  {canManageMember(member) ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) =>
+                        runAction(() =>
+                          collaboratorsApi.updateRole(
+                            projectId,
+                            member.userId._id,
+                            e.target.value
+                          )
+                        )
+                      }
+                    >
+                      {ROLES.filter(
+                        (r) => r !== "admin" || role === "owner"
+                      ).map((r) => (
+                        <option key={r} value={r}>
+                          {r}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="badge role">{member.role}</span>
+                  )}
+                  {(canManageMember(member) ||
+                    member.userId._id === user?._id) && (
+                    <button
+                      className="btn-secondary"
+                      onClick={() =>
+                        runAction(() =>
+                          collaboratorsApi.remove(projectId, member.userId._id)
+                        )
+                      }
+                    >
+                      {member.userId._id === user?._id ? "Leave" : "Remove"}
+                    </button>
+                  )}
+                </li>
+              ))}
+              {invitations.map((invitation) => (
+                <li key={invitation._id} className="share-member pending">
+                  <span>
+                    {invitation.email}
+                    <small>Invited as {invitation.role}</small>
+                  </span>
+                  <button
+                    className="btn-secondary"
+                    onClick={() =>
+                      runAction(() =>
+                        collaboratorsApi.revokeInvitation(
+                          projectId,
+                          invitation._id
+                        )
+                      )
+                    }
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canManage && <ShareLinks projectId={projectId} onError={setError} />}
+        </div>
+      </div>
+    </div>
+  );
+}
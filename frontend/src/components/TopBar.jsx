@@ -1,8 +1,44 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import AuthModal from "./AuthModal";
 import UserProfile from "./UserProfile";
-import { useSearchParams } from "react-router-dom";
+import ShareModal from "./ShareModal";
+import ForksModal from "./ForksModal";
+import NewProjectModal from "./NewProjectModal";
+import SaveTemplateModal from "./SaveTemplateModal";
+import { useSearchParams, useLocation, useNavigate } from "react-router-dom";
+import { projectsApi } from "../lib/api";
+import { getPresenceColor, getPresenceName } from "../lib/presence";
+
+// Everyone else who has the project open
+function PresenceAvatars({ users }) {
+  if (!users.length) return null;
+
+  return (
+    <div className="presence-avatars">
+      {users.map((peer) => {
+        const name = getPresenceName(peer);
+        const title = peer.activePath ? `${name} — ${peer.activePath}` : name;
+        return (
+          <span
+            key={peer.userId}
+            className="presence-avatar"
+            title={title}
+            style={{ borderColor: getPresenceColor(peer.userId) }}
+          >
+            {peer.avatar ? (
+              <img src={peer.avatar} alt={name} />
+            ) : (
+              <span style={{ background: getPresenceColor(peer.userId) }}>
+                {name.charAt(0).toUpperCase()}
+              </span>
+            )}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
 
 export default function TopBar({
   projectId,
@@ -11,6 +47,11 @@ export default function TopBar({
   onLoad,
   onCreateProject,
   onShowProjectList,
+  onProjectImported,
+  onUpstreamSynced,
+  backendProject,
+  projectRole,
+  isReadOnly,
   autosave,
   setAutosave,
   theme,
@@ -18,15 +59,25 @@ export default function TopBar({
   isSaving,
   isLoading,
   hasUnsavedChanges,
+  presentUsers = [],
 }) {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, completeOidc } = useAuth();
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [authMode, setAuthMode] = useState("login");
+  const [authToken, setAuthToken] = useState(null);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [showNewProjectModal, setShowNewProjectModal] = useState(false);
   const [showUserProfile, setShowUserProfile] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [showShareModal, setShowShareModal] = useState(false);
+  const [showForksModal, setShowForksModal] = useState(false);
+  const [showSaveTemplateModal, setShowSaveTemplateModal] = useState(false);
 
   const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const handledOidcCallback = useRef(false);
 
   // Only sync projectId to URL (one-way sync to avoid conflicts)
   useEffect(() => {
@@ -41,6 +92,56 @@ export default function TopBar({
     }
   }, [projectId, setSearchParams]);
 
+  // Open the matching screen for a link from a verification or password
+  // reset email (?verify-email=<token> or ?reset-password=<token>)
+  useEffect(() => {
+    const link = [
+      ["verify-email", "verify"],
+      ["reset-password", "reset"],
+    ].find(([param]) => searchParams.has(param));
+    if (!link) return;
+
+    const [param, mode] = link;
+    setAuthToken(searchParams.get(param));
+    setAuthMode(mode);
+    setShowAuthModal(true);
+    setSearchParams((prev) => {
+      const newParams = new URLSearchParams(prev);
+      newParams.delete(param);
+      return newParams;
+    });
+  }, []);
+
+  // Finish signing in or linking with an OpenID Connect provider, which
+  // redirects back to /auth/callback
+  useEffect(() => {
+    if (location.pathname !== "/auth/callback" || handledOidcCallback.current) {
+      return;
+    }
+    handledOidcCallback.current = true;
+
+    const params = Object.fromEntries(searchParams);
+    navigate("/", { replace: true });
+
+    if (params.error) {
+      alert("Sign-in failed: " + (params.error_description || params.error));
+      return;
+    }
+
+    completeOidc(params)
+      .then((response) => {
+        if (response.data.twoFactorRequired) {
+          setAuthToken(response.data.challengeToken);
+          setAuthMode("two-factor");
+          setShowAuthModal(true);
+        } else if (response.data.linked) {
+          alert(response.message);
+          setShowUserProfile(true);
+        }
+      })
+      .catch((err) => alert("Sign-in failed: " + err.message));
+  }, []);
+
   // Handle project ID input change
   const handleProjectIdChange = (e) => {
     const newProjectId = e.target.value;
@@ -83,20 +184,44 @@ export default function TopBar({
     }
   };
 
-  const handleNewProject = async (e) => {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    const name = formData.get("name");
-    const description = formData.get("description");
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const { blob, filename } = await projectsApi.export(projectId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert("Failed to export project: " + error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleImport = async (upload) => {
+    setIsImporting(true);
+    try {
+      const response = await projectsApi.import(upload);
+      const { project, skipped } = response.data;
 
-    if (name) {
-      try {
-        const newProject = await onCreateProject(name, description);
-        setShowNewProjectModal(false);
-      } catch (error) {
-        alert("Failed to create project: " + error.message);
-        setShowNewProjectModal(false);
+      setShowNewProjectModal(false);
+      onProjectImported(project._id);
+
+      if (skipped.length > 0) {
+        alert(
+          `Imported ${project.name}. Skipped ${skipped.length} file(s):\n` +
+            skipped.map((item) => `${item.path} (${item.reason})`).join("\n")
+        );
       }
+    } catch (error) {
+      alert("Failed to import project: " + error.message);
+    } finally {
+      setIsImporting(false);
     }
   };
 
@@ -116,14 +241,42 @@ export default function TopBar({
           />
           <button
             onClick={onSave}
-            disabled={isSaving}
+            disabled={isSaving || isReadOnly}
             className={hasUnsavedChanges ? "unsaved-changes" : ""}
+            title={isReadOnly ? "You have view-only access to this project" : ""}
           >
             {isSaving ? "Saving..." : hasUnsavedChanges ? "Save*" : "Save"}
           </button>
           <button onClick={onLoad} disabled={isLoading}>
             {isLoading ? "Loading..." : "Load"}
           </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || !projectId || projectId === "default"}
+            title="Download project as ZIP"
+          >
+            {isExporting ? "Exporting..." : "⬇ Download project"}
+          </button>
+          {isAuthenticated && projectRole && (
+            <button onClick={() => setShowShareModal(true)}>👥 Share</button>
+          )}
+          {backendProject && (
+            <button
+              onClick={() => setShowForksModal(true)}
+              title="Forks of this project"
+            >
+              ⑂ Forks
+              {backendProject.forkCount > 0 && ` (${backendProject.forkCount})`}
+            </button>
+          )}
+          {isAuthenticated && backendProject && (
+            <button
+              onClick={() => setShowSaveTemplateModal(true)}
+              title="Save this project as a reusable template"
+            >
+              ⧉ Save as template
+            </button>
+          )}
           <button onClick={onShowProjectList}>📁 My Projects</button>
           <button onClick={handleCreateProject}>+ New Project</button>
           <label className="autosave">
@@ -136,6 +289,7 @@ export default function TopBar({
           </label>
         </div>
         <div className="right">
+          <PresenceAvatars users={presentUsers} />
           <button
             className="theme"
             onClick={() => setTheme(theme === "dark" ? "light" : "dark")}
@@ -177,6 +331,17 @@ export default function TopBar({
                   >
                     Settings
                   </button>
+                  {user?.role === "admin" && (
+                    <button
+                      className="user-menu-item"
+                      onClick={() => {
+                        setShowUserMenu(false);
+                        navigate("/admin");
+                      }}
+                    >
+                      Admin
+                    </button>
+                  )}
                   <button
                     className="user-menu-item danger"
                     onClick={() => {
@@ -206,6 +371,7 @@ export default function TopBar({
         isOpen={showAuthModal}
         onClose={() => setShowAuthModal(false)}
         mode={authMode}
+        token={authToken}
       />
 
       <UserProfile
@@ -213,59 +379,38 @@ export default function TopBar({
         onClose={() => setShowUserProfile(false)}
       />
 
+      {showShareModal && (
+        <ShareModal
+          projectId={projectId}
+          onClose={() => setShowShareModal(false)}
+        />
+      )}
+
+      {showForksModal && backendProject && (
+        <ForksModal
+          project={backendProject}
+          hasUnsavedChanges={hasUnsavedChanges}
+          onSelectProject={onProjectImported}
+          onSynced={onUpstreamSynced}
+          onClose={() => setShowForksModal(false)}
+        />
+      )}
+
+      {showSaveTemplateModal && backendProject && (
+        <SaveTemplateModal
+          project={backendProject}
+          hasUnsavedChanges={hasUnsavedChanges}
+          onClose={() => setShowSaveTemplateModal(false)}
+        />
+      )}
+
       {showNewProjectModal && (
-        <div
-          className="auth-modal-overlay"
-          onClick={() => setShowNewProjectModal(false)}
-        >
-          <div className="auth-modal" onClick={(e) => e.stopPropagation()}>
-            <div className="auth-modal-header">
-              <h2>Create New Project</h2>
-              <button
-                className="close-button"
-                onClick={() => setShowNewProjectModal(false)}
-              >
-                ×
-              </button>
-            </div>
-            <form onSubmit={handleNewProject} className="auth-form">
-              <div className="form-group">
-                <label htmlFor="name">Project Name *</label>
-                <input
-                  type="text"
-                  id="name"
-                  name="name"
-                  required
-                  placeholder="Enter project name"
-                />
-              </div>
-              <div className="form-group">
-                <label htmlFor="description">Description</label>
-                <textarea
-                  id="description"
-                  name="description"
-                  rows="3"
-                  placeholder="Project description (optional)"
-                  style={{
-                    width: "100%",
-                    padding: "12px 16px",
-                    border: "2px solid var(--border-color)",
-                    borderRadius: "8px",
-                    backgroundColor: "var(--input-bg)",
-                    color: "var(--text-color)",
-                    fontSize: "14px",
-                    resize: "vertical",
-                    minHeight: "80px",
-                    boxSizing: "border-box",
-                  }}
-                />
-              </div>
-              <button type="submit" className="auth-button">
-                Create Project
-              </button>
-            </form>
-          </div>
-        </div>
+        <NewProjectModal
+          onCreate={onCreateProject}
+          onImport={handleImport}
+          isImporting={isImporting}
+          onClose={() => setShowNewProjectModal(false)}
+        />
       )}
     </>
   );
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { authApi } from "../lib/api";
+
+// Recovery codes, shown once right after they are generated
+function RecoveryCodes({ codes, onDone }) {
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join("\n")}\n`], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "cipherstudio-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="two-factor-codes">
+      <p>
+        Save these recovery codes somewhere safe. Each one signs you in once if
+        you lose your authenticator app, and they won't be shown again.
+      </p>
+      <ul>
+        {codes.map((code) => (
+          <li key={code}>
+            <code>{code}</code>
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="profile-button primary"
+        onClick={handleDownload}
+      >
+        Download
+      </button>
+      <button type="button" className="profile-button primary" onClick={onDone}>
+        I've saved them
+      </button>
+    </div>
+  );
+}
+
+// Two-factor authentication settings in the user profile
+export default function TwoFactorSettings() {
+  const { refreshProfile } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const loadStatus = () =>
+    authApi
+      .getTwoFactorStatus()
+      .then((response) => setStatus(response.data))
+      .catch((err) => setError(err.message));
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Run a request, showing its message or error
+  const run = async (request) => {
+    setIsLoading(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const response = await request();
+      if (response.message) setSuccess(response.message);
+      return response;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSetup = async () => {
+    const response = await run(() => authApi.setupTwoFactor());
+    if (response) setEnrollment(response.data);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const response = await run(() => authApi.enableTwoFactor(code.trim()));
+    if (!response) return;
+
+    setEnrollment(null);
+    setCode("");
+    setRecoveryCodes(response.data.recoveryCodes);
+    await loadStatus();
+    refreshProfile();
+  };
+
+  const handleRegenerate = async () => {
+    const response = await run(() => authApi.regenerateRecoveryCodes(password));
+    if (!response) return;
+
+    setPassword("");
+    setRecoveryCodes(response.data.recoveryCodes);
+    loadStatus();
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm("Turn off two-factor authentication?")) return;
+
+    const response = await run(() => authApi.disableTwoFactor(password));
+    if (!response) return;
+
+    setPassword("");
+    await loadStatus();
+    refreshProfile();
+  };
+
+  if (!status) {
+    return error ? (
+      <div className="error-message">{error}</div>
+    ) : (
+      <div className="loading">Loading...</div>
+    );
+  }
+
+  return (
+    <div className="two-factor">
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {recoveryCodes ? (
+        <RecoveryCodes
+          codes={recoveryCodes}
+          onDone={() => {
+            setRecoveryCodes(null);
+            setSuccess(null);
+          }}
+        />
+      ) : status.enabled ? (
+        <div className="profile-form">
+          <p>
+            Two-factor authentication is <strong>on</strong>. Signing in asks
+            for a code from your authenticator app. You have{" "}
+            {status.recoveryCodesRemaining} recovery codes left.
+          </p>
+          <div className="form-group">
+            <label htmlFor="two-factor-password">Password</label>
+            <input
+              type="password"
+              id="two-factor-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Confirm with your password"
+            />
+          </div>
+          <button
+            type="button"
+            className="profile-button primary"
+            onClick={handleRegenerate}
+            disabled={isLoading || !password}
+          >
+            New recovery codes
+          </button>
+          <button
+            type="button"
+            className="profile-button danger"
+            onClick={handleDisable}
+            disabled={isLoading || !password}
+          >
+            Turn off
+          </button>
+        </div>
+      ) : enrollment ? (
+        <form onSubmit={handleEnable} className="profile-form">
+          <p>
+            Scan this QR code with an authenticator app, or enter the key by
+            hand, then enter the 6-digit code it shows.
+          </p>
+          <img
+            className="two-factor-qr"
+            src={enrollment.qrCode}
+            alt="QR code for your authenticator app"
+          />
+          <code className="two-factor-secret">{enrollment.secret}</code>
+          <div className="form-group">
+            <label htmlFor="two-factor-code">Code</label>
+            <input
+              type="text"
+              id="two-factor-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className="profile-button primary"
+            disabled={isLoading}
+          >
+            {isLoading ? "Verifying..." : "Turn on"}
+          </button>
+        </form>
+      ) : (
+        <div className="profile-form">
+          <p>
+            Protect your account with a code from an authenticator app, as well
+            as your password, when you sign in.
+          </p>
+          <button
+            type="button"
+            className="profile-button primary"
+            onClick={handleSetup}
+            disabled={isLoading}
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,39 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import { authApi } from "../lib/api";
+import AccessTokens from "./AccessTokens";
+import Sessions from "./Sessions";
+import TwoFactorSettings from "./TwoFactorSettings";
+import LinkedAccounts from "./LinkedAccounts";
+import AuditLog from "./AuditLog";
 import "../styles/user-profile.css";
 import "../styles/user-profile.css";
 
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// A bar showing how much of a quota is used
+function QuotaMeter({ label, used, limit, format = String }) {
+  const percent = Math.min(100, Math.round((used / limit) * 100));
+  const level = percent >= 90 ? "full" : percent >= 75 ? "high" : "";
+
+  return (
+    <div className="quota-meter">
+      <div className="quota-meter-label">
+        <span>{label}</span>
+        <span>
+          {format(used)} of {format(limit)}
+        </span>
+      </div>
+      <div className="quota-meter-track">
+        <div
+          className={`quota-meter-fill ${level}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
 const UserProfile = ({ isOpen, onClose }) => {
   const { user, updateProfile, logout } = useAuth();
   const [activeTab, setActiveTab] = useState("profile");
@@ -114,12 +144,12 @@ const UserProfile = ({ isOpen, onClose }) => {
       setIsLoading(true);
       setError(null);
 
-      await authApi.changePassword({
+      const response = await authApi.changePassword({
         currentPassword: passwordData.currentPassword,
         newPassword: passwordData.newPassword,
       });
 
-      setSuccess("Password changed successfully!");
+      setSuccess(response.message);
       setPasswordData({
         currentPassword: "",
         newPassword: "",
@@ -230,6 +260,20 @@ const UserProfile = ({ isOpen, onClose }) => {
     }
   };
 
+  // Email another verification link
+  const handleResendVerification = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await authApi.resendVerificationEmail();
+      setSuccess(response.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const clearMessages = () => {
     setError(null);
     setSuccess(null);
@@ -275,6 +319,53 @@ const UserProfile = ({ isOpen, onClose }) => {
           >
             Statistics
           </button>
+          <button
+            className={`tab-button ${activeTab === "sessions" ? "active" : ""}`}
+            onClick={() => {
+              setActiveTab("sessions");
+              clearMessages();
+            }}
+          >
+            Sessions
+          </button>
+          <button
+            className={`tab-button ${
+              activeTab === "two-factor" ? "active" : ""
+            }`}
+            onClick={() => {
+              setActiveTab("two-factor");
+              clearMessages();
+            }}
+          >
+            Two-Factor
+          </button>
+          <button
+            className={`tab-button ${activeTab === "linked" ? "active" : ""}`}
+            onClick={() => {
+              setActiveTab("linked");
+              clearMessages();
+            }}
+          >
+            Linked Accounts
+          </button>
+          <button
+            className={`tab-button ${activeTab === "activity" ? "active" : ""}`}
+            onClick={() => {
+              setActiveTab("activity");
+              clearMessages();
+            }}
+          >
+            Activity
+          </button>
+          <button
+            className={`tab-button ${activeTab === "tokens" ? "active" : ""}`}
+            onClick={() => {
+              setActiveTab("tokens");
+              clearMessages();
+            }}
+          >
+            Access Tokens
+          </button>
           <button
             className={`tab-button ${activeTab === "settings" ? "active" : ""}`}
             onClick={() => {
@@ -299,6 +390,21 @@ const UserProfile = ({ isOpen, onClose }) => {
                 </div>
                 <div className="info-item">
                   <strong>Email:</strong> {user?.email}
+                  {user?.isEmailVerified ? (
+                    <span className="email-status verified">Verified</span>
+                  ) : (
+                    <>
+                      <span className="email-status">Not verified</span>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={handleResendVerification}
+                        disabled={isLoading}
+                      >
+                        Resend verification email
+                      </button>
+                    </>
+                  )}
                 </div>
                 <div className="info-item">
                   <strong>Member since:</strong>{" "}
@@ -479,6 +585,28 @@ const UserProfile = ({ isOpen, onClose }) => {
                     <div className="stat-label">Archived Projects</div>
                   </div>
 
+                  {stats.quota && (
+                    <div className="quota-usage">
+                      <h3>Usage</h3>
+                      <QuotaMeter
+                        label="Projects"
+                        used={stats.quota.projects.used}
+                        limit={stats.quota.projects.limit}
+                      />
+                      <QuotaMeter
+                        label="Files in largest project"
+                        used={stats.quota.filesPerProject.used}
+                        limit={stats.quota.filesPerProject.limit}
+                      />
+                      <QuotaMeter
+                        label="Storage"
+                        used={stats.quota.storage.used}
+                        limit={stats.quota.storage.limit}
+                        format={formatMegabytes}
+                      />
+                    </div>
+                  )}
+
                   {stats.recentProjects && stats.recentProjects.length > 0 && (
                     <div className="recent-projects">
                       <h3>Recent Projects</h3>
@@ -501,6 +629,16 @@ const UserProfile = ({ isOpen, onClose }) => {
             </div>
           )}
 
+          {activeTab === "sessions" && <Sessions onSignedOut={onClose} />}
+
+          {activeTab === "two-factor" && <TwoFactorSettings />}
+
+          {activeTab === "linked" && <LinkedAccounts />}
+
+          {activeTab === "activity" && <AuditLog api={authApi} />}
+
+          {activeTab === "tokens" && <AccessTokens />}
+
           {activeTab === "settings" && (
             <div className="settings-content">
               <div className="danger-zone">
@@ -5,7 +5,7 @@ import React, {
   useEffect,
   useCallback,
 } from "react";
-import { authApi, getAuthToken } from "../lib/api";
+import { authApi, getAuthToken, onSignedOut } from "../lib/api";
 
 // Auth context
 const AuthContext = createContext();
@@ -15,6 +15,7 @@ const AUTH_ACTIONS = {
   LOGIN_START: "LOGIN_START",
   LOGIN_SUCCESS: "LOGIN_SUCCESS",
   LOGIN_FAILURE: "LOGIN_FAILURE",
+  TWO_FACTOR_REQUIRED: "TWO_FACTOR_REQUIRED",
   LOGOUT: "LOGOUT",
   SET_USER: "SET_USER",
   CLEAR_ERROR: "CLEAR_ERROR",
@@ -59,6 +60,13 @@ const authReducer = (state, action) => {
         error: action.payload,
       };
 
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+      };
+
     case AUTH_ACTIONS.LOGOUT:
       return {
         ...state,
@@ -113,12 +121,43 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // The session can end elsewhere, e.g. signed out from another device
+  useEffect(() => {
+    return onSignedOut(() => dispatch({ type: AUTH_ACTIONS.LOGOUT }));
+  }, []);
+
   // Login function
   const login = async (credentials) => {
     dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
     try {
       const response = await authApi.login(credentials);
+      // The caller asks for a code and finishes with loginWithTwoFactor
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED });
+        return response;
+      }
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: response.data,
+      });
+      return response;
+    } catch (error) {
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: error.message,
+      });
+      throw error;
+    }
+  };
+
+  // Finish a login that needs a two-factor code
+  const loginWithTwoFactor = async (challengeToken, code) => {
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const response = await authApi.loginWithTwoFactor(challengeToken, code);
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: response.data,
@@ -133,6 +172,19 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish signing in with an OpenID Connect provider, or linking one; the
+  // caller handles a two-factor challenge or a link
+  const completeOidc = async (params) => {
+    const response = await authApi.completeOidc(params);
+    if (response.data.token) {
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: response.data,
+      });
+    }
+    return response;
+  };
+
   // Register function
   const register = async (userData) => {
     dispatch({ type: AUTH_ACTIONS.LOGIN_START });
@@ -154,11 +206,16 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout function
-  const logout = () => {
-    authApi.logout();
+  const logout = async () => {
+    await authApi.logout();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
   };
 
+  // Forget the session locally once the server has already ended it
+  const endSession = useCallback(() => {
+    dispatch({ type: AUTH_ACTIONS.LOGOUT });
+  }, []);
+
   // Update user profile
   const updateProfile = async (profileData) => {
     try {
@@ -173,6 +230,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the user, e.g. after their email was verified
+  const refreshProfile = useCallback(async () => {
+    const response = await authApi.getProfile();
+    dispatch({
+      type: AUTH_ACTIONS.SET_USER,
+      payload: response.data.user,
+    });
+  }, []);
+
   // Clear error
   const clearError = useCallback(() => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -181,9 +247,13 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    loginWithTwoFactor,
+    completeOidc,
     register,
     logout,
+    endSession,
     updateProfile,
+    refreshProfile,
     clearError,
   };
 
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from "react";
+import { commentsApi } from "../lib/api";
+
+// Load the comment threads on a file. Threads are fetched again whenever
+// the file's saved version changes, so the server can re-anchor them.
+export default function useFileComments(fileId, version) {
+  const [threads, setThreads] = useState([]);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    if (!fileId) {
+      setThreads([]);
+      return;
+    }
+
+    try {
+      const response = await commentsApi.getForFile(fileId);
+      setThreads(response.data.threads);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fileId]);
+
+  // Threads belong to one file; don't show them on the next
+  useEffect(() => {
+    setThreads([]);
+  }, [fileId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload, version]);
+
+  // Run a comment action, then refresh the threads
+  const run = useCallback(
+    async (action) => {
+      try {
+        const response = await action();
+        await reload();
+        return response;
+      } catch (err) {
+        setError(err.message);
+        throw err;
+      }
+    },
+    [reload]
+  );
+
+  return {
+    threads,
+    error,
+    reload,
+    createThread: (range, body) =>
+      run(() => commentsApi.create(fileId, { ...range, body })),
+    reply: (threadId, body) => run(() => commentsApi.reply(threadId, body)),
+    edit: (commentId, body) => run(() => commentsApi.update(commentId, body)),
+    remove: (commentId) => run(() => commentsApi.delete(commentId)),
+    setResolved: (threadId, resolved) =>
+      run(() => commentsApi.resolve(threadId, resolved)),
+  };
+}
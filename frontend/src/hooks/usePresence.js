@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createPresenceChannel } from "../lib/presence";
+
+// Track who else has a project open while this tab reports its active file
+export default function usePresence(projectId, activePath, enabled = true) {
+  const [peers, setPeers] = useState([]);
+  const channelRef = useRef(null);
+  const activePathRef = useRef(activePath);
+
+  useEffect(() => {
+    if (!enabled || !projectId) return;
+
+    const channel = createPresenceChannel(projectId, { onPeers: setPeers });
+    channel.setActivePath(activePathRef.current);
+    channelRef.current = channel;
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+      setPeers([]);
+    };
+  }, [projectId, enabled]);
+
+  useEffect(() => {
+    activePathRef.current = activePath;
+    if (channelRef.current) channelRef.current.setActivePath(activePath);
+  }, [activePath]);
+
+  // One entry per person, even with the project open in several tabs
+  const users = useMemo(() => {
+    const byUser = new Map();
+    peers.forEach((peer) => {
+      if (!byUser.has(peer.userId)) byUser.set(peer.userId, peer);
+    });
+    return Array.from(byUser.values());
+  }, [peers]);
+
+  // Path -> people with that file open
+  const peersByPath = useMemo(() => {
+    const byPath = {};
+    peers.forEach((peer) => {
+      if (!peer.activePath) return;
+      const list = byPath[peer.activePath] || (byPath[peer.activePath] = []);
+      if (!list.some((entry) => entry.userId === peer.userId)) list.push(peer);
+    });
+    return byPath;
+  }, [peers]);
+
+  return { peers, users, peersByPath };
+}
@@ -1,7 +1,19 @@
-import { useEffect, useState, useMemo, useCallback } from "react";
+import { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import { projectsApi, filesApi } from "../lib/api";
 import { useAuth } from "../contexts/AuthContext";
 import DEFAULT_FILES from "../lib/defaultFiles";
+import { isAssetPath, parseDataUrl, toDataUrl } from "../lib/assets";
+
+// Binary files are stored as base64 but edited and previewed as data URLs
+const toFrontendContent = (file) =>
+  file.encoding === "base64"
+    ? toDataUrl(file.mimeType, file.content)
+    : file.content;
+
+// Lines an upstream sync writes around a hunk both projects changed
+const hasConflictMarkers = (content) =>
+  typeof content === "string" &&
+  /^(<<<<<<< fork|>>>>>>> upstream)$/m.test(content);
 
 export default function useProject(initialProjectId = "default") {
   const { isAuthenticated, user } = useAuth();
@@ -14,6 +26,11 @@ export default function useProject(initialProjectId = "default") {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [fileVersions, setFileVersions] = useState({}); // path -> server version
+  const [fileIds, setFileIds] = useState({}); // path -> server file ID
+  const livePathsRef = useRef(new Set()); // files the collaboration server persists
+  const [conflicts, setConflicts] = useState([]); // stale writes rejected by the server
+  const [mergeConflictPaths, setMergeConflictPaths] = useState([]); // left with markers by an upstream sync
 
   const convertBackendFiles = useCallback((backendFiles) => {
     const frontendFiles = {};
@@ -26,7 +43,7 @@ export default function useProject(initialProjectId = "default") {
           const normalizedPath = item.path.startsWith("/")
             ? item.path
             : `/${item.path}`;
-          frontendFiles[normalizedPath] = item.content;
+          frontendFiles[normalizedPath] = toFrontendContent(item);
         } else if (item.type === "folder" && item.children) {
           // Recursively process children
           traverseTree(item.children);
@@ -44,20 +61,102 @@ export default function useProject(initialProjectId = "default") {
       : DEFAULT_FILES;
   }, []);
 
-  // Convert frontend files to backend format
-  const convertFrontendFiles = useCallback((frontendFiles, projectIdValue) => {
-    return Object.entries(frontendFiles).map(([path, content]) => ({
-      path,
-      content,
-      projectId: projectIdValue,
-      name: path.split("/").pop() || "untitled",
-      type: "file", // Backend expects "file" type
-      language: getFileType(path), // Use language instead of type for file extension
-    }));
+  // Collect the server version of each file so saves can detect conflicts
+  const collectFileVersions = useCallback((backendFiles) => {
+    const versions = {};
+
+    const traverseTree = (items) => {
+      if (!Array.isArray(items)) return;
+
+      items.forEach((item) => {
+        if (item.type === "file" && item.path && item.metadata?.version) {
+          const normalizedPath = item.path.startsWith("/")
+            ? item.path
+            : `/${item.path}`;
+          versions[normalizedPath] = item.metadata.version;
+        } else if (item.type === "folder" && item.children) {
+          traverseTree(item.children);
+        }
+      });
+    };
+
+    traverseTree(backendFiles);
+    return versions;
+  }, []);
+
+  // Collect the ID of each file so it can be opened for live editing
+  const collectFileIds = useCallback((backendFiles) => {
+    const ids = {};
+
+    const traverseTree = (items) => {
+      if (!Array.isArray(items)) return;
+
+      items.forEach((item) => {
+        if (item.type === "file" && item.path && item._id) {
+          const normalizedPath = item.path.startsWith("/")
+            ? item.path
+            : `/${item.path}`;
+          ids[normalizedPath] = item._id;
+        } else if (item.type === "folder" && item.children) {
+          traverseTree(item.children);
+        }
+      });
+    };
+
+    traverseTree(backendFiles);
+    return ids;
   }, []);
 
+  // Collect the files an upstream sync left with conflict markers
+  const collectMergeConflicts = useCallback((backendFiles) => {
+    const paths = [];
+
+    const traverseTree = (items) => {
+      if (!Array.isArray(items)) return;
+
+      items.forEach((item) => {
+        if (item.type === "file" && item.path && item.mergeConflict) {
+          paths.push(item.path.startsWith("/") ? item.path : `/${item.path}`);
+        } else if (item.type === "folder" && item.children) {
+          traverseTree(item.children);
+        }
+      });
+    };
+
+    traverseTree(backendFiles);
+    return paths;
+  }, []);
+
+  // Merge conflicts count as resolved once the markers are edited out
+  const unresolvedMerges = useMemo(
+    () => mergeConflictPaths.filter((path) => hasConflictMarkers(files[path])),
+    [mergeConflictPaths, files]
+  );
+
+  // Convert frontend files to backend format
+  const convertFrontendFiles = useCallback(
+    (frontendFiles, projectIdValue, versions = {}) => {
+      return Object.entries(frontendFiles).map(([path, content]) => {
+        const asset = isAssetPath(path) ? parseDataUrl(content) : null;
+
+        return {
+          path,
+          content: asset ? asset.base64 : content,
+          encoding: asset ? "base64" : "utf8",
+          projectId: projectIdValue,
+          name: path.split("/").pop() || "untitled",
+          type: "file", // Backend expects "file" type
+          language: getFileType(path), // Use language instead of type for file extension
+          ...(versions[path] && { baseVersion: versions[path] }),
+        };
+      });
+    },
+    []
+  );
+
   // Get file type from extension
   const getFileType = (path) => {
+    if (isAssetPath(path)) return "binary";
     const ext = path.split(".").pop()?.toLowerCase();
     const typeMap = {
       js: "javascript",
@@ -92,6 +191,12 @@ export default function useProject(initialProjectId = "default") {
             );
 
             setFiles(loadedFiles);
+            setFileVersions(collectFileVersions(filesResponse.data.fileTree));
+            setFileIds(collectFileIds(filesResponse.data.fileTree));
+            setMergeConflictPaths(
+              collectMergeConflicts(filesResponse.data.fileTree)
+            );
+            setConflicts([]);
             const firstFilePath = Object.keys(loadedFiles)[0] || "";
             console.log("Setting active path to:", firstFilePath);
             setActivePath(firstFilePath);
@@ -121,6 +226,7 @@ export default function useProject(initialProjectId = "default") {
           setActivePath(Object.keys(DEFAULT_FILES)[0]);
         }
         setProject(null);
+        setMergeConflictPaths([]);
       } catch (err) {
         console.error("Error loading project:", err);
         setError(err.message);
@@ -150,20 +256,56 @@ export default function useProject(initialProjectId = "default") {
         setIsLoading(false);
       }
     },
-    [isAuthenticated, convertBackendFiles]
+    [isAuthenticated, convertBackendFiles, collectFileVersions]
   );
 
   // Save project to backend or localStorage
   const saveProject = useCallback(async () => {
     if (isSaving) return;
 
+    // Saving half-merged files would break the project for everyone
+    if (unresolvedMerges.length > 0) {
+      setError(
+        `Resolve the upstream merge conflicts in ${unresolvedMerges.join(
+          ", "
+        )} before saving`
+      );
+      return;
+    }
+
     setIsSaving(true);
     setError(null);
+    let hasConflicts = false;
+
+    // Remember the server versions of saved files for the next save
+    const rememberSavedFiles = ({ created = [], updated = [] } = {}) => {
+      setFileVersions((prev) => {
+        const next = { ...prev };
+        [...created, ...updated].forEach((f) => {
+          const normalizedPath = f.path.startsWith("/") ? f.path : `/${f.path}`;
+          next[normalizedPath] = f.version;
+        });
+        return next;
+      });
+      setFileIds((prev) => {
+        const next = { ...prev };
+        created.forEach((f) => {
+          const normalizedPath = f.path.startsWith("/") ? f.path : `/${f.path}`;
+          next[normalizedPath] = f.id;
+        });
+        return next;
+      });
+    };
 
     try {
       if (isAuthenticated && projectId !== "default" && project) {
         // For authenticated users with existing projects, use bulk update
-        const backendFiles = convertFrontendFiles(files, projectId);
+        // Files being edited live are saved by the collaboration server
+        const backendFiles = convertFrontendFiles(
+          files,
+          projectId,
+          fileVersions
+        ).filter((file) => !livePathsRef.current.has(file.path));
 
         console.log(
           `Saving ${backendFiles.length} files to backend via bulk update...`
@@ -176,6 +318,9 @@ export default function useProject(initialProjectId = "default") {
         const result = await filesApi.bulkUpdate(projectId, backendFiles);
         console.log("Bulk update result:", result);
         console.log("Files saved to backend successfully");
+
+        rememberSavedFiles(result.data?.results);
+        setConflicts([]);
       }
 
       // Always save to localStorage as backup
@@ -187,12 +332,29 @@ export default function useProject(initialProjectId = "default") {
       console.error("Error saving project:", err);
       setError(err.message);
 
+      // Someone else saved first: keep local edits and let the user decide
+      if (err.status === 409) {
+        hasConflicts = true;
+        // Files saved before the conflict was found keep their new versions
+        rememberSavedFiles(err.data?.data?.results);
+        setConflicts(
+          (err.data?.data?.conflicts || []).map((conflict) => ({
+            ...conflict,
+            content: toFrontendContent(conflict),
+            path: conflict.path.startsWith("/")
+              ? conflict.path
+              : `/${conflict.path}`,
+          }))
+        );
+      }
+
       // Fallback to localStorage
       const key = `cipherstudio:${projectId}`;
       localStorage.setItem(key, JSON.stringify({ files, activePath }));
     } finally {
       setIsSaving(false);
-      setHasUnsavedChanges(false); // Clear unsaved changes flag after successful save
+      // Clear unsaved changes flag unless the save was rejected as stale
+      setHasUnsavedChanges(hasConflicts);
     }
   }, [
     files,
@@ -201,11 +363,51 @@ export default function useProject(initialProjectId = "default") {
     project,
     isAuthenticated,
     convertFrontendFiles,
+    fileVersions,
+    unresolvedMerges,
   ]);
 
+  // Resolve a save conflict by keeping local edits ("mine") or taking the
+  // server copy ("theirs")
+  const resolveConflict = useCallback(
+    (path, resolution) => {
+      const conflict = conflicts.find((c) => c.path === path);
+      if (!conflict) return;
+
+      if (resolution === "theirs") {
+        setFiles((prev) => ({ ...prev, [path]: conflict.content }));
+      }
+
+      // Either way the local copy is now based on the latest server version
+      setFileVersions((prev) => ({
+        ...prev,
+        [path]: conflict.currentVersion,
+      }));
+
+      const remaining = conflicts.filter((c) => c.path !== path);
+      setConflicts(remaining);
+      if (remaining.length === 0) setError(null);
+    },
+    [conflicts]
+  );
+
+  // Track files bound to a live collaborative session
+  const setFileLive = useCallback((path, isLive) => {
+    if (isLive) {
+      livePathsRef.current.add(path);
+    } else {
+      livePathsRef.current.delete(path);
+    }
+  }, []);
+
+  // Record the version the collaboration server persisted a file at
+  const setFileVersion = useCallback((path, version) => {
+    setFileVersions((prev) => ({ ...prev, [path]: version }));
+  }, []);
+
   // Create a new project
   const createProject = useCallback(
-    async (name, description = "") => {
+    async (name, description = "", template = "react", templateId = null) => {
       if (!isAuthenticated) {
         // For guest mode, just switch to a new project ID
         const newId = `guest-${Date.now()}`;
@@ -217,26 +419,33 @@ export default function useProject(initialProjectId = "default") {
       }
 
       try {
-        // Create project first without files, then add files with correct projectId
+        // React projects start from the editor's default files; the other
+        // templates and saved templates get their files from the backend
+        const useDefaultFiles = template === "react" && !templateId;
         const newProject = await projectsApi.create({
           name,
           description,
-          files: convertFrontendFiles(DEFAULT_FILES, "temp"), // Temp projectId, will be replaced in backend
+          template,
+          ...(templateId && { templateId }),
+          ...(useDefaultFiles && {
+            files: convertFrontendFiles(DEFAULT_FILES, "temp"), // Temp projectId, will be replaced in backend
+          }),
         });
 
         const projectId = newProject.data.project._id;
 
         setProject(newProject.data.project);
-        setProjectId(projectId);
-        setFiles(DEFAULT_FILES);
-        setActivePath(Object.keys(DEFAULT_FILES)[0]);
+        setProjectId(projectId); // Loads the template's files from the backend
+        if (useDefaultFiles) {
+          setFiles(DEFAULT_FILES);
+          setActivePath(Object.keys(DEFAULT_FILES)[0]);
+        }
+        setFileVersions({});
+        setFileIds({});
+        setConflicts([]);
         setHasUnsavedChanges(false); // Mark as saved since we just created
 
-        console.log(
-          `Created new project: ${projectId} with ${
-            Object.keys(DEFAULT_FILES).length
-          } files`
-        );
+        console.log(`Created new ${template} project: ${projectId}`);
         return newProject.data.project;
       } catch (err) {
         console.error("Error creating project:", err);
@@ -418,15 +627,20 @@ export default function useProject(initialProjectId = "default") {
     [files, activePath, isAuthenticated, projectId, project]
   );
 
+  // Viewers can open a shared project but not change it
+  const isReadOnly = project?.role === "viewer";
+
   return {
     // Project state
     project,
     projectId,
     setProjectId,
+    isReadOnly,
 
     // Files state
     files,
     setFiles,
+    fileIds,
     activePath,
     setActivePath,
     sandpackFiles,
@@ -440,12 +654,17 @@ export default function useProject(initialProjectId = "default") {
     isSaving,
     error,
     hasUnsavedChanges,
+    conflicts,
+    unresolvedMerges,
 
     // File operations
     updateFile,
     createFile,
     deleteFile,
     renameFile,
+    resolveConflict,
+    setFileLive,
+    setFileVersion,
 
     // Project operations
     saveProject,
@@ -23,24 +23,164 @@ const setAuthToken = (token) => {
   } else {
     localStorage.removeItem("cipherstudio_token");
   }
+  scheduleTokenRefresh(token);
+};
+
+// Get the refresh token that renews the auth token
+const getRefreshToken = () => {
+  return localStorage.getItem("cipherstudio_refresh_token");
+};
+
+const setRefreshToken = (refreshToken) => {
+  if (refreshToken) {
+    localStorage.setItem("cipherstudio_refresh_token", refreshToken);
+  } else {
+    localStorage.removeItem("cipherstudio_refresh_token");
+  }
+};
+
+// Keep the tokens of a signed-in session
+const setSessionTokens = ({ token, refreshToken }) => {
+  setAuthToken(token);
+  // The refresh token is null when another tab rotated it first
+  if (refreshToken) setRefreshToken(refreshToken);
+};
+
+// Called when the session ends without the user signing out here, e.g. it
+// was signed out from another device or the password was changed elsewhere
+const signedOutListeners = new Set();
+
+const onSignedOut = (listener) => {
+  signedOutListeners.add(listener);
+  return () => signedOutListeners.delete(listener);
+};
+
+// Renew the auth token with the refresh token. Concurrent callers share one
+// request. Resolves to whether there is a fresh auth token.
+let refreshPromise = null;
+
+const refreshAuthToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) return false;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (response.ok) {
+        const { data } = await response.json();
+        setSessionTokens(data);
+        return true;
+      }
+
+      if (response.status === 401) {
+        setAuthToken(null);
+        setRefreshToken(null);
+        signedOutListeners.forEach((listener) => listener());
+      }
+      return false;
+    } catch (error) {
+      return false;
+    }
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+// When an auth token expires, in milliseconds, or null if it can't be read
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    return payload.exp * 1000;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Renew the auth token shortly before it expires, so WebSocket connections
+// made later still get a valid one. Tokens that can't be read are renewed
+// when a request is rejected.
+let refreshTimer = null;
+
+const scheduleTokenRefresh = (token) => {
+  clearTimeout(refreshTimer);
+  const expiresAt = token && getTokenExpiry(token);
+  if (!expiresAt) return;
+
+  const delay = Math.max(expiresAt - Date.now() - 60 * 1000, 0);
+  refreshTimer = setTimeout(refreshAuthToken, delay);
+};
+
+// Renew the auth token now if it has expired, for requests where the server
+// treats a rejected token as signed out rather than answering 401
+const ensureFreshToken = async () => {
+  const token = getAuthToken();
+  const expiresAt = token && getTokenExpiry(token);
+  if (expiresAt && expiresAt - Date.now() < 10 * 1000) {
+    await refreshAuthToken();
+  }
+};
+
+scheduleTokenRefresh(getAuthToken());
+
+// fetch with the auth token, renewing it once if it has expired
+const authorizedFetch = async (url, init = {}, retry = true) => {
+  const token = getAuthToken();
+  const response = await fetch(url, {
+    ...init,
+    headers: {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...init.headers,
+    },
+  });
+
+  if (response.status === 401 && token && retry && (await refreshAuthToken())) {
+    return authorizedFetch(url, init, false);
+  }
+
+  return response;
+};
+
+// Get the share link grant for this tab from sessionStorage
+const getShareGrant = () => {
+  return sessionStorage.getItem("cipherstudio_share_grant");
+};
+
+// Set the share link grant sent with every request from this tab
+const setShareGrant = (grant) => {
+  if (grant) {
+    sessionStorage.setItem("cipherstudio_share_grant", grant);
+  } else {
+    sessionStorage.removeItem("cipherstudio_share_grant");
+  }
 };
 
 // Generic API request function
 const apiRequest = async (endpoint, options = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
-  const token = getAuthToken();
+  const shareGrant = getShareGrant();
 
   const config = {
+    ...options,
     headers: {
       "Content-Type": "application/json",
-      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(shareGrant && { "X-Share-Token": shareGrant }),
       ...options.headers,
     },
-    ...options,
   };
 
   try {
-    const response = await fetch(url, config);
+    const response = await authorizedFetch(url, config);
     const data = await response.json();
 
     if (!response.ok) {
@@ -60,6 +200,29 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Query string of the filters that are set
+const toQuery = (params) =>
+  new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+
+// Download an audit log with the given filters as CSV ({ blob, filename })
+const exportAuditLog = async (path, params = {}) => {
+  const response = await authorizedFetch(
+    `${API_BASE_URL}${path}?${toQuery({ ...params, format: "csv" })}`
+  );
+
+  if (!response.ok) {
+    throw new ApiError("Failed to export audit log", response.status);
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+
+  return {
+    blob: await response.blob(),
+    filename: match ? match[1] : "audit-log.csv",
+  };
+};
+
 // Auth API functions
 export const authApi = {
   // Register a new user
@@ -70,7 +233,7 @@ export const authApi = {
     });
 
     if (response.data?.token) {
-      setAuthToken(response.data.token);
+      setSessionTokens(response.data);
     }
 
     return response;
@@ -84,15 +247,121 @@ export const authApi = {
     });
 
     if (response.data?.token) {
-      setAuthToken(response.data.token);
+      setSessionTokens(response.data);
+    }
+
+    return response;
+  },
+
+  // Finish logging in with a two-factor code, exchanging the challenge
+  // token from login
+  loginWithTwoFactor: async (challengeToken, code) => {
+    const response = await apiRequest("/users/login/2fa", {
+      method: "POST",
+      body: JSON.stringify({ challengeToken, code }),
+    });
+
+    if (response.data?.token) {
+      setSessionTokens(response.data);
     }
 
     return response;
   },
 
-  // Logout user
-  logout: () => {
+  // List the OpenID Connect providers users can sign in with
+  getSignInProviders: async () => {
+    return await apiRequest("/users/oidc/providers");
+  },
+
+  // Send the browser to a provider to sign in, or with intent "link" to link
+  // it to the current user. The state is kept to check the callback against.
+  startOidc: async (provider, intent = "login") => {
+    const response = await apiRequest(`/users/oidc/${provider}/${intent}`, {
+      method: "POST",
+    });
+
+    sessionStorage.setItem("cipherstudio_oidc_state", response.data.state);
+    window.location.assign(response.data.authorizationUrl);
+  },
+
+  // Finish signing in or linking with the parameters the provider
+  // redirected back with
+  completeOidc: async ({ code, state }) => {
+    const expectedState = sessionStorage.getItem("cipherstudio_oidc_state");
+    sessionStorage.removeItem("cipherstudio_oidc_state");
+
+    // Only finish flows this browser started
+    if (!state || state !== expectedState) {
+      throw new ApiError("This sign-in has expired. Please try again.", 400);
+    }
+
+    // Linking checks who is signed in
+    await ensureFreshToken();
+
+    const response = await apiRequest("/users/oidc/callback", {
+      method: "POST",
+      body: JSON.stringify({ code, state }),
+    });
+
+    if (response.data?.token) {
+      setSessionTokens(response.data);
+    }
+
+    return response;
+  },
+
+  // List linked providers and the ones that can be linked
+  getIdentities: async () => {
+    return await apiRequest("/users/identities");
+  },
+
+  // Unlink a provider from the current user
+  unlinkIdentity: async (provider) => {
+    return await apiRequest(`/users/identities/${provider}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Logout user, ending the session on the server too
+  logout: async () => {
+    try {
+      await apiRequest("/users/logout", { method: "POST" });
+    } catch (error) {
+      // The session may already have ended
+    }
+    setAuthToken(null);
+    setRefreshToken(null);
+  },
+
+  // List the signed-in sessions of the current user
+  getSessions: async () => {
+    return await apiRequest("/users/sessions");
+  },
+
+  // Sign out of one session
+  revokeSession: async (sessionId) => {
+    return await apiRequest(`/users/sessions/${sessionId}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Sign out of every session, this one included
+  revokeAllSessions: async () => {
+    const response = await apiRequest("/users/sessions", {
+      method: "DELETE",
+    });
     setAuthToken(null);
+    setRefreshToken(null);
+    return response;
+  },
+
+  // The user's own audit events ({ action, outcome, from, to, page, limit })
+  getAuditLog: async (params = {}) => {
+    return await apiRequest(`/users/audit-log?${toQuery(params)}`);
+  },
+
+  exportAuditLog: async (params = {}) => {
+    return await exportAuditLog("/users/audit-log", params);
   },
 
   // Get current user profile
@@ -116,6 +385,71 @@ export const authApi = {
     });
   },
 
+  // Confirm an email address with the token from a verification email
+  verifyEmail: async (token) => {
+    return await apiRequest("/users/verify-email", {
+      method: "POST",
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  // Send another verification email to the current user
+  resendVerificationEmail: async () => {
+    return await apiRequest("/users/verify-email/resend", {
+      method: "POST",
+    });
+  },
+
+  // Get whether two-factor authentication is on
+  getTwoFactorStatus: async () => {
+    return await apiRequest("/users/2fa");
+  },
+
+  // Start setting up two-factor authentication; returns the secret and QR code
+  setupTwoFactor: async () => {
+    return await apiRequest("/users/2fa/setup", { method: "POST" });
+  },
+
+  // Turn on two-factor authentication with a code from the authenticator app
+  enableTwoFactor: async (code) => {
+    return await apiRequest("/users/2fa/enable", {
+      method: "POST",
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  // Turn off two-factor authentication
+  disableTwoFactor: async (password) => {
+    return await apiRequest("/users/2fa", {
+      method: "DELETE",
+      body: JSON.stringify({ password }),
+    });
+  },
+
+  // Replace the two-factor recovery codes
+  regenerateRecoveryCodes: async (password) => {
+    return await apiRequest("/users/2fa/recovery-codes", {
+      method: "POST",
+      body: JSON.stringify({ password }),
+    });
+  },
+
+  // Email a password reset link
+  forgotPassword: async (email) => {
+    return await apiRequest("/users/forgot-password", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  // Set a new password with the token from a reset email
+  resetPassword: async (token, password) => {
+    return await apiRequest("/users/reset-password", {
+      method: "POST",
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
   // Get user statistics
   getStats: async () => {
     return await apiRequest("/users/stats");
@@ -144,6 +478,11 @@ export const projectsApi = {
     return await apiRequest("/projects");
   },
 
+  // Get projects other users shared with the current user
+  getShared: async () => {
+    return await apiRequest("/projects?shared=true");
+  },
+
   // Get a specific project
   getById: async (projectId) => {
     return await apiRequest(`/projects/${projectId}`);
@@ -193,10 +532,77 @@ export const projectsApi = {
     });
   },
 
+  // List the forks of a project
+  getForks: async (projectId) => {
+    return await apiRequest(`/projects/${projectId}/forks`);
+  },
+
+  // Merge upstream changes into a fork; dryRun only reports what would change
+  syncUpstream: async (projectId, dryRun = false) => {
+    return await apiRequest(`/projects/${projectId}/sync-upstream`, {
+      method: "POST",
+      body: JSON.stringify({ dryRun }),
+    });
+  },
+
   // Get public projects
   getPublic: async () => {
     return await apiRequest("/projects/public");
   },
+
+  // Import a project from a ZIP archive or the files of a folder
+  import: async ({ archive, files = [], name, description }) => {
+    const formData = new FormData();
+
+    if (archive) {
+      formData.append("archive", archive);
+    } else {
+      files.forEach((file) => formData.append("files", file));
+      formData.append(
+        "paths",
+        JSON.stringify(
+          files.map((file) => file.webkitRelativePath || file.name)
+        )
+      );
+    }
+    if (name) formData.append("name", name);
+    if (description) formData.append("description", description);
+
+    const response = await authorizedFetch(`${API_BASE_URL}/projects/import`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new ApiError(
+        data.message || "Failed to import project",
+        response.status,
+        data
+      );
+    }
+
+    return data;
+  },
+
+  // Export a project as a ZIP archive
+  export: async (projectId) => {
+    const url = `${API_BASE_URL}/projects/${projectId}/export`;
+
+    const response = await authorizedFetch(url);
+
+    if (!response.ok) {
+      throw new ApiError("Failed to export project", response.status);
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+
+    return {
+      blob: await response.blob(),
+      filename: match ? match[1] : `${projectId}.zip`,
+    };
+  },
 };
 
 // Files API functions
@@ -249,16 +655,41 @@ export const filesApi = {
     );
   },
 
+  // Search file contents in project
+  searchContent: async (projectId, query, options = {}) => {
+    const params = new URLSearchParams({ q: query });
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== "" && value !== false) {
+        params.set(key, String(value));
+      }
+    });
+
+    return await apiRequest(
+      `/files/project/${projectId}/search/content?${params.toString()}`
+    );
+  },
+
+  // Preview a project-wide find and replace
+  previewReplace: async (projectId, replaceData) => {
+    return await apiRequest(`/files/project/${projectId}/replace/preview`, {
+      method: "POST",
+      body: JSON.stringify(replaceData),
+    });
+  },
+
+  // Apply selected replace hunks across a project
+  applyReplace: async (projectId, replaceData) => {
+    return await apiRequest(`/files/project/${projectId}/replace`, {
+      method: "POST",
+      body: JSON.stringify(replaceData),
+    });
+  },
+
   // Download file
   download: async (fileId) => {
-    const token = getAuthToken();
     const url = `${API_BASE_URL}/files/${fileId}/download`;
 
-    const response = await fetch(url, {
-      headers: {
-        ...(token && { Authorization: `Bearer ${token}` }),
-      },
-    });
+    const response = await authorizedFetch(url);
 
     if (!response.ok) {
       throw new ApiError("Failed to download file", response.status);
@@ -267,6 +698,53 @@ export const filesApi = {
     return response.blob();
   },
 
+  // Upload a binary asset (image, font, audio) into a project
+  upload: async (projectId, file, parentId = null) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    formData.append("projectId", projectId);
+    if (parentId) formData.append("parentId", parentId);
+
+    const response = await authorizedFetch(`${API_BASE_URL}/files/upload`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new ApiError(
+        data.message || "Failed to upload file",
+        response.status,
+        data
+      );
+    }
+
+    return data;
+  },
+
+  // URL serving a file's raw content with its MIME type
+  getRawUrl: (fileId) => `${API_BASE_URL}/files/${fileId}/raw`,
+
+  // List revisions of a file
+  getRevisions: async (fileId, page = 1) => {
+    return await apiRequest(`/files/${fileId}/revisions?page=${page}`);
+  },
+
+  // Get a specific revision of a file
+  getRevision: async (fileId, revisionId) => {
+    return await apiRequest(`/files/${fileId}/revisions/${revisionId}`);
+  },
+
+  // Restore a file to a previous revision
+  restoreRevision: async (fileId, revisionId) => {
+    return await apiRequest(
+      `/files/${fileId}/revisions/${revisionId}/restore`,
+      {
+        method: "POST",
+      }
+    );
+  },
+
   // Bulk update files for a project
   bulkUpdate: async (projectId, files) => {
     return await apiRequest(`/files/project/${projectId}/bulk`, {
@@ -276,6 +754,331 @@ export const filesApi = {
   },
 };
 
+// Trash API functions
+export const trashApi = {
+  // List trashed projects and files (optionally for one project)
+  getAll: async (projectId = null) => {
+    const params = projectId ? `?projectId=${projectId}` : "";
+    return await apiRequest(`/trash${params}`);
+  },
+
+  // Restore a trashed project
+  restoreProject: async (projectId) => {
+    return await apiRequest(`/trash/projects/${projectId}/restore`, {
+      method: "POST",
+    });
+  },
+
+  // Permanently delete a trashed project
+  purgeProject: async (projectId) => {
+    return await apiRequest(`/trash/projects/${projectId}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Restore a trashed file or folder
+  restoreFile: async (fileId) => {
+    return await apiRequest(`/trash/files/${fileId}/restore`, {
+      method: "POST",
+    });
+  },
+
+  // Permanently delete a trashed file or folder
+  purgeFile: async (fileId) => {
+    return await apiRequest(`/trash/files/${fileId}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Permanently delete everything in the trash
+  empty: async () => {
+    return await apiRequest("/trash", {
+      method: "DELETE",
+    });
+  },
+};
+
+// Collaborators API functions
+export const collaboratorsApi = {
+  // List a project's owner, collaborators and pending invitations
+  getAll: async (projectId) => {
+    return await apiRequest(`/projects/${projectId}/collaborators`);
+  },
+
+  // Invite someone to a project by email
+  invite: async (projectId, email, role = "viewer") => {
+    return await apiRequest(`/projects/${projectId}/invitations`, {
+      method: "POST",
+      body: JSON.stringify({ email, role }),
+    });
+  },
+
+  // Revoke a pending invitation
+  revokeInvitation: async (projectId, invitationId) => {
+    return await apiRequest(
+      `/projects/${projectId}/invitations/${invitationId}`,
+      {
+        method: "DELETE",
+      }
+    );
+  },
+
+  // Change a collaborator's role
+  updateRole: async (projectId, userId, role) => {
+    return await apiRequest(`/projects/${projectId}/collaborators/${userId}`, {
+      method: "PUT",
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  // Remove a collaborator (or leave the project when it is yourself)
+  remove: async (projectId, userId) => {
+    return await apiRequest(`/projects/${projectId}/collaborators/${userId}`, {
+      method: "DELETE",
+    });
+  },
+
+  // List open invitations for the current user
+  getInvitations: async () => {
+    return await apiRequest("/invitations");
+  },
+
+  // Accept or decline an invitation
+  acceptInvitation: async (token) => {
+    return await apiRequest(`/invitations/${token}/accept`, {
+      method: "POST",
+    });
+  },
+
+  declineInvitation: async (token) => {
+    return await apiRequest(`/invitations/${token}/decline`, {
+      method: "POST",
+    });
+  },
+};
+
+// Comments API
+export const commentsApi = {
+  // Get comment threads (with replies) on a file
+  getForFile: async (fileId, status = "all") => {
+    return await apiRequest(`/files/${fileId}/comments?status=${status}`);
+  },
+
+  // List comment threads across a project
+  getForProject: async (projectId, status = "open") => {
+    return await apiRequest(`/projects/${projectId}/comments?status=${status}`);
+  },
+
+  // Start a thread on a line range
+  create: async (fileId, { body, startLine, endLine }) => {
+    return await apiRequest(`/files/${fileId}/comments`, {
+      method: "POST",
+      body: JSON.stringify({ body, startLine, endLine }),
+    });
+  },
+
+  reply: async (commentId, body) => {
+    return await apiRequest(`/comments/${commentId}/replies`, {
+      method: "POST",
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  update: async (commentId, body) => {
+    return await apiRequest(`/comments/${commentId}`, {
+      method: "PUT",
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  delete: async (commentId) => {
+    return await apiRequest(`/comments/${commentId}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Resolve a thread or open it again
+  resolve: async (commentId, resolved) => {
+    return await apiRequest(`/comments/${commentId}/resolve`, {
+      method: "PUT",
+      body: JSON.stringify({ resolved }),
+    });
+  },
+};
+
+// Share links API
+export const shareLinksApi = {
+  // List a project's active share links
+  getAll: async (projectId) => {
+    return await apiRequest(`/projects/${projectId}/share-links`);
+  },
+
+  // Create a share link ({ scope, label, password, expiresInDays })
+  create: async (projectId, options) => {
+    return await apiRequest(`/projects/${projectId}/share-links`, {
+      method: "POST",
+      body: JSON.stringify(options),
+    });
+  },
+
+  revoke: async (projectId, linkId) => {
+    return await apiRequest(`/projects/${projectId}/share-links/${linkId}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Open a share link; keeps the grant it returns for later requests
+  open: async (token, password) => {
+    const response = await apiRequest(`/share/${token}`, {
+      method: "POST",
+      body: JSON.stringify({ password }),
+    });
+
+    if (response.data?.grant) {
+      setShareGrant(response.data.grant);
+    }
+
+    return response;
+  },
+};
+
+// Personal access tokens API functions
+export const accessTokensApi = {
+  // List the user's active personal access tokens
+  getAll: async () => {
+    return await apiRequest("/users/tokens");
+  },
+
+  // Create a token ({ name, scopes, expiresInDays }); the response holds the
+  // token itself, which is never shown again
+  create: async (tokenData) => {
+    return await apiRequest("/users/tokens", {
+      method: "POST",
+      body: JSON.stringify(tokenData),
+    });
+  },
+
+  revoke: async (tokenId) => {
+    return await apiRequest(`/users/tokens/${tokenId}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+// Saved project templates API functions
+export const templatesApi = {
+  // List the templates the user can see ({ scope, search, tag, page, limit })
+  getAll: async (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value)
+    );
+    return await apiRequest(`/templates?${query}`);
+  },
+
+  getById: async (templateId) => {
+    return await apiRequest(`/templates/${templateId}`);
+  },
+
+  // Save a project as a template
+  // ({ projectId, name, description, thumbnail, tags, visibility })
+  create: async (templateData) => {
+    return await apiRequest("/templates", {
+      method: "POST",
+      body: JSON.stringify(templateData),
+    });
+  },
+
+  // Update a template; refreshFiles takes the project's current files
+  update: async (templateId, templateData) => {
+    return await apiRequest(`/templates/${templateId}`, {
+      method: "PUT",
+      body: JSON.stringify(templateData),
+    });
+  },
+
+  delete: async (templateId) => {
+    return await apiRequest(`/templates/${templateId}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+// Site administration API functions (admins only)
+export const adminApi = {
+  // System-wide counts of users, projects, files and sessions
+  getStats: async () => {
+    return await apiRequest("/admin/stats");
+  },
+
+  // List users ({ search, status, role, page, limit })
+  getUsers: async (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value)
+    );
+    return await apiRequest(`/admin/users?${query}`);
+  },
+
+  deactivateUser: async (userId) => {
+    return await apiRequest(`/admin/users/${userId}/deactivate`, {
+      method: "PUT",
+    });
+  },
+
+  reactivateUser: async (userId) => {
+    return await apiRequest(`/admin/users/${userId}/reactivate`, {
+      method: "PUT",
+    });
+  },
+
+  // Make a user an admin, or a regular user again
+  setUserRole: async (userId, role) => {
+    return await apiRequest(`/admin/users/${userId}/role`, {
+      method: "PUT",
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  // List every user's projects ({ search, visibility, userId, page, limit })
+  getProjects: async (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value)
+    );
+    return await apiRequest(`/admin/projects?${query}`);
+  },
+
+  // Take a project down from public view; its owner can't republish it
+  unpublishProject: async (projectId, reason = "") => {
+    return await apiRequest(`/admin/projects/${projectId}/unpublish`, {
+      method: "PUT",
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  republishProject: async (projectId) => {
+    return await apiRequest(`/admin/projects/${projectId}/republish`, {
+      method: "PUT",
+    });
+  },
+
+  // Every user's audit events ({ action, outcome, actorId, targetType,
+  // targetId, projectId, from, to, page, limit })
+  getAuditLog: async (params = {}) => {
+    return await apiRequest(`/admin/audit-log?${toQuery(params)}`);
+  },
+
+  exportAuditLog: async (params = {}) => {
+    return await exportAuditLog("/admin/audit-log", params);
+  },
+};
+
 // Export utilities
-export { getAuthToken, setAuthToken, ApiError };
+export {
+  API_BASE_URL,
+  getAuthToken,
+  setAuthToken,
+  onSignedOut,
+  getShareGrant,
+  setShareGrant,
+  ApiError,
+};
 export default apiRequest;
@@ -0,0 +1,49 @@
+// Binary assets (images, fonts, audio) are kept in the files map as data URLs
+// and stored by the backend as base64 with their MIME type
+
+export const ASSET_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  mp3: "audio/mpeg",
+};
+
+// Largest asset the backend accepts (base64 must fit its content limit)
+export const MAX_ASSET_SIZE = 750000;
+
+const getExtension = (path) => {
+  const name = path.split("/").pop() || "";
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+};
+
+// Check whether a path is a supported binary asset
+export const isAssetPath = (path) => Boolean(ASSET_MIME_TYPES[getExtension(path)]);
+
+// Get the MIME type of an asset path
+export const getAssetMimeType = (path) =>
+  ASSET_MIME_TYPES[getExtension(path)] || "application/octet-stream";
+
+// Get the kind of viewer an asset needs
+export const getAssetKind = (path) => getAssetMimeType(path).split("/")[0];
+
+// Build a data URL from base64 content
+export const toDataUrl = (mimeType, base64) => `data:${mimeType};base64,${base64}`;
+
+// Split a base64 data URL into its MIME type and content
+export const parseDataUrl = (value) => {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(value || "");
+  return match ? { mimeType: match[1], base64: match[2] } : null;
+};
+
+// Read a browser File as a data URL
+export const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
@@ -0,0 +1,221 @@
+// Real-time collaborative editing: a file's content is a shared Yjs document
+// synced with the backend over a WebSocket and bound to the Monaco model
+
+import * as Y from "yjs";
+import { WebsocketProvider } from "y-websocket";
+import { API_BASE_URL, getAuthToken, getShareGrant } from "./api";
+
+// The WebSocket server shares the API's host (http://host/api -> ws://host/ws)
+export const WS_BASE_URL =
+  import.meta.env.VITE_WS_URL ||
+  `${API_BASE_URL.replace(/^http/, "ws").replace(/\/api\/?$/, "")}/ws`;
+
+const COLLAB_URL = `${WS_BASE_URL}/collab`;
+
+// The auth token is sent as a subprotocol after this one, never in the URL
+const AUTH_PROTOCOL = "cipherstudio.auth";
+
+// A WebSocket that signs in with the current auth token. The token is read
+// on every (re)connect, so a renewed one is picked up.
+export class AuthWebSocket extends WebSocket {
+  constructor(url) {
+    const token = getAuthToken();
+    super(url, token ? [AUTH_PROTOCOL, token] : []);
+  }
+}
+
+// Open a shared document for a file
+export const createCollabSession = (fileId) => {
+  const doc = new Y.Doc();
+  const provider = new WebsocketProvider(COLLAB_URL, fileId, doc, {
+    WebSocketPolyfill: AuthWebSocket,
+    params: { share: getShareGrant() || "" },
+    // Tabs in the same browser sync through the server like everyone else
+    disableBc: true,
+  });
+
+  return {
+    doc,
+    provider,
+    text: doc.getText("content"),
+    meta: doc.getMap("meta"),
+    destroy: () => {
+      provider.destroy();
+      doc.destroy();
+    },
+  };
+};
+
+// Keep a Monaco model and a shared Y.Text in sync; returns an unbind function.
+// The model takes the shared content when the binding starts.
+export const bindMonacoModel = (model, text) => {
+  let applyingRemote = false;
+  const origin = {};
+
+  const applyRemote = (edit) => {
+    applyingRemote = true;
+    try {
+      model.applyEdits([edit]);
+    } finally {
+      applyingRemote = false;
+    }
+  };
+
+  const toRange = (start, end) => {
+    const from = model.getPositionAt(start);
+    const to = model.getPositionAt(end);
+    return {
+      startLineNumber: from.lineNumber,
+      startColumn: from.column,
+      endLineNumber: to.lineNumber,
+      endColumn: to.column,
+    };
+  };
+
+  // Offsets are shared with Y.Text, so both sides must use the same newlines
+  model.setEOL(0);
+
+  if (model.getValue() !== text.toString()) {
+    applyRemote({ range: model.getFullModelRange(), text: text.toString() });
+  }
+
+  // Remote changes arrive as a delta of retains, inserts and deletes
+  const handleTextChange = (event, transaction) => {
+    if (transaction.origin === origin) return;
+
+    let index = 0;
+    event.delta.forEach((op) => {
+      if (op.retain !== undefined) {
+        index += op.retain;
+      } else if (op.insert !== undefined) {
+        applyRemote({ range: toRange(index, index), text: op.insert });
+        index += op.insert.length;
+      } else if (op.delete !== undefined) {
+        applyRemote({ range: toRange(index, index + op.delete), text: "" });
+      }
+    });
+  };
+  text.observe(handleTextChange);
+
+  // Local changes are applied back to front so earlier offsets stay valid
+  const subscription = model.onDidChangeContent((event) => {
+    if (applyingRemote) return;
+
+    text.doc.transact(() => {
+      [...event.changes]
+        .sort((a, b) => b.rangeOffset - a.rangeOffset)
+        .forEach((change) => {
+          if (change.rangeLength > 0) {
+            text.delete(change.rangeOffset, change.rangeLength);
+          }
+          if (change.text) {
+            text.insert(change.rangeOffset, change.text);
+          }
+        });
+    }, origin);
+  });
+
+  return () => {
+    text.unobserve(handleTextChange);
+    subscription.dispose();
+  };
+};
+
+// Share this editor's cursor and selection through the session's awareness
+// and draw everyone else's; returns an unbind function. localUser is
+// { name, colorIndex }.
+export const bindRemoteCursors = (editor, session, localUser) => {
+  const { doc, text, provider } = session;
+  const { awareness } = provider;
+  const decorations = editor.createDecorationsCollection();
+  const model = editor.getModel();
+
+  // Relative positions stay attached to the same characters as others edit
+  const toRelative = (position) =>
+    Y.relativePositionToJSON(
+      Y.createRelativePositionFromTypeIndex(text, model.getOffsetAt(position))
+    );
+
+  const toPosition = (relative) => {
+    const absolute = Y.createAbsolutePositionFromRelativePosition(
+      Y.createRelativePositionFromJSON(relative),
+      doc
+    );
+    return absolute && absolute.type === text
+      ? model.getPositionAt(absolute.index)
+      : null;
+  };
+
+  const publishSelection = () => {
+    const selection = editor.getSelection();
+    if (!selection) return;
+    awareness.setLocalStateField("selection", {
+      anchor: toRelative(selection.getSelectionStart()),
+      head: toRelative(selection.getPosition()),
+    });
+  };
+
+  const renderCursors = () => {
+    const next = [];
+
+    awareness.getStates().forEach((state, clientId) => {
+      if (clientId === doc.clientID || !state.user || !state.selection) return;
+
+      const anchor = toPosition(state.selection.anchor);
+      const head = toPosition(state.selection.head);
+      if (!anchor || !head) return;
+
+      const color = `presence-color-${state.user.colorIndex || 0}`;
+      const [start, end] =
+        model.getOffsetAt(anchor) <= model.getOffsetAt(head)
+          ? [anchor, head]
+          : [head, anchor];
+
+      if (start.lineNumber !== end.lineNumber || start.column !== end.column) {
+        next.push({
+          range: {
+            startLineNumber: start.lineNumber,
+            startColumn: start.column,
+            endLineNumber: end.lineNumber,
+            endColumn: end.column,
+          },
+          options: { className: `remote-selection ${color}` },
+        });
+      }
+      next.push({
+        range: {
+          startLineNumber: head.lineNumber,
+          startColumn: head.column,
+          endLineNumber: head.lineNumber,
+          endColumn: head.column,
+        },
+        options: {
+          beforeContentClassName: `remote-cursor ${color}`,
+          hoverMessage: { value: state.user.name },
+          stickiness: 1, // NeverGrowsWhenTypingAtEdges
+        },
+      });
+    });
+
+    decorations.set(next);
+  };
+
+  awareness.setLocalStateField("user", localUser);
+  publishSelection();
+  renderCursors();
+
+  const selectionSubscription = editor.onDidChangeCursorSelection(
+    publishSelection
+  );
+  awareness.on("change", renderCursors);
+  // Remote edits move other cursors too
+  text.observe(renderCursors);
+
+  return () => {
+    selectionSubscription.dispose();
+    awareness.off("change", renderCursors);
+    text.unobserve(renderCursors);
+    awareness.setLocalStateField("selection", null);
+    decorations.clear();
+  };
+};
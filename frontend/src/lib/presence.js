@@ -0,0 +1,103 @@
+// Live presence: who else has the project open and which file they are in
+
+import { getShareGrant } from "./api";
+import { AuthWebSocket, WS_BASE_URL } from "./collab";
+
+// Reconnect delays grow up to this cap while the server is unreachable
+const MAX_RECONNECT_DELAY = 10000;
+
+// Colors for avatars, file markers and remote cursors. The editor's cursor
+// classes (.presence-color-N in styles/editor.css) use the same order.
+export const PRESENCE_COLORS = [
+  "#e06c75",
+  "#61afef",
+  "#98c379",
+  "#e5c07b",
+  "#c678dd",
+  "#56b6c2",
+  "#d19a66",
+  "#be5046",
+];
+
+// A user keeps the same color everywhere
+export const getPresenceColorIndex = (userId = "") => {
+  let hash = 0;
+  for (let i = 0; i < userId.length; i++) {
+    hash = (hash * 31 + userId.charCodeAt(i)) >>> 0;
+  }
+  return hash % PRESENCE_COLORS.length;
+};
+
+export const getPresenceColor = (userId) =>
+  PRESENCE_COLORS[getPresenceColorIndex(userId)];
+
+export const getPresenceName = (peer) =>
+  peer?.firstName
+    ? `${peer.firstName} ${peer.lastName || ""}`.trim()
+    : peer?.username || "Someone";
+
+// Join a project's presence channel. onPeers receives everyone else who has
+// the project open; the channel reconnects until it is closed.
+export const createPresenceChannel = (projectId, { onPeers }) => {
+  let socket = null;
+  let clientId = null;
+  let activePath = null;
+  let closed = false;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+
+  const sendActivePath = () => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: "open", path: activePath }));
+    }
+  };
+
+  const connect = () => {
+    const share = encodeURIComponent(getShareGrant() || "");
+    socket = new AuthWebSocket(
+      `${WS_BASE_URL}/presence/${projectId}?share=${share}`
+    );
+
+    socket.onopen = () => {
+      reconnectDelay = 1000;
+      sendActivePath();
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (message.type === "welcome") {
+        clientId = message.clientId;
+      } else if (message.type === "presence") {
+        onPeers(message.peers.filter((peer) => peer.clientId !== clientId));
+      }
+    };
+
+    socket.onclose = () => {
+      onPeers([]);
+      if (closed) return;
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    };
+  };
+
+  connect();
+
+  return {
+    // Tell the others which file this tab is looking at
+    setActivePath: (path) => {
+      activePath = path || null;
+      sendActivePath();
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    },
+  };
+};
@@ -0,0 +1,45 @@
+// Project templates and how each one runs in the Sandpack preview
+
+export const PROJECT_TEMPLATES = [
+  { value: "react", label: "React" },
+  { value: "vanilla", label: "Vanilla JavaScript" },
+  { value: "typescript", label: "TypeScript" },
+  { value: "nextjs", label: "Next.js" },
+];
+
+// Sandpack template per project template, with the entry files to look for
+// in order. Projects without a package.json still get the listed dependencies.
+const SANDPACK_SETUPS = {
+  react: {
+    template: "react",
+    entries: ["/src/index.jsx", "/src/index.js", "/index.jsx", "/index.js"],
+    dependencies: { react: "18.2.0", "react-dom": "18.2.0" },
+  },
+  vanilla: {
+    template: "vanilla",
+    entries: ["/src/index.js", "/index.js"],
+  },
+  typescript: {
+    template: "vanilla-ts",
+    entries: ["/src/index.ts", "/index.ts"],
+  },
+  // Next.js runs in Sandpack's Node environment, which starts from package.json
+  nextjs: {
+    template: "nextjs",
+    entries: [],
+  },
+};
+
+// Props for SandpackProvider for a project's template and files
+export const getSandpackSetup = (template, files) => {
+  const setup = SANDPACK_SETUPS[template] || SANDPACK_SETUPS.react;
+  const entry = setup.entries.find((path) => files[path] !== undefined);
+
+  return {
+    template: setup.template,
+    customSetup: {
+      ...(entry && { entry }),
+      ...(setup.dependencies && { dependencies: setup.dependencies }),
+    },
+  };
+};